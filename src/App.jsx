@@ -1,31 +1,310 @@
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useCallback, useEffect } from "react";
+import {
+  computeSectionProperties,
+  stressesAt,
+  stressDistribution,
+  normalStressField,
+  extremeNormalStresses,
+  sectionOutline,
+  torsionResponse,
+  TORSION_MODELS,
+  planeStressState,
+  strengthCheck,
+  shearYieldStrength,
+  solveBeam,
+  internalForcesAt,
+  sampleBeam,
+  validateSection,
+  validateBeam,
+  validateMaterial,
+  assumptionWarnings,
+  fieldErrors,
+  hasErrors,
+  COMBINATION_PRESETS,
+  memberChecks,
+  validateStability,
+  columnBuckling,
+  elasticCriticalMoment,
+  transformedProperties,
+} from "./engine";
+import BeamSetup from "./components/BeamSetup";
+import BeamDiagrams from "./components/BeamDiagrams";
+import StressDistribution from "./components/StressDistribution";
+import MohrCircle from "./components/MohrCircle";
+import MaterialSelector from "./components/MaterialSelector";
+import BucklingChecks from "./components/BucklingChecks";
+import SectionSizing from "./components/SectionSizing";
+import FatigueAssessment from "./components/FatigueAssessment";
+import StressConcentration from "./components/StressConcentration";
+import StressCard from "./components/StressCard";
+import SectionCatalogue from "./components/SectionCatalogue";
+import DimensionFields from "./components/DimensionFields";
+import CompositeEditor from "./components/CompositeEditor";
+import SectionSketch from "./components/SectionSketch";
+import InputIssues from "./components/InputIssues";
+import ProjectManager from "./components/ProjectManager";
+import ReportExport from "./components/ReportExport";
+import BatchAnalysis from "./components/BatchAnalysis";
+import LoadCombinations from "./components/LoadCombinations";
+import MemberChecks from "./components/MemberChecks";
+import FrameAnalysis from "./components/FrameAnalysis";
+import TransformedSection from "./components/TransformedSection";
+import { MATERIAL_PRESETS } from "./data/materials";
+import {
+  STEEL_SECTIONS,
+  catalogueSection,
+  seriesOf,
+} from "./data/steelSections";
+import { parseVertices } from "./utils/vertices";
+import { formatValue } from "./utils/format";
+import { formatVertices } from "./utils/vertices";
+import { readPermalink } from "./utils/project";
+import {
+  FORCE_UNITS,
+  DISTANCE_UNITS,
+  PRESSURE_UNITS,
+  UNIT_PRESETS,
+  formatQuantity,
+  roundInput,
+  unitPower,
+} from "./utils/units";
+
+// Section types offered in the picker, in order
+const SECTION_TYPE_LABELS = {
+  rectangle: "Rectangle",
+  circle: "Circle (Solid)",
+  hollowCircle: "Hollow Circle",
+  iBeam: "I Beam",
+  rectTube: "Rectangular Hollow Tube",
+  channel: "Channel (C)",
+  tee: "T-Section",
+  angle: "Angle (L)",
+  ellipse: "Ellipse (Solid)",
+  composite: "Composite / Polygon",
+};
+
+// Convert a composite section shape entered in display units to SI.
+function compositeShapeToSI(shape, distanceFactor) {
+  if (shape.kind === "polygon") {
+    return {
+      id: shape.id,
+      kind: "polygon",
+      hole: shape.hole,
+      materialId: shape.materialId,
+      points: parseVertices(shape.text).map(([x, y]) => [
+        x * distanceFactor,
+        y * distanceFactor,
+      ]),
+    };
+  }
+  const si = { ...shape };
+  for (const key of ["cx", "cy", "width", "height", "diameter"]) {
+    if (key in shape) si[key] = shape[key] * distanceFactor;
+  }
+  return si;
+}
+
+// Rescale a composite section shape from one display unit to another.
+function rescaleCompositeShape(shape, ratio) {
+  if (shape.kind === "polygon") {
+    return {
+      ...shape,
+      text: formatVertices(
+        parseVertices(shape.text).map(([x, y]) => [
+          roundInput(x * ratio),
+          roundInput(y * ratio),
+        ]),
+      ),
+    };
+  }
+  const scaled = { ...shape };
+  for (const key of ["cx", "cy", "width", "height", "diameter"]) {
+    if (key in shape) scaled[key] = roundInput(shape[key] * ratio);
+  }
+  return scaled;
+}
+
+// Convert a support or load entered in display units to SI, or between two
+// display units when given the ratios of their factors.
+function beamItemToSI(item, forceFactor, distanceFactor) {
+  const si = { ...item };
+  for (const key of ["position", "start", "end"]) {
+    if (key in item) si[key] = item[key] * distanceFactor;
+  }
+  const magnitudeFactor =
+    item.type === "moment"
+      ? forceFactor * distanceFactor
+      : item.type === "pointLoad"
+        ? forceFactor
+        : forceFactor / distanceFactor;
+  for (const key of ["magnitude", "startMagnitude", "endMagnitude"]) {
+    if (key in item) si[key] = item[key] * magnitudeFactor;
+  }
+  return si;
+}
 
 export default function App() {
   // --------------------------------
   // Unit Selection
   // --------------------------------
-  const [forceUnit, setForceUnit] = useState("N"); // options: "N", "kN"
-  const [distanceUnit, setDistanceUnit] = useState("m"); // options: "m", "mm"
-  const [pressureUnit, setPressureUnit] = useState("Pa"); // options: "Pa", "MPa"
+  const [forceUnit, setForceUnit] = useState("N"); // key of FORCE_UNITS
+  const [distanceUnit, setDistanceUnit] = useState("m"); // key of DISTANCE_UNITS: beam spans, positions, moments
+  const [sectionUnitOverride, setSectionUnitOverride] = useState(""); // section dimensions; "" follows distanceUnit
+  const [pressureUnit, setPressureUnit] = useState("Pa"); // key of PRESSURE_UNITS
+  // Convert the entered values when a unit changes instead of reinterpreting them
+  const [convertOnUnitChange, setConvertOnUnitChange] = useState(true);
+  const sectionUnit = sectionUnitOverride || distanceUnit;
 
   // Conversion factors (to SI)
-  const forceFactor = forceUnit === "kN" ? 1000 : 1; // convert force to N
-  const distanceFactor = distanceUnit === "mm" ? 0.001 : 1; // convert distance to m
-  const pressureFactor = pressureUnit === "MPa" ? 1e6 : 1; // used to convert computed SI stress to output
+  const forceFactor = FORCE_UNITS[forceUnit]; // convert force to N
+  const distanceFactor = DISTANCE_UNITS[distanceUnit]; // convert distance to m
+  const sectionFactor = DISTANCE_UNITS[sectionUnit]; // convert section dimensions to m
+  const pressureFactor = PRESSURE_UNITS[pressureUnit]; // used to convert computed SI stress to output
+
+  // Readouts of SI values in the selected units
+  const showForce = (v) => formatQuantity(v, forceFactor, forceUnit);
+  const showMoment = (v) =>
+    formatQuantity(
+      v,
+      forceFactor * distanceFactor,
+      `${forceUnit}·${distanceUnit}`,
+    );
+  const showDistance = (v) => formatQuantity(v, distanceFactor, distanceUnit);
+  const showSection = (v, power = 1) =>
+    formatQuantity(
+      v,
+      Math.pow(sectionFactor, power),
+      unitPower(sectionUnit, power),
+    );
+  const showStress = (v) => formatQuantity(v, pressureFactor, pressureUnit);
 
   // --------------------------------
   // Global Loading Inputs (in selected units)
   // --------------------------------
   const [beamLength, setBeamLength] = useState(1); // e.g., 1 m or 1000 mm (user enters value in chosen unit)
   const [force, setForce] = useState(1000); // e.g., 1000 N or 1 kN (user enters value in chosen unit)
-  const [moment, setMoment] = useState(1000); // bending moment (N·m if force in N and distance in m)
+  const [moment, setMoment] = useState(1000); // bending moment about z, sagging positive (N·m if force in N and distance in m)
+  const [momentY, setMomentY] = useState(0); // bending moment about the vertical y axis (N·m)
   const [torque, setTorque] = useState(1000); // N·m
   const [shearForce, setShearForce] = useState(500); // N
 
+  // --------------------------------
+  // Load Cases and Combinations (in selected units)
+  // --------------------------------
+  // Section forces per load case; combinations factor them by category
+  const [loadCases, setLoadCases] = useState([
+    {
+      id: 1,
+      name: "Dead",
+      category: "dead",
+      force: 0,
+      moment: 600,
+      momentY: 0,
+      torque: 0,
+      shearForce: 300,
+    },
+    {
+      id: 2,
+      name: "Live",
+      category: "live",
+      force: 0,
+      moment: 400,
+      momentY: 0,
+      torque: 0,
+      shearForce: 200,
+    },
+    {
+      id: 3,
+      name: "Wind",
+      category: "wind",
+      force: 0,
+      moment: 0,
+      momentY: 150,
+      torque: 50,
+      shearForce: 0,
+    },
+  ]);
+  const [loadCombinations, setLoadCombinations] = useState(() =>
+    COMBINATION_PRESETS.eurocode.combinations.map((c, i) => ({
+      ...c,
+      id: i + 1,
+    })),
+  );
+
+  // --------------------------------
+  // Beam Supports and Loads (in selected units)
+  // --------------------------------
+  // "beam": moment and shear come from solving the beam at stationX
+  // "manual": moment and shear are typed in directly
+  const [loadSource, setLoadSource] = useState("manual");
+  const [supports, setSupports] = useState([
+    { id: 1, type: "pinned", position: 0 },
+    { id: 2, type: "roller", position: 1 },
+  ]);
+  const [beamLoads, setBeamLoads] = useState([
+    { id: 1, type: "pointLoad", position: 0.5, magnitude: 1000 },
+  ]);
+  const [stationX, setStationX] = useState(0.25);
+
+  // --------------------------------
+  // Plane frame or truss (distance and force units), by default a fixed-base
+  // portal frame with a roof load and a wind load at the eaves. Member
+  // sections are SI copies of cross-sections, see FrameAnalysis.
+  // --------------------------------
+  const [frameNodes, setFrameNodes] = useState([
+    { id: 1, x: 0, y: 0, support: "fixed", fx: 0, fy: 0, moment: 0 },
+    { id: 2, x: 0, y: 4, support: "free", fx: 5000, fy: 0, moment: 0 },
+    { id: 3, x: 6, y: 4, support: "free", fx: 0, fy: 0, moment: 0 },
+    { id: 4, x: 6, y: 0, support: "fixed", fx: 0, fy: 0, moment: 0 },
+  ]);
+  const [frameMembers, setFrameMembers] = useState([
+    {
+      id: 1,
+      start: 1,
+      end: 2,
+      sectionId: 1,
+      truss: false,
+      load: 0,
+      loadAxes: "global",
+    },
+    {
+      id: 2,
+      start: 2,
+      end: 3,
+      sectionId: 1,
+      truss: false,
+      load: 10000,
+      loadAxes: "global",
+    },
+    {
+      id: 3,
+      start: 4,
+      end: 3,
+      sectionId: 1,
+      truss: false,
+      load: 0,
+      loadAxes: "global",
+    },
+  ]);
+  const [frameSections, setFrameSections] = useState([
+    {
+      id: 1,
+      name: "I-beam 200 × 100",
+      section: {
+        type: "iBeam",
+        depth: 0.2,
+        flangeWidth: 0.1,
+        flangeThickness: 0.0085,
+        webThickness: 0.0056,
+      },
+    },
+  ]);
+
   // --------------------------------
   // Cross-Section Type and Dimensions
   // --------------------------------
-  // Options: "rectangle", "circle", "hollowCircle", "iBeam"
+  // Options: "rectangle", "circle", "hollowCircle", "iBeam", "rectTube",
+  // "channel", "tee", "angle", "ellipse", "composite"
   const [sectionType, setSectionType] = useState("rectangle");
 
   // Rectangle dimensions (distance unit)
@@ -45,179 +324,880 @@ export default function App() {
   const [iBeamFlangeThick, setIBeamFlangeThick] = useState(0.02);
   const [iBeamWebThick, setIBeamWebThick] = useState(0.01);
 
+  // Rectangular hollow tube: width, height, wall thickness (distance unit)
+  const [tubeWidth, setTubeWidth] = useState(0.1);
+  const [tubeHeight, setTubeHeight] = useState(0.2);
+  const [tubeThick, setTubeThick] = useState(0.008);
+
+  // Channel: depth, flange width, flange thickness, web thickness (distance unit)
+  const [channelDepth, setChannelDepth] = useState(0.2);
+  const [channelFlangeWidth, setChannelFlangeWidth] = useState(0.075);
+  const [channelFlangeThick, setChannelFlangeThick] = useState(0.0115);
+  const [channelWebThick, setChannelWebThick] = useState(0.0085);
+
+  // T-section: overall depth, flange width, flange thickness, web thickness (distance unit)
+  const [teeDepth, setTeeDepth] = useState(0.15);
+  const [teeFlangeWidth, setTeeFlangeWidth] = useState(0.15);
+  const [teeFlangeThick, setTeeFlangeThick] = useState(0.012);
+  const [teeWebThick, setTeeWebThick] = useState(0.01);
+
+  // Angle: vertical leg, horizontal leg, thickness (distance unit)
+  const [angleHeight, setAngleHeight] = useState(0.1);
+  const [angleWidth, setAngleWidth] = useState(0.1);
+  const [angleThick, setAngleThick] = useState(0.01);
+
+  // Ellipse: width and height (distance unit)
+  const [ellipseWidth, setEllipseWidth] = useState(0.06);
+  const [ellipseHeight, setEllipseHeight] = useState(0.1);
+
+  // Composite: list of rectangles, circles and polygons (distance unit),
+  // each with a material id ("" for the section material), by default an
+  // I-beam with a cover plate welded under the bottom flange
+  const [compositeShapes, setCompositeShapes] = useState([
+    {
+      id: 1,
+      kind: "rectangle",
+      cx: 0,
+      cy: 0.19,
+      width: 0.1,
+      height: 0.02,
+      hole: false,
+      materialId: "",
+    },
+    {
+      id: 2,
+      kind: "rectangle",
+      cx: 0,
+      cy: 0.1,
+      width: 0.01,
+      height: 0.16,
+      hole: false,
+      materialId: "",
+    },
+    {
+      id: 3,
+      kind: "rectangle",
+      cx: 0,
+      cy: 0.01,
+      width: 0.1,
+      height: 0.02,
+      hole: false,
+      materialId: "",
+    },
+    {
+      id: 4,
+      kind: "rectangle",
+      cx: 0,
+      cy: -0.006,
+      width: 0.14,
+      height: 0.012,
+      hole: false,
+      materialId: "",
+    },
+  ]);
+
+  // Catalogue entry last picked for the I-beam or tube dimensions
+  const [catalogueEntry, setCatalogueEntry] = useState(null);
+
+  // --------------------------------
+  // Material (properties held in SI units)
   // --------------------------------
-  // Analysis Point in Y Direction (from neutral axis; in chosen distance unit)
+  const [materialId, setMaterialId] = useState("s355");
+  const [userMaterials, setUserMaterials] = useState([]);
+  const [targetFoS, setTargetFoS] = useState(1.5);
+  // Design code of the steel member checks: "aisc" or "ec3"
+  const [designCode, setDesignCode] = useState("ec3");
+  // Buckling: end conditions (key of END_CONDITIONS), effective-length
+  // factor K, unbraced length between lateral restraints (distance unit) and
+  // moment gradient factor C_b
+  const [bucklingEnds, setBucklingEnds] = useState("pinned-pinned");
+  const [effectiveLengthFactor, setEffectiveLengthFactor] = useState(1);
+  const [unbracedLength, setUnbracedLength] = useState(1);
+  const [momentGradientFactor, setMomentGradientFactor] = useState(1);
+  // Composite sections of several materials: ignore concrete in tension
+  const [crackedSection, setCrackedSection] = useState(false);
+  // Section sizing, see SectionSizing; the allowable stress is in the
+  // pressure unit and the maximum depth in the section unit
+  const [sizing, setSizing] = useState({
+    sizeBy: "dimensions",
+    limitMode: "fos",
+    allowableStress: 100e6,
+    constraint: "aspect",
+    maxDepth: 0.3,
+    actions: "station",
+  });
+  // Fatigue, see FatigueAssessment; load ranges in the force and moment
+  // units, from zero to the loads entered above, the endurance limit in the
+  // pressure unit and the diameter in the section unit. The history text is
+  // kept as entered.
+  const [fatigue, setFatigue] = useState(() => ({
+    inputMode: "minMax",
+    range: {
+      force: { min: 0, max: force },
+      moment: { min: 0, max: moment },
+      momentY: { min: 0, max: momentY },
+      torque: { min: 0, max: torque },
+      shearForce: { min: 0, max: shearForce },
+    },
+    criterion: "goodman",
+    enduranceMode: "estimate",
+    enduranceLimit: 200e6,
+    surface: "machined",
+    diameter: 0,
+    loading: "combined",
+    reliability: 0.5,
+    temperatureFactor: 1,
+    miscFactor: 1,
+    fraction: 0.9,
+    historyKey: "moment",
+    historyText: "",
+  }));
+  // Stress concentration and curved beam, see StressConcentration; the
+  // radius of the centroidal axis is in the section unit
+  const [concentration, setConcentration] = useState({
+    detail: "roundShoulder",
+    ratios: {
+      diameterRatio: 1.5,
+      radiusRatio: 0.1,
+      holeRatio: 0.2,
+      axisRatio: 2,
+    },
+    curved: false,
+    radius: 0.1,
+    side: "bottom",
+  });
+  const allMaterials = useMemo(
+    () => [...MATERIAL_PRESETS, ...userMaterials],
+    [userMaterials],
+  );
+  const material =
+    allMaterials.find((m) => m.id === materialId) ?? MATERIAL_PRESETS[0];
+
+  // --------------------------------
+  // Analysis Point (y up, z right, from the centroid; in chosen distance unit)
   // --------------------------------
   const [pointY, setPointY] = useState(0);
+  const [pointZ, setPointZ] = useState(0);
+
+  // --------------------------------
+  // Saving and loading: every input, in the units it was entered in
+  // --------------------------------
+  // The catalogue entry is stored by its designation.
+  const inputs = {
+    forceUnit,
+    distanceUnit,
+    sectionUnitOverride,
+    pressureUnit,
+    convertOnUnitChange,
+    beamLength,
+    force,
+    moment,
+    momentY,
+    torque,
+    shearForce,
+    loadCases,
+    loadCombinations,
+    loadSource,
+    supports,
+    beamLoads,
+    stationX,
+    frameNodes,
+    frameMembers,
+    frameSections,
+    sectionType,
+    rectWidth,
+    rectHeight,
+    circleDiameter,
+    hollowOuter,
+    hollowInner,
+    iBeamDepth,
+    iBeamFlangeWidth,
+    iBeamFlangeThick,
+    iBeamWebThick,
+    tubeWidth,
+    tubeHeight,
+    tubeThick,
+    channelDepth,
+    channelFlangeWidth,
+    channelFlangeThick,
+    channelWebThick,
+    teeDepth,
+    teeFlangeWidth,
+    teeFlangeThick,
+    teeWebThick,
+    angleHeight,
+    angleWidth,
+    angleThick,
+    ellipseWidth,
+    ellipseHeight,
+    compositeShapes,
+    catalogueEntry: catalogueEntry?.designation ?? null,
+    materialId,
+    userMaterials,
+    targetFoS,
+    designCode,
+    bucklingEnds,
+    effectiveLengthFactor,
+    unbracedLength,
+    momentGradientFactor,
+    crackedSection,
+    sizing,
+    fatigue,
+    concentration,
+    pointY,
+    pointZ,
+  };
+  const inputSetters = useMemo(
+    () => ({
+      forceUnit: setForceUnit,
+      distanceUnit: setDistanceUnit,
+      sectionUnitOverride: setSectionUnitOverride,
+      pressureUnit: setPressureUnit,
+      convertOnUnitChange: setConvertOnUnitChange,
+      beamLength: setBeamLength,
+      force: setForce,
+      moment: setMoment,
+      momentY: setMomentY,
+      torque: setTorque,
+      shearForce: setShearForce,
+      loadCases: setLoadCases,
+      loadCombinations: setLoadCombinations,
+      loadSource: setLoadSource,
+      supports: setSupports,
+      beamLoads: setBeamLoads,
+      stationX: setStationX,
+      frameNodes: setFrameNodes,
+      frameMembers: setFrameMembers,
+      frameSections: setFrameSections,
+      sectionType: setSectionType,
+      rectWidth: setRectWidth,
+      rectHeight: setRectHeight,
+      circleDiameter: setCircleDiameter,
+      hollowOuter: setHollowOuter,
+      hollowInner: setHollowInner,
+      iBeamDepth: setIBeamDepth,
+      iBeamFlangeWidth: setIBeamFlangeWidth,
+      iBeamFlangeThick: setIBeamFlangeThick,
+      iBeamWebThick: setIBeamWebThick,
+      tubeWidth: setTubeWidth,
+      tubeHeight: setTubeHeight,
+      tubeThick: setTubeThick,
+      channelDepth: setChannelDepth,
+      channelFlangeWidth: setChannelFlangeWidth,
+      channelFlangeThick: setChannelFlangeThick,
+      channelWebThick: setChannelWebThick,
+      teeDepth: setTeeDepth,
+      teeFlangeWidth: setTeeFlangeWidth,
+      teeFlangeThick: setTeeFlangeThick,
+      teeWebThick: setTeeWebThick,
+      angleHeight: setAngleHeight,
+      angleWidth: setAngleWidth,
+      angleThick: setAngleThick,
+      ellipseWidth: setEllipseWidth,
+      ellipseHeight: setEllipseHeight,
+      compositeShapes: setCompositeShapes,
+      catalogueEntry: (designation) =>
+        setCatalogueEntry(
+          STEEL_SECTIONS.find((e) => e.designation === designation) ?? null,
+        ),
+      materialId: setMaterialId,
+      userMaterials: setUserMaterials,
+      targetFoS: setTargetFoS,
+      designCode: setDesignCode,
+      bucklingEnds: setBucklingEnds,
+      effectiveLengthFactor: setEffectiveLengthFactor,
+      unbracedLength: setUnbracedLength,
+      momentGradientFactor: setMomentGradientFactor,
+      crackedSection: setCrackedSection,
+      sizing: setSizing,
+      fatigue: setFatigue,
+      concentration: setConcentration,
+      pointY: setPointY,
+      pointZ: setPointZ,
+    }),
+    [],
+  );
+  // Inputs missing from a loaded project keep their current values.
+  const loadInputs = useCallback(
+    (loaded) => {
+      for (const [key, value] of Object.entries(loaded)) {
+        inputSetters[key]?.(value);
+      }
+    },
+    [inputSetters],
+  );
+  // Open the project encoded in a permalink
+  const [permalinkError, setPermalinkError] = useState(null);
+  useEffect(() => {
+    try {
+      const loaded = readPermalink(window.location.hash);
+      if (loaded) loadInputs(loaded);
+    } catch (err) {
+      setPermalinkError(err.message);
+    }
+  }, [loadInputs]);
 
   // --------------------------------
   // Convert all input values to SI units for internal calculations
   // --------------------------------
   const beamLengthSI = beamLength * distanceFactor;
   const forceSI = force * forceFactor;
-  const momentSI = moment * forceFactor * distanceFactor;
   const torqueSI = torque * forceFactor * distanceFactor;
-  const shearForceSI = shearForce * forceFactor;
-  const rectWidthSI = rectWidth * distanceFactor;
-  const rectHeightSI = rectHeight * distanceFactor;
-  const circleDiameterSI = circleDiameter * distanceFactor;
-  const hollowOuterSI = hollowOuter * distanceFactor;
-  const hollowInnerSI = hollowInner * distanceFactor;
-  const iBeamDepthSI = iBeamDepth * distanceFactor;
-  const iBeamFlangeWidthSI = iBeamFlangeWidth * distanceFactor;
-  const iBeamFlangeThickSI = iBeamFlangeThick * distanceFactor;
-  const iBeamWebThickSI = iBeamWebThick * distanceFactor;
-  const pointYSI = pointY * distanceFactor;
+  const momentYSI = momentY * forceFactor * distanceFactor;
+  const pointYSI = pointY * sectionFactor;
+  const pointZSI = pointZ * sectionFactor;
 
   // --------------------------------
-  // Calculate Cross-Section Properties (in SI units)
+  // Build the cross-section description (in SI units)
   // --------------------------------
-  const sectionProps = useMemo(() => {
-    let area = 0,
-      inertia = 0,
-      polarInertia = 0,
-      outerRadius = 0,
-      shearThickness = 0;
-
+  const section = useMemo(() => {
     if (sectionType === "rectangle") {
-      area = rectWidthSI * rectHeightSI;
-      inertia = (rectWidthSI * Math.pow(rectHeightSI, 3)) / 12;
-      polarInertia = (rectWidthSI * Math.pow(rectHeightSI, 3)) / 3; // approximate
-      outerRadius = rectHeightSI / 2;
-      shearThickness = rectWidthSI;
+      return {
+        type: "rectangle",
+        width: rectWidth * sectionFactor,
+        height: rectHeight * sectionFactor,
+      };
     } else if (sectionType === "circle") {
-      const r = circleDiameterSI / 2;
-      area = Math.PI * Math.pow(r, 2);
-      inertia = (Math.PI * Math.pow(r, 4)) / 4;
-      polarInertia = (Math.PI * Math.pow(r, 4)) / 2;
-      outerRadius = r;
-      shearThickness = circleDiameterSI; // using diameter as effective thickness
+      return { type: "circle", diameter: circleDiameter * sectionFactor };
     } else if (sectionType === "hollowCircle") {
-      const R_o = hollowOuterSI;
-      const R_i = hollowInnerSI;
-      if (R_i >= R_o) {
-        area = 0;
-        inertia = 0;
-        polarInertia = 0;
-        outerRadius = R_o;
-        shearThickness = 0;
-      } else {
-        area = Math.PI * (Math.pow(R_o, 2) - Math.pow(R_i, 2));
-        inertia = (Math.PI / 4) * (Math.pow(R_o, 4) - Math.pow(R_i, 4));
-        polarInertia = (Math.PI / 2) * (Math.pow(R_o, 4) - Math.pow(R_i, 4));
-        outerRadius = R_o;
-        shearThickness = R_o - R_i;
-      }
-    } else if (sectionType === "iBeam") {
-      // I-beam: overall depth = h, flange width = bf, flange thickness = tf, web thickness = tw.
-      const h = iBeamDepthSI;
-      const bf = iBeamFlangeWidthSI;
-      const tf = iBeamFlangeThickSI;
-      const tw = iBeamWebThickSI;
-      // Area: two flanges plus web
-      area = 2 * bf * tf + tw * (h - 2 * tf);
-      // Bending moment of inertia about horizontal axis using subtraction:
-      inertia =
-        (bf * Math.pow(h, 3) - (bf - tw) * Math.pow(h - 2 * tf, 3)) / 12;
-      // Approximate polar moment inertia
-      polarInertia = inertia;
-      outerRadius = h / 2;
-      shearThickness = tw;
+      return {
+        type: "hollowCircle",
+        outerRadius: hollowOuter * sectionFactor,
+        innerRadius: hollowInner * sectionFactor,
+      };
+    } else if (sectionType === "rectTube") {
+      return {
+        type: "rectTube",
+        width: tubeWidth * sectionFactor,
+        height: tubeHeight * sectionFactor,
+        thickness: tubeThick * sectionFactor,
+      };
+    } else if (sectionType === "channel") {
+      return {
+        type: "channel",
+        depth: channelDepth * sectionFactor,
+        flangeWidth: channelFlangeWidth * sectionFactor,
+        flangeThickness: channelFlangeThick * sectionFactor,
+        webThickness: channelWebThick * sectionFactor,
+      };
+    } else if (sectionType === "tee") {
+      return {
+        type: "tee",
+        depth: teeDepth * sectionFactor,
+        flangeWidth: teeFlangeWidth * sectionFactor,
+        flangeThickness: teeFlangeThick * sectionFactor,
+        webThickness: teeWebThick * sectionFactor,
+      };
+    } else if (sectionType === "angle") {
+      return {
+        type: "angle",
+        height: angleHeight * sectionFactor,
+        width: angleWidth * sectionFactor,
+        thickness: angleThick * sectionFactor,
+      };
+    } else if (sectionType === "ellipse") {
+      return {
+        type: "ellipse",
+        width: ellipseWidth * sectionFactor,
+        height: ellipseHeight * sectionFactor,
+      };
+    } else if (sectionType === "composite") {
+      return {
+        type: "composite",
+        shapes: compositeShapes.map((shape) =>
+          compositeShapeToSI(shape, sectionFactor),
+        ),
+      };
     }
-    return { area, inertia, polarInertia, outerRadius, shearThickness };
+    return {
+      type: "iBeam",
+      depth: iBeamDepth * sectionFactor,
+      flangeWidth: iBeamFlangeWidth * sectionFactor,
+      flangeThickness: iBeamFlangeThick * sectionFactor,
+      webThickness: iBeamWebThick * sectionFactor,
+    };
   }, [
     sectionType,
-    rectWidthSI,
-    rectHeightSI,
-    circleDiameterSI,
-    hollowOuterSI,
-    hollowInnerSI,
-    iBeamDepthSI,
-    iBeamFlangeWidthSI,
-    iBeamFlangeThickSI,
-    iBeamWebThickSI,
+    sectionFactor,
+    rectWidth,
+    rectHeight,
+    circleDiameter,
+    hollowOuter,
+    hollowInner,
+    iBeamDepth,
+    iBeamFlangeWidth,
+    iBeamFlangeThick,
+    iBeamWebThick,
+    tubeWidth,
+    tubeHeight,
+    tubeThick,
+    channelDepth,
+    channelFlangeWidth,
+    channelFlangeThick,
+    channelWebThick,
+    teeDepth,
+    teeFlangeWidth,
+    teeFlangeThick,
+    teeWebThick,
+    angleHeight,
+    angleWidth,
+    angleThick,
+    ellipseWidth,
+    ellipseHeight,
+    compositeShapes,
   ]);
 
+  // Fill the dimension inputs (display units) from an SI section of the
+  // current type, e.g. a catalogue entry or a sized section
+  const applySection = (s) => {
+    const toDisplay = (v) => roundInput(v / sectionFactor);
+    if (s.type === "rectangle") {
+      setRectWidth(toDisplay(s.width));
+      setRectHeight(toDisplay(s.height));
+    } else if (s.type === "circle") {
+      setCircleDiameter(toDisplay(s.diameter));
+    } else if (s.type === "ellipse") {
+      setEllipseWidth(toDisplay(s.width));
+      setEllipseHeight(toDisplay(s.height));
+    } else if (s.type === "iBeam") {
+      setIBeamDepth(toDisplay(s.depth));
+      setIBeamFlangeWidth(toDisplay(s.flangeWidth));
+      setIBeamFlangeThick(toDisplay(s.flangeThickness));
+      setIBeamWebThick(toDisplay(s.webThickness));
+    } else if (s.type === "channel") {
+      setChannelDepth(toDisplay(s.depth));
+      setChannelFlangeWidth(toDisplay(s.flangeWidth));
+      setChannelFlangeThick(toDisplay(s.flangeThickness));
+      setChannelWebThick(toDisplay(s.webThickness));
+    } else if (s.type === "tee") {
+      setTeeDepth(toDisplay(s.depth));
+      setTeeFlangeWidth(toDisplay(s.flangeWidth));
+      setTeeFlangeThick(toDisplay(s.flangeThickness));
+      setTeeWebThick(toDisplay(s.webThickness));
+    } else if (s.type === "angle") {
+      setAngleHeight(toDisplay(s.height));
+      setAngleWidth(toDisplay(s.width));
+      setAngleThick(toDisplay(s.thickness));
+    } else if (s.type === "hollowCircle") {
+      setHollowOuter(toDisplay(s.outerRadius));
+      setHollowInner(toDisplay(s.innerRadius));
+    } else if (s.type === "rectTube") {
+      setTubeWidth(toDisplay(s.width));
+      setTubeHeight(toDisplay(s.height));
+      setTubeThick(toDisplay(s.thickness));
+    }
+  };
+  const applyCatalogueEntry = (entry) => {
+    setCatalogueEntry(entry);
+    applySection(catalogueSection(entry));
+  };
+
   // --------------------------------
-  // Compute the First Moment Q at the Analysis Point (in SI units)
+  // Switch units, converting the entered values when requested
   // --------------------------------
-  const Q_point = useMemo(() => {
-    const yAbs = Math.abs(pointYSI);
-    if (sectionType === "rectangle") {
-      const a = rectHeightSI / 2;
-      if (yAbs > a) return 0;
-      return (rectWidthSI / 2) * (Math.pow(a, 2) - Math.pow(pointYSI, 2));
-    } else if (sectionType === "circle") {
-      const r = circleDiameterSI / 2;
-      if (yAbs > r) return 0;
-      return (2 / 3) * Math.pow(r * r - pointYSI * pointYSI, 1.5);
-    } else if (sectionType === "hollowCircle") {
-      const R_o = hollowOuterSI;
-      const R_i = hollowInnerSI;
-      if (yAbs > R_o) return 0;
-      if (yAbs <= R_i) {
-        return (
-          (2 / 3) *
-          (Math.pow(R_o * R_o - pointYSI * pointYSI, 1.5) -
-            Math.pow(R_i * R_i - pointYSI * pointYSI, 1.5))
-        );
-      } else {
-        return (2 / 3) * Math.pow(R_o * R_o - pointYSI * pointYSI, 1.5);
-      }
-    } else if (sectionType === "iBeam") {
-      const h = iBeamDepthSI;
-      const tf = iBeamFlangeThickSI;
-      const bf = iBeamFlangeWidthSI;
-      const tw = iBeamWebThickSI;
-      const halfDepth = h / 2;
-      if (yAbs > halfDepth) return 0;
-      if (yAbs <= halfDepth - tf) {
-        // Analysis point is in the web.
-        const Q_flange = bf * tf; // top flange area contribution
-        const webArea = tw * (halfDepth - tf - yAbs);
-        const webCentroid = (halfDepth - tf + yAbs) / 2;
-        return Q_flange + webArea * webCentroid;
-      } else {
-        // Analysis point is within the top flange.
-        const flangeHeightAbove = halfDepth - yAbs;
-        return bf * flangeHeightAbove * (flangeHeightAbove / 2);
+  const changeUnits = (next) => {
+    const units = {
+      force: forceUnit,
+      distance: distanceUnit,
+      section: sectionUnitOverride,
+      pressure: pressureUnit,
+      ...next,
+    };
+    if (convertOnUnitChange) {
+      // Ratios old / new: a value v in the old unit is v · ratio in the new one
+      const rf = forceFactor / FORCE_UNITS[units.force];
+      const rd = distanceFactor / DISTANCE_UNITS[units.distance];
+      const rs =
+        sectionFactor / DISTANCE_UNITS[units.section || units.distance];
+      const rp = pressureFactor / PRESSURE_UNITS[units.pressure];
+      const by = (ratio) => (v) => roundInput(v * ratio);
+      for (const set of [setBeamLength, setStationX, setUnbracedLength])
+        set(by(rd));
+      for (const set of [setForce, setShearForce]) set(by(rf));
+      for (const set of [setMoment, setMomentY, setTorque]) set(by(rf * rd));
+      const rescaleItem = (item) => {
+        const scaled = beamItemToSI(item, rf, rd);
+        for (const key of Object.keys(scaled)) {
+          if (key !== "id" && typeof scaled[key] === "number") {
+            scaled[key] = roundInput(scaled[key]);
+          }
+        }
+        return scaled;
+      };
+      setSupports((list) => list.map(rescaleItem));
+      setFrameNodes((list) =>
+        list.map((n) => ({
+          ...n,
+          x: by(rd)(n.x),
+          y: by(rd)(n.y),
+          fx: by(rf)(n.fx),
+          fy: by(rf)(n.fy),
+          moment: by(rf * rd)(n.moment),
+        })),
+      );
+      setFrameMembers((list) =>
+        list.map((m) => ({ ...m, load: by(rf / rd)(m.load) })),
+      );
+      setBeamLoads((list) => list.map(rescaleItem));
+      setLoadCases((list) =>
+        list.map((c) => ({
+          ...c,
+          force: by(rf)(c.force),
+          shearForce: by(rf)(c.shearForce),
+          moment: by(rf * rd)(c.moment),
+          momentY: by(rf * rd)(c.momentY),
+          torque: by(rf * rd)(c.torque),
+        })),
+      );
+      for (const set of [
+        setRectWidth,
+        setRectHeight,
+        setCircleDiameter,
+        setHollowOuter,
+        setHollowInner,
+        setIBeamDepth,
+        setIBeamFlangeWidth,
+        setIBeamFlangeThick,
+        setIBeamWebThick,
+        setTubeWidth,
+        setTubeHeight,
+        setTubeThick,
+        setChannelDepth,
+        setChannelFlangeWidth,
+        setChannelFlangeThick,
+        setChannelWebThick,
+        setTeeDepth,
+        setTeeFlangeWidth,
+        setTeeFlangeThick,
+        setTeeWebThick,
+        setAngleHeight,
+        setAngleWidth,
+        setAngleThick,
+        setEllipseWidth,
+        setEllipseHeight,
+        setPointY,
+        setPointZ,
+      ]) {
+        set(by(rs));
       }
+      setCompositeShapes((shapes) =>
+        shapes.map((shape) => rescaleCompositeShape(shape, rs)),
+      );
+      setSizing((s) => ({
+        ...s,
+        allowableStress: by(rp)(s.allowableStress),
+        maxDepth: by(rs)(s.maxDepth),
+      }));
+      const momentKeys = ["moment", "momentY", "torque"];
+      setFatigue((f) => ({
+        ...f,
+        range: Object.fromEntries(
+          Object.entries(f.range).map(([key, { min, max }]) => {
+            const scale = by(momentKeys.includes(key) ? rf * rd : rf);
+            return [key, { min: scale(min), max: scale(max) }];
+          }),
+        ),
+        enduranceLimit: by(rp)(f.enduranceLimit),
+        diameter: by(rs)(f.diameter),
+      }));
+      setConcentration((c) => ({ ...c, radius: by(rs)(c.radius) }));
+    }
+    setForceUnit(units.force);
+    setDistanceUnit(units.distance);
+    setSectionUnitOverride(units.section);
+    setPressureUnit(units.pressure);
+  };
+
+  // --------------------------------
+  // Cross-section properties (in SI units)
+  // --------------------------------
+  // Impossible geometry (e.g. a hole larger than the section) gives no
+  // properties; the results below are withheld until it is fixed.
+  const sectionIssues = useMemo(() => validateSection(section), [section]);
+  const sectionFieldErrors = fieldErrors(sectionIssues);
+  const geometryValid = !hasErrors(sectionIssues);
+  const sectionProps = useMemo(
+    () => (geometryValid ? computeSectionProperties(section) : null),
+    [section, geometryValid],
+  );
+  const materialIssues = validateMaterial(material);
+  // Composite shapes with their own materials, as modular ratios against the
+  // section material; concrete is the material that may be taken as cracked
+  const transformedSection = useMemo(() => {
+    if (section.type !== "composite") return null;
+    return {
+      ...section,
+      shapes: section.shapes.map((shape) => {
+        const own =
+          allMaterials.find((m) => m.id === shape.materialId) ?? material;
+        return {
+          ...shape,
+          material: own.id,
+          n: own.E / material.E,
+          noTension: own.category === "Concrete",
+        };
+      }),
+    };
+  }, [section, material, allMaterials]);
+  // --------------------------------
+  // Solve the beam for reactions and internal forces (in SI units)
+  // --------------------------------
+  // Flexural rigidity for slope and deflection; reactions and internal
+  // forces do not depend on it for a prismatic beam. A section of several
+  // materials uses its uncracked transformed section.
+  const mixedMaterials =
+    transformedSection?.shapes.some((s) => s.material !== material.id) ?? false;
+  const transformedRigidity = useMemo(() => {
+    if (!mixedMaterials || !sectionProps) return null;
+    try {
+      return material.E * transformedProperties(transformedSection).inertia;
+    } catch {
+      return null;
+    }
+  }, [mixedMaterials, sectionProps, material, transformedSection]);
+  const flexuralRigidity = sectionProps
+    ? (transformedRigidity ?? material.E * sectionProps.inertia)
+    : 0;
+  const supportsSI = useMemo(
+    () => supports.map((s) => beamItemToSI(s, forceFactor, distanceFactor)),
+    [supports, forceFactor, distanceFactor],
+  );
+  const beamLoadsSI = useMemo(
+    () => beamLoads.map((l) => beamItemToSI(l, forceFactor, distanceFactor)),
+    [beamLoads, forceFactor, distanceFactor],
+  );
+  const beamIssues = validateBeam({
+    length: beamLengthSI,
+    supports: supportsSI,
+    loads: beamLoadsSI,
+    station: stationX * distanceFactor,
+  });
+  const beamFieldErrors = fieldErrors(beamIssues);
+  const beamInputsValid = !hasErrors(beamIssues);
+  const beam = useMemo(() => {
+    if (!beamInputsValid) {
+      return {
+        solution: null,
+        error: "Fix the highlighted beam inputs to solve the beam.",
+      };
+    }
+    try {
+      const solution = solveBeam({
+        length: beamLengthSI,
+        EI: flexuralRigidity > 0 ? flexuralRigidity : undefined,
+        supports: supportsSI,
+        loads: beamLoadsSI,
+      });
+      return { solution, error: null };
+    } catch (err) {
+      return { solution: null, error: err.message };
     }
-    return 0;
   }, [
-    sectionType,
-    pointYSI,
-    rectHeightSI,
-    rectWidthSI,
-    circleDiameterSI,
-    hollowOuterSI,
-    hollowInnerSI,
-    iBeamDepthSI,
-    iBeamFlangeThickSI,
-    iBeamFlangeWidthSI,
-    iBeamWebThickSI,
+    beamInputsValid,
+    beamLengthSI,
+    flexuralRigidity,
+    supportsSI,
+    beamLoadsSI,
   ]);
+  const beamSamples = useMemo(
+    () => (beam.solution ? sampleBeam(beam.solution) : []),
+    [beam],
+  );
+
+  const stationForcesSI = beam.solution
+    ? internalForcesAt(beam.solution, stationX * distanceFactor)
+    : { shear: 0, moment: 0 };
+  const momentSI =
+    loadSource === "beam"
+      ? stationForcesSI.moment
+      : moment * forceFactor * distanceFactor;
+  const shearForceSI =
+    loadSource === "beam" ? stationForcesSI.shear : shearForce * forceFactor;
 
   // --------------------------------
-  // Stress Calculations at the Analysis Point (in SI units)
+  // Stresses at the analysis point and over the depth (in SI units)
   // --------------------------------
-  // Axial stress: σ = N / A
-  const axialStressSI = forceSI / sectionProps.area;
-  // Bending stress: σ = M * y / I
-  const bendingStressSI = (momentSI * pointYSI) / sectionProps.inertia;
-  // Torsional shear: τ = T * |y| / J
-  const torsionalShearSI =
-    (torqueSI * Math.abs(pointYSI)) / sectionProps.polarInertia;
-  // Transverse shear: τ = V * Q / (I * t)
-  const transverseShearSI =
-    (shearForceSI * Q_point) /
-    (sectionProps.inertia * sectionProps.shearThickness);
-
-  // Convert computed stresses to chosen pressure unit for display
-  const axialStressDisplay = axialStressSI / pressureFactor;
-  const bendingStressDisplay = bendingStressSI / pressureFactor;
-  const torsionalShearDisplay = torsionalShearSI / pressureFactor;
-  const transverseShearDisplay = transverseShearSI / pressureFactor;
+  const loadsSI = useMemo(
+    () => ({
+      force: forceSI,
+      moment: momentSI,
+      momentY: momentYSI,
+      torque: torqueSI,
+      shearForce: shearForceSI,
+    }),
+    [forceSI, momentSI, momentYSI, torqueSI, shearForceSI],
+  );
+  // Every input error blocks the results; moments from the beam also need
+  // a solvable beam.
+  const inputIssues = [
+    ...sectionIssues,
+    ...materialIssues,
+    ...(loadSource === "beam" ? beamIssues : []),
+  ];
+  if (loadSource === "beam" && beamInputsValid && beam.error) {
+    inputIssues.push({ field: null, message: beam.error, severity: "error" });
+  }
+  const resultsValid = !hasErrors(inputIssues);
+  const resultIssues = [
+    ...inputIssues,
+    ...(geometryValid
+      ? assumptionWarnings(section, {
+          beamLength: loadSource === "beam" ? beamLengthSI : undefined,
+          y: pointYSI,
+          z: pointZSI,
+        })
+      : []),
+  ];
+  if (mixedMaterials) {
+    resultIssues.push({
+      field: null,
+      message:
+        "The composite section mixes materials. The stresses and checks below treat it as homogeneous in the section material; see Transformed Section for the stress in each material.",
+      severity: "warning",
+    });
+  }
+
+  const {
+    axial: axialStressSI,
+    bending: bendingStressSI,
+    torsional: torsionalShearSI,
+    transverse: transverseShearSI,
+    Q: Q_point,
+  } = resultsValid ? stressesAt(section, loadsSI, pointYSI, pointZSI) : {};
+  const stressSamples = useMemo(
+    () => (resultsValid ? stressDistribution(section, loadsSI, pointZSI) : []),
+    [resultsValid, section, loadsSI, pointZSI],
+  );
+
+  // Torsion: constant, peak shear and twist rate for the section's model
+  const torsion = resultsValid
+    ? torsionResponse(section, torqueSI, material.G)
+    : null;
+
+  // Normal stress field over the whole section for the sketch
+  const outline = useMemo(
+    () => (geometryValid ? sectionOutline(section) : []),
+    [geometryValid, section],
+  );
+  const stressField = resultsValid ? normalStressField(section, loadsSI) : null;
+  const extremeStresses = useMemo(
+    () => (resultsValid ? extremeNormalStresses(section, loadsSI) : null),
+    [resultsValid, section, loadsSI],
+  );
+
+  // Combined state: σ = axial + bending, τ = torsional + transverse
+  const stressState = resultsValid
+    ? planeStressState(
+        axialStressSI + bendingStressSI,
+        torsionalShearSI + transverseShearSI,
+      )
+    : null;
+  // Sizing can use the largest moment and shear along the beam instead of
+  // the values at the station; they need not occur at the same section.
+  const beamPeakLoads = useMemo(() => {
+    if (loadSource !== "beam" || beamSamples.length === 0) return null;
+    const peak = (key) =>
+      beamSamples.reduce(
+        (best, s) => (Math.abs(s[key]) > Math.abs(best) ? s[key] : best),
+        0,
+      );
+    return { ...loadsSI, moment: peak("moment"), shearForce: peak("shear") };
+  }, [loadSource, beamSamples, loadsSI]);
+
+  // Buckling: the beam length about z, the unbraced length about y and for
+  // lateral-torsional buckling
+  const unbracedLengthSI = unbracedLength * distanceFactor;
+  const stabilityIssues = validateStability({
+    k: effectiveLengthFactor,
+    length: beamLengthSI,
+    unbracedLength: unbracedLengthSI,
+    cb: momentGradientFactor,
+  });
+  const stabilityFieldErrors = fieldErrors(stabilityIssues);
+  const stabilitySI =
+    resultsValid && !hasErrors(stabilityIssues)
+      ? {
+          lengthZ: beamLengthSI,
+          lengthY: unbracedLengthSI,
+          lengthLT: unbracedLengthSI,
+          k: effectiveLengthFactor,
+          cb: momentGradientFactor,
+        }
+      : null;
+  const buckling = stabilitySI
+    ? columnBuckling(sectionProps, material, stabilitySI)
+    : null;
+  const criticalMoment =
+    stabilitySI && section.type === "iBeam"
+      ? elasticCriticalMoment(
+          sectionProps,
+          material,
+          unbracedLengthSI,
+          momentGradientFactor,
+        )
+      : null;
+
+  // Steel design-code checks for I-beams and hollow sections
+  const memberCheck = resultsValid
+    ? memberChecks(
+        section,
+        sectionProps,
+        material,
+        loadsSI,
+        designCode,
+        stabilitySI,
+      )
+    : null;
+
+  // Everything the printable calculation report shows
+  const report = resultsValid
+    ? {
+        show: {
+          force: showForce,
+          moment: showMoment,
+          distance: showDistance,
+          section: showSection,
+          stress: showStress,
+        },
+        units: {
+          forceUnit,
+          distanceUnit,
+          sectionUnit,
+          sectionFactor,
+          pressureUnit,
+          pressureFactor,
+        },
+        section,
+        sectionLabel: SECTION_TYPE_LABELS[sectionType],
+        sectionProps,
+        material,
+        targetFoS,
+        loads: loadsSI,
+        loadSource,
+        station: stationX * distanceFactor,
+        point: { y: pointYSI, z: pointZSI },
+        stresses: {
+          axial: axialStressSI,
+          bending: bendingStressSI,
+          torsional: torsionalShearSI,
+          transverse: transverseShearSI,
+          Q: Q_point,
+        },
+        torsion,
+        stressState,
+        outline,
+        field: stressField,
+        extremes: extremeStresses,
+        warnings: resultIssues.filter((i) => i.severity === "warning"),
+      }
+    : null;
+
+  // Strength checks: normal stresses against f_y, shear stresses against
+  // the von Mises shear yield f_y / √3
+  const normalCheck = (stress) =>
+    strengthCheck(stress, material.yieldStrength, targetFoS);
+  const shearCheck = (stress) =>
+    strengthCheck(stress, shearYieldStrength(material), targetFoS);
 
   return (
     <div className="w-screen min-h-screen bg-gray-900 text-white p-6 flex flex-col justify-center items-center">
@@ -231,45 +1211,121 @@ export default function App() {
         </p>
       </header>
       <div className="max-w-5xl mx-auto bg-gray-800 rounded-xl shadow-lg p-8">
+        {/* Project */}
+        <section className="mb-8">
+          <h2 className="text-2xl font-semibold text-gray-200 mb-4">Project</h2>
+          {permalinkError && (
+            <p className="text-red-400 text-sm mb-2">{permalinkError}</p>
+          )}
+          <ProjectManager inputs={inputs} onLoad={loadInputs} />
+        </section>
+
         {/* Unit Selection */}
         <section className="mb-8">
           <h2 className="text-2xl font-semibold text-gray-200 mb-4">
             Select Units
           </h2>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div>
+              <label className="block font-medium mb-1">Preset</label>
+              <select
+                value={UNIT_PRESETS.findIndex(
+                  (p) =>
+                    p.force === forceUnit &&
+                    p.distance === distanceUnit &&
+                    p.pressure === pressureUnit &&
+                    !sectionUnitOverride,
+                )}
+                onChange={(e) => {
+                  const preset = UNIT_PRESETS[Number(e.target.value)];
+                  if (preset) {
+                    changeUnits({
+                      force: preset.force,
+                      distance: preset.distance,
+                      section: "",
+                      pressure: preset.pressure,
+                    });
+                  }
+                }}
+                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
+              >
+                <option value={-1}>Custom</option>
+                {UNIT_PRESETS.map((p, i) => (
+                  <option key={p.label} value={i}>
+                    {p.label}
+                  </option>
+                ))}
+              </select>
+            </div>
             <div>
               <label className="block font-medium mb-1">Force Unit</label>
               <select
                 value={forceUnit}
-                onChange={(e) => setForceUnit(e.target.value)}
+                onChange={(e) => changeUnits({ force: e.target.value })}
                 className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
               >
-                <option value="N">N</option>
-                <option value="kN">kN</option>
+                {Object.keys(FORCE_UNITS).map((u) => (
+                  <option key={u} value={u}>
+                    {u}
+                  </option>
+                ))}
               </select>
             </div>
             <div>
-              <label className="block font-medium mb-1">Distance Unit</label>
+              <label className="block font-medium mb-1">
+                Distance Unit (beam)
+              </label>
               <select
                 value={distanceUnit}
-                onChange={(e) => setDistanceUnit(e.target.value)}
+                onChange={(e) => changeUnits({ distance: e.target.value })}
                 className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
               >
-                <option value="m">m</option>
-                <option value="mm">mm</option>
+                {Object.keys(DISTANCE_UNITS).map((u) => (
+                  <option key={u} value={u}>
+                    {u}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block font-medium mb-1">
+                Section Dimension Unit
+              </label>
+              <select
+                value={sectionUnitOverride}
+                onChange={(e) => changeUnits({ section: e.target.value })}
+                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
+              >
+                <option value="">Same as distance ({distanceUnit})</option>
+                {Object.keys(DISTANCE_UNITS).map((u) => (
+                  <option key={u} value={u}>
+                    {u}
+                  </option>
+                ))}
               </select>
             </div>
             <div>
               <label className="block font-medium mb-1">Pressure Unit</label>
               <select
                 value={pressureUnit}
-                onChange={(e) => setPressureUnit(e.target.value)}
+                onChange={(e) => changeUnits({ pressure: e.target.value })}
                 className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
               >
-                <option value="Pa">Pa</option>
-                <option value="MPa">MPa</option>
+                {Object.keys(PRESSURE_UNITS).map((u) => (
+                  <option key={u} value={u}>
+                    {u}
+                  </option>
+                ))}
               </select>
             </div>
+            <label className="flex items-center gap-2 self-end pb-2">
+              <input
+                type="checkbox"
+                checked={convertOnUnitChange}
+                onChange={(e) => setConvertOnUnitChange(e.target.checked)}
+              />
+              Convert entered values when switching units
+            </label>
           </div>
         </section>
 
@@ -288,8 +1344,17 @@ export default function App() {
                 step="0.01"
                 value={beamLength}
                 onChange={(e) => setBeamLength(Number(e.target.value))}
-                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
+                className={`w-full p-2 bg-gray-700 border rounded-md ${
+                  beamFieldErrors.beamLength
+                    ? "border-red-500"
+                    : "border-gray-600"
+                }`}
               />
+              {beamFieldErrors.beamLength && (
+                <p className="text-red-400 text-sm mt-1">
+                  {beamFieldErrors.beamLength}
+                </p>
+              )}
             </div>
             <div>
               <label className="block font-medium mb-1">
@@ -305,13 +1370,44 @@ export default function App() {
             </div>
             <div>
               <label className="block font-medium mb-1">
-                Bending Moment ({forceUnit}·{distanceUnit})
+                Moment &amp; Shear Source
+              </label>
+              <select
+                value={loadSource}
+                onChange={(e) => setLoadSource(e.target.value)}
+                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
+              >
+                <option value="beam">Solve from beam loads</option>
+                <option value="manual">Enter manually</option>
+              </select>
+            </div>
+            <div>
+              <label className="block font-medium mb-1">
+                Bending Moment M_z, sagging + ({forceUnit}·{distanceUnit})
+              </label>
+              {loadSource === "beam" ? (
+                <p className="p-2 bg-gray-900 border border-gray-700 rounded-md">
+                  {formatValue(momentSI / (forceFactor * distanceFactor))}
+                </p>
+              ) : (
+                <input
+                  type="number"
+                  step="1"
+                  value={moment}
+                  onChange={(e) => setMoment(Number(e.target.value))}
+                  className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
+                />
+              )}
+            </div>
+            <div>
+              <label className="block font-medium mb-1">
+                Bending Moment M_y ({forceUnit}·{distanceUnit})
               </label>
               <input
                 type="number"
                 step="1"
-                value={moment}
-                onChange={(e) => setMoment(Number(e.target.value))}
+                value={momentY}
+                onChange={(e) => setMomentY(Number(e.target.value))}
                 className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
               />
             </div>
@@ -331,17 +1427,98 @@ export default function App() {
               <label className="block font-medium mb-1">
                 Shear Force ({forceUnit})
               </label>
-              <input
-                type="number"
-                step="1"
-                value={shearForce}
-                onChange={(e) => setShearForce(Number(e.target.value))}
-                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
-              />
+              {loadSource === "beam" ? (
+                <p className="p-2 bg-gray-900 border border-gray-700 rounded-md">
+                  {formatValue(shearForceSI / forceFactor)}
+                </p>
+              ) : (
+                <input
+                  type="number"
+                  step="1"
+                  value={shearForce}
+                  onChange={(e) => setShearForce(Number(e.target.value))}
+                  className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
+                />
+              )}
             </div>
           </div>
         </section>
 
+        {/* Beam Supports and Loads */}
+        {loadSource === "beam" && (
+          <section className="mb-8">
+            <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+              Beam Supports and Loads
+            </h2>
+            <BeamSetup
+              beamLength={beamLength}
+              supports={supports}
+              setSupports={setSupports}
+              loads={beamLoads}
+              setLoads={setBeamLoads}
+              distanceUnit={distanceUnit}
+              forceUnit={forceUnit}
+              errors={beamFieldErrors}
+            />
+            <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+              <div>
+                <label className="block font-medium mb-1">
+                  Analysis Station, x ({distanceUnit})
+                </label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={stationX}
+                  onChange={(e) => setStationX(Number(e.target.value))}
+                  className={`w-full p-2 bg-gray-700 border rounded-md ${
+                    beamFieldErrors.stationX
+                      ? "border-red-500"
+                      : "border-gray-600"
+                  }`}
+                />
+                {beamFieldErrors.stationX && (
+                  <p className="text-red-400 text-sm mt-1">
+                    {beamFieldErrors.stationX}
+                  </p>
+                )}
+                <p className="text-gray-400 text-sm mt-1">
+                  The solved M and V at this station feed the stress
+                  calculations below. Slope and deflection use E of the selected
+                  material.
+                </p>
+              </div>
+              <div>
+                <h3 className="font-semibold text-blue-300 mb-1">Reactions</h3>
+                {beam.error ? (
+                  <p className="text-red-400">{beam.error}</p>
+                ) : (
+                  <ul className="text-gray-300">
+                    {beam.solution.reactions.map((r) => (
+                      <li key={r.position}>
+                        x = {showDistance(r.position)} ({r.type}): R ={" "}
+                        {showForce(r.force)}
+                        {r.type === "fixed" && `, M = ${showMoment(r.moment)}`}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+            {beam.solution && (
+              <BeamDiagrams
+                samples={beamSamples}
+                showDeflection={flexuralRigidity > 0}
+                forceFactor={forceFactor}
+                distanceFactor={distanceFactor}
+                forceUnit={forceUnit}
+                distanceUnit={distanceUnit}
+                stationX={stationX}
+                onSelectX={setStationX}
+              />
+            )}
+          </section>
+        )}
+
         {/* Cross-Section Inputs */}
         <section className="mb-8">
           <h2 className="text-2xl font-semibold text-gray-200 mb-4">
@@ -354,222 +1531,810 @@ export default function App() {
               onChange={(e) => setSectionType(e.target.value)}
               className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
             >
-              <option value="rectangle">Rectangle</option>
-              <option value="circle">Circle (Solid)</option>
-              <option value="hollowCircle">Hollow Circle</option>
-              <option value="iBeam">I Beam</option>
+              {Object.entries(SECTION_TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>
+                  {label}
+                </option>
+              ))}
             </select>
           </div>
 
+          <SectionCatalogue
+            sectionType={sectionType}
+            selected={
+              catalogueEntry &&
+              seriesOf(catalogueEntry).sectionType === sectionType
+                ? catalogueEntry
+                : null
+            }
+            onSelect={applyCatalogueEntry}
+            section={section}
+            sectionProps={sectionProps}
+          />
+
           {sectionType === "rectangle" && (
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div>
-                <label className="block font-medium mb-1">
-                  Width ({distanceUnit})
-                </label>
-                <input
-                  type="number"
-                  step="0.001"
-                  value={rectWidth}
-                  onChange={(e) => setRectWidth(Number(e.target.value))}
-                  className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
-                />
+            <DimensionFields
+              distanceUnit={sectionUnit}
+              errors={sectionFieldErrors}
+              fields={[
+                {
+                  field: "width",
+                  label: "Width",
+                  value: rectWidth,
+                  onChange: setRectWidth,
+                },
+                {
+                  field: "height",
+                  label: "Height",
+                  value: rectHeight,
+                  onChange: setRectHeight,
+                },
+              ]}
+            />
+          )}
+
+          {sectionType === "circle" && (
+            <DimensionFields
+              distanceUnit={sectionUnit}
+              errors={sectionFieldErrors}
+              fields={[
+                {
+                  field: "diameter",
+                  label: "Diameter",
+                  value: circleDiameter,
+                  onChange: setCircleDiameter,
+                },
+              ]}
+            />
+          )}
+
+          {sectionType === "hollowCircle" && (
+            <DimensionFields
+              distanceUnit={sectionUnit}
+              errors={sectionFieldErrors}
+              fields={[
+                {
+                  field: "outerRadius",
+                  label: "Outer Radius",
+                  value: hollowOuter,
+                  onChange: setHollowOuter,
+                },
+                {
+                  field: "innerRadius",
+                  label: "Inner Radius",
+                  value: hollowInner,
+                  onChange: setHollowInner,
+                },
+              ]}
+            />
+          )}
+
+          {sectionType === "iBeam" && (
+            <DimensionFields
+              distanceUnit={sectionUnit}
+              errors={sectionFieldErrors}
+              fields={[
+                {
+                  field: "depth",
+                  label: "Overall Depth, h",
+                  value: iBeamDepth,
+                  onChange: setIBeamDepth,
+                },
+                {
+                  field: "flangeWidth",
+                  label: "Flange Width, b_f",
+                  value: iBeamFlangeWidth,
+                  onChange: setIBeamFlangeWidth,
+                },
+                {
+                  field: "flangeThickness",
+                  label: "Flange Thickness, t_f",
+                  value: iBeamFlangeThick,
+                  onChange: setIBeamFlangeThick,
+                },
+                {
+                  field: "webThickness",
+                  label: "Web Thickness, t_w",
+                  value: iBeamWebThick,
+                  onChange: setIBeamWebThick,
+                },
+              ]}
+            />
+          )}
+
+          {sectionType === "rectTube" && (
+            <DimensionFields
+              distanceUnit={sectionUnit}
+              errors={sectionFieldErrors}
+              fields={[
+                {
+                  field: "width",
+                  label: "Width, b",
+                  value: tubeWidth,
+                  onChange: setTubeWidth,
+                },
+                {
+                  field: "height",
+                  label: "Height, h",
+                  value: tubeHeight,
+                  onChange: setTubeHeight,
+                },
+                {
+                  field: "thickness",
+                  label: "Wall Thickness, t",
+                  value: tubeThick,
+                  onChange: setTubeThick,
+                },
+              ]}
+            />
+          )}
+
+          {sectionType === "channel" && (
+            <DimensionFields
+              distanceUnit={sectionUnit}
+              errors={sectionFieldErrors}
+              fields={[
+                {
+                  field: "depth",
+                  label: "Overall Depth, h",
+                  value: channelDepth,
+                  onChange: setChannelDepth,
+                },
+                {
+                  field: "flangeWidth",
+                  label: "Flange Width, b_f",
+                  value: channelFlangeWidth,
+                  onChange: setChannelFlangeWidth,
+                },
+                {
+                  field: "flangeThickness",
+                  label: "Flange Thickness, t_f",
+                  value: channelFlangeThick,
+                  onChange: setChannelFlangeThick,
+                },
+                {
+                  field: "webThickness",
+                  label: "Web Thickness, t_w",
+                  value: channelWebThick,
+                  onChange: setChannelWebThick,
+                },
+              ]}
+            />
+          )}
+
+          {sectionType === "tee" && (
+            <DimensionFields
+              distanceUnit={sectionUnit}
+              errors={sectionFieldErrors}
+              fields={[
+                {
+                  field: "depth",
+                  label: "Overall Depth, h",
+                  value: teeDepth,
+                  onChange: setTeeDepth,
+                },
+                {
+                  field: "flangeWidth",
+                  label: "Flange Width, b_f",
+                  value: teeFlangeWidth,
+                  onChange: setTeeFlangeWidth,
+                },
+                {
+                  field: "flangeThickness",
+                  label: "Flange Thickness, t_f",
+                  value: teeFlangeThick,
+                  onChange: setTeeFlangeThick,
+                },
+                {
+                  field: "webThickness",
+                  label: "Web Thickness, t_w",
+                  value: teeWebThick,
+                  onChange: setTeeWebThick,
+                },
+              ]}
+            />
+          )}
+
+          {sectionType === "angle" && (
+            <DimensionFields
+              distanceUnit={sectionUnit}
+              errors={sectionFieldErrors}
+              fields={[
+                {
+                  field: "height",
+                  label: "Vertical Leg, h",
+                  value: angleHeight,
+                  onChange: setAngleHeight,
+                },
+                {
+                  field: "width",
+                  label: "Horizontal Leg, b",
+                  value: angleWidth,
+                  onChange: setAngleWidth,
+                },
+                {
+                  field: "thickness",
+                  label: "Thickness, t",
+                  value: angleThick,
+                  onChange: setAngleThick,
+                },
+              ]}
+            />
+          )}
+
+          {sectionType === "ellipse" && (
+            <DimensionFields
+              distanceUnit={sectionUnit}
+              errors={sectionFieldErrors}
+              fields={[
+                {
+                  field: "width",
+                  label: "Width, 2a",
+                  value: ellipseWidth,
+                  onChange: setEllipseWidth,
+                },
+                {
+                  field: "height",
+                  label: "Height, 2b",
+                  value: ellipseHeight,
+                  onChange: setEllipseHeight,
+                },
+              ]}
+            />
+          )}
+
+          {sectionType === "composite" && (
+            <CompositeEditor
+              shapes={compositeShapes}
+              setShapes={setCompositeShapes}
+              materials={allMaterials}
+              sectionMaterial={material}
+              distanceUnit={sectionUnit}
+              errors={sectionFieldErrors}
+            />
+          )}
+
+          {/* Display computed cross-section properties */}
+          <InputIssues
+            issues={sectionIssues.filter((i) => i.severity === "error")}
+            title="The section geometry is impossible"
+          />
+          {sectionProps && (
+            <div className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+                <h3 className="font-semibold text-blue-300">Area</h3>
+                <p>{showSection(sectionProps.area, 2)}</p>
               </div>
-              <div>
-                <label className="block font-medium mb-1">
-                  Height ({distanceUnit})
-                </label>
-                <input
-                  type="number"
-                  step="0.001"
-                  value={rectHeight}
-                  onChange={(e) => setRectHeight(Number(e.target.value))}
-                  className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
-                />
+              <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+                <h3 className="font-semibold text-blue-300">
+                  Bending Inertia (I_z)
+                </h3>
+                <p>{showSection(sectionProps.inertia, 4)}</p>
+              </div>
+              <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+                <h3 className="font-semibold text-blue-300">
+                  Torsion Constant (J)
+                </h3>
+                <p>{showSection(sectionProps.polarInertia, 4)}</p>
+              </div>
+              <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+                <h3 className="font-semibold text-blue-300">Outer Radius</h3>
+                <p>{showSection(sectionProps.outerRadius)}</p>
+              </div>
+              <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+                <h3 className="font-semibold text-blue-300">
+                  Section Modulus (top / bottom)
+                </h3>
+                <p>
+                  {showSection(sectionProps.modulusTop, 3)} /{" "}
+                  {showSection(sectionProps.modulusBottom, 3)}
+                </p>
+              </div>
+              <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+                <h3 className="font-semibold text-blue-300">
+                  I_y and I_yz (centroidal)
+                </h3>
+                <p>
+                  {showSection(sectionProps.inertiaY, 4)} /{" "}
+                  {showSection(sectionProps.productOfInertia, 4)}
+                </p>
+              </div>
+              <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+                <h3 className="font-semibold text-blue-300">Principal Axes</h3>
+                <p>
+                  I₁ = {showSection(sectionProps.principal.I1, 4)}, I₂ ={" "}
+                  {showSection(sectionProps.principal.I2, 4)}, θ ={" "}
+                  {formatValue((sectionProps.principal.angle * 180) / Math.PI)}°
+                </p>
               </div>
+              {sectionProps.centroid && (
+                <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+                  <h3 className="font-semibold text-blue-300">Centroid</h3>
+                  <p>
+                    x = {showSection(sectionProps.centroid.x)}, y ={" "}
+                    {showSection(sectionProps.centroid.y)}
+                  </p>
+                </div>
+              )}
             </div>
           )}
+        </section>
 
-          {sectionType === "circle" && (
+        {/* Material */}
+        <section className="mb-8">
+          <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+            Material
+          </h2>
+          <MaterialSelector
+            presets={MATERIAL_PRESETS}
+            userMaterials={userMaterials}
+            setUserMaterials={setUserMaterials}
+            material={material}
+            setMaterialId={setMaterialId}
+            targetFoS={targetFoS}
+            setTargetFoS={setTargetFoS}
+            pressureFactor={pressureFactor}
+            pressureUnit={pressureUnit}
+            errors={fieldErrors(materialIssues)}
+          />
+        </section>
+
+        {/* Analysis Point */}
+        <section className="mb-8">
+          <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+            Analysis Point (y, z) ({sectionUnit})
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
               <label className="block font-medium mb-1">
-                Diameter ({distanceUnit})
+                y, up from the centroid ({sectionUnit})
               </label>
               <input
                 type="number"
                 step="0.001"
-                value={circleDiameter}
-                onChange={(e) => setCircleDiameter(Number(e.target.value))}
+                value={pointY}
+                onChange={(e) => setPointY(Number(e.target.value))}
                 className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
+                placeholder="Enter distance from neutral axis"
               />
+              {sectionProps && (
+                <p className="text-gray-400 text-sm mt-1">
+                  Recommended range: between{" "}
+                  {showSection(-sectionProps.yBottom)} and{" "}
+                  {showSection(sectionProps.yTop)}.
+                </p>
+              )}
             </div>
-          )}
-
-          {sectionType === "hollowCircle" && (
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div>
-                <label className="block font-medium mb-1">
-                  Outer Radius ({distanceUnit})
-                </label>
-                <input
-                  type="number"
-                  step="0.001"
-                  value={hollowOuter}
-                  onChange={(e) => setHollowOuter(Number(e.target.value))}
-                  className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
-                />
+            <div>
+              <label className="block font-medium mb-1">
+                z, right from the centroid ({sectionUnit})
+              </label>
+              <input
+                type="number"
+                step="0.001"
+                value={pointZ}
+                onChange={(e) => setPointZ(Number(e.target.value))}
+                className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
+              />
+              {sectionProps && (
+                <p className="text-gray-400 text-sm mt-1">
+                  Recommended range: between {showSection(-sectionProps.zLeft)}{" "}
+                  and {showSection(sectionProps.zRight)}.
+                </p>
+              )}
+            </div>
+          </div>
+          <InputIssues issues={resultIssues} />
+          {resultsValid && (
+            <>
+              <div className="mt-2 text-gray-300">
+                Computed Q at this point: {showSection(Q_point, 3)}
               </div>
-              <div>
-                <label className="block font-medium mb-1">
-                  Inner Radius ({distanceUnit})
-                </label>
-                <input
-                  type="number"
-                  step="0.001"
-                  value={hollowInner}
-                  onChange={(e) => setHollowInner(Number(e.target.value))}
-                  className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
+              <div className="mt-4 grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="lg:col-span-2">
+                  <StressDistribution
+                    samples={stressSamples}
+                    distanceFactor={sectionFactor}
+                    pressureFactor={pressureFactor}
+                    distanceUnit={sectionUnit}
+                    pressureUnit={pressureUnit}
+                    pointY={pointY}
+                    onSelectY={(y) => setPointY(Number(y.toPrecision(6)))}
+                  />
+                </div>
+                <SectionSketch
+                  outline={outline}
+                  field={stressField}
+                  extremes={extremeStresses}
+                  pointY={pointYSI}
+                  pointZ={pointZSI}
+                  distanceFactor={sectionFactor}
+                  distanceUnit={sectionUnit}
+                  pressureFactor={pressureFactor}
+                  pressureUnit={pressureUnit}
+                  section={section}
+                  loads={loadsSI}
+                  onSelectY={(y) => setPointY(Number(y.toPrecision(6)))}
                 />
               </div>
-            </div>
+            </>
           )}
+        </section>
 
-          {sectionType === "iBeam" && (
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-              <div>
-                <label className="block font-medium mb-1">
-                  Overall Depth, h ({distanceUnit})
-                </label>
-                <input
-                  type="number"
-                  step="0.001"
-                  value={iBeamDepth}
-                  onChange={(e) => setIBeamDepth(Number(e.target.value))}
-                  className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
-                />
-              </div>
-              <div>
-                <label className="block font-medium mb-1">
-                  Flange Width, bₓ ({distanceUnit})
-                </label>
-                <input
-                  type="number"
-                  step="0.001"
-                  value={iBeamFlangeWidth}
-                  onChange={(e) => setIBeamFlangeWidth(Number(e.target.value))}
-                  className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
-                />
-              </div>
-              <div>
-                <label className="block font-medium mb-1">
-                  Flange Thickness, t_f ({distanceUnit})
-                </label>
-                <input
-                  type="number"
-                  step="0.001"
-                  value={iBeamFlangeThick}
-                  onChange={(e) => setIBeamFlangeThick(Number(e.target.value))}
-                  className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
-                />
+        {/* Calculated Stresses */}
+        {resultsValid && (
+          <section className="mb-8">
+            <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+              Calculated Stresses ({pressureUnit})
+            </h2>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <StressCard
+                label="Axial Stress:"
+                value={axialStressSI}
+                pressureFactor={pressureFactor}
+                pressureUnit={pressureUnit}
+                check={normalCheck(axialStressSI)}
+              />
+              <StressCard
+                label={`Bending Stress (at y = ${pointY}, z = ${pointZ} ${sectionUnit}):`}
+                value={bendingStressSI}
+                pressureFactor={pressureFactor}
+                pressureUnit={pressureUnit}
+                check={normalCheck(bendingStressSI)}
+              />
+              <StressCard
+                label={`Torsional Shear (at y = ${pointY}, z = ${pointZ} ${sectionUnit}):`}
+                value={torsionalShearSI}
+                pressureFactor={pressureFactor}
+                pressureUnit={pressureUnit}
+                check={shearCheck(torsionalShearSI)}
+              />
+              <StressCard
+                label="Transverse Shear (using Q):"
+                value={transverseShearSI}
+                pressureFactor={pressureFactor}
+                pressureUnit={pressureUnit}
+                check={shearCheck(transverseShearSI)}
+              />
+            </div>
+            <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="p-4 bg-green-900 border border-green-700 rounded-md">
+                <p className="font-medium">Torsion Model</p>
+                <p>{TORSION_MODELS[torsion.model]}</p>
               </div>
-              <div>
-                <label className="block font-medium mb-1">
-                  Web Thickness, t_w ({distanceUnit})
-                </label>
-                <input
-                  type="number"
-                  step="0.001"
-                  value={iBeamWebThick}
-                  onChange={(e) => setIBeamWebThick(Number(e.target.value))}
-                  className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
-                />
+              <StressCard
+                label={`Max Torsional Shear (at y = ${formatValue(
+                  torsion.maxLocation.y / sectionFactor,
+                )}, z = ${formatValue(
+                  torsion.maxLocation.z / sectionFactor,
+                )} ${sectionUnit}):`}
+                value={torsion.maxShear}
+                pressureFactor={pressureFactor}
+                pressureUnit={pressureUnit}
+                check={shearCheck(torsion.maxShear)}
+              />
+              <div className="p-4 bg-green-900 border border-green-700 rounded-md">
+                <p className="font-medium">Twist per Unit Length, θ′ = T/GJ</p>
+                <p>
+                  {formatValue(torsion.twistRate * distanceFactor)} rad/
+                  {distanceUnit} (
+                  {formatValue((torsion.twistRate * 180) / Math.PI)} °/m)
+                </p>
               </div>
             </div>
-          )}
+            <p className="text-gray-400 text-sm mt-2">
+              Normal stresses are checked against f_y ={" "}
+              {showStress(material.yieldStrength)}, shear stresses against
+              f_y/√3 = {showStress(shearYieldStrength(material))}. Utilisation
+              includes the target FoS of {targetFoS}.
+            </p>
+          </section>
+        )}
 
-          {/* Display computed cross-section properties */}
-          <div className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-4">
-            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
-              <h3 className="font-semibold text-blue-300">Area</h3>
-              <p>{sectionProps.area.toFixed(4)} m²</p>
-            </div>
-            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
-              <h3 className="font-semibold text-blue-300">
-                Bending Inertia (I)
-              </h3>
-              <p>{sectionProps.inertia.toExponential(2)} m⁴</p>
-            </div>
-            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
-              <h3 className="font-semibold text-blue-300">Polar Inertia (J)</h3>
-              <p>{sectionProps.polarInertia.toExponential(2)} m⁴</p>
-            </div>
-            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
-              <h3 className="font-semibold text-blue-300">Outer Radius</h3>
-              <p>{sectionProps.outerRadius.toFixed(4)} m</p>
+        {/* Transformed Section */}
+        {resultsValid && transformedSection && (
+          <section className="mb-8">
+            <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+              Transformed Section
+            </h2>
+            <TransformedSection
+              section={transformedSection}
+              loads={loadsSI}
+              y={sectionProps.centroid.y + pointYSI}
+              z={sectionProps.centroid.x + pointZSI}
+              centroidY={sectionProps.centroid.y}
+              cracked={crackedSection}
+              setCracked={setCrackedSection}
+              materials={allMaterials}
+              referenceMaterial={material}
+              showSection={showSection}
+              showStress={showStress}
+            />
+          </section>
+        )}
+
+        {/* Combined Stress State */}
+        {resultsValid && (
+          <section className="mb-8">
+            <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+              Combined Stress State ({pressureUnit})
+            </h2>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="grid grid-cols-2 gap-4 content-start">
+                {[
+                  [
+                    "Normal Stress, σ = σ_axial + σ_bending",
+                    stressState.sigmaX,
+                    normalCheck,
+                  ],
+                  [
+                    "Shear Stress, τ = τ_torsion + τ_transverse",
+                    stressState.tauXY,
+                    shearCheck,
+                  ],
+                  ["Principal Stress, σ₁", stressState.sigma1, normalCheck],
+                  ["Principal Stress, σ₂", stressState.sigma2, normalCheck],
+                  ["Max In-Plane Shear, τ_max", stressState.tauMax, shearCheck],
+                  ["Von Mises Stress, σ_vm", stressState.vonMises, normalCheck],
+                  ["Tresca Stress, σ_tr", stressState.tresca, normalCheck],
+                ].map(([label, value, check]) => (
+                  <StressCard
+                    key={label}
+                    label={label}
+                    value={value}
+                    pressureFactor={pressureFactor}
+                    pressureUnit={pressureUnit}
+                    check={check(value)}
+                  />
+                ))}
+                <div className="p-4 bg-green-900 border border-green-700 rounded-md">
+                  <p className="font-medium">Principal Angle, θp</p>
+                  <p>{formatValue((stressState.thetaP * 180) / Math.PI)}°</p>
+                </div>
+              </div>
+              <MohrCircle
+                state={stressState}
+                pressureFactor={pressureFactor}
+                pressureUnit={pressureUnit}
+              />
             </div>
-          </div>
+          </section>
+        )}
+
+        {/* Stress Concentrations and Curved Beams */}
+        {resultsValid && (
+          <section className="mb-8">
+            <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+              Stress Concentrations and Curved Beams
+            </h2>
+            <StressConcentration
+              section={section}
+              loads={loadsSI}
+              components={{
+                axial: axialStressSI,
+                bending: bendingStressSI,
+                torsional: torsionalShearSI,
+                transverse: transverseShearSI,
+              }}
+              y={pointYSI}
+              normalCheck={normalCheck}
+              pressureFactor={pressureFactor}
+              pressureUnit={pressureUnit}
+              sectionFactor={sectionFactor}
+              sectionUnit={sectionUnit}
+              showStress={showStress}
+              showSection={showSection}
+              concentration={concentration}
+              setConcentration={setConcentration}
+            />
+          </section>
+        )}
+
+        {/* Fatigue */}
+        {resultsValid && (
+          <section className="mb-8">
+            <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+              Fatigue
+            </h2>
+            <FatigueAssessment
+              section={section}
+              loads={loadsSI}
+              y={pointYSI}
+              z={pointZSI}
+              material={material}
+              targetFoS={targetFoS}
+              forceFactor={forceFactor}
+              distanceFactor={distanceFactor}
+              sectionFactor={sectionFactor}
+              pressureFactor={pressureFactor}
+              forceUnit={forceUnit}
+              distanceUnit={distanceUnit}
+              sectionUnit={sectionUnit}
+              pressureUnit={pressureUnit}
+              showStress={showStress}
+              fatigue={fatigue}
+              setFatigue={setFatigue}
+            />
+          </section>
+        )}
+
+        {/* Inverse Design */}
+        {resultsValid && (
+          <section className="mb-8">
+            <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+              Size the Section
+            </h2>
+            <SectionSizing
+              section={section}
+              loads={loadsSI}
+              beamPeakLoads={beamPeakLoads}
+              material={material}
+              targetFoS={targetFoS}
+              pressureFactor={pressureFactor}
+              pressureUnit={pressureUnit}
+              sectionFactor={sectionFactor}
+              sectionUnit={sectionUnit}
+              showStress={showStress}
+              showSection={showSection}
+              sizing={sizing}
+              setSizing={setSizing}
+              onApply={applySection}
+              onApplyCatalogue={applyCatalogueEntry}
+            />
+          </section>
+        )}
+
+        {/* Buckling */}
+        {resultsValid && (
+          <section className="mb-8">
+            <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+              Buckling
+            </h2>
+            <BucklingChecks
+              endCondition={bucklingEnds}
+              setEndCondition={setBucklingEnds}
+              effectiveLengthFactor={effectiveLengthFactor}
+              setEffectiveLengthFactor={setEffectiveLengthFactor}
+              unbracedLength={unbracedLength}
+              setUnbracedLength={setUnbracedLength}
+              momentGradientFactor={momentGradientFactor}
+              setMomentGradientFactor={setMomentGradientFactor}
+              errors={stabilityFieldErrors}
+              issues={stabilityIssues}
+              buckling={buckling}
+              criticalMoment={criticalMoment}
+              compression={Math.max(-forceSI, 0)}
+              moment={Math.abs(momentSI)}
+              distanceUnit={distanceUnit}
+              showForce={showForce}
+              showMoment={showMoment}
+              showDistance={showDistance}
+              showSection={showSection}
+              showStress={showStress}
+            />
+          </section>
+        )}
+
+        {/* Design-Code Member Checks */}
+        {resultsValid && (
+          <section className="mb-8">
+            <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+              Steel Member Checks
+            </h2>
+            <MemberChecks
+              result={memberCheck}
+              designCode={designCode}
+              setDesignCode={setDesignCode}
+              material={material}
+              showForce={showForce}
+              showMoment={showMoment}
+              showStress={showStress}
+            />
+          </section>
+        )}
+
+        {/* Load Cases and Combinations */}
+        <section className="mb-8">
+          <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+            Load Cases and Combinations
+          </h2>
+          <LoadCombinations
+            cases={loadCases}
+            setCases={setLoadCases}
+            combinations={loadCombinations}
+            setCombinations={setLoadCombinations}
+            currentLoads={{
+              force: roundInput(forceSI / forceFactor),
+              moment: roundInput(momentSI / (forceFactor * distanceFactor)),
+              momentY: roundInput(momentYSI / (forceFactor * distanceFactor)),
+              torque: roundInput(torqueSI / (forceFactor * distanceFactor)),
+              shearForce: roundInput(shearForceSI / forceFactor),
+            }}
+            section={resultsValid ? section : null}
+            point={{ y: pointYSI, z: pointZSI }}
+            forceFactor={forceFactor}
+            distanceFactor={distanceFactor}
+            forceUnit={forceUnit}
+            distanceUnit={distanceUnit}
+            pressureFactor={pressureFactor}
+            pressureUnit={pressureUnit}
+            material={material}
+            targetFoS={targetFoS}
+          />
         </section>
 
-        {/* Analysis Point in Y Direction */}
+        {/* Frame and Truss Analysis */}
         <section className="mb-8">
           <h2 className="text-2xl font-semibold text-gray-200 mb-4">
-            Analysis Point in Y Direction ({distanceUnit})
+            Frame and Truss Analysis
           </h2>
-          <div className="flex items-center space-x-4">
-            <input
-              type="number"
-              step="0.001"
-              value={pointY}
-              onChange={(e) => setPointY(Number(e.target.value))}
-              className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md"
-              placeholder="Enter distance from neutral axis"
-            />
-            <span className="w-20 text-center">{distanceUnit}</span>
-          </div>
-          <p className="text-gray-400 text-sm mt-1">
-            Recommended range: between -{sectionProps.outerRadius.toFixed(4)} m
-            and {sectionProps.outerRadius.toFixed(4)} m.
-          </p>
-          <div className="mt-2 text-gray-300">
-            Computed Q at this point: {Q_point.toFixed(4)} m³
-          </div>
+          <FrameAnalysis
+            nodes={frameNodes}
+            setNodes={setFrameNodes}
+            members={frameMembers}
+            setMembers={setFrameMembers}
+            sections={frameSections}
+            setSections={setFrameSections}
+            currentSection={geometryValid ? section : null}
+            currentSectionName={
+              catalogueEntry &&
+              seriesOf(catalogueEntry).sectionType === sectionType
+                ? catalogueEntry.designation
+                : SECTION_TYPE_LABELS[sectionType]
+            }
+            material={material}
+            targetFoS={targetFoS}
+            forceFactor={forceFactor}
+            distanceFactor={distanceFactor}
+            sectionFactor={sectionFactor}
+            pressureFactor={pressureFactor}
+            forceUnit={forceUnit}
+            distanceUnit={distanceUnit}
+            sectionUnit={sectionUnit}
+            pressureUnit={pressureUnit}
+            showForce={showForce}
+            showMoment={showMoment}
+            showDistance={showDistance}
+            showSection={showSection}
+            showStress={showStress}
+            onUseForces={({ axial, shear, moment }) => {
+              setLoadSource("manual");
+              setForce(roundInput(axial / forceFactor));
+              setShearForce(roundInput(shear / forceFactor));
+              setMoment(roundInput(moment / (forceFactor * distanceFactor)));
+              setMomentY(0);
+              setTorque(0);
+            }}
+          />
         </section>
 
-        {/* Calculated Stresses */}
+        {/* Batch Analysis */}
         <section className="mb-8">
           <h2 className="text-2xl font-semibold text-gray-200 mb-4">
-            Calculated Stresses ({pressureUnit})
+            Batch Analysis
           </h2>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div className="p-4 bg-green-900 border border-green-700 rounded-md">
-              <p className="font-medium">Axial Stress:</p>
-              <p>
-                {axialStressDisplay.toFixed(4)} {pressureUnit}
-              </p>
-            </div>
-            <div className="p-4 bg-green-900 border border-green-700 rounded-md">
-              <p className="font-medium">
-                Bending Stress (at y = {pointY} {distanceUnit}):
-              </p>
-              <p>
-                {bendingStressDisplay.toFixed(4)} {pressureUnit}
-              </p>
-            </div>
-            <div className="p-4 bg-green-900 border border-green-700 rounded-md">
-              <p className="font-medium">
-                Torsional Shear (at y = {pointY} {distanceUnit}):
-              </p>
-              <p>
-                {torsionalShearDisplay.toFixed(4)} {pressureUnit}
-              </p>
-            </div>
-            <div className="p-4 bg-green-900 border border-green-700 rounded-md">
-              <p className="font-medium">Transverse Shear (using Q):</p>
-              <p>
-                {transverseShearDisplay.toFixed(4)} {pressureUnit}
-              </p>
-            </div>
-          </div>
+          <BatchAnalysis
+            units={{
+              forceUnit,
+              forceFactor,
+              distanceUnit,
+              distanceFactor,
+              sectionUnit,
+              sectionFactor,
+              pressureUnit,
+              pressureFactor,
+            }}
+            material={material}
+            targetFoS={targetFoS}
+          />
+        </section>
+
+        {/* Calculation Report */}
+        <section className="mb-8">
+          <h2 className="text-2xl font-semibold text-gray-200 mb-4">
+            Calculation Report
+          </h2>
+          <ReportExport report={report} />
         </section>
       </div>
       <footer className="mt-8 text-center text-gray-500">
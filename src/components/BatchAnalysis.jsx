@@ -0,0 +1,227 @@
+import React, { useState, useMemo } from "react";
+import {
+  BATCH_COLUMNS,
+  batchTemplate,
+  readBatchRows,
+  analyseBatchRow,
+  batchResultsCsv,
+} from "../utils/batch";
+import { formatValue } from "../utils/format";
+import { unitPower } from "../utils/units";
+
+// Batch analysis of many members from a CSV file or a paste from a
+// spreadsheet, with a sortable results table and CSV export. Uses the
+// selected material, target FoS and units of the main form.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+const buttonClass = "px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md";
+
+function download(text, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type: "text/csv" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function BatchAnalysis({ units, material, targetFoS }) {
+  const [text, setText] = useState("");
+  // Rows read on the last run, with the units they were entered in; the
+  // checks follow later changes of material and target FoS.
+  const [batch, setBatch] = useState(null);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState({ key: "index", descending: false });
+  const results = useMemo(
+    () =>
+      batch &&
+      batch.rows.map((r) =>
+        analyseBatchRow(r, batch.factors, material, targetFoS),
+      ),
+    [batch, material, targetFoS],
+  );
+
+  const { sectionUnit, pressureFactor: p, pressureUnit } = units;
+  const stress = (v) => formatValue(v / p);
+  // [key, heading, sort value, cell]; rows with errors sort last
+  const columns = [
+    ["index", "#", (r) => r.index, (r) => r.index],
+    ["name", "Name", (r) => r.name, (r) => r.name],
+    ["type", "Type", (r) => r.type, (r) => r.type],
+    [
+      "area",
+      `A (${unitPower(sectionUnit, 2)})`,
+      (r) => r.area,
+      (r) => formatValue(r.area / Math.pow(units.sectionFactor, 2)),
+    ],
+    ["sigma", "σ", (r) => r.sigma, (r) => stress(r.sigma)],
+    ["tau", "τ", (r) => r.tau, (r) => stress(r.tau)],
+    ["vonMises", "σ_vm", (r) => r.vonMises, (r) => stress(r.vonMises)],
+    [
+      "maxNormal",
+      "Max |σ| in section",
+      (r) => Math.abs(r.maxNormal),
+      (r) => stress(r.maxNormal),
+    ],
+    [
+      "peakTorsion",
+      "Peak τ_T",
+      (r) => r.peakTorsion,
+      (r) => stress(r.peakTorsion),
+    ],
+    [
+      "governing",
+      "Governing",
+      (r) => r.governing.check,
+      (r) => `${r.governing.check}: ${stress(r.governing.stress)}`,
+    ],
+    [
+      "utilisation",
+      "Utilisation",
+      (r) => r.governing.utilisation,
+      (r) => (
+        <span className={r.governing.pass ? "text-green-400" : "text-red-400"}>
+          {r.governing.utilisation.toFixed(3)} {r.governing.pass ? "✔" : "✘"}
+        </span>
+      ),
+    ],
+  ];
+
+  const run = (source) => {
+    try {
+      setBatch({ rows: readBatchRows(source), factors: units });
+      setError(null);
+    } catch (err) {
+      setBatch(null);
+      setError(err.message);
+    }
+  };
+
+  const sorted =
+    results &&
+    [...results].sort((a, b) => {
+      if (a.error || b.error) {
+        return (a.error ? 1 : 0) - (b.error ? 1 : 0) || a.index - b.index;
+      }
+      const value = columns.find(([key]) => key === sort.key)[2];
+      const va = value(a);
+      const vb = value(b);
+      const order =
+        typeof va === "number" ? va - vb : String(va).localeCompare(String(vb));
+      return sort.descending ? -order : order;
+    });
+
+  return (
+    <div>
+      <p className="text-gray-400 text-sm mb-2">
+        One member per row with a header row. Columns:{" "}
+        {BATCH_COLUMNS.join(", ")}. Dimensions and the point (y, z) are in{" "}
+        {sectionUnit}, forces in {units.forceUnit} and moments in{" "}
+        {units.forceUnit}·{units.distanceUnit}; blank loads count as zero.
+        Checks use {material.name} with a target FoS of {targetFoS}.
+      </p>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={6}
+        className={`${inputClass} font-mono text-sm`}
+        placeholder="Paste CSV or spreadsheet cells here"
+      />
+      <div className="mt-2 flex flex-wrap gap-2">
+        <button onClick={() => run(text)} className={buttonClass}>
+          Run Batch
+        </button>
+        <label className={`${buttonClass} cursor-pointer`}>
+          Open CSV…
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv"
+            className="hidden"
+            onChange={async (e) => {
+              const file = e.target.files[0];
+              e.target.value = "";
+              if (!file) return;
+              const contents = await file.text();
+              setText(contents);
+              run(contents);
+            }}
+          />
+        </label>
+        <button
+          onClick={() => download(batchTemplate(units), "batch-template.csv")}
+          className={buttonClass}
+        >
+          Download Template
+        </button>
+        {results && (
+          <button
+            onClick={() =>
+              download(batchResultsCsv(results, units), "batch-results.csv")
+            }
+            className={buttonClass}
+          >
+            Export Results CSV
+          </button>
+        )}
+      </div>
+      {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+      {sorted && (
+        <div className="mt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-blue-300">
+                {columns.map(([key, heading]) => (
+                  <th
+                    key={key}
+                    onClick={() =>
+                      setSort({
+                        key,
+                        descending: sort.key === key && !sort.descending,
+                      })
+                    }
+                    className="p-2 border-b border-gray-600 cursor-pointer select-none"
+                  >
+                    {heading}
+                    {sort.key === key && (sort.descending ? " ▼" : " ▲")}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((r) => (
+                <tr key={r.index} className="border-b border-gray-700">
+                  {r.error ? (
+                    <>
+                      {columns.slice(0, 3).map(([key, , , cell]) => (
+                        <td key={key} className="p-2">
+                          {cell(r)}
+                        </td>
+                      ))}
+                      <td
+                        colSpan={columns.length - 3}
+                        className="p-2 text-red-400"
+                      >
+                        {r.error}
+                      </td>
+                    </>
+                  ) : (
+                    columns.map(([key, , , cell]) => (
+                      <td key={key} className="p-2">
+                        {cell(r)}
+                      </td>
+                    ))
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-gray-400 text-sm mt-2">
+            Stresses in {pressureUnit}. σ, τ and σ_vm are at the row's analysis
+            point; the governing check is the one with the highest utilisation.
+            Click a heading to sort.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React from "react";
+import LineChart from "./LineChart";
+
+// Shear, moment, slope and deflection diagrams from sampleBeam output (SI),
+// converted to the selected display units. Clicking a chart moves the
+// analysis station.
+export default function BeamDiagrams({
+  samples,
+  showDeflection,
+  forceFactor,
+  distanceFactor,
+  forceUnit,
+  distanceUnit,
+  stationX,
+  onSelectX,
+}) {
+  const series = (key, factor) =>
+    samples.map((s) => ({ x: s.x / distanceFactor, y: s[key] / factor }));
+
+  return (
+    <div className="mt-6 grid grid-cols-1 gap-4">
+      <LineChart
+        title="Shear Force, V(x)"
+        points={series("shear", forceFactor)}
+        xUnit={distanceUnit}
+        yUnit={forceUnit}
+        color="#60a5fa"
+        markerX={stationX}
+        onSelectX={onSelectX}
+      />
+      <LineChart
+        title="Bending Moment, M(x)"
+        points={series("moment", forceFactor * distanceFactor)}
+        xUnit={distanceUnit}
+        yUnit={`${forceUnit}·${distanceUnit}`}
+        color="#f472b6"
+        markerX={stationX}
+        onSelectX={onSelectX}
+      />
+      {showDeflection ? (
+        <>
+          <LineChart
+            title="Slope, θ(x)"
+            points={series("slope", 1)}
+            xUnit={distanceUnit}
+            yUnit="rad"
+            color="#a78bfa"
+            markerX={stationX}
+            onSelectX={onSelectX}
+          />
+          <LineChart
+            title="Deflection, v(x)"
+            points={series("deflection", distanceFactor)}
+            xUnit={distanceUnit}
+            yUnit={distanceUnit}
+            color="#34d399"
+            markerX={stationX}
+            onSelectX={onSelectX}
+          />
+        </>
+      ) : (
+        <p className="text-gray-400 text-sm">
+          Slope and deflection need a positive Young&apos;s modulus and bending
+          inertia.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,232 @@
+import React from "react";
+
+// Editor for the supports and loads along the beam. Values are kept in the
+// selected display units; App converts them to SI before solving. `errors`
+// maps "supports.<id>.<key>" and "loads.<id>.<key>" to validation messages.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+
+const SUPPORT_LABELS = {
+  pinned: "Pinned",
+  roller: "Roller",
+  fixed: "Fixed",
+  free: "Free",
+};
+
+const LOAD_LABELS = {
+  pointLoad: "Point Force",
+  moment: "Point Moment",
+  udl: "Uniform Distributed Load",
+  linear: "Linearly Varying Load",
+};
+
+// Next free id within a list of supports or loads.
+const nextId = (items) => Math.max(0, ...items.map((item) => item.id)) + 1;
+
+function defaultLoad(id, type, beamLength) {
+  if (type === "pointLoad" || type === "moment") {
+    return { id, type, position: beamLength / 2, magnitude: 1000 };
+  } else if (type === "udl") {
+    return { id, type, start: 0, end: beamLength, magnitude: 1000 };
+  }
+  return {
+    id,
+    type,
+    start: 0,
+    end: beamLength,
+    startMagnitude: 0,
+    endMagnitude: 1000,
+  };
+}
+
+function NumberField({ label, value, onChange, step = "0.01", error }) {
+  return (
+    <div>
+      <label className="block text-sm text-gray-300 mb-1">{label}</label>
+      <input
+        type="number"
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className={
+          error
+            ? inputClass.replace("border-gray-600", "border-red-500")
+            : inputClass
+        }
+      />
+      {error && <p className="text-red-400 text-sm mt-1">{error}</p>}
+    </div>
+  );
+}
+
+export default function BeamSetup({
+  beamLength,
+  supports,
+  setSupports,
+  loads,
+  setLoads,
+  distanceUnit,
+  forceUnit,
+  errors = {},
+}) {
+  const updateSupport = (id, changes) =>
+    setSupports(supports.map((s) => (s.id === id ? { ...s, ...changes } : s)));
+  const updateLoad = (id, changes) =>
+    setLoads(loads.map((l) => (l.id === id ? { ...l, ...changes } : l)));
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      <div>
+        <h3 className="text-lg font-semibold text-blue-300 mb-2">Supports</h3>
+        {supports.map((s) => (
+          <div
+            key={s.id}
+            className="grid grid-cols-[1fr_1fr_auto] gap-2 items-end mb-2"
+          >
+            <div>
+              <label className="block text-sm text-gray-300 mb-1">Type</label>
+              <select
+                value={s.type}
+                onChange={(e) => updateSupport(s.id, { type: e.target.value })}
+                className={inputClass}
+              >
+                {Object.entries(SUPPORT_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <NumberField
+              label={`x (${distanceUnit})`}
+              value={s.position}
+              onChange={(position) => updateSupport(s.id, { position })}
+              error={errors[`supports.${s.id}.position`]}
+            />
+            <button
+              onClick={() => setSupports(supports.filter((o) => o.id !== s.id))}
+              className="px-3 py-2 bg-red-900 hover:bg-red-800 rounded-md"
+              title="Remove support"
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={() =>
+            setSupports([
+              ...supports,
+              { id: nextId(supports), type: "pinned", position: beamLength },
+            ])
+          }
+          className="mt-1 px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md"
+        >
+          + Add Support
+        </button>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold text-blue-300 mb-2">Loads</h3>
+        <p className="text-gray-400 text-sm mb-2">
+          Forces act downwards when positive; moments act counter-clockwise.
+        </p>
+        {loads.map((l) => (
+          <div
+            key={l.id}
+            className="p-3 mb-2 border border-gray-700 rounded-md bg-gray-900/40"
+          >
+            <div className="flex justify-between items-center mb-2">
+              <span className="font-medium">{LOAD_LABELS[l.type]}</span>
+              <button
+                onClick={() => setLoads(loads.filter((o) => o.id !== l.id))}
+                className="px-3 py-1 bg-red-900 hover:bg-red-800 rounded-md"
+                title="Remove load"
+              >
+                ✕
+              </button>
+            </div>
+            {(l.type === "pointLoad" || l.type === "moment") && (
+              <div className="grid grid-cols-2 gap-2">
+                <NumberField
+                  label={`x (${distanceUnit})`}
+                  value={l.position}
+                  onChange={(position) => updateLoad(l.id, { position })}
+                  error={errors[`loads.${l.id}.position`]}
+                />
+                <NumberField
+                  label={
+                    l.type === "moment"
+                      ? `M (${forceUnit}·${distanceUnit})`
+                      : `P (${forceUnit})`
+                  }
+                  value={l.magnitude}
+                  step="1"
+                  onChange={(magnitude) => updateLoad(l.id, { magnitude })}
+                />
+              </div>
+            )}
+            {(l.type === "udl" || l.type === "linear") && (
+              <div className="grid grid-cols-2 gap-2">
+                <NumberField
+                  label={`Start (${distanceUnit})`}
+                  value={l.start}
+                  onChange={(start) => updateLoad(l.id, { start })}
+                  error={errors[`loads.${l.id}.start`]}
+                />
+                <NumberField
+                  label={`End (${distanceUnit})`}
+                  value={l.end}
+                  onChange={(end) => updateLoad(l.id, { end })}
+                  error={errors[`loads.${l.id}.end`]}
+                />
+                {l.type === "udl" ? (
+                  <NumberField
+                    label={`w (${forceUnit}/${distanceUnit})`}
+                    value={l.magnitude}
+                    step="1"
+                    onChange={(magnitude) => updateLoad(l.id, { magnitude })}
+                  />
+                ) : (
+                  <>
+                    <NumberField
+                      label={`w start (${forceUnit}/${distanceUnit})`}
+                      value={l.startMagnitude}
+                      step="1"
+                      onChange={(startMagnitude) =>
+                        updateLoad(l.id, { startMagnitude })
+                      }
+                    />
+                    <NumberField
+                      label={`w end (${forceUnit}/${distanceUnit})`}
+                      value={l.endMagnitude}
+                      step="1"
+                      onChange={(endMagnitude) =>
+                        updateLoad(l.id, { endMagnitude })
+                      }
+                    />
+                  </>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+        <div className="flex flex-wrap gap-2 mt-1">
+          {Object.entries(LOAD_LABELS).map(([type, label]) => (
+            <button
+              key={type}
+              onClick={() =>
+                setLoads([
+                  ...loads,
+                  defaultLoad(nextId(loads), type, beamLength),
+                ])
+              }
+              className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md text-sm"
+            >
+              + {label}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,207 @@
+import React from "react";
+import { END_CONDITIONS } from "../engine";
+import { formatValue } from "../utils/format";
+import InputIssues from "./InputIssues";
+
+// Stability inputs (end conditions, K, unbraced length, C_b) and the
+// theoretical buckling results: Euler and Johnson critical loads about each
+// axis and the elastic lateral-torsional buckling moment of I-beams. The
+// code resistances appear with the steel member checks. `buckling` is
+// columnBuckling() or null while the inputs have errors.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+const errorClass = inputClass.replace("border-gray-600", "border-red-500");
+
+const AXIS_LABELS = {
+  z: "About z (major)",
+  y: "About y",
+  principal: "Minor principal axis",
+};
+
+export default function BucklingChecks({
+  endCondition,
+  setEndCondition,
+  effectiveLengthFactor,
+  setEffectiveLengthFactor,
+  unbracedLength,
+  setUnbracedLength,
+  momentGradientFactor,
+  setMomentGradientFactor,
+  errors = {},
+  issues = [],
+  buckling,
+  criticalMoment,
+  compression,
+  moment,
+  distanceUnit,
+  showForce,
+  showMoment,
+  showDistance,
+  showSection,
+  showStress,
+}) {
+  const field = (key, label, value, onChange, step) => (
+    <div>
+      <label className="block font-medium mb-1">{label}</label>
+      <input
+        type="number"
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className={errors[key] ? errorClass : inputClass}
+      />
+      {errors[key] && (
+        <p className="text-red-400 text-sm mt-1">{errors[key]}</p>
+      )}
+    </div>
+  );
+  const ratio = (demand, capacity) =>
+    capacity > 0 ? formatValue(demand / capacity) : "—";
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block font-medium mb-1">End Conditions</label>
+          <select
+            value={endCondition}
+            onChange={(e) => {
+              setEndCondition(e.target.value);
+              setEffectiveLengthFactor(
+                END_CONDITIONS[e.target.value].recommended,
+              );
+            }}
+            className={inputClass}
+          >
+            {Object.entries(END_CONDITIONS).map(([key, c]) => (
+              <option key={key} value={key}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+          <p className="text-gray-400 text-sm mt-1">
+            K = {END_CONDITIONS[endCondition].theoretical} in theory,{" "}
+            {END_CONDITIONS[endCondition].recommended} recommended
+          </p>
+        </div>
+        {field(
+          "effectiveLengthFactor",
+          "Effective-Length Factor, K",
+          effectiveLengthFactor,
+          setEffectiveLengthFactor,
+          "0.05",
+        )}
+        {field(
+          "unbracedLength",
+          `Unbraced Length, L_b (${distanceUnit})`,
+          unbracedLength,
+          setUnbracedLength,
+          "0.01",
+        )}
+        {field(
+          "momentGradientFactor",
+          "Moment Gradient, C_b (C₁)",
+          momentGradientFactor,
+          setMomentGradientFactor,
+          "0.05",
+        )}
+      </div>
+      <p className="text-gray-400 text-sm mt-2">
+        Buckling about the major (z) axis uses the beam length L; buckling about
+        y, the minor principal axis and lateral-torsional buckling use the
+        unbraced length L_b between lateral restraints.
+      </p>
+      <InputIssues
+        issues={issues}
+        title="Buckling results are withheld until these inputs are fixed"
+      />
+
+      {buckling && (
+        <>
+          <h3 className="font-semibold text-blue-300 mt-6 mb-2">
+            Column Buckling
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-300">
+                  <th className="p-1">Axis</th>
+                  <th className="p-1">r</th>
+                  <th className="p-1">KL</th>
+                  <th className="p-1">KL/r</th>
+                  <th className="p-1">Euler P_cr</th>
+                  <th className="p-1">Euler σ_cr</th>
+                  <th className="p-1">Johnson σ_cr</th>
+                  <th className="p-1">Critical Load</th>
+                  <th className="p-1">P / P_cr</th>
+                </tr>
+              </thead>
+              <tbody>
+                {buckling.axes.map((a) => (
+                  <tr key={a.axis} className="border-t border-gray-700">
+                    <td className="p-1">{AXIS_LABELS[a.axis]}</td>
+                    <td className="p-1">{showSection(a.radius)}</td>
+                    <td className="p-1">{showDistance(a.effectiveLength)}</td>
+                    <td className="p-1">{formatValue(a.slenderness)}</td>
+                    <td className="p-1">{showForce(a.eulerLoad)}</td>
+                    <td className="p-1">{showStress(a.eulerStress)}</td>
+                    <td className="p-1">{showStress(a.johnsonStress)}</td>
+                    <td className="p-1">
+                      {showForce(a.criticalLoad)} ({a.method})
+                    </td>
+                    <td
+                      className={`p-1 ${
+                        compression > a.criticalLoad ? "text-red-400" : ""
+                      }`}
+                    >
+                      {ratio(compression, a.criticalLoad)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-gray-400 text-sm mt-2">
+            The Johnson parabola replaces the Euler curve below the transition
+            slenderness λ_c = π√(2E/σ_y) ={" "}
+            {formatValue(buckling.transitionSlenderness)}, where inelastic
+            buckling governs.{" "}
+            {compression > 0
+              ? `The axial force is ${showForce(compression)} in compression.`
+              : "The axial force is not compressive."}
+          </p>
+
+          <h3 className="font-semibold text-blue-300 mt-6 mb-2">
+            Lateral-Torsional Buckling
+          </h3>
+          {criticalMoment === null ? (
+            <p className="text-gray-400 text-sm">
+              The elastic critical moment is computed for I-beams; closed and
+              solid sections are not prone to lateral-torsional buckling.
+            </p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="p-4 bg-gray-700 rounded-md">
+                <p className="font-medium">
+                  Elastic Critical Moment, M_cr = C_b·(π/L_b)·√(EI_y·GJ +
+                  (πE/L_b)²·I_y·C_w)
+                </p>
+                <p>{showMoment(criticalMoment)}</p>
+              </div>
+              <div
+                className={`p-4 rounded-md border ${
+                  moment > criticalMoment
+                    ? "bg-red-900 border-red-700"
+                    : "bg-green-900 border-green-700"
+                }`}
+              >
+                <p className="font-medium">M_z / M_cr</p>
+                <p>{ratio(moment, criticalMoment)}</p>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
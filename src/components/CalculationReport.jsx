@@ -0,0 +1,252 @@
+import React from "react";
+import { shearYieldStrength, strengthCheck, TORSION_MODELS } from "../engine";
+import SectionSketch from "./SectionSketch";
+import { formatValue } from "../utils/format";
+import {
+  sectionDimensionRows,
+  sectionFormulas,
+  firstMomentFormulas,
+  stressFormulas,
+  combinedFormulas,
+} from "../utils/report";
+
+// Hand-checkable calculation sheet: inputs, formulas with the numbers
+// substituted, intermediate results, the section sketch and the strength
+// checks. Rendered to static markup for the printable report, so it is
+// styled by the report's own stylesheet (../utils/report.js) and not
+// Tailwind. All values are SI and shown through the app's readouts.
+
+function FormulaTable({ rows }) {
+  return (
+    <table>
+      <thead>
+        <tr>
+          <th>Quantity</th>
+          <th>Formula</th>
+          <th>Substitution</th>
+          <th>Result</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r) => (
+          <tr key={r.quantity}>
+            <td>{r.quantity}</td>
+            <td className="formula">{r.formula}</td>
+            <td className="formula">
+              {r.substitution ?? <span className="muted">see formula</span>}
+            </td>
+            <td>{r.result}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function ValueTable({ rows }) {
+  return (
+    <table>
+      <tbody>
+        {rows.map(([label, value]) => (
+          <tr key={label}>
+            <th>{label}</th>
+            <td>{value}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default function CalculationReport({
+  title,
+  createdAt,
+  show,
+  units,
+  section,
+  sectionLabel,
+  sectionProps,
+  material,
+  targetFoS,
+  loads,
+  loadSource,
+  station,
+  point,
+  stresses,
+  torsion,
+  stressState,
+  outline,
+  field,
+  extremes,
+  warnings,
+}) {
+  const fy = material.yieldStrength;
+  const tauY = shearYieldStrength(material);
+  const checks = [
+    ["Normal stress, σ", stressState.sigmaX, fy],
+    ["Shear stress, τ", stressState.tauXY, tauY],
+    ["Principal stress, σ₁", stressState.sigma1, fy],
+    ["Principal stress, σ₂", stressState.sigma2, fy],
+    ["Max in-plane shear, τ_max", stressState.tauMax, tauY],
+    ["Von Mises stress, σ_vm", stressState.vonMises, fy],
+    ["Tresca stress, σ_tr", stressState.tresca, fy],
+    ["Peak torsional shear in the section", torsion.maxShear, tauY],
+  ].map(([label, stress, limit]) => ({
+    label,
+    stress,
+    limit,
+    ...strengthCheck(stress, limit, targetFoS),
+  }));
+
+  return (
+    <article>
+      <h1>{title}</h1>
+      <p className="muted">
+        Beam Stress Analyzer calculation report · {createdAt}
+      </p>
+
+      <h2>1. Inputs</h2>
+      <ValueTable
+        rows={[
+          [
+            "Units",
+            `${units.forceUnit}, ${units.distanceUnit} (beam), ${units.sectionUnit} (section), ${units.pressureUnit}`,
+          ],
+          ["Section", sectionLabel],
+          ...sectionDimensionRows(section, show),
+          ["Material", material.name],
+          ["Young's modulus, E", show.stress(material.E)],
+          ["Shear modulus, G", show.stress(material.G)],
+          ["Yield strength, f_y", show.stress(fy)],
+          ["Target factor of safety", String(targetFoS)],
+          ["Axial force, N", show.force(loads.force)],
+          [
+            "Bending moment M_z (sagging +)",
+            loadSource === "beam"
+              ? `${show.moment(loads.moment)} from the beam at x = ${show.distance(station)}`
+              : show.moment(loads.moment),
+          ],
+          ["Bending moment M_y", show.moment(loads.momentY)],
+          ["Torque, T", show.moment(loads.torque)],
+          [
+            "Shear force, V",
+            loadSource === "beam"
+              ? `${show.force(loads.shearForce)} from the beam at x = ${show.distance(station)}`
+              : show.force(loads.shearForce),
+          ],
+          [
+            "Analysis point (y, z) from the centroid",
+            `(${show.section(point.y)}, ${show.section(point.z)})`,
+          ],
+        ]}
+      />
+
+      <h2>2. Section Properties</h2>
+      <FormulaTable rows={sectionFormulas(section, show)} />
+      <ValueTable
+        rows={[
+          [
+            "I_y / I_yz",
+            `${show.section(sectionProps.inertiaY, 4)} / ${show.section(sectionProps.productOfInertia, 4)}`,
+          ],
+          [
+            "Extreme fibres above / below the centroid",
+            `${show.section(sectionProps.yTop)} / ${show.section(sectionProps.yBottom)}`,
+          ],
+          [
+            "Section moduli I_z / c, top / bottom",
+            `${show.section(sectionProps.modulusTop, 3)} / ${show.section(sectionProps.modulusBottom, 3)}`,
+          ],
+          ["Torsion model", TORSION_MODELS[torsion.model]],
+        ]}
+      />
+      <FormulaTable
+        rows={firstMomentFormulas(section, point.y, stresses.Q, show)}
+      />
+
+      <h2>3. Stresses at the Analysis Point</h2>
+      <FormulaTable
+        rows={stressFormulas(
+          section,
+          loads,
+          point.y,
+          point.z,
+          stresses,
+          torsion,
+          show,
+        )}
+      />
+
+      <h2>4. Combined Stress State</h2>
+      <FormulaTable rows={combinedFormulas(stressState, stresses, show)} />
+      <p className="muted">
+        Principal angle θp = {formatValue((stressState.thetaP * 180) / Math.PI)}
+        °. Peak torsional shear {show.stress(torsion.maxShear)} at (y, z) = (
+        {show.section(torsion.maxLocation.y)},{" "}
+        {show.section(torsion.maxLocation.z)}).
+      </p>
+
+      <h2>5. Section Drawing</h2>
+      <SectionSketch
+        outline={outline}
+        field={field}
+        extremes={extremes}
+        pointY={point.y}
+        pointZ={point.z}
+        distanceFactor={units.sectionFactor}
+        distanceUnit={units.sectionUnit}
+        pressureFactor={units.pressureFactor}
+        pressureUnit={units.pressureUnit}
+        section={section}
+      />
+
+      <h2>6. Strength Checks</h2>
+      <p className="muted">
+        Normal stresses against f_y = {show.stress(fy)}, shear stresses against
+        f_y/√3 = {show.stress(tauY)}. Utilisation = |stress| · FoS_target /
+        limit with FoS_target = {targetFoS}.
+      </p>
+      <table>
+        <thead>
+          <tr>
+            <th>Check</th>
+            <th>Stress</th>
+            <th>Limit</th>
+            <th>FoS</th>
+            <th>Utilisation</th>
+            <th>Result</th>
+          </tr>
+        </thead>
+        <tbody>
+          {checks.map((c) => (
+            <tr key={c.label}>
+              <td>{c.label}</td>
+              <td>{show.stress(c.stress)}</td>
+              <td>{show.stress(c.limit)}</td>
+              <td>
+                {Number.isFinite(c.factorOfSafety)
+                  ? c.factorOfSafety.toFixed(2)
+                  : "∞"}
+              </td>
+              <td>{c.utilisation.toFixed(3)}</td>
+              <td className={c.pass ? "pass" : "fail"}>
+                {c.pass ? "PASS" : "FAIL"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {warnings.length > 0 && (
+        <>
+          <h2>7. Assumption Warnings</h2>
+          <ul>
+            {warnings.map((w) => (
+              <li key={`${w.field}:${w.message}`}>{w.message}</li>
+            ))}
+          </ul>
+        </>
+      )}
+    </article>
+  );
+}
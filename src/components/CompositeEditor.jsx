@@ -0,0 +1,188 @@
+import React from "react";
+import { parseVertices } from "../utils/vertices";
+
+// Editor for the shapes of a composite section. Each shape holds its
+// dimensions in the selected distance unit; polygons keep the pasted vertex
+// text and are parsed when the section is built, and every shape names its
+// material, "" for the section material. `errors` maps "shapes.<id>.<key>"
+// to a validation message.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+
+const SHAPE_LABELS = {
+  rectangle: "Rectangle",
+  circle: "Circle",
+  polygon: "Polygon",
+};
+
+const SHAPE_FIELDS = {
+  rectangle: [
+    ["cx", "Centre x"],
+    ["cy", "Centre y"],
+    ["width", "Width"],
+    ["height", "Height"],
+  ],
+  circle: [
+    ["cx", "Centre x"],
+    ["cy", "Centre y"],
+    ["diameter", "Diameter"],
+  ],
+};
+
+const nextId = (items) => Math.max(0, ...items.map((item) => item.id)) + 1;
+
+function defaultShape(id, kind) {
+  if (kind === "rectangle") {
+    return {
+      id,
+      kind,
+      cx: 0,
+      cy: 0,
+      width: 0.05,
+      height: 0.01,
+      hole: false,
+      materialId: "",
+    };
+  } else if (kind === "circle") {
+    return {
+      id,
+      kind,
+      cx: 0,
+      cy: 0,
+      diameter: 0.02,
+      hole: false,
+      materialId: "",
+    };
+  }
+  return {
+    id,
+    kind,
+    text: "0, 0\n0.05, 0\n0, 0.05",
+    hole: false,
+    materialId: "",
+  };
+}
+
+export default function CompositeEditor({
+  shapes,
+  setShapes,
+  materials,
+  sectionMaterial,
+  distanceUnit,
+  errors = {},
+}) {
+  const update = (id, changes) =>
+    setShapes(shapes.map((s) => (s.id === id ? { ...s, ...changes } : s)));
+
+  return (
+    <div>
+      <p className="text-gray-400 text-sm mb-2">
+        Coordinates may use any origin; the neutral axis passes through the
+        computed centroid. Mark a shape as a hole to cut it out. A shape of
+        another material placed inside an earlier shape, such as a bar in
+        concrete, displaces it in the transformed section.
+      </p>
+      {shapes.map((s) => (
+        <div
+          key={s.id}
+          className="p-3 mb-2 border border-gray-700 rounded-md bg-gray-900/40"
+        >
+          <div className="flex justify-between items-center mb-2">
+            <span className="font-medium">{SHAPE_LABELS[s.kind]}</span>
+            <div className="flex items-center gap-3">
+              {!s.hole && (
+                <select
+                  value={s.materialId ?? ""}
+                  onChange={(e) => update(s.id, { materialId: e.target.value })}
+                  className="p-1 bg-gray-700 border border-gray-600 rounded-md text-sm"
+                  aria-label="Shape material"
+                >
+                  <option value="">
+                    Section material ({sectionMaterial.name})
+                  </option>
+                  {materials.map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {m.name}
+                    </option>
+                  ))}
+                </select>
+              )}
+              <label className="text-sm">
+                <input
+                  type="checkbox"
+                  checked={s.hole}
+                  onChange={(e) => update(s.id, { hole: e.target.checked })}
+                  className="mr-1"
+                />
+                Hole
+              </label>
+              <button
+                onClick={() => setShapes(shapes.filter((o) => o.id !== s.id))}
+                className="px-3 py-1 bg-red-900 hover:bg-red-800 rounded-md"
+                title="Remove shape"
+              >
+                ✕
+              </button>
+            </div>
+          </div>
+          {s.kind === "polygon" ? (
+            <div>
+              <label className="block text-sm text-gray-300 mb-1">
+                Vertices, one &quot;x, y&quot; per line ({distanceUnit}) —{" "}
+                {parseVertices(s.text).length} parsed
+              </label>
+              <textarea
+                rows={4}
+                value={s.text}
+                onChange={(e) => update(s.id, { text: e.target.value })}
+                className={`${inputClass} font-mono text-sm`}
+              />
+              {errors[`shapes.${s.id}.text`] && (
+                <p className="text-red-400 text-sm mt-1">
+                  {errors[`shapes.${s.id}.text`]}
+                </p>
+              )}
+            </div>
+          ) : (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+              {SHAPE_FIELDS[s.kind].map(([key, label]) => (
+                <div key={key}>
+                  <label className="block text-sm text-gray-300 mb-1">
+                    {label} ({distanceUnit})
+                  </label>
+                  <input
+                    type="number"
+                    step="0.001"
+                    value={s[key]}
+                    onChange={(e) =>
+                      update(s.id, { [key]: Number(e.target.value) })
+                    }
+                    className={inputClass}
+                  />
+                  {errors[`shapes.${s.id}.${key}`] && (
+                    <p className="text-red-400 text-sm mt-1">
+                      {errors[`shapes.${s.id}.${key}`]}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+      <div className="flex flex-wrap gap-2 mt-1">
+        {Object.entries(SHAPE_LABELS).map(([kind, label]) => (
+          <button
+            key={kind}
+            onClick={() =>
+              setShapes([...shapes, defaultShape(nextId(shapes), kind)])
+            }
+            className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md text-sm"
+          >
+            + {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
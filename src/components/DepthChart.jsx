@@ -0,0 +1,178 @@
+import React, { useState } from "react";
+import { formatValue } from "../utils/format";
+
+// SVG chart of one or more quantities over the section depth: height y runs
+// vertically, the plotted value horizontally. `series` entries are
+// { label, color, points: [{ y, value }] } in display units, all sampled at
+// the same heights.
+
+const WIDTH = 640;
+const HEIGHT = 320;
+const PAD = { left: 64, right: 16, top: 16, bottom: 32 };
+
+export default function DepthChart({
+  title,
+  series,
+  yUnit,
+  valueUnit,
+  markerY,
+  onSelectY,
+}) {
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  const heights = series[0].points.map((p) => p.y);
+  const values = series.flatMap((s) => s.points.map((p) => p.value));
+  const yMin = Math.min(...heights);
+  const yMax = Math.max(...heights);
+  let vMin = Math.min(0, ...values);
+  let vMax = Math.max(0, ...values);
+  if (vMax - vMin < 1e-12 * Math.max(1, Math.abs(vMax))) {
+    vMax += 1;
+    vMin -= 1;
+  }
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const sx = (v) => PAD.left + ((v - vMin) / (vMax - vMin)) * plotW;
+  const sy = (y) => PAD.top + ((yMax - y) / (yMax - yMin || 1)) * plotH;
+
+  const nearestIndex = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const svgY = ((e.clientY - rect.top) / rect.height) * HEIGHT;
+    const y = yMax - ((svgY - PAD.top) / plotH) * (yMax - yMin);
+    let best = 0;
+    heights.forEach((h, i) => {
+      if (Math.abs(h - y) < Math.abs(heights[best] - y)) best = i;
+    });
+    return best;
+  };
+
+  return (
+    <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+      <div className="flex flex-wrap justify-between items-baseline mb-2 gap-2">
+        <h3 className="font-semibold text-blue-300">{title}</h3>
+        <div className="flex flex-wrap gap-3 text-sm">
+          {series.map((s) => (
+            <span key={s.label} style={{ color: s.color }}>
+              ■ {s.label}
+            </span>
+          ))}
+        </div>
+      </div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto select-none"
+        onMouseMove={(e) => setHoverIndex(nearestIndex(e))}
+        onMouseLeave={() => setHoverIndex(null)}
+        onClick={(e) => onSelectY && onSelectY(heights[nearestIndex(e)])}
+      >
+        <rect
+          x={PAD.left}
+          y={PAD.top}
+          width={plotW}
+          height={plotH}
+          fill="#111827"
+        />
+        <line
+          x1={sx(0)}
+          x2={sx(0)}
+          y1={PAD.top}
+          y2={PAD.top + plotH}
+          stroke="#6b7280"
+        />
+        <line
+          x1={PAD.left}
+          x2={PAD.left + plotW}
+          y1={sy(0)}
+          y2={sy(0)}
+          stroke="#6b7280"
+          strokeDasharray="2 4"
+        />
+        {series.map((s) => (
+          <path
+            key={s.label}
+            d={s.points
+              .map(
+                (p, i) =>
+                  `${i ? "L" : "M"}${sx(p.value).toFixed(2)},${sy(p.y).toFixed(2)}`,
+              )
+              .join(" ")}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="2"
+          />
+        ))}
+        {markerY !== undefined && markerY >= yMin && markerY <= yMax && (
+          <line
+            x1={PAD.left}
+            x2={PAD.left + plotW}
+            y1={sy(markerY)}
+            y2={sy(markerY)}
+            stroke="#e5e7eb"
+            strokeOpacity="0.6"
+          />
+        )}
+        <text
+          x={PAD.left - 6}
+          y={sy(yMax) + 4}
+          textAnchor="end"
+          fontSize="11"
+          fill="#d1d5db"
+        >
+          {formatValue(yMax)} {yUnit}
+        </text>
+        <text
+          x={PAD.left - 6}
+          y={sy(yMin)}
+          textAnchor="end"
+          fontSize="11"
+          fill="#d1d5db"
+        >
+          {formatValue(yMin)} {yUnit}
+        </text>
+        <text x={PAD.left} y={HEIGHT - 10} fontSize="11" fill="#d1d5db">
+          {formatValue(vMin)} {valueUnit}
+        </text>
+        <text
+          x={PAD.left + plotW}
+          y={HEIGHT - 10}
+          textAnchor="end"
+          fontSize="11"
+          fill="#d1d5db"
+        >
+          {formatValue(vMax)} {valueUnit}
+        </text>
+        {hoverIndex !== null && (
+          <g pointerEvents="none">
+            <line
+              x1={PAD.left}
+              x2={PAD.left + plotW}
+              y1={sy(heights[hoverIndex])}
+              y2={sy(heights[hoverIndex])}
+              stroke="#fbbf24"
+              strokeDasharray="4 3"
+            />
+            <text
+              x={PAD.left + 6}
+              y={PAD.top + 14}
+              fontSize="12"
+              fill="#fbbf24"
+            >
+              y = {formatValue(heights[hoverIndex])} {yUnit}
+            </text>
+            {series.map((s, i) => (
+              <text
+                key={s.label}
+                x={PAD.left + 6}
+                y={PAD.top + 30 + 15 * i}
+                fontSize="12"
+                fill={s.color}
+              >
+                {s.label}: {formatValue(s.points[hoverIndex].value)} {valueUnit}
+              </text>
+            ))}
+          </g>
+        )}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import React from "react";
+
+// Grid of numeric dimension inputs for a section type. Each field is
+// { field, label, value, onChange } with the value in the selected distance
+// unit; `errors` maps a field to its validation message.
+export default function DimensionFields({ fields, distanceUnit, errors = {} }) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      {fields.map(({ field, label, value, onChange }) => (
+        <div key={label}>
+          <label className="block font-medium mb-1">
+            {label} ({distanceUnit})
+          </label>
+          <input
+            type="number"
+            step="0.001"
+            value={value}
+            onChange={(e) => onChange(Number(e.target.value))}
+            className={`w-full p-2 bg-gray-700 border rounded-md ${
+              errors[field] ? "border-red-500" : "border-gray-600"
+            }`}
+          />
+          {errors[field] && (
+            <p className="text-red-400 text-sm mt-1">{errors[field]}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,768 @@
+import React, { useMemo } from "react";
+import {
+  fatigueStresses,
+  meanStressCorrection,
+  marinFactors,
+  enduranceLimitEstimate,
+  snCurve,
+  cyclesToFailure,
+  historyDamage,
+  MEAN_STRESS_CRITERIA,
+  SURFACE_FINISHES,
+  FATIGUE_LOADINGS,
+  RELIABILITY_FACTORS,
+} from "../engine";
+import { parseCsv } from "../utils/csv";
+import { roundInput } from "../utils/units";
+import { formatValue } from "../utils/format";
+import LineChart from "./LineChart";
+
+// Fatigue at the analysis point under loads that swing between two states,
+// entered as min/max or mean/amplitude: the alternating and mean stresses,
+// the Marin factors and endurance limit, the factor of safety and life of
+// each mean-stress criterion, and the Miner damage of a load history
+// counted by rainflow. The inputs are held by the app, so they are saved
+// with the project, in the units they were entered in:
+//   { inputMode, range, criterion, enduranceMode, enduranceLimit, surface,
+//     diameter, loading, reliability, temperatureFactor, miscFactor,
+//     fraction, historyKey, historyText }
+// range maps each load key to its { min, max } in the force or moment
+// unit, the endurance limit is in the pressure unit and the diameter in
+// the section unit.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+const cellInputClass =
+  "w-full p-1 bg-gray-700 border border-gray-600 rounded-md";
+const buttonClass = "px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md";
+
+// Load key, label and whether it is a moment
+const LOAD_ROWS = [
+  ["force", "Axial force", false],
+  ["moment", "Bending moment M_z", true],
+  ["momentY", "Bending moment M_y", true],
+  ["torque", "Torque", true],
+  ["shearForce", "Shear force", false],
+];
+
+const REGIME_LABELS = {
+  infinite: "infinite life, below the endurance limit",
+  finite: "finite life",
+  lowCycle: "low-cycle fatigue, under 10³ cycles",
+};
+
+// Most damaging history cycles listed
+const BLOCKS_SHOWN = 12;
+
+const showCycles = (n) => (Number.isFinite(n) ? formatValue(n) : "∞");
+const showFactor = (n) => (Number.isFinite(n) ? n.toFixed(2) : "∞");
+
+// Load values from pasted or uploaded text: a single row of values, or
+// the last number on each line, so a "time, load" file reads its loads.
+function parseHistory(text) {
+  const rows = parseCsv(text)
+    .map((cells) =>
+      cells
+        .filter((cell) => cell.trim() !== "")
+        .map(Number)
+        .filter(Number.isFinite),
+    )
+    .filter((values) => values.length > 0);
+  if (rows.length === 1) return rows[0];
+  return rows.map((values) => values[values.length - 1]);
+}
+
+export default function FatigueAssessment({
+  section,
+  loads,
+  y,
+  z,
+  material,
+  targetFoS,
+  forceFactor,
+  distanceFactor,
+  sectionFactor,
+  pressureFactor,
+  forceUnit,
+  distanceUnit,
+  sectionUnit,
+  pressureUnit,
+  showStress,
+  fatigue,
+  setFatigue,
+}) {
+  const {
+    inputMode,
+    range,
+    criterion,
+    enduranceMode,
+    surface,
+    loading,
+    reliability,
+    temperatureFactor,
+    miscFactor,
+    fraction,
+    historyKey,
+    historyText,
+  } = fatigue;
+  const enduranceSI = fatigue.enduranceLimit * pressureFactor;
+  const diameterSI = fatigue.diameter * sectionFactor;
+  const update = (patch) => setFatigue((f) => ({ ...f, ...patch }));
+
+  const factorOf = (isMoment) =>
+    isMoment ? forceFactor * distanceFactor : forceFactor;
+  const unitOf = (isMoment) =>
+    isMoment ? `${forceUnit}·${distanceUnit}` : forceUnit;
+
+  // The two load states and the mean state the history varies about, in SI
+  const momentFactor = forceFactor * distanceFactor;
+  const states = useMemo(() => {
+    const state = (pick) =>
+      Object.fromEntries(
+        LOAD_ROWS.map(([key, , isMoment]) => [
+          key,
+          pick(range[key]) * (isMoment ? momentFactor : forceFactor),
+        ]),
+      );
+    return {
+      min: state((r) => r.min),
+      max: state((r) => r.max),
+      mean: state((r) => (r.min + r.max) / 2),
+    };
+  }, [range, forceFactor, momentFactor]);
+
+  const result = useMemo(() => {
+    try {
+      const stresses = fatigueStresses(section, states.min, states.max, y, z);
+      const marin = marinFactors({
+        ultimateStrength: material.ultimateStrength,
+        surface,
+        diameter: diameterSI,
+        loading,
+        reliability,
+        temperature: temperatureFactor,
+        miscellaneous: miscFactor,
+      });
+      const specimen =
+        enduranceMode === "estimate"
+          ? enduranceLimitEstimate(material.ultimateStrength)
+          : enduranceSI;
+      const strengths = {
+        enduranceLimit: marin.product * specimen,
+        ultimateStrength: material.ultimateStrength,
+        yieldStrength: material.yieldStrength,
+      };
+      const curve = snCurve({
+        ultimateStrength: material.ultimateStrength,
+        enduranceLimit: strengths.enduranceLimit,
+        fraction,
+      });
+      const criteria = Object.keys(MEAN_STRESS_CRITERIA).map((key) => {
+        const correction = meanStressCorrection(key, stresses, strengths);
+        return {
+          key,
+          ...correction,
+          ...cyclesToFailure(curve, correction.equivalentReversed),
+        };
+      });
+      return { stresses, marin, specimen, strengths, curve, criteria };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [
+    section,
+    states,
+    y,
+    z,
+    material,
+    surface,
+    diameterSI,
+    loading,
+    reliability,
+    temperatureFactor,
+    miscFactor,
+    enduranceMode,
+    enduranceSI,
+    fraction,
+  ]);
+
+  const historyFactor = factorOf(
+    LOAD_ROWS.find(([key]) => key === historyKey)[2],
+  );
+  const history = useMemo(() => {
+    if (!historyText.trim() || result.error) return null;
+    try {
+      const values = parseHistory(historyText).map((v) => v * historyFactor);
+      const { strengths, curve } = result;
+      return {
+        count: values.length,
+        ...historyDamage(section, states.mean, historyKey, values, {
+          y,
+          z,
+          criterion,
+          strengths,
+          curve,
+        }),
+      };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [
+    historyText,
+    historyFactor,
+    historyKey,
+    result,
+    section,
+    states,
+    y,
+    z,
+    criterion,
+  ]);
+
+  const setLoad = (key, field, value) =>
+    setFatigue((f) => {
+      const { min, max } = f.range[key];
+      const mean = (min + max) / 2;
+      const amplitude = (max - min) / 2;
+      const next =
+        field === "mean"
+          ? { min: value - amplitude, max: value + amplitude }
+          : field === "amplitude"
+            ? { min: mean - value, max: mean + value }
+            : { min, max, [field]: value };
+      return { ...f, range: { ...f.range, [key]: next } };
+    });
+  const fillFromLoads = (reversed) =>
+    update({
+      range: Object.fromEntries(
+        LOAD_ROWS.map(([key, , isMoment]) => {
+          const value = roundInput(loads[key] / factorOf(isMoment));
+          return [key, { min: reversed ? -value : 0, max: value }];
+        }),
+      ),
+    });
+  const columns =
+    inputMode === "minMax"
+      ? [
+          ["min", "Minimum"],
+          ["max", "Maximum"],
+        ]
+      : [
+          ["mean", "Mean"],
+          ["amplitude", "Amplitude"],
+        ];
+  const valueOf = ({ min, max }, field) =>
+    field === "mean"
+      ? (min + max) / 2
+      : field === "amplitude"
+        ? (max - min) / 2
+        : field === "min"
+          ? min
+          : max;
+
+  const selected = result.criteria?.find((c) => c.key === criterion);
+  const curvePoints = [];
+  if (result.curve) {
+    const { a, b, ultimateStrength, lowCycleStrength, enduranceLimit } =
+      result.curve;
+    for (let n = 0; n <= 70; n++) {
+      const logN = n / 10;
+      const strength =
+        logN >= 6
+          ? enduranceLimit
+          : logN >= 3
+            ? a * 10 ** (b * logN)
+            : ultimateStrength *
+              (lowCycleStrength / ultimateStrength) ** (logN / 3);
+      curvePoints.push({ x: logN, y: strength / pressureFactor });
+    }
+  }
+  const worstBlocks = history?.blocks
+    ? [...history.blocks]
+        .sort((a, b) => b.damage - a.damage || b.loadRange - a.loadRange)
+        .slice(0, BLOCKS_SHOWN)
+    : [];
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-4 mb-4">
+        <div>
+          <label className="block font-medium mb-1">Enter Loads As</label>
+          <select
+            value={inputMode}
+            onChange={(e) => update({ inputMode: e.target.value })}
+            className={inputClass}
+          >
+            <option value="minMax">Minimum and maximum</option>
+            <option value="meanAmplitude">Mean and amplitude</option>
+          </select>
+        </div>
+        <button
+          type="button"
+          onClick={() => fillFromLoads(false)}
+          className={buttonClass}
+        >
+          Zero to the current loads
+        </button>
+        <button
+          type="button"
+          onClick={() => fillFromLoads(true)}
+          className={buttonClass}
+        >
+          Fully reversed current loads
+        </button>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-300">
+              <th className="p-1">Load</th>
+              {columns.map(([field, label]) => (
+                <th key={field} className="p-1">
+                  {label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {LOAD_ROWS.map(([key, label, isMoment]) => (
+              <tr key={key} className="border-t border-gray-700">
+                <td className="p-1">
+                  {label} ({unitOf(isMoment)})
+                </td>
+                {columns.map(([field, columnLabel]) => (
+                  <td key={field} className="p-1">
+                    <input
+                      type="number"
+                      value={roundInput(valueOf(range[key], field))}
+                      onChange={(e) =>
+                        setLoad(key, field, Number(e.target.value))
+                      }
+                      className={cellInputClass}
+                      aria-label={`${label}, ${columnLabel.toLowerCase()}`}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+        <div>
+          <label className="block font-medium mb-1">
+            Mean-Stress Criterion
+          </label>
+          <select
+            value={criterion}
+            onChange={(e) => update({ criterion: e.target.value })}
+            className={inputClass}
+          >
+            {Object.entries(MEAN_STRESS_CRITERIA).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block font-medium mb-1">
+            Specimen Endurance Limit, S′e
+          </label>
+          <select
+            value={enduranceMode}
+            onChange={(e) => update({ enduranceMode: e.target.value })}
+            className={inputClass}
+          >
+            <option value="estimate">
+              Estimate: 0.5 f_u, ≤ 700 MPa (steel)
+            </option>
+            <option value="entered">Entered value</option>
+          </select>
+          {enduranceMode === "entered" && (
+            <input
+              type="number"
+              value={fatigue.enduranceLimit}
+              onChange={(e) =>
+                update({ enduranceLimit: Number(e.target.value) })
+              }
+              className={`${inputClass} mt-2`}
+              aria-label={`Specimen endurance limit (${pressureUnit})`}
+            />
+          )}
+        </div>
+        <div>
+          <label className="block font-medium mb-1">
+            S–N Fraction f at 10³ Cycles
+          </label>
+          <input
+            type="number"
+            step="0.01"
+            value={fraction}
+            onChange={(e) => update({ fraction: Number(e.target.value) })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block font-medium mb-1">Surface Finish, k_a</label>
+          <select
+            value={surface}
+            onChange={(e) => update({ surface: e.target.value })}
+            className={inputClass}
+          >
+            {Object.entries(SURFACE_FINISHES).map(([key, { label }]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block font-medium mb-1">
+            Effective Diameter, k_b ({sectionUnit}, 0 to ignore)
+          </label>
+          <input
+            type="number"
+            value={fatigue.diameter}
+            onChange={(e) => update({ diameter: Number(e.target.value) })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block font-medium mb-1">Loading, k_c</label>
+          <select
+            value={loading}
+            onChange={(e) => update({ loading: e.target.value })}
+            className={inputClass}
+          >
+            {Object.entries(FATIGUE_LOADINGS).map(([key, { label }]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block font-medium mb-1">Reliability, k_e</label>
+          <select
+            value={reliability}
+            onChange={(e) => update({ reliability: Number(e.target.value) })}
+            className={inputClass}
+          >
+            {RELIABILITY_FACTORS.map((r) => (
+              <option key={r.reliability} value={r.reliability}>
+                {Number((r.reliability * 100).toFixed(4))}%
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block font-medium mb-1">Temperature, k_d</label>
+          <input
+            type="number"
+            step="0.01"
+            value={temperatureFactor}
+            onChange={(e) =>
+              update({ temperatureFactor: Number(e.target.value) })
+            }
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block font-medium mb-1">Miscellaneous, k_f</label>
+          <input
+            type="number"
+            step="0.01"
+            value={miscFactor}
+            onChange={(e) => update({ miscFactor: Number(e.target.value) })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {result.error ? (
+        <p className="text-red-400 text-sm mt-4">{result.error}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+            <div
+              className={`p-4 rounded-md border ${
+                selected.factor >= targetFoS
+                  ? "bg-green-900 border-green-700"
+                  : "bg-red-900 border-red-700"
+              }`}
+            >
+              <p className="font-medium">
+                Fatigue FoS, {MEAN_STRESS_CRITERIA[criterion]}
+              </p>
+              <p>{showFactor(selected.factor)}</p>
+              <p className="text-sm text-gray-200 mt-1">
+                {selected.factor >= targetFoS ? "✔ PASS" : "✘ FAIL"} · target{" "}
+                {targetFoS}
+              </p>
+            </div>
+            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+              <h3 className="font-semibold text-blue-300">Life</h3>
+              <p>{showCycles(selected.cycles)} cycles</p>
+              <p className="text-sm text-gray-300 mt-1">
+                {REGIME_LABELS[selected.regime]}; σ_ar ={" "}
+                {showStress(selected.equivalentReversed)}
+              </p>
+            </div>
+            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+              <h3 className="font-semibold text-blue-300">
+                First-Cycle Yield (Langer)
+              </h3>
+              <p>FoS {showFactor(selected.yieldFactor)}</p>
+              <p className="text-sm text-gray-300 mt-1">
+                f_y / (σ_a + σ_m) on the von Mises stresses
+              </p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-4">
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-300">
+                    <th className="p-1">Stress</th>
+                    <th className="p-1">Min</th>
+                    <th className="p-1">Max</th>
+                    <th className="p-1">Alternating</th>
+                    <th className="p-1">Mean</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    ["Normal, σ", result.stresses.normal],
+                    ["Shear, τ", result.stresses.shear],
+                  ].map(([label, s]) => (
+                    <tr key={label} className="border-t border-gray-700">
+                      <td className="p-1">{label}</td>
+                      <td className="p-1">{showStress(s.min)}</td>
+                      <td className="p-1">{showStress(s.max)}</td>
+                      <td className="p-1">{showStress(s.alternating)}</td>
+                      <td className="p-1">{showStress(s.mean)}</td>
+                    </tr>
+                  ))}
+                  <tr className="border-t border-gray-700 font-semibold">
+                    <td className="p-1">Von Mises</td>
+                    <td className="p-1" />
+                    <td className="p-1" />
+                    <td className="p-1">
+                      {showStress(result.stresses.alternating)}
+                    </td>
+                    <td className="p-1">{showStress(result.stresses.mean)}</td>
+                  </tr>
+                </tbody>
+              </table>
+              <table className="w-full text-sm mt-4">
+                <thead>
+                  <tr className="text-left text-gray-300">
+                    <th className="p-1">Criterion</th>
+                    <th className="p-1">FoS</th>
+                    <th className="p-1">σ_ar</th>
+                    <th className="p-1">Cycles</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.criteria.map((c) => (
+                    <tr
+                      key={c.key}
+                      className={`border-t border-gray-700 ${
+                        c.key === criterion
+                          ? "font-semibold text-amber-300"
+                          : ""
+                      }`}
+                    >
+                      <td className="p-1">{MEAN_STRESS_CRITERIA[c.key]}</td>
+                      <td className="p-1">{showFactor(c.factor)}</td>
+                      <td className="p-1">
+                        {showStress(c.equivalentReversed)}
+                      </td>
+                      <td className="p-1">{showCycles(c.cycles)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-300">
+                    <th className="p-1">Marin Factor</th>
+                    <th className="p-1">Value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    ["Surface, k_a", result.marin.surface],
+                    ["Size, k_b", result.marin.size],
+                    ["Load, k_c", result.marin.load],
+                    ["Temperature, k_d", result.marin.temperature],
+                    ["Reliability, k_e", result.marin.reliability],
+                    ["Miscellaneous, k_f", result.marin.miscellaneous],
+                  ].map(([label, value]) => (
+                    <tr key={label} className="border-t border-gray-700">
+                      <td className="p-1">{label}</td>
+                      <td className="p-1">{value.toFixed(3)}</td>
+                    </tr>
+                  ))}
+                  <tr className="border-t border-gray-700 font-semibold">
+                    <td className="p-1">
+                      S_e = {result.marin.product.toFixed(3)} ×{" "}
+                      {showStress(result.specimen)}
+                    </td>
+                    <td className="p-1">
+                      {showStress(result.strengths.enduranceLimit)}
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="mt-4">
+            <LineChart
+              title="S–N Curve"
+              points={curvePoints}
+              xUnit="log₁₀ N"
+              yUnit={pressureUnit}
+              color="#f472b6"
+              markerX={
+                Number.isFinite(selected.cycles)
+                  ? Math.log10(selected.cycles)
+                  : undefined
+              }
+            />
+          </div>
+        </>
+      )}
+      <p className="text-gray-400 text-sm mt-2">
+        Stress-life method: the von Mises alternating and mean stresses at the
+        analysis point are corrected for the mean stress, and the S–N line runs
+        from f·f_u at 10³ cycles to S_e at 10⁶. Without an endurance limit
+        (aluminium, most non-ferrous metals) enter the fatigue strength at the
+        design life instead. A compressive mean stress earns no credit, and
+        stress concentrations are not applied.
+      </p>
+
+      <h3 className="font-semibold text-blue-300 mt-6 mb-2">
+        Load History (Rainflow Counting)
+      </h3>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block font-medium mb-1">Varying Load</label>
+          <select
+            value={historyKey}
+            onChange={(e) => update({ historyKey: e.target.value })}
+            className={inputClass}
+          >
+            {LOAD_ROWS.map(([key, label, isMoment]) => (
+              <option key={key} value={key}>
+                {label} ({unitOf(isMoment)})
+              </option>
+            ))}
+          </select>
+          <label className={`${buttonClass} cursor-pointer inline-block mt-2`}>
+            Open CSV…
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt,text/csv"
+              className="hidden"
+              onChange={async (e) => {
+                const file = e.target.files[0];
+                e.target.value = "";
+                if (!file) return;
+                update({ historyText: await file.text() });
+              }}
+            />
+          </label>
+        </div>
+        <div className="md:col-span-2">
+          <label className="block font-medium mb-1">Values</label>
+          <textarea
+            value={historyText}
+            onChange={(e) => update({ historyText: e.target.value })}
+            rows={4}
+            placeholder="0, 50, -20, 80, 10, 60, -40, 0"
+            className={`${inputClass} font-mono text-sm`}
+          />
+        </div>
+      </div>
+      <p className="text-gray-400 text-sm mt-2">
+        One row of values, or one value per line; from a file with several
+        columns, such as time and load, the last number on each line is read.
+        The other loads stay at their mean values from the table above.
+      </p>
+      {history?.error && (
+        <p className="text-red-400 text-sm mt-2">{history.error}</p>
+      )}
+      {history?.blocks && (
+        <div className="mt-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+              <h3 className="font-semibold text-blue-300">Counted Cycles</h3>
+              <p>
+                {formatValue(
+                  history.blocks.reduce((sum, b) => sum + b.count, 0),
+                )}{" "}
+                from {history.count} values
+              </p>
+            </div>
+            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+              <h3 className="font-semibold text-blue-300">
+                Miner Damage per Pass
+              </h3>
+              <p>{formatValue(history.damage)}</p>
+            </div>
+            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+              <h3 className="font-semibold text-blue-300">Passes to Failure</h3>
+              <p>{showCycles(history.repetitions)}</p>
+            </div>
+          </div>
+          <div className="overflow-x-auto mt-4">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-300">
+                  <th className="p-1">Load Range</th>
+                  <th className="p-1">Load Mean</th>
+                  <th className="p-1">Count</th>
+                  <th className="p-1">σ_a</th>
+                  <th className="p-1">σ_m</th>
+                  <th className="p-1">σ_ar</th>
+                  <th className="p-1">Cycles to Failure</th>
+                  <th className="p-1">Damage</th>
+                </tr>
+              </thead>
+              <tbody>
+                {worstBlocks.map((b, i) => (
+                  <tr key={i} className="border-t border-gray-700">
+                    <td className="p-1">
+                      {formatValue(b.loadRange / historyFactor)}
+                    </td>
+                    <td className="p-1">
+                      {formatValue(b.loadMean / historyFactor)}
+                    </td>
+                    <td className="p-1">{b.count}</td>
+                    <td className="p-1">{showStress(b.alternating)}</td>
+                    <td className="p-1">{showStress(b.mean)}</td>
+                    <td className="p-1">{showStress(b.equivalentReversed)}</td>
+                    <td className="p-1">{showCycles(b.life)}</td>
+                    <td className="p-1">{formatValue(b.damage)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {history.blocks.length > BLOCKS_SHOWN && (
+            <p className="text-gray-400 text-sm mt-2">
+              The {BLOCKS_SHOWN} most damaging of {history.blocks.length}{" "}
+              counted cycles are listed.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
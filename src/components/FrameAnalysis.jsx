@@ -0,0 +1,852 @@
+import React, { useMemo, useState } from "react";
+import {
+  computeSectionProperties,
+  solveFrame,
+  sampleMember,
+  memberForcesAt,
+  extremes,
+  extremeNormalStresses,
+  stressDistribution,
+  strengthCheck,
+  shearYieldStrength,
+  FRAME_SUPPORT_TYPES,
+} from "../engine";
+import { formatValue } from "../utils/format";
+import { roundInput } from "../utils/units";
+import LineChart from "./LineChart";
+import StressCard from "./StressCard";
+import StressDistribution from "./StressDistribution";
+
+// Plane frames and trusses: nodes with supports and nodal loads, members
+// with a section and a uniform load, solved by the stiffness method of
+// ../engine/frame.js. Nodes and loads are held in display units; the
+// sections are SI copies of the cross-section entered above, and every
+// member uses the selected material. Clicking a member shows its N, V and M
+// diagrams and runs the stress calculations on its section at the chosen
+// station.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+const cellInputClass =
+  "w-full p-1 bg-gray-700 border border-gray-600 rounded-md";
+const buttonClass = "px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md";
+
+const SUPPORT_LABELS = {
+  free: "Free",
+  pinned: "Pinned",
+  roller: "Roller (vertical reaction)",
+  fixed: "Fixed",
+};
+
+const WIDTH = 600;
+const HEIGHT = 360;
+const PAD = 48;
+
+const nextId = (items) => Math.max(0, ...items.map((item) => item.id)) + 1;
+
+// Support symbol under a node at (x, y), in SVG coordinates
+function SupportGlyph({ support, x, y }) {
+  if (support === "fixed") {
+    return (
+      <g stroke="#9ca3af" strokeWidth="2">
+        <line x1={x - 14} x2={x + 14} y1={y + 2} y2={y + 2} />
+        {[-12, -4, 4, 12].map((dx) => (
+          <line key={dx} x1={x + dx} x2={x + dx - 6} y1={y + 2} y2={y + 10} />
+        ))}
+      </g>
+    );
+  }
+  if (support === "free") return null;
+  return (
+    <g stroke="#9ca3af" strokeWidth="2" fill="none">
+      <path d={`M ${x} ${y} L ${x - 10} ${y + 14} L ${x + 10} ${y + 14} Z`} />
+      {support === "roller" && (
+        <line x1={x - 12} x2={x + 12} y1={y + 19} y2={y + 19} />
+      )}
+    </g>
+  );
+}
+
+// The frame to scale with its supports, the deflected shape and clickable
+// members. Coordinates are in display units.
+function FrameDrawing({
+  nodes,
+  members,
+  solution,
+  distanceFactor,
+  selected,
+  onSelect,
+}) {
+  if (nodes.length === 0) return null;
+  const xs = nodes.map((n) => n.x);
+  const ys = nodes.map((n) => n.y);
+  const xMin = Math.min(...xs);
+  const yMin = Math.min(...ys);
+  const spanX = Math.max(...xs) - xMin;
+  const spanY = Math.max(...ys) - yMin;
+  const scale =
+    Math.min(
+      (WIDTH - 2 * PAD) / (spanX || 1),
+      (HEIGHT - 2 * PAD) / (spanY || 1),
+    ) || 1;
+  const offsetX = (WIDTH - spanX * scale) / 2;
+  const offsetY = (HEIGHT - spanY * scale) / 2;
+  const sx = (x) => offsetX + (x - xMin) * scale;
+  const sy = (y) => HEIGHT - offsetY - (y - yMin) * scale;
+  const nodeById = new Map(nodes.map((n) => [n.id, n]));
+
+  // Deflected shape, magnified so the largest movement is a tenth of the
+  // larger extent of the frame
+  let deflected = [];
+  if (solution) {
+    const shapes = solution.members.map((m) => {
+      const start = nodeById.get(m.start);
+      const [u1, , , u2] = m.displacements;
+      return sampleMember(m, 20).map((s) => {
+        const u = u1 + ((u2 - u1) * s.x) / m.length;
+        return {
+          x: start.x + (s.x * m.cos) / distanceFactor,
+          y: start.y + (s.x * m.sin) / distanceFactor,
+          dx: (u * m.cos - s.deflection * m.sin) / distanceFactor,
+          dy: (u * m.sin + s.deflection * m.cos) / distanceFactor,
+        };
+      });
+    });
+    const largest = Math.max(
+      ...shapes.flat().map((p) => Math.hypot(p.dx, p.dy)),
+    );
+    if (largest > 0) {
+      const magnify = (0.1 * Math.max(spanX, spanY)) / largest;
+      deflected = shapes.map((points) =>
+        points
+          .map(
+            (p, i) =>
+              `${i ? "L" : "M"} ${sx(p.x + magnify * p.dx)} ${sy(p.y + magnify * p.dy)}`,
+          )
+          .join(" "),
+      );
+    }
+  }
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto select-none bg-gray-900 rounded-md"
+    >
+      {deflected.map((d, i) => (
+        <path
+          key={i}
+          d={d}
+          fill="none"
+          stroke="#34d399"
+          strokeDasharray="6 4"
+          strokeWidth="1.5"
+        />
+      ))}
+      {members.map((m) => {
+        const a = nodeById.get(m.start);
+        const b = nodeById.get(m.end);
+        if (!a || !b) return null;
+        const isSelected = m.id === selected;
+        return (
+          <g
+            key={m.id}
+            onClick={() => onSelect(m.id)}
+            className="cursor-pointer"
+          >
+            <line
+              x1={sx(a.x)}
+              y1={sy(a.y)}
+              x2={sx(b.x)}
+              y2={sy(b.y)}
+              stroke="transparent"
+              strokeWidth="14"
+            />
+            <line
+              x1={sx(a.x)}
+              y1={sy(a.y)}
+              x2={sx(b.x)}
+              y2={sy(b.y)}
+              stroke={isSelected ? "#fbbf24" : "#60a5fa"}
+              strokeWidth={isSelected ? 4 : 3}
+              strokeDasharray={m.truss ? "10 4" : undefined}
+            />
+            <text
+              x={(sx(a.x) + sx(b.x)) / 2 + 6}
+              y={(sy(a.y) + sy(b.y)) / 2 - 6}
+              fontSize="12"
+              fill={isSelected ? "#fbbf24" : "#93c5fd"}
+            >
+              M{m.id}
+            </text>
+          </g>
+        );
+      })}
+      {nodes.map((n) => (
+        <g key={n.id}>
+          <SupportGlyph support={n.support} x={sx(n.x)} y={sy(n.y)} />
+          <circle cx={sx(n.x)} cy={sy(n.y)} r="4" fill="#e5e7eb" />
+          <text x={sx(n.x) - 8} y={sy(n.y) - 8} fontSize="12" fill="#e5e7eb">
+            {n.id}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+export default function FrameAnalysis({
+  nodes,
+  setNodes,
+  members,
+  setMembers,
+  sections,
+  setSections,
+  currentSection,
+  currentSectionName,
+  material,
+  targetFoS,
+  forceFactor,
+  distanceFactor,
+  sectionFactor,
+  pressureFactor,
+  forceUnit,
+  distanceUnit,
+  sectionUnit,
+  pressureUnit,
+  showForce,
+  showMoment,
+  showDistance,
+  showSection,
+  showStress,
+  onUseForces,
+}) {
+  const [selected, setSelected] = useState(null);
+  // Station along the selected member (distance unit), null for the peak
+  // moment
+  const [station, setStation] = useState(null);
+
+  const sectionProps = useMemo(
+    () =>
+      new Map(sections.map((s) => [s.id, computeSectionProperties(s.section)])),
+    [sections],
+  );
+
+  const result = useMemo(() => {
+    try {
+      const solution = solveFrame({
+        nodes: nodes.map((n) => ({
+          ...n,
+          x: n.x * distanceFactor,
+          y: n.y * distanceFactor,
+          fx: n.fx * forceFactor,
+          fy: n.fy * forceFactor,
+          moment: n.moment * forceFactor * distanceFactor,
+        })),
+        members: members.map((m) => {
+          const props = sectionProps.get(m.sectionId);
+          if (!props) {
+            throw new Error(`Member ${m.id} has no section.`);
+          }
+          return {
+            ...m,
+            EA: material.E * props.area,
+            EI: material.E * props.inertia,
+            load: (m.load * forceFactor) / distanceFactor,
+          };
+        }),
+      });
+      return { solution };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [nodes, members, sectionProps, material, forceFactor, distanceFactor]);
+
+  const updateNode = (id, changes) =>
+    setNodes(nodes.map((n) => (n.id === id ? { ...n, ...changes } : n)));
+  const updateMember = (id, changes) =>
+    setMembers(members.map((m) => (m.id === id ? { ...m, ...changes } : m)));
+  const updateSection = (id, changes) =>
+    setSections(sections.map((s) => (s.id === id ? { ...s, ...changes } : s)));
+
+  // The selected member, its diagrams and the loads at the station, which
+  // defaults to the peak bending moment
+  const selection = useMemo(() => {
+    const member =
+      result.solution?.members.find((m) => m.id === selected) ?? null;
+    if (!member) return null;
+    const samples = sampleMember(member, 100);
+    const peak = extremes(samples, "moment");
+    const x =
+      station === null
+        ? Math.abs(peak.max) >= Math.abs(peak.min)
+          ? peak.xMax
+          : peak.xMin
+        : Math.min(Math.max(station * distanceFactor, 0), member.length);
+    const forces = memberForcesAt(member, x);
+    const { name, section } = sections.find((s) => s.id === member.sectionId);
+    const loads = {
+      force: forces.axial,
+      moment: forces.moment,
+      momentY: 0,
+      torque: 0,
+      shearForce: forces.shear,
+    };
+    const profile = stressDistribution(section, loads);
+    const extremesOf = extremeNormalStresses(section, loads);
+    const normal = [extremesOf.tension, extremesOf.compression].reduce(
+      (a, b) => (Math.abs(b.stress) > Math.abs(a.stress) ? b : a),
+    );
+    const shear = profile.reduce((a, b) =>
+      Math.abs(b.transverse) > Math.abs(a.transverse) ? b : a,
+    );
+    return {
+      member,
+      samples,
+      x,
+      forces,
+      name,
+      profile,
+      axial: forces.axial / computeSectionProperties(section).area,
+      normal,
+      shear,
+    };
+  }, [result, selected, station, sections, distanceFactor]);
+
+  const series = (key, factor) =>
+    selection.samples.map((s) => ({
+      x: s.x / distanceFactor,
+      y: s[key] / factor,
+    }));
+  const sectionInUse = (id) => members.some((m) => m.sectionId === id);
+  const nodeInUse = (id) => members.some((m) => m.start === id || m.end === id);
+
+  return (
+    <div>
+      <FrameDrawing
+        nodes={nodes}
+        members={members}
+        solution={result.solution}
+        distanceFactor={distanceFactor}
+        selected={selected}
+        onSelect={(id) => {
+          setSelected(id);
+          setStation(null);
+        }}
+      />
+      <p className="text-gray-400 text-sm mt-2">
+        Click a member to see its diagrams and stresses. Dashed members are
+        truss members; the green dashed line is the deflected shape, magnified.
+      </p>
+
+      {/* Nodes */}
+      <h3 className="font-semibold text-blue-300 mt-6 mb-2">Nodes</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-300">
+              <th className="p-1">Node</th>
+              <th className="p-1">x ({distanceUnit})</th>
+              <th className="p-1">y ({distanceUnit})</th>
+              <th className="p-1">Support</th>
+              <th className="p-1">F_x ({forceUnit})</th>
+              <th className="p-1">F_y ({forceUnit})</th>
+              <th className="p-1">
+                M ({forceUnit}·{distanceUnit}, ccw)
+              </th>
+              <th className="p-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {nodes.map((n) => (
+              <tr key={n.id} className="border-t border-gray-700">
+                <td className="p-1">{n.id}</td>
+                {["x", "y"].map((key) => (
+                  <td key={key} className="p-1">
+                    <input
+                      type="number"
+                      value={n[key]}
+                      onChange={(e) =>
+                        updateNode(n.id, { [key]: Number(e.target.value) })
+                      }
+                      className={cellInputClass}
+                    />
+                  </td>
+                ))}
+                <td className="p-1">
+                  <select
+                    value={n.support}
+                    onChange={(e) =>
+                      updateNode(n.id, { support: e.target.value })
+                    }
+                    className={cellInputClass}
+                  >
+                    {FRAME_SUPPORT_TYPES.map((type) => (
+                      <option key={type} value={type}>
+                        {SUPPORT_LABELS[type]}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                {["fx", "fy", "moment"].map((key) => (
+                  <td key={key} className="p-1">
+                    <input
+                      type="number"
+                      value={n[key]}
+                      onChange={(e) =>
+                        updateNode(n.id, { [key]: Number(e.target.value) })
+                      }
+                      className={cellInputClass}
+                    />
+                  </td>
+                ))}
+                <td className="p-1">
+                  <button
+                    onClick={() => setNodes(nodes.filter((o) => o.id !== n.id))}
+                    disabled={nodeInUse(n.id)}
+                    className="px-3 py-1 bg-red-900 hover:bg-red-800 rounded-md disabled:opacity-40"
+                    title={
+                      nodeInUse(n.id)
+                        ? "Remove the members at this node first"
+                        : "Remove node"
+                    }
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <button
+        onClick={() =>
+          setNodes([
+            ...nodes,
+            {
+              id: nextId(nodes),
+              x: 0,
+              y: 0,
+              support: "free",
+              fx: 0,
+              fy: 0,
+              moment: 0,
+            },
+          ])
+        }
+        className={`${buttonClass} mt-2 text-sm`}
+      >
+        + Node
+      </button>
+
+      {/* Members */}
+      <h3 className="font-semibold text-blue-300 mt-6 mb-2">Members</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-300">
+              <th className="p-1">Member</th>
+              <th className="p-1">Start</th>
+              <th className="p-1">End</th>
+              <th className="p-1">Section</th>
+              <th className="p-1">Type</th>
+              <th className="p-1">
+                Uniform Load ({forceUnit}/{distanceUnit}, + down)
+              </th>
+              <th className="p-1">Load Acts</th>
+              <th className="p-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {members.map((m) => (
+              <tr key={m.id} className="border-t border-gray-700">
+                <td className="p-1">{m.id}</td>
+                {["start", "end"].map((key) => (
+                  <td key={key} className="p-1">
+                    <select
+                      value={m[key]}
+                      onChange={(e) =>
+                        updateMember(m.id, { [key]: Number(e.target.value) })
+                      }
+                      className={cellInputClass}
+                    >
+                      {nodes.map((n) => (
+                        <option key={n.id} value={n.id}>
+                          {n.id}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                ))}
+                <td className="p-1">
+                  <select
+                    value={m.sectionId}
+                    onChange={(e) =>
+                      updateMember(m.id, { sectionId: Number(e.target.value) })
+                    }
+                    className={cellInputClass}
+                  >
+                    {sections.map((s) => (
+                      <option key={s.id} value={s.id}>
+                        {s.name}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td className="p-1">
+                  <select
+                    value={m.truss ? "truss" : "frame"}
+                    onChange={(e) =>
+                      updateMember(m.id, { truss: e.target.value === "truss" })
+                    }
+                    className={cellInputClass}
+                  >
+                    <option value="frame">Frame (rigid ends)</option>
+                    <option value="truss">Truss (pinned ends)</option>
+                  </select>
+                </td>
+                <td className="p-1">
+                  <input
+                    type="number"
+                    value={m.load}
+                    onChange={(e) =>
+                      updateMember(m.id, { load: Number(e.target.value) })
+                    }
+                    className={cellInputClass}
+                  />
+                </td>
+                <td className="p-1">
+                  <select
+                    value={m.loadAxes}
+                    onChange={(e) =>
+                      updateMember(m.id, { loadAxes: e.target.value })
+                    }
+                    className={cellInputClass}
+                  >
+                    <option value="global">Vertically</option>
+                    <option value="local">Across the member</option>
+                  </select>
+                </td>
+                <td className="p-1">
+                  <button
+                    onClick={() => {
+                      setMembers(members.filter((o) => o.id !== m.id));
+                      if (selected === m.id) setSelected(null);
+                    }}
+                    className="px-3 py-1 bg-red-900 hover:bg-red-800 rounded-md"
+                    title="Remove member"
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <button
+        onClick={() =>
+          setMembers([
+            ...members,
+            {
+              id: nextId(members),
+              start: nodes[0]?.id ?? 1,
+              end: nodes[1]?.id ?? 2,
+              sectionId: sections[0]?.id ?? 1,
+              truss: false,
+              load: 0,
+              loadAxes: "global",
+            },
+          ])
+        }
+        disabled={nodes.length < 2 || sections.length === 0}
+        className={`${buttonClass} mt-2 text-sm disabled:opacity-40`}
+      >
+        + Member
+      </button>
+
+      {/* Sections */}
+      <h3 className="font-semibold text-blue-300 mt-6 mb-2">Member Sections</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-300">
+              <th className="p-1">Name</th>
+              <th className="p-1">Area</th>
+              <th className="p-1">I_z</th>
+              <th className="p-1">Depth</th>
+              <th className="p-1" />
+            </tr>
+          </thead>
+          <tbody>
+            {sections.map((s) => {
+              const props = sectionProps.get(s.id);
+              return (
+                <tr key={s.id} className="border-t border-gray-700">
+                  <td className="p-1">
+                    <input
+                      type="text"
+                      value={s.name}
+                      onChange={(e) =>
+                        updateSection(s.id, { name: e.target.value })
+                      }
+                      className={cellInputClass}
+                    />
+                  </td>
+                  <td className="p-1">{showSection(props.area, 2)}</td>
+                  <td className="p-1">{showSection(props.inertia, 4)}</td>
+                  <td className="p-1">
+                    {showSection(props.yTop + props.yBottom)}
+                  </td>
+                  <td className="p-1">
+                    <button
+                      onClick={() =>
+                        setSections(sections.filter((o) => o.id !== s.id))
+                      }
+                      disabled={sectionInUse(s.id)}
+                      className="px-3 py-1 bg-red-900 hover:bg-red-800 rounded-md disabled:opacity-40"
+                      title={
+                        sectionInUse(s.id)
+                          ? "Members use this section"
+                          : "Remove section"
+                      }
+                    >
+                      ✕
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <button
+        onClick={() =>
+          setSections([
+            ...sections,
+            {
+              id: nextId(sections),
+              name: currentSectionName,
+              section: currentSection,
+            },
+          ])
+        }
+        disabled={!currentSection}
+        className={`${buttonClass} mt-2 text-sm disabled:opacity-40`}
+      >
+        + Current cross-section
+      </button>
+      <p className="text-gray-400 text-sm mt-2">
+        Sections are copied from the cross-section entered above; every member
+        uses {material.name} (E = {showStress(material.E)}).
+      </p>
+
+      {/* Results */}
+      {result.error ? (
+        <p className="text-red-400 text-sm mt-4">{result.error}</p>
+      ) : (
+        <div className="mt-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <h3 className="font-semibold text-blue-300 mb-2">
+              Displacements and Reactions
+            </h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-300">
+                  <th className="p-1">Node</th>
+                  <th className="p-1">u_x</th>
+                  <th className="p-1">u_y</th>
+                  <th className="p-1">θ (rad)</th>
+                  <th className="p-1">R_x</th>
+                  <th className="p-1">R_y</th>
+                  <th className="p-1">M_R</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.solution.displacements.map((d) => {
+                  const r = result.solution.reactions.find(
+                    (o) => o.id === d.id,
+                  );
+                  return (
+                    <tr key={d.id} className="border-t border-gray-700">
+                      <td className="p-1">{d.id}</td>
+                      <td className="p-1">{showDistance(d.ux)}</td>
+                      <td className="p-1">{showDistance(d.uy)}</td>
+                      <td className="p-1">{formatValue(d.rotation)}</td>
+                      <td className="p-1">{r ? showForce(r.fx) : "—"}</td>
+                      <td className="p-1">{r ? showForce(r.fy) : "—"}</td>
+                      <td className="p-1">{r ? showMoment(r.moment) : "—"}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div>
+            <h3 className="font-semibold text-blue-300 mb-2">
+              Member-End Forces
+            </h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-300">
+                  <th className="p-1">Member</th>
+                  <th className="p-1">End</th>
+                  <th className="p-1">N (+ tension)</th>
+                  <th className="p-1">V</th>
+                  <th className="p-1">M (+ sagging)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.solution.members.flatMap((m) =>
+                  ["start", "end"].map((end) => (
+                    <tr
+                      key={`${m.id}-${end}`}
+                      onClick={() => {
+                        setSelected(m.id);
+                        setStation(null);
+                      }}
+                      className={`border-t border-gray-700 cursor-pointer ${
+                        m.id === selected ? "text-amber-300" : ""
+                      }`}
+                    >
+                      <td className="p-1">{end === "start" && m.id}</td>
+                      <td className="p-1">
+                        {end === "start" ? `Node ${m.start}` : `Node ${m.end}`}
+                      </td>
+                      <td className="p-1">{showForce(m.forces[end].axial)}</td>
+                      <td className="p-1">{showForce(m.forces[end].shear)}</td>
+                      <td className="p-1">
+                        {showMoment(m.forces[end].moment)}
+                      </td>
+                    </tr>
+                  )),
+                )}
+              </tbody>
+            </table>
+            <p className="text-gray-400 text-sm mt-2">
+              Member forces are in local axes, looking from the start node to
+              the end node.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Selected member */}
+      {selection && (
+        <div className="mt-6">
+          <h3 className="font-semibold text-blue-300 mb-2">
+            Member {selection.member.id}: {selection.name},{" "}
+            {showDistance(selection.member.length)} long
+          </h3>
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            <LineChart
+              title="Axial Force, N(x)"
+              points={series("axial", forceFactor)}
+              xUnit={distanceUnit}
+              yUnit={forceUnit}
+              color="#9ca3af"
+              markerX={selection.x / distanceFactor}
+              onSelectX={setStation}
+            />
+            <LineChart
+              title="Shear Force, V(x)"
+              points={series("shear", forceFactor)}
+              xUnit={distanceUnit}
+              yUnit={forceUnit}
+              color="#60a5fa"
+              markerX={selection.x / distanceFactor}
+              onSelectX={setStation}
+            />
+            <LineChart
+              title="Bending Moment, M(x)"
+              points={series("moment", forceFactor * distanceFactor)}
+              xUnit={distanceUnit}
+              yUnit={`${forceUnit}·${distanceUnit}`}
+              color="#f472b6"
+              markerX={selection.x / distanceFactor}
+              onSelectX={setStation}
+            />
+          </div>
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block font-medium mb-1">
+                Station from node {selection.member.start} ({distanceUnit})
+              </label>
+              <input
+                type="number"
+                value={roundInput(selection.x / distanceFactor)}
+                onChange={(e) => setStation(Number(e.target.value))}
+                className={inputClass}
+              />
+            </div>
+            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+              <p className="font-medium">N</p>
+              <p>{showForce(selection.forces.axial)}</p>
+            </div>
+            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+              <p className="font-medium">V</p>
+              <p>{showForce(selection.forces.shear)}</p>
+            </div>
+            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+              <p className="font-medium">M</p>
+              <p>{showMoment(selection.forces.moment)}</p>
+            </div>
+          </div>
+          <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+            <StressCard
+              label="Axial Stress, N/A:"
+              value={selection.axial}
+              pressureFactor={pressureFactor}
+              pressureUnit={pressureUnit}
+              check={strengthCheck(
+                selection.axial,
+                material.yieldStrength,
+                targetFoS,
+              )}
+            />
+            <StressCard
+              label={`Peak Normal Stress, axial + bending (at y = ${showSection(selection.normal.y)}):`}
+              value={selection.normal.stress}
+              pressureFactor={pressureFactor}
+              pressureUnit={pressureUnit}
+              check={strengthCheck(
+                selection.normal.stress,
+                material.yieldStrength,
+                targetFoS,
+              )}
+            />
+            <StressCard
+              label={`Peak Transverse Shear, VQ/(It) (at y = ${showSection(selection.shear.y)}):`}
+              value={selection.shear.transverse}
+              pressureFactor={pressureFactor}
+              pressureUnit={pressureUnit}
+              check={strengthCheck(
+                selection.shear.transverse,
+                shearYieldStrength(material),
+                targetFoS,
+              )}
+            />
+          </div>
+          <div className="mt-4">
+            <StressDistribution
+              samples={selection.profile}
+              distanceFactor={sectionFactor}
+              pressureFactor={pressureFactor}
+              distanceUnit={sectionUnit}
+              pressureUnit={pressureUnit}
+            />
+          </div>
+          <button
+            onClick={() => onUseForces(selection.forces)}
+            className={`${buttonClass} mt-4`}
+          >
+            Use these forces as the global loads
+          </button>
+          <p className="text-gray-400 text-sm mt-2">
+            Sets the axial force, moment and shear above, entered manually, for
+            the full stress analysis of the cross-section.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import React from "react";
+
+// Validation messages: errors that block the results in red, warnings about
+// doubtful assumptions in amber. Renders nothing when there are no issues.
+export default function InputIssues({ issues, title }) {
+  const errors = issues.filter((i) => i.severity === "error");
+  const warnings = issues.filter((i) => i.severity === "warning");
+  return (
+    <>
+      {errors.length > 0 && (
+        <div className="mt-4 p-4 bg-red-900 border border-red-700 rounded-md">
+          <h3 className="font-semibold text-red-200">
+            {title ?? "Results are withheld until these inputs are fixed"}
+          </h3>
+          <ul className="mt-1 list-disc list-inside text-sm">
+            {errors.map((i) => (
+              <li key={`${i.field}:${i.message}`}>{i.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {warnings.length > 0 && (
+        <div className="mt-4 p-4 bg-amber-900 border border-amber-700 rounded-md">
+          <h3 className="font-semibold text-amber-200">
+            Check the assumptions
+          </h3>
+          <ul className="mt-1 list-disc list-inside text-sm">
+            {warnings.map((i) => (
+              <li key={`${i.field}:${i.message}`}>{i.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+}
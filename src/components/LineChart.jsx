@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+import { formatValue } from "../utils/format";
+
+// Minimal SVG line chart with a shaded area to the zero line, max/min
+// markers, an optional marker line at `markerX` and a hover readout. `points` are { x, y } in display units.
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PAD = { left: 64, right: 16, top: 16, bottom: 32 };
+
+export default function LineChart({
+  title,
+  points,
+  xUnit,
+  yUnit,
+  color = "#60a5fa",
+  markerX,
+  onSelectX,
+}) {
+  const [hover, setHover] = useState(null);
+
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const xMin = Math.min(...xs);
+  const xMax = Math.max(...xs);
+  let yMin = Math.min(0, ...ys);
+  let yMax = Math.max(0, ...ys);
+  if (yMax - yMin < 1e-12 * Math.max(1, Math.abs(yMax))) {
+    yMax += 1;
+    yMin -= 1;
+  }
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const sx = (x) => PAD.left + ((x - xMin) / (xMax - xMin || 1)) * plotW;
+  const sy = (y) => PAD.top + ((yMax - y) / (yMax - yMin)) * plotH;
+
+  const line = points
+    .map(
+      (p, i) => `${i ? "L" : "M"}${sx(p.x).toFixed(2)},${sy(p.y).toFixed(2)}`,
+    )
+    .join(" ");
+  const area = `${line} L${sx(xMax)},${sy(0)} L${sx(xMin)},${sy(0)} Z`;
+
+  let maxPoint = points[0],
+    minPoint = points[0];
+  for (const p of points) {
+    if (p.y > maxPoint.y) maxPoint = p;
+    if (p.y < minPoint.y) minPoint = p;
+  }
+
+  const nearest = (svgX) => {
+    const x = xMin + ((svgX - PAD.left) / plotW) * (xMax - xMin);
+    let best = points[0];
+    for (const p of points) {
+      if (Math.abs(p.x - x) < Math.abs(best.x - x)) best = p;
+    }
+    return best;
+  };
+  const toSvgX = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return ((e.clientX - rect.left) / rect.width) * WIDTH;
+  };
+
+  return (
+    <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+      <div className="flex justify-between items-baseline mb-2">
+        <h3 className="font-semibold text-blue-300">{title}</h3>
+        <p className="text-sm text-gray-300">
+          max {formatValue(maxPoint.y)} {yUnit} at x = {formatValue(maxPoint.x)}{" "}
+          {xUnit}; min {formatValue(minPoint.y)} {yUnit} at x ={" "}
+          {formatValue(minPoint.x)} {xUnit}
+        </p>
+      </div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto select-none"
+        onMouseMove={(e) => setHover(nearest(toSvgX(e)))}
+        onMouseLeave={() => setHover(null)}
+        onClick={(e) => onSelectX && onSelectX(nearest(toSvgX(e)).x)}
+      >
+        <rect
+          x={PAD.left}
+          y={PAD.top}
+          width={plotW}
+          height={plotH}
+          fill="#111827"
+        />
+        <line
+          x1={PAD.left}
+          x2={PAD.left + plotW}
+          y1={sy(0)}
+          y2={sy(0)}
+          stroke="#6b7280"
+        />
+        <path d={area} fill={color} fillOpacity="0.2" />
+        <path d={line} fill="none" stroke={color} strokeWidth="2" />
+        {markerX !== undefined && markerX >= xMin && markerX <= xMax && (
+          <line
+            x1={sx(markerX)}
+            x2={sx(markerX)}
+            y1={PAD.top}
+            y2={PAD.top + plotH}
+            stroke="#e5e7eb"
+            strokeOpacity="0.6"
+          />
+        )}
+        <circle cx={sx(maxPoint.x)} cy={sy(maxPoint.y)} r="4" fill="#f87171" />
+        <circle cx={sx(minPoint.x)} cy={sy(minPoint.y)} r="4" fill="#34d399" />
+        <text
+          x={PAD.left - 6}
+          y={sy(yMax) + 4}
+          textAnchor="end"
+          fontSize="11"
+          fill="#d1d5db"
+        >
+          {formatValue(yMax)}
+        </text>
+        <text
+          x={PAD.left - 6}
+          y={sy(yMin) + 4}
+          textAnchor="end"
+          fontSize="11"
+          fill="#d1d5db"
+        >
+          {formatValue(yMin)}
+        </text>
+        <text x={PAD.left} y={HEIGHT - 10} fontSize="11" fill="#d1d5db">
+          {formatValue(xMin)} {xUnit}
+        </text>
+        <text
+          x={PAD.left + plotW}
+          y={HEIGHT - 10}
+          textAnchor="end"
+          fontSize="11"
+          fill="#d1d5db"
+        >
+          {formatValue(xMax)} {xUnit}
+        </text>
+        {hover && (
+          <g pointerEvents="none">
+            <line
+              x1={sx(hover.x)}
+              x2={sx(hover.x)}
+              y1={PAD.top}
+              y2={PAD.top + plotH}
+              stroke="#fbbf24"
+              strokeDasharray="4 3"
+            />
+            <circle cx={sx(hover.x)} cy={sy(hover.y)} r="4" fill="#fbbf24" />
+            <text
+              x={Math.min(sx(hover.x) + 6, WIDTH - 150)}
+              y={PAD.top + 14}
+              fontSize="12"
+              fill="#fbbf24"
+            >
+              x = {formatValue(hover.x)} {xUnit}: {formatValue(hover.y)} {yUnit}
+            </text>
+          </g>
+        )}
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,471 @@
+import React, { useMemo, useState } from "react";
+import {
+  LOAD_CATEGORIES,
+  COMBINATION_PRESETS,
+  combineLoadCases,
+  loadEnvelope,
+  stressesAt,
+  extremeNormalStresses,
+  planeStressState,
+  strengthCheck,
+} from "../engine";
+import { formatValue } from "../utils/format";
+
+// Named load cases (dead, live, wind, snow) combined with factors per
+// category, the stresses at the analysis point for every combination and
+// the envelope showing which combination governs each stress. Load cases
+// hold section forces in the display units; `section` is null while the
+// inputs have errors.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+const cellInputClass = "w-24 p-1 bg-gray-700 border border-gray-600 rounded-md";
+const buttonClass = "px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md";
+
+const CATEGORY_LABELS = {
+  dead: "Dead (G / D)",
+  live: "Live (Q / L)",
+  wind: "Wind (W)",
+  snow: "Snow (S)",
+};
+
+const LOAD_FIELDS = [
+  ["force", "N", "force"],
+  ["moment", "M_z", "moment"],
+  ["momentY", "M_y", "moment"],
+  ["torque", "T", "moment"],
+  ["shearForce", "V", "force"],
+];
+
+// Stress components compared across the combinations
+const STRESS_COMPONENTS = [
+  ["axial", "σ_axial"],
+  ["bending", "σ_bending"],
+  ["torsional", "τ_torsion"],
+  ["transverse", "τ_transverse"],
+  ["normal", "σ = σ_a + σ_b"],
+  ["shear", "τ = τ_T + τ_V"],
+  ["vonMises", "σ_vm"],
+  ["maxTension", "Max tension in section"],
+  ["maxCompression", "Max compression in section"],
+];
+
+const nextId = (items) => Math.max(0, ...items.map((item) => item.id)) + 1;
+
+export default function LoadCombinations({
+  cases,
+  setCases,
+  combinations,
+  setCombinations,
+  currentLoads,
+  section,
+  point,
+  forceFactor,
+  distanceFactor,
+  forceUnit,
+  distanceUnit,
+  pressureFactor,
+  pressureUnit,
+  material,
+  targetFoS,
+}) {
+  const [preset, setPreset] = useState("eurocode");
+  const unitOf = { force: forceUnit, moment: `${forceUnit}·${distanceUnit}` };
+  const stress = (v) => formatValue(v / pressureFactor);
+
+  const updateCase = (id, changes) =>
+    setCases(cases.map((c) => (c.id === id ? { ...c, ...changes } : c)));
+  const updateCombination = (id, changes) =>
+    setCombinations(
+      combinations.map((c) => (c.id === id ? { ...c, ...changes } : c)),
+    );
+
+  // Combined loads (SI) and stresses at the point for every combination
+  const results = useMemo(() => {
+    if (!section) return [];
+    const factorOf = {
+      force: forceFactor,
+      moment: forceFactor * distanceFactor,
+    };
+    const casesSI = cases.map((c) => {
+      const si = { category: c.category };
+      for (const [key, , kind] of LOAD_FIELDS)
+        si[key] = c[key] * factorOf[kind];
+      return si;
+    });
+    return combinations.map((combination) => {
+      const loads = combineLoadCases(casesSI, combination.factors);
+      const s = stressesAt(section, loads, point.y, point.z);
+      const state = planeStressState(
+        s.axial + s.bending,
+        s.torsional + s.transverse,
+      );
+      const { tension, compression } = extremeNormalStresses(section, loads);
+      return {
+        combination,
+        name: combination.name,
+        loads,
+        values: {
+          ...s,
+          normal: state.sigmaX,
+          shear: state.tauXY,
+          vonMises: state.vonMises,
+          maxTension: Math.max(tension.stress, 0),
+          maxCompression: Math.min(compression.stress, 0),
+        },
+        check:
+          combination.limitState === "ULS"
+            ? strengthCheck(state.vonMises, material.yieldStrength, targetFoS)
+            : null,
+      };
+    });
+  }, [
+    section,
+    point.y,
+    point.z,
+    cases,
+    combinations,
+    forceFactor,
+    distanceFactor,
+    material,
+    targetFoS,
+  ]);
+  const envelope = loadEnvelope(
+    results,
+    STRESS_COMPONENTS.map(([key]) => key),
+  );
+
+  return (
+    <div>
+      {/* Load cases */}
+      <h3 className="font-semibold text-blue-300 mb-2">Load Cases</h3>
+      <div className="overflow-x-auto">
+        <table className="text-sm">
+          <thead>
+            <tr className="text-left text-gray-300">
+              <th className="p-1">Name</th>
+              <th className="p-1">Category</th>
+              {LOAD_FIELDS.map(([key, label, kind]) => (
+                <th key={key} className="p-1">
+                  {label} ({unitOf[kind]})
+                </th>
+              ))}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {cases.map((c) => (
+              <tr key={c.id}>
+                <td className="p-1">
+                  <input
+                    type="text"
+                    value={c.name}
+                    onChange={(e) => updateCase(c.id, { name: e.target.value })}
+                    className="w-32 p-1 bg-gray-700 border border-gray-600 rounded-md"
+                  />
+                </td>
+                <td className="p-1">
+                  <select
+                    value={c.category}
+                    onChange={(e) =>
+                      updateCase(c.id, { category: e.target.value })
+                    }
+                    className="p-1 bg-gray-700 border border-gray-600 rounded-md"
+                  >
+                    {LOAD_CATEGORIES.map((category) => (
+                      <option key={category} value={category}>
+                        {CATEGORY_LABELS[category]}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                {LOAD_FIELDS.map(([key]) => (
+                  <td key={key} className="p-1">
+                    <input
+                      type="number"
+                      step="any"
+                      value={c[key]}
+                      onChange={(e) =>
+                        updateCase(c.id, { [key]: Number(e.target.value) })
+                      }
+                      className={cellInputClass}
+                    />
+                  </td>
+                ))}
+                <td className="p-1">
+                  <button
+                    onClick={() => setCases(cases.filter((x) => x.id !== c.id))}
+                    className="px-2 py-1 bg-red-900 hover:bg-red-800 rounded-md"
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="mt-2 flex flex-wrap gap-2">
+        <button
+          onClick={() =>
+            setCases([
+              ...cases,
+              {
+                id: nextId(cases),
+                name: `Case ${nextId(cases)}`,
+                category: "live",
+                force: 0,
+                moment: 0,
+                momentY: 0,
+                torque: 0,
+                shearForce: 0,
+              },
+            ])
+          }
+          className={buttonClass}
+        >
+          + Load Case
+        </button>
+        <button
+          onClick={() =>
+            setCases([
+              ...cases,
+              {
+                id: nextId(cases),
+                name: "Current loads",
+                category: "dead",
+                ...currentLoads,
+              },
+            ])
+          }
+          className={buttonClass}
+        >
+          + From Current Loads
+        </button>
+      </div>
+
+      {/* Combinations */}
+      <h3 className="font-semibold text-blue-300 mt-6 mb-2">Combinations</h3>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-end mb-2">
+        <div>
+          <label className="block text-sm text-gray-300 mb-1">Preset</label>
+          <select
+            value={preset}
+            onChange={(e) => setPreset(e.target.value)}
+            className={inputClass}
+          >
+            {Object.entries(COMBINATION_PRESETS).map(([key, p]) => (
+              <option key={key} value={key}>
+                {p.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="md:col-span-2 flex flex-wrap gap-2">
+          <button
+            onClick={() =>
+              setCombinations(
+                COMBINATION_PRESETS[preset].combinations.map((c, i) => ({
+                  ...c,
+                  id: i + 1,
+                })),
+              )
+            }
+            className={buttonClass}
+          >
+            Replace with Preset
+          </button>
+          <button
+            onClick={() =>
+              setCombinations([
+                ...combinations,
+                {
+                  id: nextId(combinations),
+                  name: `Combination ${nextId(combinations)}`,
+                  limitState: "ULS",
+                  factors: { dead: 1 },
+                },
+              ])
+            }
+            className={buttonClass}
+          >
+            + Combination
+          </button>
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="text-sm">
+          <thead>
+            <tr className="text-left text-gray-300">
+              <th className="p-1">Name</th>
+              <th className="p-1">Limit State</th>
+              {LOAD_CATEGORIES.map((category) => (
+                <th key={category} className="p-1">
+                  {CATEGORY_LABELS[category]}
+                </th>
+              ))}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {combinations.map((c) => (
+              <tr key={c.id}>
+                <td className="p-1">
+                  <input
+                    type="text"
+                    value={c.name}
+                    onChange={(e) =>
+                      updateCombination(c.id, { name: e.target.value })
+                    }
+                    className="w-64 p-1 bg-gray-700 border border-gray-600 rounded-md"
+                  />
+                </td>
+                <td className="p-1">
+                  <select
+                    value={c.limitState}
+                    onChange={(e) =>
+                      updateCombination(c.id, { limitState: e.target.value })
+                    }
+                    className="p-1 bg-gray-700 border border-gray-600 rounded-md"
+                  >
+                    <option value="ULS">ULS</option>
+                    <option value="SLS">SLS</option>
+                  </select>
+                </td>
+                {LOAD_CATEGORIES.map((category) => (
+                  <td key={category} className="p-1">
+                    <input
+                      type="number"
+                      step="0.05"
+                      value={c.factors[category] ?? 0}
+                      onChange={(e) =>
+                        updateCombination(c.id, {
+                          factors: {
+                            ...c.factors,
+                            [category]: Number(e.target.value),
+                          },
+                        })
+                      }
+                      className="w-20 p-1 bg-gray-700 border border-gray-600 rounded-md"
+                    />
+                  </td>
+                ))}
+                <td className="p-1">
+                  <button
+                    onClick={() =>
+                      setCombinations(combinations.filter((x) => x.id !== c.id))
+                    }
+                    className="px-2 py-1 bg-red-900 hover:bg-red-800 rounded-md"
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Results per combination and the envelope */}
+      {!section ? (
+        <p className="text-gray-400 text-sm mt-4">
+          Fix the input errors above to see the combined stresses.
+        </p>
+      ) : (
+        results.length > 0 && (
+          <>
+            <h3 className="font-semibold text-blue-300 mt-6 mb-2">
+              Stresses at the Analysis Point ({pressureUnit})
+            </h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-300">
+                    <th className="p-1">Combination</th>
+                    {STRESS_COMPONENTS.map(([key, label]) => (
+                      <th key={key} className="p-1">
+                        {label}
+                      </th>
+                    ))}
+                    <th className="p-1">Utilisation (σ_vm)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.map((r) => (
+                    <tr
+                      key={r.combination.id}
+                      className="border-t border-gray-700"
+                    >
+                      <td className="p-1">{r.name}</td>
+                      {STRESS_COMPONENTS.map(([key]) => (
+                        <td
+                          key={key}
+                          className={`p-1 ${
+                            envelope[key]?.governing.name === r.name &&
+                            r.values[key] !== 0
+                              ? "text-yellow-300 font-semibold"
+                              : ""
+                          }`}
+                        >
+                          {stress(r.values[key])}
+                        </td>
+                      ))}
+                      <td
+                        className={`p-1 ${
+                          r.check && !r.check.pass ? "text-red-400" : ""
+                        }`}
+                      >
+                        {r.check
+                          ? `${r.check.utilisation.toFixed(3)} ${
+                              r.check.pass ? "✔" : "✘"
+                            }`
+                          : "—"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <h3 className="font-semibold text-blue-300 mt-6 mb-2">
+              Envelope ({pressureUnit})
+            </h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-300">
+                    <th className="p-1">Stress</th>
+                    <th className="p-1">Max</th>
+                    <th className="p-1">From</th>
+                    <th className="p-1">Min</th>
+                    <th className="p-1">From</th>
+                    <th className="p-1">Governing</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {STRESS_COMPONENTS.map(([key, label]) => (
+                    <tr key={key} className="border-t border-gray-700">
+                      <td className="p-1">{label}</td>
+                      <td className="p-1">{stress(envelope[key].max.value)}</td>
+                      <td className="p-1">{envelope[key].max.name}</td>
+                      <td className="p-1">{stress(envelope[key].min.value)}</td>
+                      <td className="p-1">{envelope[key].min.name}</td>
+                      <td className="p-1 text-yellow-300">
+                        {envelope[key].governing.name}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-gray-400 text-sm mt-2">
+              Highlighted cells mark the combination giving the largest
+              magnitude of each stress. ULS combinations are checked with σ_vm
+              against f_y and the target FoS of {targetFoS}; SLS combinations
+              are listed for reference.
+            </p>
+          </>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import React from "react";
+
+// Material picker with the built-in presets plus user-defined materials.
+// Material properties are held in SI and shown in the selected pressure unit.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+
+const PROPERTY_FIELDS = [
+  ["E", "Young's Modulus, E", true],
+  ["G", "Shear Modulus, G", true],
+  ["nu", "Poisson's Ratio, ν", false],
+  ["yieldStrength", "Yield Strength, f_y", true],
+  ["ultimateStrength", "Ultimate Strength, f_u", true],
+];
+
+export default function MaterialSelector({
+  presets,
+  userMaterials,
+  setUserMaterials,
+  material,
+  setMaterialId,
+  targetFoS,
+  setTargetFoS,
+  pressureFactor,
+  pressureUnit,
+  errors = {},
+}) {
+  const isUserMaterial = userMaterials.some((m) => m.id === material.id);
+  const categories = [...new Set(presets.map((m) => m.category))];
+
+  const addUserMaterial = () => {
+    const n =
+      Math.max(0, ...userMaterials.map((m) => Number(m.id.slice(5)))) + 1;
+    const created = {
+      ...material,
+      id: `user-${n}`,
+      name: `Custom material ${n}`,
+      category: "User-defined",
+    };
+    setUserMaterials([...userMaterials, created]);
+    setMaterialId(created.id);
+  };
+  const updateUserMaterial = (changes) =>
+    setUserMaterials(
+      userMaterials.map((m) =>
+        m.id === material.id ? { ...m, ...changes } : m,
+      ),
+    );
+  const removeUserMaterial = () => {
+    setUserMaterials(userMaterials.filter((m) => m.id !== material.id));
+    setMaterialId(presets[0].id);
+  };
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-end">
+        <div className="md:col-span-2">
+          <label className="block font-medium mb-1">Material</label>
+          <select
+            value={material.id}
+            onChange={(e) => setMaterialId(e.target.value)}
+            className={inputClass}
+          >
+            {categories.map((category) => (
+              <optgroup key={category} label={category}>
+                {presets
+                  .filter((m) => m.category === category)
+                  .map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {m.name}
+                    </option>
+                  ))}
+              </optgroup>
+            ))}
+            {userMaterials.length > 0 && (
+              <optgroup label="User-defined">
+                {userMaterials.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {m.name}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+        </div>
+        <div>
+          <label className="block font-medium mb-1">
+            Target Factor of Safety
+          </label>
+          <input
+            type="number"
+            step="0.1"
+            min="0"
+            value={targetFoS}
+            onChange={(e) => setTargetFoS(Number(e.target.value))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {isUserMaterial && (
+        <div className="mt-4">
+          <label className="block font-medium mb-1">Name</label>
+          <input
+            type="text"
+            value={material.name}
+            onChange={(e) => updateUserMaterial({ name: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      )}
+
+      <div className="mt-4 grid grid-cols-2 md:grid-cols-5 gap-4">
+        {PROPERTY_FIELDS.map(([key, label, isStress]) => {
+          const factor = isStress ? pressureFactor : 1;
+          return (
+            <div key={key}>
+              <label className="block text-sm text-gray-300 mb-1">
+                {label}
+                {isStress && ` (${pressureUnit})`}
+              </label>
+              {isUserMaterial ? (
+                <input
+                  type="number"
+                  step="any"
+                  value={material[key] / factor}
+                  onChange={(e) =>
+                    updateUserMaterial({
+                      [key]: Number(e.target.value) * factor,
+                    })
+                  }
+                  className={
+                    errors[key]
+                      ? inputClass.replace("border-gray-600", "border-red-500")
+                      : inputClass
+                  }
+                />
+              ) : (
+                <p className="p-2 bg-gray-900 border border-gray-700 rounded-md">
+                  {Number((material[key] / factor).toPrecision(6))}
+                </p>
+              )}
+              {errors[key] && (
+                <p className="text-red-400 text-sm mt-1">{errors[key]}</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="mt-4 flex gap-2">
+        <button
+          onClick={addUserMaterial}
+          className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md"
+        >
+          + New Material from Current
+        </button>
+        {isUserMaterial && (
+          <button
+            onClick={removeUserMaterial}
+            className="px-3 py-2 bg-red-900 hover:bg-red-800 rounded-md"
+          >
+            Delete Material
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
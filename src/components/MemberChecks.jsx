@@ -0,0 +1,189 @@
+import React from "react";
+import { DESIGN_CODES, MEMBER_CHECK_TYPES } from "../engine";
+import { formatValue } from "../utils/format";
+
+// Design-code member checks of a steel section: classification of each
+// plate element, then the axial, bending, shear and interaction checks with
+// their clause references and utilisation. `result` is memberChecks() for
+// the current section, or null when the section type is not covered.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+
+const SECTION_NAMES = {
+  iBeam: "I-beams",
+  rectTube: "rectangular tubes",
+  hollowCircle: "hollow circles",
+};
+
+export default function MemberChecks({
+  result,
+  designCode,
+  setDesignCode,
+  material,
+  showForce,
+  showMoment,
+  showStress,
+}) {
+  const show = (kind, value) =>
+    kind === "force"
+      ? showForce(value)
+      : kind === "moment"
+        ? showMoment(value)
+        : formatValue(value);
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label className="block text-sm text-gray-300 mb-1">
+            Design Code
+          </label>
+          <select
+            value={designCode}
+            onChange={(e) => setDesignCode(e.target.value)}
+            className={inputClass}
+          >
+            {Object.entries(DESIGN_CODES).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {result && (
+          <div className="md:col-span-2 p-4 bg-gray-700 rounded-md">
+            <p className="font-medium">Section Classification</p>
+            <p>{result.sectionClass}</p>
+          </div>
+        )}
+      </div>
+
+      {material.category !== "Structural steel" && (
+        <div className="mb-4 p-4 bg-amber-900 border border-amber-700 rounded-md text-sm">
+          {material.name} is not a structural steel; the code checks assume a
+          steel grade with the selected f_y and E.
+        </div>
+      )}
+
+      {!result ? (
+        <p className="text-gray-400 text-sm">
+          Code checks cover{" "}
+          {MEMBER_CHECK_TYPES.map((type) => SECTION_NAMES[type]).join(", ")}.
+        </p>
+      ) : (
+        <>
+          <h3 className="font-semibold text-blue-300 mb-2">
+            Width-to-Thickness Ratios
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-300">
+                  <th className="p-1">Element</th>
+                  <th className="p-1">Under</th>
+                  <th className="p-1">Ratio</th>
+                  <th className="p-1">Limits</th>
+                  <th className="p-1">Result</th>
+                  <th className="p-1">Clause</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.elements.map((e) => (
+                  <tr
+                    key={`${e.part}:${e.action}`}
+                    className="border-t border-gray-700"
+                  >
+                    <td className="p-1">{e.part}</td>
+                    <td className="p-1">{e.action}</td>
+                    <td className="p-1">
+                      {e.symbol} = {e.ratio.toFixed(2)}
+                    </td>
+                    <td className="p-1">
+                      {e.limits
+                        .map(
+                          (l) =>
+                            `${l.label} ${
+                              Number.isFinite(l.value)
+                                ? l.value.toFixed(2)
+                                : "∞"
+                            }`,
+                        )
+                        .join(", ")}
+                    </td>
+                    <td className="p-1">{e.result}</td>
+                    <td className="p-1 text-gray-400">{e.clause}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h3 className="font-semibold text-blue-300 mt-6 mb-2">Checks</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-300">
+                  <th className="p-1">Check</th>
+                  <th className="p-1">Clause</th>
+                  <th className="p-1">Demand</th>
+                  <th className="p-1">Design Resistance</th>
+                  <th className="p-1">Utilisation</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.checks.map((c) => (
+                  <tr key={c.name} className="border-t border-gray-700">
+                    <td className="p-1">
+                      {c.name}
+                      {c.note && (
+                        <p className="text-gray-400 text-xs">{c.note}</p>
+                      )}
+                    </td>
+                    <td className="p-1 text-gray-400">{c.clause}</td>
+                    <td className="p-1">{show(c.kind, c.demand)}</td>
+                    <td className="p-1">
+                      {c.capacity === null
+                        ? "not covered"
+                        : show(c.kind, c.capacity)}
+                    </td>
+                    <td
+                      className={`p-1 ${
+                        c.pass === null
+                          ? "text-gray-400"
+                          : c.pass
+                            ? "text-green-400"
+                            : "text-red-400"
+                      }`}
+                    >
+                      {c.pass === null
+                        ? "—"
+                        : `${
+                            Number.isFinite(c.utilisation)
+                              ? c.utilisation.toFixed(3)
+                              : "∞"
+                          } ${c.pass ? "✔ PASS" : "✘ FAIL"}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {result.notes.length > 0 && (
+            <ul className="mt-2 list-disc list-inside text-sm text-amber-200">
+              {result.notes.map((note) => (
+                <li key={note}>{note}</li>
+              ))}
+            </ul>
+          )}
+          <p className="text-gray-400 text-sm mt-2">
+            {result.standard} cross-section and buckling checks for the section
+            forces at the current station, with the buckling lengths above, with
+            f_y = {showStress(material.yieldStrength)}. The design resistances
+            include the code's resistance factors; the target FoS is not
+            applied.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
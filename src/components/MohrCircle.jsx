@@ -0,0 +1,155 @@
+import React, { useState } from "react";
+import { rotatedStress } from "../engine";
+import { formatValue } from "../utils/format";
+
+// Mohr's circle for the plane stress state at the analysis point. The τ axis
+// points downwards so that rotating the stress element by θ counter-clockwise
+// moves its point 2θ counter-clockwise around the circle. The slider picks
+// the element rotation and reads off the stresses on that plane.
+
+const SIZE = 360;
+const PAD = 36;
+
+export default function MohrCircle({ state, pressureFactor, pressureUnit }) {
+  const [angleDeg, setAngleDeg] = useState(0);
+
+  const { center, radius, sigmaX, sigmaY, tauXY, sigma1, sigma2 } = state;
+  const sMin = Math.min(0, sigma2);
+  const sMax = Math.max(0, sigma1);
+  const span = Math.max(sMax - sMin, 2 * radius, 1e-12);
+  const scale = (SIZE - 2 * PAD) / span;
+  const mid = (sMin + sMax) / 2;
+  const px = (sigma) => SIZE / 2 + (sigma - mid) * scale;
+  const py = (tau) => SIZE / 2 + tau * scale;
+
+  const theta = (angleDeg * Math.PI) / 180;
+  const rotated = rotatedStress(state, theta);
+  const rotatedY = rotatedStress(state, theta + Math.PI / 2);
+  const show = (v) => `${formatValue(v / pressureFactor)} ${pressureUnit}`;
+
+  return (
+    <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+      <h3 className="font-semibold text-blue-300 mb-2">Mohr&apos;s Circle</h3>
+      <svg viewBox={`0 0 ${SIZE} ${SIZE}`} className="w-full max-w-md mx-auto">
+        <rect width={SIZE} height={SIZE} fill="#111827" />
+        <line x1={0} x2={SIZE} y1={py(0)} y2={py(0)} stroke="#6b7280" />
+        <line x1={px(0)} x2={px(0)} y1={0} y2={SIZE} stroke="#6b7280" />
+        <text
+          x={SIZE - 6}
+          y={py(0) - 6}
+          textAnchor="end"
+          fontSize="12"
+          fill="#d1d5db"
+        >
+          σ
+        </text>
+        <text x={px(0) + 6} y={SIZE - 6} fontSize="12" fill="#d1d5db">
+          τ (+ down)
+        </text>
+        <circle
+          cx={px(center)}
+          cy={py(0)}
+          r={Math.max(radius * scale, 0.5)}
+          fill="#60a5fa"
+          fillOpacity="0.1"
+          stroke="#60a5fa"
+          strokeWidth="2"
+        />
+        {/* Original element: X (σx, τxy) and Y (σy, −τxy) */}
+        <line
+          x1={px(sigmaX)}
+          y1={py(tauXY)}
+          x2={px(sigmaY)}
+          y2={py(-tauXY)}
+          stroke="#9ca3af"
+          strokeDasharray="4 3"
+        />
+        <circle cx={px(sigmaX)} cy={py(tauXY)} r="4" fill="#9ca3af" />
+        <text x={px(sigmaX) + 6} y={py(tauXY) - 6} fontSize="12" fill="#9ca3af">
+          X
+        </text>
+        <circle cx={px(sigmaY)} cy={py(-tauXY)} r="4" fill="#9ca3af" />
+        <text
+          x={px(sigmaY) + 6}
+          y={py(-tauXY) - 6}
+          fontSize="12"
+          fill="#9ca3af"
+        >
+          Y
+        </text>
+        {/* Rotated element */}
+        <line
+          x1={px(rotated.sigma)}
+          y1={py(rotated.tau)}
+          x2={px(rotatedY.sigma)}
+          y2={py(rotatedY.tau)}
+          stroke="#fbbf24"
+          strokeWidth="2"
+        />
+        <circle
+          cx={px(rotated.sigma)}
+          cy={py(rotated.tau)}
+          r="5"
+          fill="#fbbf24"
+        />
+        <text
+          x={px(rotated.sigma) + 6}
+          y={py(rotated.tau) + 14}
+          fontSize="12"
+          fill="#fbbf24"
+        >
+          X′
+        </text>
+        {/* Principal stresses */}
+        <circle cx={px(sigma1)} cy={py(0)} r="4" fill="#f87171" />
+        <text
+          x={px(sigma1)}
+          y={py(0) + 16}
+          textAnchor="middle"
+          fontSize="12"
+          fill="#f87171"
+        >
+          σ₁
+        </text>
+        <circle cx={px(sigma2)} cy={py(0)} r="4" fill="#34d399" />
+        <text
+          x={px(sigma2)}
+          y={py(0) + 16}
+          textAnchor="middle"
+          fontSize="12"
+          fill="#34d399"
+        >
+          σ₂
+        </text>
+      </svg>
+      <div className="mt-3">
+        <div className="flex justify-between items-center mb-1">
+          <label className="font-medium">
+            Element rotation, θ = {angleDeg}°
+          </label>
+          <button
+            onClick={() =>
+              setAngleDeg(Math.round((state.thetaP * 180) / Math.PI))
+            }
+            className="px-3 py-1 bg-gray-800 hover:bg-gray-600 rounded-md text-sm"
+          >
+            Snap to θp
+          </button>
+        </div>
+        <input
+          type="range"
+          min="-90"
+          max="90"
+          step="1"
+          value={angleDeg}
+          onChange={(e) => setAngleDeg(Number(e.target.value))}
+          className="w-full"
+        />
+        <p className="text-gray-300 text-sm mt-1">
+          σx′ = {show(rotated.sigma)}, σy′ = {show(rotatedY.sigma)}, τx′y′ ={" "}
+          {show(rotated.tau)}
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,157 @@
+import React, { useState } from "react";
+import {
+  projectFileText,
+  parseProjectFile,
+  readProject,
+  permalinkFor,
+  loadLocalProjects,
+  saveLocalProject,
+  deleteLocalProject,
+} from "../utils/project";
+
+// Save and load the whole analysis: as a JSON file, as a named project in
+// the browser's local storage, or as a permalink that encodes the inputs.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+const buttonClass = "px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md";
+
+export default function ProjectManager({ inputs, onLoad }) {
+  const [projects, setProjects] = useState(loadLocalProjects);
+  const [name, setName] = useState("");
+  const [status, setStatus] = useState(null); // { text, error }
+
+  const attempt = (action) => {
+    try {
+      setStatus(action());
+    } catch (err) {
+      setStatus({ text: err.message, error: true });
+    }
+  };
+
+  const saveFile = () => {
+    const blob = new Blob([projectFileText(inputs)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `${name.trim() || "beam-analysis"}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const openFile = async (file) => {
+    const text = await file.text();
+    attempt(() => {
+      onLoad(parseProjectFile(text));
+      return { text: `Loaded ${file.name}.` };
+    });
+  };
+
+  const copyPermalink = () =>
+    attempt(() => {
+      const link = permalinkFor(inputs, window.location.href);
+      window.history.replaceState(null, "", link);
+      navigator.clipboard?.writeText(link);
+      return { text: "Permalink copied and shown in the address bar." };
+    });
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-end">
+        <div>
+          <label className="block font-medium mb-1">Project Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className={inputClass}
+            placeholder="e.g. Floor beam B3"
+          />
+        </div>
+        <div className="md:col-span-2 flex flex-wrap gap-2">
+          <button
+            onClick={() =>
+              attempt(() => {
+                const trimmed = name.trim();
+                if (!trimmed) throw new Error("Enter a name for the project.");
+                setProjects(saveLocalProject(trimmed, inputs));
+                return { text: `Saved "${trimmed}" in this browser.` };
+              })
+            }
+            className={buttonClass}
+          >
+            Save in Browser
+          </button>
+          <button onClick={saveFile} className={buttonClass}>
+            Download JSON
+          </button>
+          <label className={`${buttonClass} cursor-pointer`}>
+            Open JSON…
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files[0]) openFile(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          <button onClick={copyPermalink} className={buttonClass}>
+            Copy Permalink
+          </button>
+        </div>
+      </div>
+      {status && (
+        <p
+          className={`text-sm mt-2 ${status.error ? "text-red-400" : "text-gray-300"}`}
+        >
+          {status.text}
+        </p>
+      )}
+      {projects.length > 0 && (
+        <div className="mt-4">
+          <h3 className="font-semibold text-blue-300 mb-1">
+            Projects in this Browser
+          </h3>
+          <ul className="space-y-1">
+            {projects.map((p) => (
+              <li key={p.name} className="flex items-center gap-2">
+                <span className="flex-1">
+                  {p.name}{" "}
+                  <span className="text-gray-400 text-sm">
+                    {new Date(p.savedAt).toLocaleString()}
+                  </span>
+                </span>
+                <button
+                  onClick={() =>
+                    attempt(() => {
+                      onLoad(readProject(p.project));
+                      setName(p.name);
+                      return { text: `Loaded "${p.name}".` };
+                    })
+                  }
+                  className={buttonClass}
+                >
+                  Load
+                </button>
+                <button
+                  onClick={() =>
+                    attempt(() => {
+                      setProjects(deleteLocalProject(p.name));
+                      return { text: `Deleted "${p.name}".` };
+                    })
+                  }
+                  className="px-3 py-2 bg-red-900 hover:bg-red-800 rounded-md"
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import CalculationReport from "./CalculationReport";
+import { reportDocument } from "../utils/report";
+
+// Builds the printable calculation report in the browser: the report is
+// rendered to static HTML and opened in a new tab, from where it can be
+// printed or saved as PDF, or downloaded as a standalone .html file.
+// `report` holds the CalculationReport props, or is null while the inputs
+// have errors.
+
+// How long the new tab gets to load the report before its blob URL is
+// released, in case the load event is never seen.
+const REVOKE_DELAY_MS = 60000;
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+const buttonClass =
+  "px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md disabled:opacity-50";
+
+export default function ReportExport({ report }) {
+  const [title, setTitle] = useState("Beam Stress Calculation");
+  const [error, setError] = useState(null);
+
+  const buildDocument = async () => {
+    const { renderToStaticMarkup } = await import("react-dom/server");
+    const body = renderToStaticMarkup(
+      <CalculationReport
+        {...report}
+        title={title}
+        createdAt={new Date().toLocaleString()}
+      />,
+    );
+    return new Blob([reportDocument(title, body)], { type: "text/html" });
+  };
+
+  const run = async (action) => {
+    try {
+      setError(null);
+      action(URL.createObjectURL(await buildDocument()));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const open = () =>
+    run((url) => {
+      const reportWindow = window.open(url, "_blank");
+      if (!reportWindow) {
+        URL.revokeObjectURL(url);
+        throw new Error("The browser blocked the report window.");
+      }
+      const revoke = () => URL.revokeObjectURL(url);
+      reportWindow.addEventListener("load", revoke, { once: true });
+      setTimeout(revoke, REVOKE_DELAY_MS);
+    });
+  const download = () =>
+    run((url) => {
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${title.trim() || "report"}.html`;
+      link.click();
+      URL.revokeObjectURL(url);
+    });
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-end">
+      <div>
+        <label className="block font-medium mb-1">Report Title</label>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          className={inputClass}
+        />
+      </div>
+      <div className="md:col-span-2 flex flex-wrap gap-2">
+        <button onClick={open} disabled={!report} className={buttonClass}>
+          Open Printable Report
+        </button>
+        <button onClick={download} disabled={!report} className={buttonClass}>
+          Download HTML
+        </button>
+      </div>
+      {!report && (
+        <p className="md:col-span-3 text-gray-400 text-sm">
+          Fix the input errors above to generate a report.
+        </p>
+      )}
+      {error && <p className="md:col-span-3 text-red-400 text-sm">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import React, { useState } from "react";
+import {
+  searchSections,
+  seriesOf,
+  tableUnitsOf,
+  catalogueSection,
+} from "../data/steelSections";
+
+// Searchable list of standard sections for the current section type. Picking
+// one hands its SI section to `onApply`; the tabulated properties are then
+// listed next to the values computed from the dimensions.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+
+export default function SectionCatalogue({
+  sectionType,
+  selected,
+  onSelect,
+  section,
+  sectionProps,
+}) {
+  const [query, setQuery] = useState("");
+  const matches = searchSections(sectionType, query);
+  if (matches.length === 0 && query === "") return null;
+
+  // Only cross-check while the dimensions still match the chosen entry.
+  const catalogueDims = selected && catalogueSection(selected);
+  const matchesSelection =
+    catalogueDims &&
+    catalogueDims.type === section.type &&
+    Object.keys(catalogueDims).every(
+      (key) =>
+        key === "type" ||
+        Math.abs(catalogueDims[key] - section[key]) <=
+          1e-9 * Math.abs(catalogueDims[key]),
+    );
+
+  return (
+    <div className="mb-4 p-4 border border-gray-700 rounded-md">
+      <h3 className="font-semibold text-blue-300 mb-2">
+        Standard Section Catalogue
+      </h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search designation, e.g. IPE 300 or W12x26"
+            className={inputClass}
+          />
+          <select
+            size={6}
+            value={selected ? selected.designation : ""}
+            onChange={(e) =>
+              onSelect(matches.find((m) => m.designation === e.target.value))
+            }
+            className={`${inputClass} mt-2`}
+          >
+            {matches.map((m) => (
+              <option key={m.designation} value={m.designation}>
+                {m.designation} — {seriesOf(m).name}
+              </option>
+            ))}
+          </select>
+        </div>
+        {selected && sectionProps && (
+          <CrossCheck
+            entry={selected}
+            sectionProps={sectionProps}
+            modified={!matchesSelection}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+function CrossCheck({ entry, sectionProps, modified }) {
+  const units = tableUnitsOf(entry);
+  const { A, I, Wel, Wpl, mass } = entry.tabulated;
+  const elasticModulus = sectionProps.inertia / sectionProps.outerRadius;
+  const rows = [
+    ["Area, A", A, sectionProps.area / units.area, units.labels.A],
+    ["Inertia, I", I, sectionProps.inertia / units.inertia, units.labels.I],
+    [
+      "Elastic Modulus, W_el",
+      Wel,
+      elasticModulus / units.modulus,
+      units.labels.W,
+    ],
+    ["Plastic Modulus, W_pl", Wpl, null, units.labels.W],
+    ["Mass", mass, null, units.labels.mass],
+  ];
+
+  return (
+    <div>
+      <p className="font-medium mb-1">{entry.designation}</p>
+      {modified && (
+        <p className="text-yellow-400 text-sm mb-1">
+          Dimensions have been edited since this section was picked.
+        </p>
+      )}
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-gray-400 text-left">
+            <th className="font-normal">Property</th>
+            <th className="font-normal">Tabulated</th>
+            <th className="font-normal">Computed</th>
+            <th className="font-normal">Diff.</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, tabulated, computed, unit]) => (
+            <tr key={label}>
+              <td>{label}</td>
+              <td>
+                {tabulated} {unit}
+              </td>
+              <td>
+                {computed === null
+                  ? "—"
+                  : `${Number(computed.toPrecision(4))} ${unit}`}
+              </td>
+              <td>
+                {computed === null
+                  ? ""
+                  : `${(((computed - tabulated) / tabulated) * 100).toFixed(1)}%`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-gray-400 text-xs mt-1">
+        Tabulated values include root fillets / corner radii, which the computed
+        values ignore.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,366 @@
+import React, { useMemo } from "react";
+import {
+  sizeSection,
+  lightestSection,
+  SIZING_CONSTRAINTS,
+  SIZING_STRESSES,
+} from "../engine";
+import {
+  STEEL_SECTIONS,
+  seriesOf,
+  tableUnitsOf,
+  catalogueSection,
+} from "../data/steelSections";
+import { formatValue } from "../utils/format";
+
+// Inverse design: the smallest dimensions of the current section shape, or
+// the lightest catalogue section, whose peak stresses meet an allowable
+// stress, with the governing stress. The limit is f_y / target FoS or an
+// allowable stress entered here; the design actions are the loads at the
+// current station or the peak moment and shear along the beam. The inputs
+// are held by the app, so they are saved with the project:
+//   { sizeBy, limitMode, allowableStress, constraint, maxDepth, actions }
+// with the allowable stress in the pressure unit and the maximum depth in
+// the section unit.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+const buttonClass = "px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-md";
+
+const DIMENSION_LABELS = {
+  width: "Width",
+  height: "Height",
+  diameter: "Diameter",
+  outerRadius: "Outer radius",
+  innerRadius: "Inner radius",
+  depth: "Depth",
+  flangeWidth: "Flange width",
+  flangeThickness: "Flange thickness",
+  webThickness: "Web thickness",
+  thickness: "Thickness",
+};
+
+export default function SectionSizing({
+  section,
+  loads,
+  beamPeakLoads,
+  material,
+  targetFoS,
+  pressureFactor,
+  pressureUnit,
+  sectionFactor,
+  sectionUnit,
+  showStress,
+  showSection,
+  sizing,
+  setSizing,
+  onApply,
+  onApplyCatalogue,
+}) {
+  const { sizeBy, limitMode, constraint, actions } = sizing;
+  const allowableSI = sizing.allowableStress * pressureFactor;
+  const maxDepthSI = sizing.maxDepth * sectionFactor;
+  const update = (patch) => setSizing((s) => ({ ...s, ...patch }));
+
+  const candidates = useMemo(
+    () =>
+      STEEL_SECTIONS.filter(
+        (e) => seriesOf(e).sectionType === section.type,
+      ).map((e) => ({
+        designation: e.designation,
+        entry: e,
+        section: catalogueSection(e),
+        mass: e.tabulated.mass * tableUnitsOf(e).mass,
+      })),
+    [section.type],
+  );
+  const catalogue = sizeBy === "catalogue" && candidates.length > 0;
+  const designLoads =
+    actions === "peaks" && beamPeakLoads ? beamPeakLoads : loads;
+  const allowable =
+    limitMode === "fos" ? material.yieldStrength / targetFoS : allowableSI;
+
+  const result = useMemo(() => {
+    try {
+      if (catalogue) {
+        return {
+          catalogue: lightestSection(candidates, designLoads, {
+            allowable,
+            maxDepth: maxDepthSI,
+          }),
+        };
+      }
+      return {
+        sized: sizeSection(section, designLoads, {
+          allowable,
+          constraint,
+          maxDepth: maxDepthSI,
+        }),
+      };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [
+    catalogue,
+    candidates,
+    section,
+    designLoads,
+    allowable,
+    constraint,
+    maxDepthSI,
+  ]);
+
+  const checksTable = (check) => (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-300">
+            <th className="p-1">Peak Stress</th>
+            <th className="p-1">Value</th>
+            <th className="p-1">Limit</th>
+            <th className="p-1">Utilisation</th>
+            <th className="p-1">At (y, z)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {check.checks.map((c) => (
+            <tr
+              key={c.key}
+              className={`border-t border-gray-700 ${
+                c.key === check.governing ? "font-semibold text-amber-300" : ""
+              }`}
+            >
+              <td className="p-1">
+                {SIZING_STRESSES[c.key]}
+                {c.key === check.governing && " — governs"}
+              </td>
+              <td className="p-1">{showStress(c.stress)}</td>
+              <td className="p-1">{showStress(c.limit)}</td>
+              <td className="p-1">{c.utilisation.toFixed(3)}</td>
+              <td className="p-1">
+                ({showSection(c.y)}, {showSection(c.z)})
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block font-medium mb-1">Size By</label>
+          <select
+            value={sizeBy}
+            onChange={(e) => update({ sizeBy: e.target.value })}
+            className={inputClass}
+          >
+            <option value="dimensions">Dimensions of the current shape</option>
+            <option value="catalogue" disabled={candidates.length === 0}>
+              Lightest catalogue section
+            </option>
+          </select>
+        </div>
+        <div>
+          <label className="block font-medium mb-1">Stress Limit</label>
+          <select
+            value={limitMode}
+            onChange={(e) => update({ limitMode: e.target.value })}
+            className={inputClass}
+          >
+            <option value="fos">f_y / target FoS</option>
+            <option value="allowable">Allowable stress</option>
+          </select>
+          {limitMode === "fos" ? (
+            <p className="text-gray-400 text-sm mt-1">
+              {showStress(material.yieldStrength)} / {targetFoS} ={" "}
+              {showStress(allowable)}
+            </p>
+          ) : (
+            <input
+              type="number"
+              value={sizing.allowableStress}
+              onChange={(e) =>
+                update({ allowableStress: Number(e.target.value) })
+              }
+              className={`${inputClass} mt-2`}
+              aria-label={`Allowable stress (${pressureUnit})`}
+            />
+          )}
+        </div>
+        {beamPeakLoads && (
+          <div>
+            <label className="block font-medium mb-1">Design Actions</label>
+            <select
+              value={actions}
+              onChange={(e) => update({ actions: e.target.value })}
+              className={inputClass}
+            >
+              <option value="station">At the current station</option>
+              <option value="peaks">
+                Peak moment and shear along the beam
+              </option>
+            </select>
+          </div>
+        )}
+        {!catalogue && (
+          <div>
+            <label className="block font-medium mb-1">Constraint</label>
+            <select
+              value={constraint}
+              onChange={(e) => update({ constraint: e.target.value })}
+              className={inputClass}
+            >
+              {Object.entries(SIZING_CONSTRAINTS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        {(catalogue || constraint === "maxDepth") && (
+          <div>
+            <label className="block font-medium mb-1">
+              Maximum Depth ({sectionUnit}){catalogue && ", 0 for none"}
+            </label>
+            <input
+              type="number"
+              value={sizing.maxDepth}
+              onChange={(e) => update({ maxDepth: Number(e.target.value) })}
+              className={inputClass}
+            />
+          </div>
+        )}
+      </div>
+      <p className="text-gray-400 text-sm mt-2">
+        {catalogue
+          ? "Catalogue sections are checked lightest first."
+          : constraint === "aspect"
+            ? "Every dimension is scaled by the same factor, keeping the current proportions."
+            : constraint === "fixedWidth"
+              ? "The width (the outer diameter of a tube) stays as entered; the depth and plate thicknesses are scaled."
+              : "The depth is set to the maximum, the lightest choice when bending governs; the width and plate thicknesses are scaled."}{" "}
+        Shear is limited to the allowable stress / √3.
+      </p>
+
+      {result.error && (
+        <p className="text-red-400 text-sm mt-4">{result.error}</p>
+      )}
+
+      {result.sized && (
+        <div className="mt-4">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-300">
+                  <th className="p-1">Dimension</th>
+                  <th className="p-1">Current</th>
+                  <th className="p-1">Sized</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.keys(result.sized.section)
+                  .filter((key) => key in DIMENSION_LABELS)
+                  .map((key) => (
+                    <tr key={key} className="border-t border-gray-700">
+                      <td className="p-1">{DIMENSION_LABELS[key]}</td>
+                      <td className="p-1">{showSection(section[key])}</td>
+                      <td className="p-1">
+                        {showSection(result.sized.section[key])}
+                      </td>
+                    </tr>
+                  ))}
+                <tr className="border-t border-gray-700">
+                  <td className="p-1">Area</td>
+                  <td className="p-1" />
+                  <td className="p-1">{showSection(result.sized.area, 2)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+          <h3 className="font-semibold text-blue-300 mt-4 mb-2">
+            Governing Stress: {SIZING_STRESSES[result.sized.check.governing]}
+          </h3>
+          {checksTable(result.sized.check)}
+          <button
+            type="button"
+            onClick={() => onApply(result.sized.section)}
+            className={`${buttonClass} mt-4`}
+          >
+            Use these dimensions
+          </button>
+          <p className="text-gray-400 text-sm mt-2">
+            Round the dimensions up to available sizes afterwards.
+          </p>
+        </div>
+      )}
+
+      {result.catalogue && (
+        <div className="mt-4">
+          {result.catalogue.best ? (
+            <>
+              <h3 className="font-semibold text-blue-300 mb-2">
+                Lightest Passing: {result.catalogue.best.designation} (
+                {formatValue(result.catalogue.best.mass)} kg/m), governed by{" "}
+                {SIZING_STRESSES[result.catalogue.best.check.governing]}
+              </h3>
+              {checksTable(result.catalogue.best.check)}
+              <button
+                type="button"
+                onClick={() => onApplyCatalogue(result.catalogue.best.entry)}
+                className={`${buttonClass} mt-4`}
+              >
+                Use {result.catalogue.best.designation}
+              </button>
+            </>
+          ) : (
+            <p className="text-red-400 text-sm">
+              No catalogue section
+              {maxDepthSI > 0 ? " within the depth limit" : ""} passes.
+            </p>
+          )}
+          <details className="mt-4">
+            <summary className="cursor-pointer text-sm text-gray-300">
+              All {result.catalogue.results.length} sections checked
+            </summary>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm mt-2">
+                <thead>
+                  <tr className="text-left text-gray-300">
+                    <th className="p-1">Section</th>
+                    <th className="p-1">Mass (kg/m)</th>
+                    <th className="p-1">Depth</th>
+                    <th className="p-1">Utilisation</th>
+                    <th className="p-1">Governing</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.catalogue.results.map((r) => (
+                    <tr
+                      key={r.designation}
+                      className={`border-t border-gray-700 ${
+                        r.check.utilisation <= 1
+                          ? "text-green-400"
+                          : "text-red-400"
+                      }`}
+                    >
+                      <td className="p-1">{r.designation}</td>
+                      <td className="p-1">{formatValue(r.mass)}</td>
+                      <td className="p-1">{showSection(r.depth)}</td>
+                      <td className="p-1">{r.check.utilisation.toFixed(3)}</td>
+                      <td className="p-1">
+                        {SIZING_STRESSES[r.check.governing]}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </details>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,480 @@
+import React, { useMemo, useState } from "react";
+import { stressMap, STRESS_MAP_KINDS } from "../engine";
+import { formatValue } from "../utils/format";
+
+// To-scale drawing of the cross-section (outline from sectionOutline, SI,
+// centroidal z right / y up) with its dimensions and a scale bar, the
+// centroidal axes, the neutral axis of the normal stress field, the
+// analysis point and the max tension and compression corners. With `loads`
+// the drawing can carry a colour map of the stress over the section, and
+// with `onSelectY` the analysis height is dragged on the drawing; the
+// printed report passes neither.
+
+const SIZE = 360;
+const PAD = 64;
+const DIMENSION_COLOR = "#93c5fd";
+
+// Colour stops from low to high; signed maps centre on zero
+const SIGNED_STOPS = ["#2563eb", "#4b5563", "#dc2626"];
+const MAGNITUDE_STOPS = ["#1e3a8a", "#0d9488", "#facc15", "#dc2626"];
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+// Colour at t in [0, 1] along evenly spaced stops
+function colorAt(stops, t) {
+  const x = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+  const i = Math.min(Math.floor(x), stops.length - 2);
+  const a = hexToRgb(stops[i]);
+  const b = hexToRgb(stops[i + 1]);
+  const f = x - i;
+  return `rgb(${a.map((c, k) => Math.round(c + (b[k] - c) * f)).join(",")})`;
+}
+
+// Round a length down to 1, 2 or 5 times a power of ten
+function niceLength(v) {
+  const p = Math.pow(10, Math.floor(Math.log10(v)));
+  return [5, 2, 1].map((m) => m * p).find((l) => l <= v) ?? p;
+}
+
+// Dimension lines in section coordinates: overall width and depth for every
+// shape, plus the plate thicknesses or bore the shape is defined by.
+// `offset` moves the line off the measured edge, in pixels.
+function dimensionLines(section, box) {
+  const { zMin, zMax, yMin, yMax } = box;
+  // The nominal size where the outline approximates a curve
+  const nominal = {
+    rectangle: [section.width, section.height],
+    circle: [section.diameter, section.diameter],
+    hollowCircle: [2 * section.outerRadius, 2 * section.outerRadius],
+    ellipse: [section.width, section.height],
+  }[section.type] ?? [zMax - zMin, yMax - yMin];
+  const lines = [
+    {
+      from: [zMin, yMin],
+      to: [zMax, yMin],
+      value: nominal[0],
+      offset: [0, 24],
+    },
+    {
+      from: [zMin, yMin],
+      to: [zMin, yMax],
+      value: nominal[1],
+      offset: [-24, 0],
+    },
+  ];
+  if (section.type === "iBeam") {
+    const { flangeThickness: tf, webThickness: tw } = section;
+    const yWeb = yMin + tf + (yMax - yMin - 2 * tf) / 4;
+    lines.push(
+      {
+        from: [zMax, yMax - tf],
+        to: [zMax, yMax],
+        value: tf,
+        offset: [16, 0],
+      },
+      {
+        from: [-tw / 2, yWeb],
+        to: [tw / 2, yWeb],
+        value: tw,
+        offset: [0, 0],
+        outside: true,
+      },
+    );
+  } else if (section.type === "hollowCircle" && section.innerRadius > 0) {
+    const r = section.innerRadius;
+    lines.push({
+      from: [-r, 0],
+      to: [r, 0],
+      value: 2 * r,
+      offset: [0, 0],
+      chord: true,
+    });
+  } else if (section.type === "rectTube") {
+    lines.push({
+      from: [zMax - section.thickness, 0],
+      to: [zMax, 0],
+      value: section.thickness,
+      offset: [0, 0],
+      outside: true,
+    });
+  }
+  return lines;
+}
+
+export default function SectionSketch({
+  outline,
+  field,
+  extremes,
+  pointY,
+  pointZ,
+  distanceFactor,
+  distanceUnit,
+  pressureFactor,
+  pressureUnit,
+  section,
+  loads,
+  onSelectY,
+}) {
+  const [mapKind, setMapKind] = useState("none");
+  const map = useMemo(
+    () =>
+      section && loads && mapKind !== "none"
+        ? stressMap(section, loads, mapKind)
+        : null,
+    [section, loads, mapKind],
+  );
+
+  const corners = outline.flatMap((r) => r.points);
+  if (!corners.length) return null;
+  const zMin = Math.min(...corners.map((p) => p[0]));
+  const zMax = Math.max(...corners.map((p) => p[0]));
+  const yMin = Math.min(...corners.map((p) => p[1]));
+  const yMax = Math.max(...corners.map((p) => p[1]));
+  const scale = (SIZE - 2 * PAD) / Math.max(zMax - zMin, yMax - yMin, 1e-12);
+  const cz = (zMin + zMax) / 2;
+  const cy = (yMin + yMax) / 2;
+  const px = (z) => SIZE / 2 + (z - cz) * scale;
+  const py = (y) => SIZE / 2 - (y - cy) * scale;
+  const path = (points) =>
+    points
+      .map(
+        ([z, y], i) =>
+          `${i ? "L" : "M"}${px(z).toFixed(2)},${py(y).toFixed(2)}`,
+      )
+      .join(" ") + " Z";
+
+  // Neutral axis σ = 0: the point on it nearest the centroid plus its direction
+  let neutralAxis = null;
+  if (field.neutralAxisAngle !== null) {
+    const g2 = field.gradY * field.gradY + field.gradZ * field.gradZ;
+    const z0 = (-field.axial * field.gradZ) / g2;
+    const y0 = (-field.axial * field.gradY) / g2;
+    const reach = 2 * SIZE;
+    const dz = Math.cos(field.neutralAxisAngle) * reach;
+    const dy = Math.sin(field.neutralAxisAngle) * reach;
+    neutralAxis = {
+      x1: px(z0) - dz,
+      y1: py(y0) + dy,
+      x2: px(z0) + dz,
+      y2: py(y0) - dy,
+    };
+  }
+
+  const show = (v) => `${formatValue(v / pressureFactor)} ${pressureUnit}`;
+  const length = (v) => `${formatValue(v / distanceFactor)} ${distanceUnit}`;
+  const at = (p) =>
+    `(y, z) = (${formatValue(p.y / distanceFactor)}, ${formatValue(
+      p.z / distanceFactor,
+    )}) ${distanceUnit}`;
+
+  // Colour scale of the stress map: symmetric about zero for signed stresses
+  const signed = mapKind !== "vonMises";
+  const limit = map
+    ? signed
+      ? Math.max(Math.abs(map.min), Math.abs(map.max))
+      : map.max
+    : 0;
+  const stops = signed ? SIGNED_STOPS : MAGNITUDE_STOPS;
+  const colorOf = (v) =>
+    colorAt(stops, limit > 0 ? (signed ? (v / limit + 1) / 2 : v / limit) : 0);
+
+  const barLength = niceLength((zMax - zMin) / distanceFactor / 2);
+
+  // Drag the analysis height: the pointer height on the drawing, clamped to
+  // the section and rounded to a hundredth of its depth
+  const selectAt = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const svgY = ((e.clientY - rect.top) / rect.height) * SIZE;
+    const y = Math.min(Math.max(cy - (svgY - SIZE / 2) / scale, yMin), yMax);
+    const step = (yMax - yMin) / 100;
+    onSelectY((Math.round(y / step) * step) / distanceFactor);
+  };
+  const drag = onSelectY && {
+    onPointerDown: (e) => {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      selectAt(e);
+    },
+    onPointerMove: (e) => {
+      if (e.currentTarget.hasPointerCapture(e.pointerId)) selectAt(e);
+    },
+  };
+
+  const dimension = (d, i) => {
+    const [ox, oy] = d.offset;
+    const x1 = px(d.from[0]) + ox;
+    const y1 = py(d.from[1]) + oy;
+    const x2 = px(d.to[0]) + ox;
+    const y2 = py(d.to[1]) + oy;
+    const vertical = Math.abs(x2 - x1) < Math.abs(y2 - y1);
+    const tick = (x, y) =>
+      vertical ? (
+        <line x1={x - 4} x2={x + 4} y1={y} y2={y} />
+      ) : (
+        <line x1={x} x2={x} y1={y - 4} y2={y + 4} />
+      );
+    const label = length(d.value);
+    return (
+      <g key={i} stroke={DIMENSION_COLOR} fill={DIMENSION_COLOR}>
+        {(ox !== 0 || oy !== 0) && (
+          <>
+            <line
+              x1={px(d.from[0])}
+              y1={py(d.from[1])}
+              x2={x1}
+              y2={y1}
+              strokeOpacity="0.5"
+            />
+            <line
+              x1={px(d.to[0])}
+              y1={py(d.to[1])}
+              x2={x2}
+              y2={y2}
+              strokeOpacity="0.5"
+            />
+          </>
+        )}
+        <line x1={x1} y1={y1} x2={x2} y2={y2} />
+        {tick(x1, y1)}
+        {tick(x2, y2)}
+        <text
+          stroke="none"
+          fontSize="11"
+          textAnchor={vertical ? "middle" : d.outside ? "start" : "middle"}
+          transform={
+            vertical
+              ? `translate(${x1 + (ox < 0 ? -6 : 14)},${(y1 + y2) / 2}) rotate(-90)`
+              : undefined
+          }
+          x={vertical ? 0 : d.outside ? Math.max(x1, x2) + 6 : (x1 + x2) / 2}
+          y={vertical ? 0 : d.outside ? y1 + 4 : y1 + (d.chord ? -4 : 14)}
+        >
+          {label}
+        </text>
+      </g>
+    );
+  };
+
+  return (
+    <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+      <h3 className="font-semibold text-blue-300 mb-2">Section Drawing</h3>
+      {loads && (
+        <div className="mb-2">
+          <select
+            value={mapKind}
+            onChange={(e) => setMapKind(e.target.value)}
+            className="w-full p-2 bg-gray-700 border border-gray-600 rounded-md text-sm"
+          >
+            <option value="none">No stress colour map</option>
+            {Object.entries(STRESS_MAP_KINDS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+      <svg
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+        className={`w-full max-w-sm mx-auto select-none ${
+          onSelectY ? "cursor-ns-resize touch-none" : ""
+        }`}
+        {...drag}
+      >
+        <defs>
+          <clipPath id="section-sketch-clip">
+            <rect width={SIZE} height={SIZE} />
+          </clipPath>
+          <clipPath id="section-sketch-material">
+            {outline
+              .filter((r) => r.sign > 0)
+              .map((r, i) => (
+                <path key={i} d={path(r.points)} />
+              ))}
+          </clipPath>
+        </defs>
+        <rect width={SIZE} height={SIZE} fill="#111827" />
+        {outline
+          .filter((r) => r.sign > 0)
+          .map((r, i) => (
+            <path key={`m${i}`} d={path(r.points)} fill="#4b5563" />
+          ))}
+        {map && (
+          <g clipPath="url(#section-sketch-material)">
+            {map.cells.map((c) => (
+              <rect
+                key={`${c.z}:${c.y}`}
+                x={px(c.z)}
+                y={py(c.y + map.size)}
+                width={map.size * scale + 0.5}
+                height={map.size * scale + 0.5}
+                fill={colorOf(c.value)}
+              />
+            ))}
+          </g>
+        )}
+        {outline
+          .filter((r) => r.sign < 0)
+          .map((r, i) => (
+            <path key={`h${i}`} d={path(r.points)} fill="#111827" />
+          ))}
+        {outline.map((r, i) => (
+          <path key={`o${i}`} d={path(r.points)} fill="none" stroke="#9ca3af" />
+        ))}
+        <line
+          x1={0}
+          x2={SIZE}
+          y1={py(0)}
+          y2={py(0)}
+          stroke="#6b7280"
+          strokeDasharray="4 3"
+        />
+        <line
+          x1={px(0)}
+          x2={px(0)}
+          y1={0}
+          y2={SIZE}
+          stroke="#6b7280"
+          strokeDasharray="4 3"
+        />
+        <text
+          x={SIZE - 6}
+          y={py(0) - 6}
+          textAnchor="end"
+          fontSize="12"
+          fill="#d1d5db"
+        >
+          z
+        </text>
+        <text x={px(0) + 6} y={14} fontSize="12" fill="#d1d5db">
+          y
+        </text>
+        {section &&
+          dimensionLines(section, { zMin, zMax, yMin, yMax }).map(dimension)}
+        <g stroke="#d1d5db">
+          <line
+            x1={8}
+            x2={8 + barLength * distanceFactor * scale}
+            y1={SIZE - 10}
+            y2={SIZE - 10}
+            strokeWidth="3"
+          />
+          <text
+            x={12 + barLength * distanceFactor * scale}
+            y={SIZE - 6}
+            fontSize="11"
+            fill="#d1d5db"
+            stroke="none"
+          >
+            {formatValue(barLength)} {distanceUnit}
+          </text>
+        </g>
+        {neutralAxis && (
+          <line
+            {...neutralAxis}
+            stroke="#fbbf24"
+            strokeWidth="2"
+            clipPath="url(#section-sketch-clip)"
+          />
+        )}
+        {extremes && (
+          <>
+            <circle
+              cx={px(extremes.tension.z)}
+              cy={py(extremes.tension.y)}
+              r="5"
+              fill="#f87171"
+            />
+            <text
+              x={px(extremes.tension.z) + 7}
+              y={py(extremes.tension.y) - 7}
+              fontSize="12"
+              fill="#f87171"
+            >
+              T
+            </text>
+            <circle
+              cx={px(extremes.compression.z)}
+              cy={py(extremes.compression.y)}
+              r="5"
+              fill="#60a5fa"
+            />
+            <text
+              x={px(extremes.compression.z) + 7}
+              y={py(extremes.compression.y) - 7}
+              fontSize="12"
+              fill="#60a5fa"
+            >
+              C
+            </text>
+          </>
+        )}
+        {onSelectY && (
+          <>
+            <line
+              x1={px(zMin) - 8}
+              x2={px(zMax) + 8}
+              y1={py(pointY)}
+              y2={py(pointY)}
+              stroke="#f9fafb"
+              strokeDasharray="2 2"
+            />
+            <path
+              d={`M${px(zMax) + 8},${py(pointY)} l8,-6 v12 Z`}
+              fill="#f9fafb"
+            />
+          </>
+        )}
+        <circle
+          cx={px(pointZ)}
+          cy={py(pointY)}
+          r="4"
+          fill="none"
+          stroke="#f9fafb"
+          strokeWidth="2"
+        />
+      </svg>
+      {map && (
+        <div className="mt-2 text-xs text-gray-300">
+          <div
+            className="h-3 rounded"
+            style={{
+              background: `linear-gradient(to right, ${stops.join(", ")})`,
+            }}
+          />
+          <div className="flex justify-between mt-1">
+            <span>{show(signed ? -limit : 0)}</span>
+            <span>{show(signed ? limit : map.max)}</span>
+          </div>
+        </div>
+      )}
+      <div className="mt-3 text-sm text-gray-300 space-y-1">
+        <p>
+          <span className="text-yellow-400">Neutral axis</span>:{" "}
+          {field.neutralAxisAngle === null
+            ? "none (no bending)"
+            : `${formatValue((field.neutralAxisAngle * 180) / Math.PI)}° from the z axis`}
+        </p>
+        {extremes && (
+          <>
+            <p>
+              <span className="text-red-400">Max tension</span>:{" "}
+              {show(extremes.tension.stress)} at {at(extremes.tension)}
+            </p>
+            <p>
+              <span className="text-blue-400">Max compression</span>:{" "}
+              {show(extremes.compression.stress)} at {at(extremes.compression)}
+            </p>
+          </>
+        )}
+        <p className="text-gray-400">
+          White ring: analysis point
+          {onSelectY ? "; drag on the drawing to move it up or down" : ""}.
+          Drawn to scale.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from "react";
+import { formatQuantity } from "../utils/units";
+
+// Result card for one stress value, with its utilisation and factor of
+// safety when a strength check is supplied.
+export default function StressCard({
+  label,
+  value,
+  pressureFactor,
+  pressureUnit,
+  check,
+}) {
+  const failed = check && !check.pass;
+  return (
+    <div
+      className={`p-4 rounded-md border ${
+        failed ? "bg-red-900 border-red-700" : "bg-green-900 border-green-700"
+      }`}
+    >
+      <p className="font-medium">{label}</p>
+      <p>{formatQuantity(value, pressureFactor, pressureUnit)}</p>
+      {check && (
+        <p className="text-sm text-gray-200 mt-1">
+          {check.pass ? "✔ PASS" : "✘ FAIL"} · utilisation{" "}
+          {check.utilisation.toFixed(3)} · FoS{" "}
+          {Number.isFinite(check.factorOfSafety)
+            ? check.factorOfSafety.toFixed(2)
+            : "∞"}
+        </p>
+      )}
+    </div>
+  );
+}
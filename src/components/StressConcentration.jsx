@@ -0,0 +1,282 @@
+import React, { useMemo } from "react";
+import {
+  stressConcentrationFactors,
+  concentratedStresses,
+  curvedBeamStresses,
+  CONCENTRATION_DETAILS,
+  CONCENTRATION_LOADINGS,
+  CONCENTRATION_RATIOS,
+} from "../engine";
+import StressCard from "./StressCard";
+
+// Peak stresses at a geometric detail and in a curved bar. A detail's Kt
+// for axial load, bending and torsion scales the matching nominal stress at
+// the analysis point; the Winkler–Bach curved-beam formula replaces the
+// straight-beam bending stress for hooks and rings. The inputs are held by
+// the app, so they are saved with the project:
+//   { detail, ratios, curved, radius, side }
+// with the radius of the centroidal axis in the section unit.
+
+const inputClass = "w-full p-2 bg-gray-700 border border-gray-600 rounded-md";
+
+// Stress components and the loading whose Kt scales them
+const COMPONENT_ROWS = [
+  ["axial", "Axial stress", "axial"],
+  ["bending", "Bending stress", "bending"],
+  ["torsional", "Torsional shear", "torsion"],
+  ["transverse", "Transverse shear", null],
+  ["normal", "Normal stress, σ", null],
+  ["shear", "Shear stress, τ", null],
+];
+
+export default function StressConcentration({
+  section,
+  loads,
+  components,
+  y,
+  normalCheck,
+  pressureFactor,
+  pressureUnit,
+  sectionFactor,
+  sectionUnit,
+  showStress,
+  showSection,
+  concentration,
+  setConcentration,
+}) {
+  const { detail, ratios, curved, side } = concentration;
+  const radiusSI = concentration.radius * sectionFactor;
+  const update = (patch) => setConcentration((c) => ({ ...c, ...patch }));
+
+  const factors = useMemo(() => {
+    try {
+      return { loadings: stressConcentrationFactors(detail, ratios) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [detail, ratios]);
+  const curvedBeam = useMemo(() => {
+    if (!curved) return null;
+    try {
+      return curvedBeamStresses(section, loads, radiusSI, { y, side });
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [curved, section, loads, radiusSI, y, side]);
+
+  const nominal = concentratedStresses(components, {});
+  const kt = Object.fromEntries(
+    Object.entries(factors.loadings ?? {}).map(([key, f]) => [key, f.factor]),
+  );
+  const peak = concentratedStresses(components, kt);
+  const extrapolated = Object.entries(factors.loadings ?? {}).filter(
+    ([, f]) => !f.inRange,
+  );
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block font-medium mb-1">Detail</label>
+          <select
+            value={detail}
+            onChange={(e) => update({ detail: e.target.value })}
+            className={inputClass}
+          >
+            {Object.entries(CONCENTRATION_DETAILS).map(([key, d]) => (
+              <option key={key} value={key}>
+                {d.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {CONCENTRATION_DETAILS[detail].ratios.map((key) => (
+          <div key={key}>
+            <label className="block font-medium mb-1">
+              {CONCENTRATION_RATIOS[key]}
+            </label>
+            <input
+              type="number"
+              step="0.01"
+              value={ratios[key]}
+              onChange={(e) =>
+                update({
+                  ratios: { ...ratios, [key]: Number(e.target.value) },
+                })
+              }
+              className={inputClass}
+            />
+          </div>
+        ))}
+      </div>
+
+      {factors.error ? (
+        <p className="text-red-400 text-sm mt-4">{factors.error}</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto mt-4">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-300">
+                  <th className="p-1">Stress</th>
+                  <th className="p-1">Kt</th>
+                  <th className="p-1">Nominal</th>
+                  <th className="p-1">Peak</th>
+                </tr>
+              </thead>
+              <tbody>
+                {COMPONENT_ROWS.map(([key, label, loading]) => (
+                  <tr
+                    key={key}
+                    className={`border-t border-gray-700 ${
+                      loading ? "" : "text-gray-300"
+                    }`}
+                  >
+                    <td className="p-1">{label}</td>
+                    <td className="p-1">
+                      {loading
+                        ? kt[loading] !== undefined
+                          ? kt[loading].toFixed(3)
+                          : "— (no fit)"
+                        : ""}
+                    </td>
+                    <td className="p-1">{showStress(nominal[key])}</td>
+                    <td className="p-1">{showStress(peak[key])}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+            <StressCard
+              label="Nominal Von Mises Stress"
+              value={nominal.vonMises}
+              pressureFactor={pressureFactor}
+              pressureUnit={pressureUnit}
+              check={normalCheck(nominal.vonMises)}
+            />
+            <StressCard
+              label="Peak Von Mises Stress at the Detail"
+              value={peak.vonMises}
+              pressureFactor={pressureFactor}
+              pressureUnit={pressureUnit}
+              check={normalCheck(peak.vonMises)}
+            />
+          </div>
+          {extrapolated.length > 0 && (
+            <p className="text-amber-300 text-sm mt-2">
+              Outside the fitted range of h/r for{" "}
+              {extrapolated
+                .map(([key]) => CONCENTRATION_LOADINGS[key].toLowerCase())
+                .join(", ")}
+              ; the fit is extrapolated.
+            </p>
+          )}
+        </>
+      )}
+      <p className="text-gray-400 text-sm mt-2">
+        Kt from fits to Peterson&apos;s charts (Roark, Table 17.1), applied to
+        the nominal stress on the net section: analyse the section at the detail
+        and put the analysis point on the surface where the notch root lies. A
+        loading without a fit keeps its nominal stress, and the transverse shear
+        is not scaled. Kt is elastic; ductile materials under static load
+        redistribute the peak, while fatigue uses the smaller notch factor Kf.
+      </p>
+
+      <h3 className="font-semibold text-blue-300 mt-6 mb-2">
+        Curved Beam (Winkler–Bach)
+      </h3>
+      <label className="block mb-4">
+        <input
+          type="checkbox"
+          checked={curved}
+          onChange={(e) => update({ curved: e.target.checked })}
+          className="mr-2"
+        />
+        The member is curved in the plane of bending, as in a hook or ring
+      </label>
+      {curved && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block font-medium mb-1">
+                Radius of the Centroidal Axis, R ({sectionUnit})
+              </label>
+              <input
+                type="number"
+                value={concentration.radius}
+                onChange={(e) => update({ radius: Number(e.target.value) })}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block font-medium mb-1">
+                Centre of Curvature
+              </label>
+              <select
+                value={side}
+                onChange={(e) => update({ side: e.target.value })}
+                className={inputClass}
+              >
+                <option value="bottom">Below the section</option>
+                <option value="top">Above the section</option>
+              </select>
+            </div>
+          </div>
+          {curvedBeam.error ? (
+            <p className="text-red-400 text-sm mt-4">{curvedBeam.error}</p>
+          ) : (
+            <>
+              <p className="mt-4">
+                Neutral axis at r_n = {showSection(curvedBeam.neutralRadius)},{" "}
+                {showSection(curvedBeam.eccentricity)} from the centroid towards
+                the centre of curvature.
+              </p>
+              <div className="overflow-x-auto mt-2">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-300">
+                      <th className="p-1">Fibre</th>
+                      <th className="p-1">y</th>
+                      <th className="p-1">r</th>
+                      <th className="p-1">Straight σ</th>
+                      <th className="p-1">Curved σ</th>
+                      <th className="p-1">Bending Factor</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      ["Inner", curvedBeam.inner],
+                      ["Outer", curvedBeam.outer],
+                      ["Analysis point", curvedBeam.atY],
+                    ]
+                      .filter(([, f]) => f)
+                      .map(([label, f]) => (
+                        <tr key={label} className="border-t border-gray-700">
+                          <td className="p-1">{label}</td>
+                          <td className="p-1">{showSection(f.y)}</td>
+                          <td className="p-1">{showSection(f.r)}</td>
+                          <td className="p-1">{showStress(f.straight)}</td>
+                          <td className="p-1">{showStress(f.stress)}</td>
+                          <td className="p-1">
+                            {f.factor === null ? "—" : f.factor.toFixed(3)}
+                          </td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+          <p className="text-gray-400 text-sm mt-2">
+            The curved-beam formula takes the axial force and the moment about
+            z; a positive moment stretches the bottom fibres. For a hook loaded
+            by P on the line through its centre of curvature, below the section,
+            use N = P and M = P·R. The bending factor is the curved bending
+            stress over the straight one.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import React from "react";
+import DepthChart from "./DepthChart";
+
+// Normal and shear stress profiles over the section depth, from
+// stressDistribution output (SI) converted to display units. Clicking a
+// chart moves the analysis point.
+export default function StressDistribution({
+  samples,
+  distanceFactor,
+  pressureFactor,
+  distanceUnit,
+  pressureUnit,
+  pointY,
+  onSelectY,
+}) {
+  const series = (key, label, color) => ({
+    label,
+    color,
+    points: samples.map((s) => ({
+      y: s.y / distanceFactor,
+      value: s[key] / pressureFactor,
+    })),
+  });
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <DepthChart
+        title="Normal Stress, σ(y)"
+        series={[
+          series("bending", "Bending", "#f472b6"),
+          series("axial", "Axial", "#9ca3af"),
+          series("normal", "Combined σ", "#fbbf24"),
+        ]}
+        yUnit={distanceUnit}
+        valueUnit={pressureUnit}
+        markerY={pointY}
+        onSelectY={onSelectY}
+      />
+      <DepthChart
+        title="Shear Stress, τ(y)"
+        series={[
+          series("transverse", "Transverse", "#60a5fa"),
+          series("torsional", "Torsion", "#a78bfa"),
+          series("shear", "Combined τ", "#34d399"),
+        ]}
+        yUnit={distanceUnit}
+        valueUnit={pressureUnit}
+        markerY={pointY}
+        onSelectY={onSelectY}
+      />
+    </div>
+  );
+}
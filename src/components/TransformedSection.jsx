@@ -0,0 +1,123 @@
+import React, { useMemo } from "react";
+import { transformedStresses } from "../engine";
+import { formatValue } from "../utils/format";
+
+// Transformed section of a composite section whose shapes have their own
+// materials: modular ratios against the section material, the elastic
+// neutral axis, the transformed area and second moment, and the normal
+// stress in each material at its extreme fibres and at the analysis
+// height. Concrete may be taken as cracked, carrying no tension. `section`
+// is the SI composite section with n, material and noTension on each shape;
+// y and z are the analysis point in the coordinates of the shapes.
+
+export default function TransformedSection({
+  section,
+  loads,
+  y,
+  z,
+  centroidY,
+  cracked,
+  setCracked,
+  materials,
+  referenceMaterial,
+  showSection,
+  showStress,
+}) {
+  const result = useMemo(() => {
+    try {
+      return transformedStresses(section, loads, y, z, { cracked });
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [section, loads, y, z, cracked]);
+  const hasConcrete = section.shapes.some((s) => s.noTension);
+  const nameOf = (id) => materials.find((m) => m.id === id)?.name ?? id;
+
+  return (
+    <div>
+      {hasConcrete && (
+        <label className="block mb-4">
+          <input
+            type="checkbox"
+            checked={cracked}
+            onChange={(e) => setCracked(e.target.checked)}
+            className="mr-2"
+          />
+          Cracked section: concrete carries no tension
+        </label>
+      )}
+      {result.error ? (
+        <p className="text-red-400 text-sm">{result.error}</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+              <h3 className="font-semibold text-blue-300">
+                Elastic Neutral Axis
+              </h3>
+              <p>
+                y = {showSection(result.properties.neutralAxisY)}, or{" "}
+                {showSection(result.properties.neutralAxisY - centroidY)} from
+                the geometric centroid
+              </p>
+            </div>
+            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+              <h3 className="font-semibold text-blue-300">
+                Transformed Area{result.properties.cracked && " (cracked)"}
+              </h3>
+              <p>{showSection(result.properties.area, 2)}</p>
+            </div>
+            <div className="p-4 border border-gray-700 rounded-md bg-gray-700">
+              <h3 className="font-semibold text-blue-300">
+                Transformed I_z{result.properties.cracked && " (cracked)"}
+              </h3>
+              <p>{showSection(result.properties.inertia, 4)}</p>
+            </div>
+          </div>
+          <div className="overflow-x-auto mt-4">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-300">
+                  <th className="p-1">Material</th>
+                  <th className="p-1">n = E / E_ref</th>
+                  <th className="p-1">Area</th>
+                  <th className="p-1">σ at Top</th>
+                  <th className="p-1">σ at Bottom</th>
+                  <th className="p-1">σ at y = {showSection(y)}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.materials.map((m) => (
+                  <tr key={m.material} className="border-t border-gray-700">
+                    <td className="p-1">{nameOf(m.material)}</td>
+                    <td className="p-1">{formatValue(m.n)}</td>
+                    <td className="p-1">{showSection(m.area, 2)}</td>
+                    <td className="p-1">
+                      {showStress(m.top.stress)} at {showSection(m.top.y)}
+                    </td>
+                    <td className="p-1">
+                      {showStress(m.bottom.stress)} at {showSection(m.bottom.y)}
+                    </td>
+                    <td className="p-1">
+                      {m.atY === null ? "— (absent)" : showStress(m.atY)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+      <p className="text-gray-400 text-sm mt-2">
+        Areas are transformed to {referenceMaterial.name} (E_ref ={" "}
+        {showStress(referenceMaterial.E)}); the stress in each material is n
+        times the stress in the transformed section. Heights are in the
+        coordinates of the shapes, and a shape inside another of a different
+        material displaces it. Deflections use the uncracked transformed
+        section; the other results treat the section as homogeneous.
+        {result.properties?.cracked &&
+          " Concrete on the tension side of the neutral axis is ignored and shows no stress."}
+      </p>
+    </div>
+  );
+}
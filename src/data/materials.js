@@ -0,0 +1,202 @@
+// --------------------------------
+// Built-in material presets (SI units: Pa)
+// --------------------------------
+//
+// E: Young's modulus, G: shear modulus, nu: Poisson's ratio,
+// yieldStrength / ultimateStrength: nominal fy and fu for thin products.
+// Timber has no yield point; its characteristic bending strength f_m,k is
+// used for both strengths, and G is the tabulated mean value rather than
+// E / 2(1 + ν). Concrete (EN 1992-1-1) lists its secant modulus E_cm and
+// its characteristic cylinder strength f_ck as both strengths; it is meant
+// for the parts of composite sections, where it may be taken as cracked.
+
+const GPa = 1e9;
+const MPa = 1e6;
+
+export const MATERIAL_PRESETS = [
+  // Structural steels
+  {
+    id: "s235",
+    name: "Steel S235 (EN 10025)",
+    category: "Structural steel",
+    E: 210 * GPa,
+    G: 81 * GPa,
+    nu: 0.3,
+    yieldStrength: 235 * MPa,
+    ultimateStrength: 360 * MPa,
+  },
+  {
+    id: "s275",
+    name: "Steel S275 (EN 10025)",
+    category: "Structural steel",
+    E: 210 * GPa,
+    G: 81 * GPa,
+    nu: 0.3,
+    yieldStrength: 275 * MPa,
+    ultimateStrength: 430 * MPa,
+  },
+  {
+    id: "s355",
+    name: "Steel S355 (EN 10025)",
+    category: "Structural steel",
+    E: 210 * GPa,
+    G: 81 * GPa,
+    nu: 0.3,
+    yieldStrength: 355 * MPa,
+    ultimateStrength: 510 * MPa,
+  },
+  {
+    id: "a36",
+    name: "Steel ASTM A36",
+    category: "Structural steel",
+    E: 200 * GPa,
+    G: 77.2 * GPa,
+    nu: 0.3,
+    yieldStrength: 250 * MPa,
+    ultimateStrength: 400 * MPa,
+  },
+  {
+    id: "a992",
+    name: "Steel ASTM A992",
+    category: "Structural steel",
+    E: 200 * GPa,
+    G: 77.2 * GPa,
+    nu: 0.3,
+    yieldStrength: 345 * MPa,
+    ultimateStrength: 450 * MPa,
+  },
+  {
+    id: "ss304",
+    name: "Stainless Steel 304",
+    category: "Structural steel",
+    E: 193 * GPa,
+    G: 77 * GPa,
+    nu: 0.29,
+    yieldStrength: 215 * MPa,
+    ultimateStrength: 505 * MPa,
+  },
+  // Aluminium alloys
+  {
+    id: "al6061t6",
+    name: "Aluminium 6061-T6",
+    category: "Aluminium alloy",
+    E: 68.9 * GPa,
+    G: 26 * GPa,
+    nu: 0.33,
+    yieldStrength: 276 * MPa,
+    ultimateStrength: 310 * MPa,
+  },
+  {
+    id: "al6063t6",
+    name: "Aluminium 6063-T6",
+    category: "Aluminium alloy",
+    E: 68.3 * GPa,
+    G: 25.8 * GPa,
+    nu: 0.33,
+    yieldStrength: 214 * MPa,
+    ultimateStrength: 241 * MPa,
+  },
+  {
+    id: "al7075t6",
+    name: "Aluminium 7075-T6",
+    category: "Aluminium alloy",
+    E: 71.7 * GPa,
+    G: 26.9 * GPa,
+    nu: 0.33,
+    yieldStrength: 503 * MPa,
+    ultimateStrength: 572 * MPa,
+  },
+  // Timber (EN 338 / EN 14080)
+  {
+    id: "c16",
+    name: "Timber C16",
+    category: "Timber",
+    E: 8 * GPa,
+    G: 0.5 * GPa,
+    nu: 0.3,
+    yieldStrength: 16 * MPa,
+    ultimateStrength: 16 * MPa,
+  },
+  {
+    id: "c24",
+    name: "Timber C24",
+    category: "Timber",
+    E: 11 * GPa,
+    G: 0.69 * GPa,
+    nu: 0.3,
+    yieldStrength: 24 * MPa,
+    ultimateStrength: 24 * MPa,
+  },
+  {
+    id: "gl24h",
+    name: "Glulam GL24h",
+    category: "Timber",
+    E: 11.5 * GPa,
+    G: 0.65 * GPa,
+    nu: 0.3,
+    yieldStrength: 24 * MPa,
+    ultimateStrength: 24 * MPa,
+  },
+  {
+    id: "gl28h",
+    name: "Glulam GL28h",
+    category: "Timber",
+    E: 12.6 * GPa,
+    G: 0.65 * GPa,
+    nu: 0.3,
+    yieldStrength: 28 * MPa,
+    ultimateStrength: 28 * MPa,
+  },
+  // Concrete and reinforcement (EN 1992-1-1, EN 10080)
+  {
+    id: "c25_30",
+    name: "Concrete C25/30",
+    category: "Concrete",
+    E: 31 * GPa,
+    G: 12.9 * GPa,
+    nu: 0.2,
+    yieldStrength: 25 * MPa,
+    ultimateStrength: 25 * MPa,
+  },
+  {
+    id: "c30_37",
+    name: "Concrete C30/37",
+    category: "Concrete",
+    E: 33 * GPa,
+    G: 13.75 * GPa,
+    nu: 0.2,
+    yieldStrength: 30 * MPa,
+    ultimateStrength: 30 * MPa,
+  },
+  {
+    id: "c40_50",
+    name: "Concrete C40/50",
+    category: "Concrete",
+    E: 35 * GPa,
+    G: 14.6 * GPa,
+    nu: 0.2,
+    yieldStrength: 40 * MPa,
+    ultimateStrength: 40 * MPa,
+  },
+  {
+    id: "b500b",
+    name: "Reinforcing steel B500B",
+    category: "Reinforcing steel",
+    E: 200 * GPa,
+    G: 77 * GPa,
+    nu: 0.3,
+    yieldStrength: 500 * MPa,
+    ultimateStrength: 540 * MPa,
+  },
+  // Other
+  {
+    id: "ti6al4v",
+    name: "Titanium Ti-6Al-4V",
+    category: "Other",
+    E: 113.8 * GPa,
+    G: 44 * GPa,
+    nu: 0.342,
+    yieldStrength: 880 * MPa,
+    ultimateStrength: 950 * MPa,
+  },
+];
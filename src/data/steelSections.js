@@ -0,0 +1,249 @@
+// --------------------------------
+// Standard steel section catalogue
+// --------------------------------
+//
+// Dimensions and tabulated properties are stored in the units of the source
+// tables: mm, cm², cm⁴, cm³ and kg/m for the European series, in, in², in⁴,
+// in³ and lb/ft for AISC W-shapes. Tabulated values include root fillets and
+// tube corner radii, which the section engine ignores, so small differences
+// from the computed values are expected. Hollow sections are hot-finished
+// (EN 10210) with corner radii of 1.5t outside and 1.0t inside.
+
+export const SECTION_SERIES = [
+  {
+    id: "W",
+    name: "AISC W-shapes",
+    sectionType: "iBeam",
+    units: "imperial",
+  },
+  { id: "IPE", name: "European IPE", sectionType: "iBeam", units: "metric" },
+  { id: "HEA", name: "European HEA", sectionType: "iBeam", units: "metric" },
+  { id: "HEB", name: "European HEB", sectionType: "iBeam", units: "metric" },
+  {
+    id: "CHS",
+    name: "Circular hollow sections",
+    sectionType: "hollowCircle",
+    units: "metric",
+  },
+  {
+    id: "RHS",
+    name: "Rectangular hollow sections",
+    sectionType: "rectTube",
+    units: "metric",
+  },
+];
+
+// I-sections: depth h, flange width b, web tw, flange tf, root radius r,
+// then area, strong-axis inertia, elastic and plastic moduli and mass.
+const iSection =
+  (series) => (designation, h, b, tw, tf, r, A, I, Wel, Wpl, mass) => ({
+    designation,
+    series,
+    dimensions: { h, b, tw, tf, r },
+    tabulated: { A, I, Wel, Wpl, mass },
+  });
+const W = iSection("W");
+const IPE = iSection("IPE");
+const HEA = iSection("HEA");
+const HEB = iSection("HEB");
+
+// Circular hollow sections: outside diameter D and wall t.
+const CHS = (D, t, A, I, Wel, Wpl, mass) => ({
+  designation: `CHS ${D}×${t}`,
+  series: "CHS",
+  dimensions: { D, t },
+  tabulated: { A, I, Wel, Wpl, mass },
+});
+
+// Rectangular hollow sections: depth h, width b and wall t, bending about
+// the major axis.
+const RHS = (h, b, t, A, I, Wel, Wpl, mass) => ({
+  designation: `RHS ${h}×${b}×${t}`,
+  series: "RHS",
+  dimensions: { h, b, t },
+  tabulated: { A, I, Wel, Wpl, mass },
+});
+
+export const STEEL_SECTIONS = [
+  // AISC W-shapes: d, bf, tw, tf (in), no root radius; A, Ix, Sx, Zx, lb/ft
+  W("W8x31", 8.0, 8.0, 0.285, 0.435, 0, 9.13, 110, 27.5, 30.4, 31),
+  W("W10x33", 9.73, 7.96, 0.29, 0.435, 0, 9.71, 171, 35.0, 38.8, 33),
+  W("W12x26", 12.2, 6.49, 0.23, 0.38, 0, 7.65, 204, 33.4, 37.2, 26),
+  W("W12x40", 11.9, 8.01, 0.295, 0.515, 0, 11.7, 307, 51.5, 57.0, 40),
+  W("W14x22", 13.7, 5.0, 0.23, 0.335, 0, 6.49, 199, 29.0, 33.2, 22),
+  W("W14x48", 13.8, 8.03, 0.34, 0.595, 0, 14.1, 484, 70.2, 78.4, 48),
+  W("W16x26", 15.7, 5.5, 0.25, 0.345, 0, 7.68, 301, 38.4, 44.2, 26),
+  W("W16x40", 16.0, 7.0, 0.305, 0.505, 0, 11.8, 518, 64.7, 73.0, 40),
+  W("W18x35", 17.7, 6.0, 0.3, 0.425, 0, 10.3, 510, 57.6, 66.5, 35),
+  W("W18x50", 18.0, 7.5, 0.355, 0.57, 0, 14.7, 800, 88.9, 101, 50),
+  W("W21x44", 20.7, 6.5, 0.35, 0.45, 0, 13.0, 843, 81.6, 95.4, 44),
+  W("W21x62", 21.0, 8.24, 0.4, 0.615, 0, 18.3, 1330, 127, 144, 62),
+  W("W24x55", 23.6, 7.01, 0.395, 0.505, 0, 16.2, 1350, 114, 134, 55),
+  W("W24x76", 23.9, 8.99, 0.44, 0.68, 0, 22.4, 2100, 176, 200, 76),
+  W("W27x84", 26.7, 10.0, 0.46, 0.64, 0, 24.8, 2850, 213, 244, 84),
+  W("W30x99", 29.7, 10.5, 0.52, 0.67, 0, 29.1, 3990, 269, 312, 99),
+
+  // IPE
+  IPE("IPE 100", 100, 55, 4.1, 5.7, 7, 10.3, 171, 34.2, 39.4, 8.1),
+  IPE("IPE 120", 120, 64, 4.4, 6.3, 7, 13.2, 318, 53.0, 60.7, 10.4),
+  IPE("IPE 140", 140, 73, 4.7, 6.9, 7, 16.4, 541, 77.3, 88.3, 12.9),
+  IPE("IPE 160", 160, 82, 5.0, 7.4, 9, 20.1, 869, 109, 124, 15.8),
+  IPE("IPE 180", 180, 91, 5.3, 8.0, 9, 23.9, 1317, 146, 166, 18.8),
+  IPE("IPE 200", 200, 100, 5.6, 8.5, 12, 28.5, 1943, 194, 221, 22.4),
+  IPE("IPE 220", 220, 110, 5.9, 9.2, 12, 33.4, 2772, 252, 285, 26.2),
+  IPE("IPE 240", 240, 120, 6.2, 9.8, 15, 39.1, 3892, 324, 367, 30.7),
+  IPE("IPE 270", 270, 135, 6.6, 10.2, 15, 45.9, 5790, 429, 484, 36.1),
+  IPE("IPE 300", 300, 150, 7.1, 10.7, 15, 53.8, 8356, 557, 628, 42.2),
+  IPE("IPE 330", 330, 160, 7.5, 11.5, 18, 62.6, 11770, 713, 804, 49.1),
+  IPE("IPE 360", 360, 170, 8.0, 12.7, 18, 72.7, 16270, 904, 1019, 57.1),
+  IPE("IPE 400", 400, 180, 8.6, 13.5, 21, 84.5, 23130, 1156, 1307, 66.3),
+  IPE("IPE 450", 450, 190, 9.4, 14.6, 21, 98.8, 33740, 1500, 1702, 77.6),
+  IPE("IPE 500", 500, 200, 10.2, 16.0, 21, 116, 48200, 1928, 2194, 90.7),
+  IPE("IPE 550", 550, 210, 11.1, 17.2, 24, 134, 67120, 2441, 2787, 106),
+  IPE("IPE 600", 600, 220, 12.0, 19.0, 24, 156, 92080, 3069, 3512, 122),
+
+  // HEA
+  HEA("HEA 100", 96, 100, 5.0, 8.0, 12, 21.2, 349, 72.8, 83.0, 16.7),
+  HEA("HEA 120", 114, 120, 5.0, 8.0, 12, 25.3, 606, 106, 119, 19.9),
+  HEA("HEA 140", 133, 140, 5.5, 8.5, 12, 31.4, 1033, 155, 173, 24.7),
+  HEA("HEA 160", 152, 160, 6.0, 9.0, 15, 38.8, 1673, 220, 245, 30.4),
+  HEA("HEA 180", 171, 180, 6.0, 9.5, 15, 45.3, 2510, 294, 325, 35.5),
+  HEA("HEA 200", 190, 200, 6.5, 10.0, 18, 53.8, 3692, 389, 430, 42.3),
+  HEA("HEA 220", 210, 220, 7.0, 11.0, 18, 64.3, 5410, 515, 568, 50.5),
+  HEA("HEA 240", 230, 240, 7.5, 12.0, 21, 76.8, 7763, 675, 745, 60.3),
+  HEA("HEA 260", 250, 260, 7.5, 12.5, 24, 86.8, 10450, 836, 920, 68.2),
+  HEA("HEA 280", 270, 280, 8.0, 13.0, 24, 97.3, 13670, 1013, 1112, 76.4),
+  HEA("HEA 300", 290, 300, 8.5, 14.0, 27, 112.5, 18260, 1260, 1383, 88.3),
+  HEA("HEA 320", 310, 300, 9.0, 15.5, 27, 124.4, 22930, 1479, 1628, 97.6),
+  HEA("HEA 340", 330, 300, 9.5, 16.5, 27, 133.5, 27690, 1678, 1850, 105),
+  HEA("HEA 360", 350, 300, 10.0, 17.5, 27, 142.8, 33090, 1891, 2088, 112),
+  HEA("HEA 400", 390, 300, 11.0, 19.0, 27, 159.0, 45070, 2311, 2562, 125),
+
+  // HEB
+  HEB("HEB 100", 100, 100, 6.0, 10.0, 12, 26.0, 450, 89.9, 104, 20.4),
+  HEB("HEB 120", 120, 120, 6.5, 11.0, 12, 34.0, 864, 144, 165, 26.7),
+  HEB("HEB 140", 140, 140, 7.0, 12.0, 12, 43.0, 1509, 216, 246, 33.7),
+  HEB("HEB 160", 160, 160, 8.0, 13.0, 15, 54.3, 2492, 311, 354, 42.6),
+  HEB("HEB 180", 180, 180, 8.5, 14.0, 15, 65.3, 3831, 426, 482, 51.2),
+  HEB("HEB 200", 200, 200, 9.0, 15.0, 18, 78.1, 5696, 570, 643, 61.3),
+  HEB("HEB 220", 220, 220, 9.5, 16.0, 18, 91.0, 8091, 736, 827, 71.5),
+  HEB("HEB 240", 240, 240, 10.0, 17.0, 21, 106, 11260, 938, 1053, 83.2),
+  HEB("HEB 260", 260, 260, 10.0, 17.5, 24, 118.4, 14920, 1148, 1283, 93.0),
+  HEB("HEB 280", 280, 280, 10.5, 18.0, 24, 131.4, 19270, 1376, 1534, 103),
+  HEB("HEB 300", 300, 300, 11.0, 19.0, 27, 149.1, 25170, 1678, 1869, 117),
+  HEB("HEB 320", 320, 300, 11.5, 20.5, 27, 161.3, 30820, 1926, 2149, 127),
+  HEB("HEB 340", 340, 300, 12.0, 21.5, 27, 170.9, 36660, 2156, 2408, 134),
+  HEB("HEB 360", 360, 300, 12.5, 22.5, 27, 180.6, 43190, 2400, 2683, 142),
+  HEB("HEB 400", 400, 300, 13.5, 24.0, 27, 197.8, 57680, 2884, 3232, 155),
+
+  // CHS (EN 10210)
+  CHS(48.3, 3.2, 4.53, 11.6, 4.8, 6.52, 3.56),
+  CHS(60.3, 4.0, 7.07, 28.2, 9.34, 12.7, 5.55),
+  CHS(76.1, 4.0, 9.06, 59.1, 15.5, 20.8, 7.11),
+  CHS(88.9, 5.0, 13.2, 116, 26.2, 35.2, 10.3),
+  CHS(114.3, 6.3, 21.4, 313, 54.7, 73.6, 16.8),
+  CHS(139.7, 8.0, 33.1, 720, 103, 139, 26.0),
+  CHS(168.3, 8.0, 40.3, 1300, 154, 206, 31.6),
+  CHS(219.1, 10.0, 65.7, 3600, 328, 438, 51.6),
+  CHS(273.0, 10.0, 82.6, 7150, 524, 692, 64.9),
+  CHS(323.9, 12.5, 122, 14800, 917, 1210, 96.0),
+
+  // RHS (EN 10210)
+  RHS(100, 50, 4, 11.2, 140, 27.9, 35.2, 8.78),
+  RHS(100, 50, 5, 13.7, 167, 33.3, 42.6, 10.8),
+  RHS(120, 60, 5, 16.7, 299, 49.9, 63.1, 13.1),
+  RHS(150, 100, 6.3, 29.5, 898, 120, 147, 23.1),
+  RHS(200, 100, 8, 44.8, 2230, 223, 282, 35.1),
+  RHS(250, 150, 10, 74.9, 6170, 494, 611, 58.8),
+  RHS(300, 200, 10, 94.9, 11800, 788, 956, 74.5),
+];
+
+// Factors from the table units to SI for each unit system.
+const TABLE_UNITS = {
+  metric: {
+    length: 1e-3,
+    area: 1e-4,
+    inertia: 1e-8,
+    modulus: 1e-6,
+    mass: 1,
+    labels: { A: "cm²", I: "cm⁴", W: "cm³", mass: "kg/m" },
+  },
+  imperial: {
+    length: 0.0254,
+    area: 0.0254 ** 2,
+    inertia: 0.0254 ** 4,
+    modulus: 0.0254 ** 3,
+    mass: 0.45359237 / 0.3048,
+    labels: { A: "in²", I: "in⁴", W: "in³", mass: "lb/ft" },
+  },
+};
+
+/**
+ * Series description of a catalogue entry.
+ *
+ * @param {object} entry item of STEEL_SECTIONS
+ * @returns {object} item of SECTION_SERIES
+ */
+export function seriesOf(entry) {
+  return SECTION_SERIES.find((s) => s.id === entry.series);
+}
+
+/**
+ * Unit factors (table unit → SI) and labels used by a catalogue entry.
+ *
+ * @param {object} entry item of STEEL_SECTIONS
+ */
+export function tableUnitsOf(entry) {
+  return TABLE_UNITS[seriesOf(entry).units];
+}
+
+/**
+ * Engine section description (SI) for a catalogue entry.
+ *
+ * @param {object} entry item of STEEL_SECTIONS
+ * @returns {object} section as described in engine/section.js
+ */
+export function catalogueSection(entry) {
+  const { sectionType } = seriesOf(entry);
+  const f = tableUnitsOf(entry).length;
+  const d = entry.dimensions;
+  if (sectionType === "iBeam") {
+    return {
+      type: "iBeam",
+      depth: d.h * f,
+      flangeWidth: d.b * f,
+      flangeThickness: d.tf * f,
+      webThickness: d.tw * f,
+    };
+  } else if (sectionType === "hollowCircle") {
+    return {
+      type: "hollowCircle",
+      outerRadius: (d.D / 2) * f,
+      innerRadius: (d.D / 2 - d.t) * f,
+    };
+  }
+  return {
+    type: "rectTube",
+    height: d.h * f,
+    width: d.b * f,
+    thickness: d.t * f,
+  };
+}
+
+/**
+ * Catalogue entries for a section type whose designation contains the query
+ * (case and space insensitive).
+ *
+ * @param {string} sectionType engine section type
+ * @param {string} query
+ * @returns {object[]}
+ */
+export function searchSections(sectionType, query) {
+  const normalise = (text) => text.toLowerCase().replace(/[\s×x]/g, "");
+  const needle = normalise(query);
+  return STEEL_SECTIONS.filter(
+    (entry) =>
+      seriesOf(entry).sectionType === sectionType &&
+      normalise(entry.designation).includes(needle),
+  );
+}
@@ -0,0 +1,320 @@
+import { solveLinearSystem } from "./linearAlgebra.js";
+
+// --------------------------------
+// 1D beam solver (SI units: m, N, N·m, N/m)
+// --------------------------------
+//
+// The beam runs from x = 0 to x = length. Supports and loads are plain
+// objects:
+//   supports: { type: "pinned" | "roller" | "fixed" | "free", position }
+//   loads:    { type: "pointLoad", position, magnitude }        force, + downwards
+//             { type: "moment", position, magnitude }           couple, + counter-clockwise
+//             { type: "udl", start, end, magnitude }            N/m, + downwards
+//             { type: "linear", start, end, startMagnitude, endMagnitude }
+//
+// The beam is discretised into Euler-Bernoulli elements with a node at every
+// support, point action and distributed-load end, so the stiffness solution
+// is exact and statically indeterminate layouts (propped cantilevers,
+// continuous beams) need no special handling. Internal forces follow the
+// usual convention: shear V is the upward resultant left of the cut and
+// M is positive when sagging, so that dM/dx = V.
+
+export const SUPPORT_TYPES = ["pinned", "roller", "fixed", "free"];
+export const LOAD_TYPES = ["pointLoad", "moment", "udl", "linear"];
+
+// Degrees of freedom restrained by each support: [deflection, rotation].
+const SUPPORT_RESTRAINTS = {
+  pinned: [true, false],
+  roller: [true, false],
+  fixed: [true, true],
+  free: [false, false],
+};
+
+// Split every load into point forces, point couples and linearly varying
+// distributed segments, with forces positive upwards.
+function normaliseLoads(loads) {
+  const forces = [];
+  const couples = [];
+  const distributed = [];
+  for (const load of loads) {
+    if (load.type === "pointLoad") {
+      forces.push({ position: load.position, value: -load.magnitude });
+    } else if (load.type === "moment") {
+      couples.push({ position: load.position, value: load.magnitude });
+    } else if (load.type === "udl" || load.type === "linear") {
+      const startValue =
+        load.type === "udl" ? load.magnitude : load.startMagnitude;
+      const endValue = load.type === "udl" ? load.magnitude : load.endMagnitude;
+      if (load.end > load.start) {
+        distributed.push({
+          start: load.start,
+          end: load.end,
+          startValue: -startValue,
+          endValue: -endValue,
+        });
+      }
+    } else {
+      throw new Error(`Unknown load type "${load.type}".`);
+    }
+  }
+  return { forces, couples, distributed };
+}
+
+function checkPosition(x, length, what) {
+  if (!(x >= 0 && x <= length)) {
+    throw new Error(`${what} at x = ${x} lies outside the beam.`);
+  }
+}
+
+// Upward intensity of a distributed segment at x (inside the segment).
+function intensityAt(segment, x) {
+  const { start, end, startValue, endValue } = segment;
+  return startValue + ((endValue - startValue) * (x - start)) / (end - start);
+}
+
+/**
+ * Solve a beam for its support reactions and nodal displacements.
+ *
+ * @param {{ length: number, EI?: number, supports: object[], loads: object[] }} beam
+ *   EI defaults to 1, which is enough for reactions and internal forces
+ * @returns {{ length: number, EI: number, nodes: number[], displacements: number[],
+ *   reactions: { type: string, position: number, force: number, moment: number }[],
+ *   forces: object[], couples: object[], distributed: object[] }}
+ *   reaction forces are positive upwards and reaction moments counter-clockwise
+ */
+export function solveBeam({ length, EI = 1, supports, loads }) {
+  if (!(length > 0)) throw new Error("Beam length must be positive.");
+  if (!(EI > 0)) throw new Error("Flexural rigidity EI must be positive.");
+
+  const { forces, couples, distributed } = normaliseLoads(loads);
+  supports.forEach((s) => checkPosition(s.position, length, "Support"));
+  forces.forEach((f) => checkPosition(f.position, length, "Point load"));
+  couples.forEach((c) => checkPosition(c.position, length, "Moment"));
+  distributed.forEach((d) => {
+    checkPosition(d.start, length, "Distributed load");
+    checkPosition(d.end, length, "Distributed load");
+  });
+
+  // Nodes at every location where something happens.
+  const nodes = [
+    ...new Set([
+      0,
+      length,
+      ...supports.map((s) => s.position),
+      ...forces.map((f) => f.position),
+      ...couples.map((c) => c.position),
+      ...distributed.flatMap((d) => [d.start, d.end]),
+    ]),
+  ].sort((a, b) => a - b);
+  const nodeIndex = (x) => nodes.indexOf(x);
+
+  const dof = nodes.length * 2;
+  const K = Array.from({ length: dof }, () => new Array(dof).fill(0));
+  const F = new Array(dof).fill(0);
+
+  for (let e = 0; e < nodes.length - 1; e++) {
+    const x1 = nodes[e];
+    const x2 = nodes[e + 1];
+    const l = x2 - x1;
+    const k = EI / Math.pow(l, 3);
+    const ke = [
+      [12 * k, 6 * l * k, -12 * k, 6 * l * k],
+      [6 * l * k, 4 * l * l * k, -6 * l * k, 2 * l * l * k],
+      [-12 * k, -6 * l * k, 12 * k, -6 * l * k],
+      [6 * l * k, 2 * l * l * k, -6 * l * k, 4 * l * l * k],
+    ];
+    const map = [2 * e, 2 * e + 1, 2 * e + 2, 2 * e + 3];
+    for (let i = 0; i < 4; i++) {
+      for (let j = 0; j < 4; j++) K[map[i]][map[j]] += ke[i][j];
+    }
+
+    // Consistent nodal loads for each distributed segment covering this element.
+    for (const d of distributed) {
+      if (d.start > x1 || d.end < x2) continue;
+      const q1 = intensityAt(d, x1);
+      const q2 = intensityAt(d, x2);
+      F[map[0]] += (l * (7 * q1 + 3 * q2)) / 20;
+      F[map[1]] += (l * l * (3 * q1 + 2 * q2)) / 60;
+      F[map[2]] += (l * (3 * q1 + 7 * q2)) / 20;
+      F[map[3]] -= (l * l * (2 * q1 + 3 * q2)) / 60;
+    }
+  }
+
+  forces.forEach((f) => (F[2 * nodeIndex(f.position)] += f.value));
+  couples.forEach((c) => (F[2 * nodeIndex(c.position) + 1] += c.value));
+
+  // Restrained degrees of freedom.
+  const restrained = new Array(dof).fill(false);
+  for (const s of supports) {
+    const restraint = SUPPORT_RESTRAINTS[s.type];
+    if (!restraint) throw new Error(`Unknown support type "${s.type}".`);
+    const n = nodeIndex(s.position);
+    if (restraint[0]) restrained[2 * n] = true;
+    if (restraint[1]) restrained[2 * n + 1] = true;
+  }
+
+  const free = [];
+  for (let i = 0; i < dof; i++) if (!restrained[i]) free.push(i);
+  let freeDisplacements;
+  try {
+    freeDisplacements = solveLinearSystem(
+      free.map((i) => free.map((j) => K[i][j])),
+      free.map((i) => F[i]),
+    );
+  } catch {
+    throw new Error(
+      "The beam is unstable: add supports so that it cannot move as a mechanism.",
+    );
+  }
+  const displacements = new Array(dof).fill(0);
+  free.forEach((i, n) => (displacements[i] = freeDisplacements[n]));
+
+  // Reactions: R = K·d − F at the restrained degrees of freedom.
+  const reactionAt = (i) =>
+    restrained[i]
+      ? K[i].reduce((sum, kij, j) => sum + kij * displacements[j], 0) - F[i]
+      : 0;
+  const reactions = [];
+  const seen = new Set();
+  for (const s of supports) {
+    const n = nodeIndex(s.position);
+    if (s.type === "free" || seen.has(n)) continue;
+    seen.add(n);
+    reactions.push({
+      type: s.type,
+      position: s.position,
+      force: reactionAt(2 * n),
+      moment: reactionAt(2 * n + 1),
+    });
+  }
+
+  return {
+    length,
+    EI,
+    nodes,
+    displacements,
+    reactions,
+    forces: [
+      ...forces,
+      ...reactions.map((r) => ({ position: r.position, value: r.force })),
+    ],
+    couples: [
+      ...couples,
+      ...reactions.map((r) => ({ position: r.position, value: r.moment })),
+    ],
+    distributed,
+  };
+}
+
+/**
+ * Internal shear force and bending moment at x from a solved beam. Where a
+ * point action sits exactly at x the diagrams jump; `side` picks the value
+ * just left (default) or just right of x. At x = 0 the right-hand value is
+ * always returned.
+ *
+ * @param {object} solution result of solveBeam
+ * @param {number} x position along the beam (m)
+ * @param {"left" | "right"} [side]
+ * @returns {{ shear: number, moment: number }} V (N) and M (N·m)
+ */
+export function internalForcesAt(solution, x, side = "left") {
+  const isLeft = (position) =>
+    position < x || ((side === "right" || x <= 0) && position <= x);
+  let shear = 0;
+  let moment = 0;
+
+  for (const f of solution.forces) {
+    if (!isLeft(f.position)) continue;
+    shear += f.value;
+    moment += f.value * (x - f.position);
+  }
+  for (const c of solution.couples) {
+    if (isLeft(c.position)) moment -= c.value;
+  }
+  for (const d of solution.distributed) {
+    const c = Math.min(x, d.end) - d.start;
+    if (c <= 0) continue;
+    // Resultant of the loaded part [start, start + c] and its moment about start.
+    const slope = (d.endValue - d.startValue) / (d.end - d.start);
+    const resultant = d.startValue * c + (slope * c * c) / 2;
+    const firstMoment = (d.startValue * c * c) / 2 + (slope * c * c * c) / 3;
+    shear += resultant;
+    moment += resultant * (x - d.start) - firstMoment;
+  }
+
+  return { shear, moment };
+}
+
+// 3-point Gauss-Legendre rule on [-1, 1]; exact for polynomials up to degree
+// 5, which covers M(x) (at most cubic between nodes) times a linear weight.
+const GAUSS_POINTS = [-Math.sqrt(3 / 5), 0, Math.sqrt(3 / 5)];
+const GAUSS_WEIGHTS = [5 / 9, 8 / 9, 5 / 9];
+
+/**
+ * Slope and deflection at x, found by integrating M/EI from the nearest node
+ * to the left. Deflection is positive upwards and slope counter-clockwise.
+ *
+ * @param {object} solution result of solveBeam
+ * @param {number} x position along the beam (m)
+ * @returns {{ slope: number, deflection: number }} θ (rad) and v (m)
+ */
+export function slopeDeflectionAt(solution, x) {
+  const { nodes, displacements, EI } = solution;
+  let e = 0;
+  while (e < nodes.length - 2 && x > nodes[e + 1]) e++;
+  const x1 = nodes[e];
+  const v1 = displacements[2 * e];
+  const theta1 = displacements[2 * e + 1];
+  const half = (x - x1) / 2;
+
+  let slope = theta1;
+  let deflection = v1 + theta1 * (x - x1);
+  GAUSS_POINTS.forEach((g, i) => {
+    const s = x1 + half * (1 + g);
+    const curvature = internalForcesAt(solution, s).moment / EI;
+    slope += GAUSS_WEIGHTS[i] * half * curvature;
+    deflection += GAUSS_WEIGHTS[i] * half * (x - s) * curvature;
+  });
+  return { slope, deflection };
+}
+
+/**
+ * Sample V, M, θ and v along the beam for plotting. Every node is sampled
+ * from both sides so jumps in the shear and moment diagrams stay vertical.
+ *
+ * @param {object} solution result of solveBeam
+ * @param {number} [count] number of evenly spaced stations
+ * @returns {{ x: number, shear: number, moment: number, slope: number, deflection: number }[]}
+ */
+export function sampleBeam(solution, count = 200) {
+  const { length, nodes } = solution;
+  const stations = [];
+  for (let i = 0; i <= count; i++) stations.push([(length * i) / count]);
+  nodes.forEach((x) => stations.push([x, "left"], [x, "right"]));
+  stations.sort(
+    (a, b) => a[0] - b[0] || (a[1] === "right") - (b[1] === "right"),
+  );
+
+  return stations.map(([x, side]) => ({
+    x,
+    ...internalForcesAt(solution, x, side),
+    ...slopeDeflectionAt(solution, x),
+  }));
+}
+
+/**
+ * Largest and smallest value of a sampled quantity and where they occur.
+ *
+ * @param {object[]} samples output of sampleBeam
+ * @param {string} key "shear", "moment", "slope" or "deflection"
+ * @returns {{ max: number, xMax: number, min: number, xMin: number }}
+ */
+export function extremes(samples, key) {
+  let max = samples[0],
+    min = samples[0];
+  for (const s of samples) {
+    if (s[key] > max[key]) max = s;
+    if (s[key] < min[key]) min = s;
+  }
+  return { max: max[key], xMax: max.x, min: min[key], xMin: min.x };
+}
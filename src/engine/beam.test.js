@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import { internalForcesAt, slopeDeflectionAt, solveBeam } from "./beam.js";
+
+function expectClose(actual, expected, tolerance = 1e-9) {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(
+    tolerance * Math.max(Math.abs(expected), 1e-30),
+  );
+}
+
+const L = 6;
+const w = 10e3;
+const EI = 200e9 * 8e-5;
+const udl = { type: "udl", start: 0, end: L, magnitude: w };
+
+describe("solveBeam", () => {
+  it("gives wL/2 reactions and 5wL⁴/384EI sag on a simply supported beam", () => {
+    const solution = solveBeam({
+      length: L,
+      EI,
+      supports: [
+        { type: "pinned", position: 0 },
+        { type: "roller", position: L },
+      ],
+      loads: [udl],
+    });
+    solution.reactions.forEach((r) => expectClose(r.force, (w * L) / 2));
+    expectClose(internalForcesAt(solution, L / 2).moment, (w * L ** 2) / 8);
+    expectClose(
+      slopeDeflectionAt(solution, L / 2).deflection,
+      (-5 * w * L ** 4) / (384 * EI),
+    );
+  });
+
+  it("gives 3wL/8 at the prop of a propped cantilever", () => {
+    const solution = solveBeam({
+      length: L,
+      EI,
+      supports: [
+        { type: "fixed", position: 0 },
+        { type: "roller", position: L },
+      ],
+      loads: [udl],
+    });
+    const [fixed, prop] = solution.reactions;
+    expectClose(prop.force, (3 * w * L) / 8);
+    expectClose(fixed.force, (5 * w * L) / 8);
+    expectClose(internalForcesAt(solution, 0).moment, (-w * L ** 2) / 8);
+  });
+
+  it("gives wL²/12 end moments on a fixed–fixed beam", () => {
+    const solution = solveBeam({
+      length: L,
+      EI,
+      supports: [
+        { type: "fixed", position: 0 },
+        { type: "fixed", position: L },
+      ],
+      loads: [udl],
+    });
+    const [left, right] = solution.reactions;
+    expectClose(left.moment, (w * L ** 2) / 12);
+    expectClose(right.moment, (-w * L ** 2) / 12);
+    expectClose(internalForcesAt(solution, 0).moment, (-w * L ** 2) / 12);
+    expectClose(internalForcesAt(solution, L / 2).moment, (w * L ** 2) / 24);
+    expectClose(
+      slopeDeflectionAt(solution, L / 2).deflection,
+      (-w * L ** 4) / (384 * EI),
+    );
+  });
+
+  it("gives 5wL/4 at the middle support of a two-span continuous beam", () => {
+    const solution = solveBeam({
+      length: 2 * L,
+      EI,
+      supports: [
+        { type: "pinned", position: 0 },
+        { type: "roller", position: L },
+        { type: "roller", position: 2 * L },
+      ],
+      loads: [{ ...udl, end: 2 * L }],
+    });
+    const [end, middle, far] = solution.reactions;
+    expectClose(end.force, (3 * w * L) / 8);
+    expectClose(middle.force, (5 * w * L) / 4);
+    expectClose(far.force, (3 * w * L) / 8);
+    expectClose(internalForcesAt(solution, L).moment, (-w * L ** 2) / 8);
+  });
+
+  it("rejects loads outside the beam", () => {
+    expect(() =>
+      solveBeam({
+        length: L,
+        supports: [{ type: "fixed", position: 0 }],
+        loads: [{ type: "pointLoad", position: L + 1, magnitude: 1 }],
+      }),
+    ).toThrow(/outside the beam/);
+  });
+});
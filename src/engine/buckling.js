@@ -0,0 +1,171 @@
+// --------------------------------
+// Column buckling and lateral-torsional buckling (SI units: N, m, Pa)
+// --------------------------------
+//
+// Flexural buckling of a prismatic column about each axis with an
+// effective length K·L, from the Euler load and the Johnson parabola, plus
+// the AISC and Eurocode column curves and the elastic lateral-torsional
+// buckling moment of a doubly symmetric beam. Torsional and
+// flexural-torsional buckling of columns are not covered.
+
+// Effective-length factors K for the end conditions, with the theoretical
+// values and the design values recommended in AISC 360 Commentary
+// Table C-A-7.1 for ends that are not perfectly fixed.
+export const END_CONDITIONS = {
+  "pinned-pinned": { label: "Pinned – pinned", theoretical: 1, recommended: 1 },
+  "fixed-fixed": {
+    label: "Fixed – fixed",
+    theoretical: 0.5,
+    recommended: 0.65,
+  },
+  "fixed-pinned": {
+    label: "Fixed – pinned",
+    theoretical: 0.7,
+    recommended: 0.8,
+  },
+  "fixed-sliding": {
+    label: "Fixed – sliding (sway, no rotation)",
+    theoretical: 1,
+    recommended: 1.2,
+  },
+  "fixed-free": {
+    label: "Fixed – free (cantilever)",
+    theoretical: 2,
+    recommended: 2.1,
+  },
+  "pinned-sliding": {
+    label: "Pinned – sliding (sway, no rotation)",
+    theoretical: 2,
+    recommended: 2,
+  },
+};
+
+// Eurocode 3 Table 6.1 imperfection factors
+export const BUCKLING_CURVES = { a0: 0.13, a: 0.21, b: 0.34, c: 0.49, d: 0.76 };
+
+/**
+ * Euler and Johnson critical loads about the horizontal (z) and vertical
+ * (y) centroidal axes, and about the minor principal axis when the section
+ * is unsymmetric. The minor principal axis uses the longer of the two
+ * lengths. The Johnson parabola σcr = σy − (σy·λ / 2π)² / E applies below
+ * the transition slenderness λc = π√(2E / σy) and meets the Euler curve
+ * there.
+ *
+ * @param {object} props computeSectionProperties(section)
+ * @param {{ E: number, yieldStrength: number }} material
+ * @param {{ lengthZ: number, lengthY: number, k: number }} options
+ *   unbraced lengths for buckling about z and y, effective-length factor
+ * @returns {{ transitionSlenderness: number, axes: object[] }} each axis is
+ *   { axis, inertia, radius, effectiveLength, slenderness, eulerLoad,
+ *   eulerStress, johnsonStress, criticalStress, criticalLoad, method }
+ */
+export function columnBuckling(props, material, { lengthZ, lengthY, k }) {
+  const { E, yieldStrength: fy } = material;
+  const transitionSlenderness = Math.PI * Math.sqrt((2 * E) / fy);
+  const axis = (name, inertia, length) => {
+    const radius = Math.sqrt(inertia / props.area);
+    const effectiveLength = k * length;
+    const slenderness = effectiveLength / radius;
+    const eulerStress = (Math.PI * Math.PI * E) / (slenderness * slenderness);
+    const johnson = slenderness < transitionSlenderness;
+    const johnsonStress = johnson
+      ? fy - Math.pow((fy * slenderness) / (2 * Math.PI), 2) / E
+      : eulerStress;
+    return {
+      axis: name,
+      inertia,
+      radius,
+      effectiveLength,
+      slenderness,
+      eulerLoad: eulerStress * props.area,
+      eulerStress,
+      johnsonStress,
+      criticalStress: johnsonStress,
+      criticalLoad: johnsonStress * props.area,
+      method: johnson ? "Johnson" : "Euler",
+    };
+  };
+  const axes = [
+    axis("z", props.inertia, lengthZ),
+    axis("y", props.inertiaY, lengthY),
+  ];
+  const { I1, I2 } = props.principal;
+  if (Math.abs(props.productOfInertia) > 1e-9 * I1) {
+    axes.push(axis("principal", I2, Math.max(lengthZ, lengthY)));
+  }
+  return { transitionSlenderness, axes };
+}
+
+/**
+ * AISC 360-16 E3 critical stress for flexural buckling.
+ *
+ * @param {number} Fy yield stress (Pa)
+ * @param {number} Fe elastic buckling stress π²E / (L_c/r)² (Pa)
+ * @returns {number} F_cr (Pa)
+ */
+export function aiscCriticalStress(Fy, Fe) {
+  return Fy / Fe <= 2.25 ? Math.pow(0.658, Fy / Fe) * Fy : 0.877 * Fe;
+}
+
+/**
+ * EN 1993-1-1 6.3.1.2 / 6.3.2.2 reduction factor χ for a non-dimensional
+ * slenderness and imperfection factor.
+ *
+ * @param {number} slenderness λ̄
+ * @param {number} alpha imperfection factor α
+ * @returns {number} χ ≤ 1
+ */
+export function eurocodeReduction(slenderness, alpha) {
+  if (slenderness <= 0.2) return 1;
+  const phi = 0.5 * (1 + alpha * (slenderness - 0.2) + slenderness ** 2);
+  return Math.min(
+    1 / (phi + Math.sqrt(phi * phi - slenderness * slenderness)),
+    1,
+  );
+}
+
+/**
+ * EN 1993-1-1 Table 6.2 buckling curves about the major (z here, y-y in
+ * the code) and minor axes: rolled I-sections by h/b and flange
+ * thickness, hot-finished hollow sections curve a, other sections curve c.
+ *
+ * @param {object} section
+ * @returns {{ z: string, y: string }}
+ */
+export function eurocodeColumnCurves(section) {
+  if (section.type === "iBeam") {
+    const { depth: h, flangeWidth: b, flangeThickness: tf } = section;
+    if (h / b > 1.2) {
+      return tf <= 0.04 ? { z: "a", y: "b" } : { z: "b", y: "c" };
+    }
+    return tf <= 0.1 ? { z: "b", y: "c" } : { z: "d", y: "d" };
+  }
+  if (section.type === "rectTube" || section.type === "hollowCircle") {
+    return { z: "a", y: "a" };
+  }
+  return { z: "c", y: "c" };
+}
+
+/**
+ * Elastic critical moment for lateral-torsional buckling of a doubly
+ * symmetric beam with the load at the shear centre:
+ * M_cr = C_b·(π / L_b)·√(E·I_y·G·J + (π·E / L_b)²·I_y·C_w).
+ *
+ * @param {object} props computeSectionProperties(section)
+ * @param {{ E: number, G: number }} material
+ * @param {number} length unbraced length L_b (m)
+ * @param {number} cb moment gradient factor C_b (C₁ in Eurocode 3)
+ * @returns {number} M_cr (N·m)
+ */
+export function elasticCriticalMoment(props, material, length, cb) {
+  const { E, G } = material;
+  const Iy = props.inertiaY;
+  return (
+    cb *
+    (Math.PI / length) *
+    Math.sqrt(
+      E * Iy * G * props.polarInertia +
+        Math.pow((Math.PI * E) / length, 2) * Iy * props.warpingConstant,
+    )
+  );
+}
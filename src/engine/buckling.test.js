@@ -0,0 +1,127 @@
+import { describe, expect, it } from "vitest";
+import { computeSectionProperties } from "./section.js";
+import {
+  BUCKLING_CURVES,
+  END_CONDITIONS,
+  aiscCriticalStress,
+  columnBuckling,
+  elasticCriticalMoment,
+  eurocodeReduction,
+} from "./buckling.js";
+
+function expectClose(actual, expected, tolerance = 1e-9) {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(
+    tolerance * Math.max(Math.abs(expected), 1e-30),
+  );
+}
+
+const steel = { E: 200e9, G: 77e9, yieldStrength: 250e6 };
+const iBeam = {
+  type: "iBeam",
+  depth: 0.3,
+  flangeWidth: 0.15,
+  flangeThickness: 0.0107,
+  webThickness: 0.0071,
+};
+
+describe("columnBuckling", () => {
+  const props = computeSectionProperties(iBeam);
+  const L = 8;
+
+  it.each(Object.entries(END_CONDITIONS))(
+    "gives P_cr = π²EI/(KL)² for %s ends",
+    (name, { theoretical: k }) => {
+      const { axes } = columnBuckling(props, steel, {
+        lengthZ: L,
+        lengthY: L,
+        k,
+      });
+      const [z, y] = axes;
+      expect(axes).toHaveLength(2);
+      expectClose(z.effectiveLength, k * L);
+      expectClose(
+        z.eulerLoad,
+        (Math.PI ** 2 * steel.E * props.inertia) / (k * L) ** 2,
+      );
+      expectClose(
+        y.eulerLoad,
+        (Math.PI ** 2 * steel.E * props.inertiaY) / (k * L) ** 2,
+      );
+    },
+  );
+
+  it("switches to the Johnson parabola below λc and meets Euler there", () => {
+    const { transitionSlenderness, axes } = columnBuckling(props, steel, {
+      lengthZ: 0.5,
+      lengthY: 0.5,
+      k: 1,
+    });
+    expectClose(
+      transitionSlenderness,
+      Math.PI * Math.sqrt((2 * steel.E) / steel.yieldStrength),
+    );
+    const [, y] = axes;
+    expect(y.method).toBe("Johnson");
+    expect(y.criticalStress).toBeLessThan(steel.yieldStrength);
+    expect(y.criticalStress).toBeLessThan(y.eulerStress);
+
+    // At λ = λc the Johnson stress is σy/2, the Euler stress there
+    const radius = Math.sqrt(props.inertiaY / props.area);
+    const atTransition = columnBuckling(props, steel, {
+      lengthZ: transitionSlenderness * radius,
+      lengthY: transitionSlenderness * radius,
+      k: 1,
+    }).axes[1];
+    expectClose(atTransition.eulerStress, steel.yieldStrength / 2);
+  });
+
+  it("adds the minor principal axis of an angle", () => {
+    const angle = { type: "angle", height: 0.1, width: 0.1, thickness: 0.01 };
+    const p = computeSectionProperties(angle);
+    const { axes } = columnBuckling(p, steel, { lengthZ: 2, lengthY: 3, k: 1 });
+    expect(axes.map((a) => a.axis)).toEqual(["z", "y", "principal"]);
+    expectClose(
+      axes[2].eulerLoad,
+      (Math.PI ** 2 * steel.E * p.principal.I2) / 9,
+    );
+  });
+});
+
+describe("design column curves", () => {
+  it("gives AISC F_cr = 0.658·F_y at F_e = F_y and 0.877·F_e when slender", () => {
+    expectClose(aiscCriticalStress(345e6, 345e6), 0.658 * 345e6);
+    expectClose(aiscCriticalStress(345e6, 100e6), 0.877 * 100e6);
+  });
+
+  it("matches the EN 1993-1-1 Table 6.2 χ values at λ̄ = 1", () => {
+    expectClose(eurocodeReduction(1, BUCKLING_CURVES.a), 0.6656, 2e-4);
+    expectClose(eurocodeReduction(1, BUCKLING_CURVES.b), 0.597, 2e-4);
+    expectClose(eurocodeReduction(1, BUCKLING_CURVES.c), 0.5399, 2e-4);
+    expect(eurocodeReduction(0.2, BUCKLING_CURVES.d)).toBe(1);
+  });
+});
+
+describe("elasticCriticalMoment", () => {
+  it("gives the Timoshenko M_cr of an I-beam under uniform moment", () => {
+    const {
+      depth: h,
+      flangeWidth: b,
+      flangeThickness: tf,
+      webThickness: tw,
+    } = iBeam;
+    const hw = h - 2 * tf;
+    const h0 = h - tf;
+    const Iy = (2 * tf * b ** 3 + hw * tw ** 3) / 12;
+    const J = (2 * b * tf ** 3 + hw * tw ** 3) / 3;
+    const Cw = (tf * b ** 3 * h0 ** 2) / 24;
+    const L = 6;
+    const { E, G } = steel;
+    const Mcr =
+      (Math.PI / L) *
+      Math.sqrt(E * Iy * G * J + ((Math.PI * E) / L) ** 2 * Iy * Cw);
+
+    const props = computeSectionProperties(iBeam);
+    expectClose(elasticCriticalMoment(props, steel, L, 1), Mcr);
+    expectClose(elasticCriticalMoment(props, steel, L, 1.13), 1.13 * Mcr);
+  });
+});
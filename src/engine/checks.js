@@ -0,0 +1,32 @@
+// --------------------------------
+// Strength checks against a material (SI units: Pa)
+// --------------------------------
+
+/**
+ * Shear yield strength from the von Mises criterion, τy = fy / √3.
+ *
+ * @param {{ yieldStrength: number }} material
+ * @returns {number} τy (Pa)
+ */
+export function shearYieldStrength(material) {
+  return material.yieldStrength / Math.sqrt(3);
+}
+
+/**
+ * Compare a stress with a strength limit.
+ *
+ * The factor of safety is limit / |stress|. The utilisation includes the
+ * target factor of safety, |stress| · targetFoS / limit, so the check passes
+ * when it does not exceed 1.
+ *
+ * @param {number} stress (Pa)
+ * @param {number} limit strength the stress is compared with (Pa)
+ * @param {number} targetFoS required factor of safety
+ * @returns {{ factorOfSafety: number, utilisation: number, pass: boolean }}
+ */
+export function strengthCheck(stress, limit, targetFoS) {
+  const magnitude = Math.abs(stress);
+  const factorOfSafety = magnitude > 0 ? limit / magnitude : Infinity;
+  const utilisation = limit > 0 ? (magnitude * targetFoS) / limit : Infinity;
+  return { factorOfSafety, utilisation, pass: utilisation <= 1 };
+}
@@ -0,0 +1,142 @@
+// --------------------------------
+// Load cases, combinations and envelopes (SI units: N, N·m)
+// --------------------------------
+//
+// A load case holds one set of section forces { force, moment, momentY,
+// torque, shearForce } and a category. A combination applies one factor per
+// category, so 1.35G + 1.5Q scales every dead load case by 1.35 and every
+// imposed one by 1.5.
+
+export const LOAD_CATEGORIES = ["dead", "live", "wind", "snow"];
+
+const LOAD_KEYS = ["force", "moment", "momentY", "torque", "shearForce"];
+
+// Code combinations for the strength (ULS) and serviceability (SLS) checks.
+// Eurocode: EN 1990 Eq. 6.10 with the Table A1.1 ψ0 for buildings
+// (imposed 0.7, snow 0.5 below 1000 m, wind 0.6) and the characteristic SLS
+// combination. ASCE 7-16 §2.3.1 LRFD combinations without earthquake, roof
+// live and rain loads, and the §2.4.1 ASD combinations for serviceability.
+export const COMBINATION_PRESETS = {
+  eurocode: {
+    label: "Eurocode (EN 1990)",
+    symbols: { dead: "G", live: "Q", wind: "W", snow: "S" },
+    combinations: [
+      { name: "ULS 1.35G", limitState: "ULS", factors: { dead: 1.35 } },
+      {
+        name: "ULS 1.35G + 1.5Q",
+        limitState: "ULS",
+        factors: { dead: 1.35, live: 1.5 },
+      },
+      {
+        name: "ULS 1.35G + 1.5Q + 0.9W + 0.75S",
+        limitState: "ULS",
+        factors: { dead: 1.35, live: 1.5, wind: 0.9, snow: 0.75 },
+      },
+      {
+        name: "ULS 1.35G + 1.5W + 1.05Q + 0.75S",
+        limitState: "ULS",
+        factors: { dead: 1.35, live: 1.05, wind: 1.5, snow: 0.75 },
+      },
+      {
+        name: "ULS 1.35G + 1.5S + 1.05Q + 0.9W",
+        limitState: "ULS",
+        factors: { dead: 1.35, live: 1.05, wind: 0.9, snow: 1.5 },
+      },
+      {
+        name: "ULS 1.0G + 1.5W",
+        limitState: "ULS",
+        factors: { dead: 1, wind: 1.5 },
+      },
+      {
+        name: "SLS G + Q + 0.6W + 0.5S",
+        limitState: "SLS",
+        factors: { dead: 1, live: 1, wind: 0.6, snow: 0.5 },
+      },
+    ],
+  },
+  asce7: {
+    label: "ASCE 7 LRFD",
+    symbols: { dead: "D", live: "L", wind: "W", snow: "S" },
+    combinations: [
+      { name: "LRFD 1.4D", limitState: "ULS", factors: { dead: 1.4 } },
+      {
+        name: "LRFD 1.2D + 1.6L + 0.5S",
+        limitState: "ULS",
+        factors: { dead: 1.2, live: 1.6, snow: 0.5 },
+      },
+      {
+        name: "LRFD 1.2D + 1.6S + L",
+        limitState: "ULS",
+        factors: { dead: 1.2, live: 1, snow: 1.6 },
+      },
+      {
+        name: "LRFD 1.2D + 1.6S + 0.5W",
+        limitState: "ULS",
+        factors: { dead: 1.2, wind: 0.5, snow: 1.6 },
+      },
+      {
+        name: "LRFD 1.2D + 1.0W + L + 0.5S",
+        limitState: "ULS",
+        factors: { dead: 1.2, live: 1, wind: 1, snow: 0.5 },
+      },
+      {
+        name: "LRFD 0.9D + 1.0W",
+        limitState: "ULS",
+        factors: { dead: 0.9, wind: 1 },
+      },
+      {
+        name: "ASD D + 0.75L + 0.45W + 0.75S",
+        limitState: "SLS",
+        factors: { dead: 1, live: 0.75, wind: 0.45, snow: 0.75 },
+      },
+    ],
+  },
+};
+
+/**
+ * Section forces of a combination: Σ factor(category) · load case.
+ * Categories missing from the factors count as 0.
+ *
+ * @param {{ category: string, force: number, moment: number, momentY: number,
+ *   torque: number, shearForce: number }[]} cases
+ * @param {Object<string, number>} factors factor per category
+ * @returns {{ force: number, moment: number, momentY: number, torque: number, shearForce: number }}
+ */
+export function combineLoadCases(cases, factors) {
+  const combined = Object.fromEntries(LOAD_KEYS.map((key) => [key, 0]));
+  for (const c of cases) {
+    const factor = factors[c.category] ?? 0;
+    for (const key of LOAD_KEYS) combined[key] += factor * (c[key] ?? 0);
+  }
+  return combined;
+}
+
+/**
+ * Largest and smallest value of each quantity over a set of results, with
+ * the result each comes from.
+ *
+ * @param {{ name: string, values: Object<string, number> }[]} results
+ * @param {string[]} keys quantities to envelope
+ * @returns {Object<string, { max: { value: number, name: string },
+ *   min: { value: number, name: string }, governing: { value: number, name: string } }>}
+ *   governing is whichever of max and min has the larger magnitude
+ */
+export function loadEnvelope(results, keys) {
+  const envelope = {};
+  for (const key of keys) {
+    let max = null;
+    let min = null;
+    for (const { name, values } of results) {
+      const value = values[key];
+      if (!max || value > max.value) max = { value, name };
+      if (!min || value < min.value) min = { value, name };
+    }
+    if (!max) continue;
+    envelope[key] = {
+      max,
+      min,
+      governing: Math.abs(min.value) > Math.abs(max.value) ? min : max,
+    };
+  }
+  return envelope;
+}
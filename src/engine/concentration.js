@@ -0,0 +1,287 @@
+// --------------------------------
+// Stress concentration factors of geometric details
+// --------------------------------
+//
+// Elastic stress concentration factors Kt fitted to Peterson's charts, as
+// given in Roark's Formulas for Stress and Strain, Table 17.1:
+//   Kt = C1 + C2·(2h/D) + C3·(2h/D)² + C4·(2h/D)³,
+//   Ci = a + b·√(h/r) + c·(h/r),
+// where D is the gross width or diameter, d the net one at the detail,
+// h = (D − d)/2 the depth of the step or notch and r its root radius. The
+// peak stress is Kt times the nominal stress on the net section d, so the
+// section analysed should be the net section at the detail.
+
+// Coefficients [a, b, c] of C1…C4 over ranges of h/r
+const fit = (min, ...ranges) => ({ min, ranges });
+const range = (max, C1, C2, C3, C4) => ({ max, C: [C1, C2, C3, C4] });
+
+// Loadings a detail can have a factor for; torsion scales the torsional
+// shear stress, the others the axial and bending normal stress.
+export const CONCENTRATION_LOADINGS = {
+  axial: "Axial",
+  bending: "Bending",
+  torsion: "Torsion",
+};
+
+// Details and their parameters. `ratios` lists the inputs: D/d and r/d for
+// steps and notches, d/W for a hole, a/b for an elliptical hole.
+export const CONCENTRATION_DETAILS = {
+  roundShoulder: {
+    label: "Round shaft, shoulder fillet",
+    ratios: ["diameterRatio", "radiusRatio"],
+    fits: {
+      axial: fit(
+        0.25,
+        range(
+          2,
+          [0.926, 1.157, -0.099],
+          [0.012, -3.036, 0.961],
+          [-0.302, 3.977, -1.744],
+          [0.365, -2.098, 0.878],
+        ),
+        range(
+          20,
+          [1.2, 0.86, -0.022],
+          [-1.805, -0.346, -0.038],
+          [2.198, -0.486, 0.165],
+          [-0.593, -0.028, -0.106],
+        ),
+      ),
+      bending: fit(
+        0.25,
+        range(
+          2,
+          [0.947, 1.206, -0.131],
+          [0.022, -3.405, 0.915],
+          [0.869, 1.777, -0.555],
+          [-0.81, 0.422, -0.26],
+        ),
+        range(
+          20,
+          [1.232, 0.832, -0.008],
+          [-3.813, 0.968, -0.26],
+          [7.423, -4.868, 0.869],
+          [-3.839, 3.07, -0.6],
+        ),
+      ),
+      torsion: fit(
+        0.25,
+        range(
+          4,
+          [0.905, 0.783, -0.075],
+          [-0.437, -1.969, 0.553],
+          [1.557, 1.073, -0.578],
+          [-1.061, 0.171, 0.086],
+        ),
+      ),
+    },
+  },
+  roundGroove: {
+    label: "Round shaft, U-groove",
+    ratios: ["diameterRatio", "radiusRatio"],
+    fits: {
+      axial: fit(
+        0.25,
+        range(
+          2,
+          [0.455, 3.354, -0.769],
+          [3.129, -15.955, 7.404],
+          [-6.909, 29.286, -16.104],
+          [4.325, -16.685, 9.469],
+        ),
+      ),
+      bending: fit(
+        0.25,
+        range(
+          2,
+          [0.594, 2.958, -0.52],
+          [0.422, -10.545, 2.692],
+          [0.501, 14.375, -4.486],
+          [-0.613, -6.573, 2.177],
+        ),
+      ),
+      torsion: fit(
+        0.25,
+        range(
+          2,
+          [0.966, 1.056, -0.022],
+          [-0.192, -4.037, 0.674],
+          [0.808, 5.321, -1.231],
+          [-0.583, -2.364, 0.515],
+        ),
+      ),
+    },
+  },
+  flatShoulder: {
+    label: "Flat bar, shoulder fillets",
+    ratios: ["diameterRatio", "radiusRatio"],
+    fits: {
+      axial: fit(
+        0.1,
+        range(
+          2,
+          [1.007, 1, -0.031],
+          [-0.114, -0.585, 0.314],
+          [0.241, -0.992, -0.271],
+          [-0.134, 0.577, -0.012],
+        ),
+        range(
+          20,
+          [1.042, 0.982, -0.036],
+          [-0.074, -0.156, -0.01],
+          [-3.418, 1.22, -0.005],
+          [3.45, -2.046, 0.051],
+        ),
+      ),
+      bending: fit(
+        0.1,
+        range(
+          2,
+          [1.007, 1, -0.031],
+          [-0.27, -2.404, 0.749],
+          [0.677, 1.133, -0.904],
+          [-0.414, 0.271, 0.186],
+        ),
+        range(
+          20,
+          [1.042, 0.982, -0.036],
+          [-3.599, 1.619, -0.431],
+          [6.084, -5.607, 1.158],
+          [-2.527, 3.006, -0.691],
+        ),
+      ),
+    },
+  },
+  flatNotch: {
+    label: "Flat bar, opposite U-notches",
+    ratios: ["diameterRatio", "radiusRatio"],
+    fits: {
+      axial: fit(
+        0.1,
+        range(
+          2,
+          [0.955, 2.169, -0.081],
+          [-1.557, -4.046, 1.032],
+          [4.013, 0.424, -0.748],
+          [-2.461, 1.538, -0.236],
+        ),
+        range(
+          50,
+          [1.037, 1.991, 0.002],
+          [-1.886, -2.181, -0.048],
+          [0.649, 1.086, 0.142],
+          [1.218, -0.922, -0.086],
+        ),
+      ),
+    },
+  },
+  plateHole: {
+    label: "Plate with a central hole",
+    ratios: ["holeRatio"],
+  },
+  ellipticalHole: {
+    label: "Wide plate with an elliptical hole",
+    ratios: ["axisRatio"],
+  },
+};
+
+export const CONCENTRATION_RATIOS = {
+  diameterRatio: "D/d, gross over net width or diameter",
+  radiusRatio: "r/d, root radius over net width or diameter",
+  holeRatio: "d/W, hole diameter over plate width",
+  axisRatio: "a/b, semi-axis across the load over the one along it",
+};
+
+// Kt of one fitted loading; outside the fitted range of h/r the nearest
+// range is extrapolated and flagged.
+function fittedFactor({ min, ranges }, D, d, r) {
+  const hr = (D - d) / 2 / r;
+  const depth = 1 - d / D;
+  const chosen = ranges.find((rg) => hr <= rg.max) ?? ranges.at(-1);
+  const sqrt = Math.sqrt(hr);
+  const factor = chosen.C.reduce(
+    (sum, [a, b, c], i) => sum + (a + b * sqrt + c * hr) * depth ** i,
+    0,
+  );
+  return {
+    factor: Math.max(factor, 1),
+    inRange: hr >= min && hr <= ranges.at(-1).max,
+  };
+}
+
+/**
+ * Stress concentration factors of a detail for each loading it has a fit
+ * for. A step or notch needs D/d > 1 and r/d > 0, a hole 0 ≤ d/W < 1 and an
+ * elliptical hole a/b > 0.
+ *
+ * @param {string} detail key of CONCENTRATION_DETAILS
+ * @param {{ diameterRatio?: number, radiusRatio?: number, holeRatio?: number,
+ *   axisRatio?: number }} ratios
+ * @returns {{ [loading: string]: { factor: number, inRange: boolean } }}
+ *   Kt for the nominal stress on the net section, keyed by
+ *   CONCENTRATION_LOADINGS; inRange is false when a fit is extrapolated
+ */
+export function stressConcentrationFactors(detail, ratios) {
+  const entry = CONCENTRATION_DETAILS[detail];
+  if (!entry) throw new Error(`Unknown detail "${detail}".`);
+
+  if (detail === "plateHole") {
+    // Heywood's fit on the net section, from Kt = 3 for a small hole to 2
+    // as the ligaments vanish
+    const q = ratios.holeRatio;
+    if (!(q >= 0 && q < 1)) {
+      throw new Error("d/W must be at least 0 and less than 1.");
+    }
+    return {
+      axial: {
+        factor: 3 - 3.13 * q + 3.66 * q * q - 1.53 * q ** 3,
+        inRange: true,
+      },
+    };
+  }
+  if (detail === "ellipticalHole") {
+    // Inglis: Kt = 1 + 2a/b, exact for an infinite plate
+    if (!(ratios.axisRatio > 0)) throw new Error("a/b must be positive.");
+    return { axial: { factor: 1 + 2 * ratios.axisRatio, inRange: true } };
+  }
+
+  const { diameterRatio, radiusRatio } = ratios;
+  if (!(diameterRatio > 1)) throw new Error("D/d must be greater than 1.");
+  if (!(radiusRatio > 0)) throw new Error("r/d must be positive.");
+  return Object.fromEntries(
+    Object.entries(entry.fits).map(([loading, f]) => [
+      loading,
+      fittedFactor(f, diameterRatio, 1, radiusRatio),
+    ]),
+  );
+}
+
+/**
+ * Peak stresses at a detail from the nominal stress components at a point:
+ * the axial and bending normal stresses and the torsional shear stress are
+ * multiplied by their factors, and the transverse shear is left nominal.
+ *
+ * @param {{ axial: number, bending: number, torsional: number, transverse: number }} components
+ *   nominal stresses, see stressesAt (Pa)
+ * @param {{ axial?: number, bending?: number, torsion?: number }} factors
+ *   Kt for each loading, 1 where missing
+ * @returns {{ axial: number, bending: number, torsional: number,
+ *   transverse: number, normal: number, shear: number, vonMises: number }}
+ */
+export function concentratedStresses(components, factors) {
+  const axial = components.axial * (factors.axial ?? 1);
+  const bending = components.bending * (factors.bending ?? 1);
+  const torsional = components.torsional * (factors.torsion ?? 1);
+  const { transverse } = components;
+  const normal = axial + bending;
+  const shear = torsional + transverse;
+  return {
+    axial,
+    bending,
+    torsional,
+    transverse,
+    normal,
+    shear,
+    vonMises: Math.sqrt(normal * normal + 3 * shear * shear),
+  };
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import {
+  concentratedStresses,
+  stressConcentrationFactors,
+} from "./concentration.js";
+
+function expectClose(actual, expected, tolerance = 1e-9) {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(
+    tolerance * Math.max(Math.abs(expected), 1e-30),
+  );
+}
+
+describe("stressConcentrationFactors", () => {
+  it("evaluates the Roark fit for a shaft shoulder in bending", () => {
+    // D/d = 1.5 and r/d = 0.1, so h/r = 2.5 and 2h/D = 1/3
+    const hr = 2.5;
+    const C = [
+      [1.232, 0.832, -0.008],
+      [-3.813, 0.968, -0.26],
+      [7.423, -4.868, 0.869],
+      [-3.839, 3.07, -0.6],
+    ].map(([a, b, c]) => a + b * Math.sqrt(hr) + c * hr);
+    const Kt = C[0] + C[1] / 3 + C[2] / 9 + C[3] / 27;
+    const { bending } = stressConcentrationFactors("roundShoulder", {
+      diameterRatio: 1.5,
+      radiusRatio: 0.1,
+    });
+    expectClose(bending.factor, Kt);
+    expectClose(bending.factor, 1.743, 1e-3);
+    expect(bending.inRange).toBe(true);
+  });
+
+  it("flags a fit used outside its range of h/r", () => {
+    const { axial } = stressConcentrationFactors("flatNotch", {
+      diameterRatio: 1.02,
+      radiusRatio: 0.5,
+    });
+    expect(axial.inRange).toBe(false);
+    expect(axial.factor).toBeGreaterThanOrEqual(1);
+  });
+
+  it("gives Kt = 3 for a small hole and 1 + 2a/b for an elliptical one", () => {
+    expect(
+      stressConcentrationFactors("plateHole", { holeRatio: 0 }).axial.factor,
+    ).toBe(3);
+    expectClose(
+      stressConcentrationFactors("plateHole", { holeRatio: 0.5 }).axial.factor,
+      3 - 3.13 * 0.5 + 3.66 * 0.25 - 1.53 * 0.125,
+    );
+    expect(
+      stressConcentrationFactors("ellipticalHole", { axisRatio: 2 }).axial
+        .factor,
+    ).toBe(5);
+  });
+
+  it("rejects impossible ratios", () => {
+    expect(() =>
+      stressConcentrationFactors("roundShoulder", {
+        diameterRatio: 1,
+        radiusRatio: 0.1,
+      }),
+    ).toThrow(/D\/d/);
+    expect(() =>
+      stressConcentrationFactors("plateHole", { holeRatio: 1 }),
+    ).toThrow(/d\/W/);
+  });
+});
+
+describe("concentratedStresses", () => {
+  it("scales each component by its factor and leaves transverse shear", () => {
+    const s = concentratedStresses(
+      { axial: 10e6, bending: -40e6, torsional: 20e6, transverse: 5e6 },
+      { axial: 2, bending: 1.5, torsion: 1.3 },
+    );
+    expect(s.axial).toBe(20e6);
+    expect(s.bending).toBe(-60e6);
+    expectClose(s.torsional, 26e6);
+    expect(s.transverse).toBe(5e6);
+    expectClose(s.vonMises, Math.sqrt(40e6 ** 2 + 3 * 31e6 ** 2));
+  });
+});
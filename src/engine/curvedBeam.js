@@ -0,0 +1,135 @@
+import { computeSectionProperties, sectionOutline } from "./section.js";
+import { chordLength } from "./polygon.js";
+
+// --------------------------------
+// Curved beams (SI units: N, N·m, m, Pa)
+// --------------------------------
+//
+// Winkler–Bach theory for a bar curved in the plane of bending, such as a
+// crane hook or a ring: plane sections stay plane, so the strain is
+// hyperbolic across the depth and the neutral axis moves from the centroid
+// towards the centre of curvature by e. With r the radius of a fibre, R
+// that of the centroidal axis and r_n that of the neutral axis,
+//   σ = N/A − M·(r − r_n) / (A·e·r)   (centre of curvature below),
+// which tends to the straight-beam σ = N/A − M·y/I as R grows. Moments
+// follow the sign convention of ./stress.js: a positive (sagging) moment
+// stretches the bottom fibres.
+
+// Gauss–Legendre nodes and weights on [−1, 1], 8 points
+const GAUSS = [
+  [-0.9602898564975363, 0.1012285362903763],
+  [-0.7966664774136267, 0.2223810344533745],
+  [-0.525532409916329, 0.3137066458778873],
+  [-0.1834346424956498, 0.362683783378362],
+  [0.1834346424956498, 0.362683783378362],
+  [0.525532409916329, 0.3137066458778873],
+  [0.7966664774136267, 0.2223810344533745],
+  [0.9602898564975363, 0.1012285362903763],
+];
+
+// K = ∫ y²/(R + y) dA over the section, y towards the outside of the curve.
+// The width is piecewise linear between vertex heights; each piece is cut
+// into steps no longer than a quarter of their distance from the centre of
+// curvature, where the integrand is singular, so the quadrature converges.
+function curvatureIntegral(regions, R, side) {
+  const widthAt = (y) =>
+    regions.reduce(
+      (sum, { points, sign }) => sum + sign * chordLength(points, side * y),
+      0,
+    );
+  const levels = [
+    ...new Set(regions.flatMap((r) => r.points.map((p) => side * p[1]))),
+  ].sort((a, b) => a - b);
+  let K = 0;
+  for (let i = 0; i + 1 < levels.length; i++) {
+    let y0 = levels[i];
+    const end = levels[i + 1];
+    while (y0 < end) {
+      const y1 = Math.min(end, y0 + 0.25 * (R + y0));
+      const half = (y1 - y0) / 2;
+      for (const [x, w] of GAUSS) {
+        const y = y0 + half * (1 + x);
+        K += w * half * widthAt(y) * ((y * y) / (R + y));
+      }
+      y0 = y1;
+    }
+  }
+  return K;
+}
+
+/**
+ * Normal stresses in a curved beam by Winkler–Bach, with the straight-beam
+ * values for comparison, at the inner and outer fibres and at a height y.
+ * Only the axial force and the moment in the plane of curvature (about z)
+ * are taken; shear and torsion are unaffected by the curvature.
+ *
+ * @param {object} section see ./section.js
+ * @param {{ force: number, moment: number, momentY?: number }} loads (N, N·m)
+ * @param {number} radius radius of the centroidal axis R (m)
+ * @param {{ y?: number, side?: "bottom" | "top" }} [options] height of the
+ *   analysis point from the centroid (m) and the side of the section facing
+ *   the centre of curvature
+ * @returns {{ area: number, radius: number, neutralRadius: number,
+ *   eccentricity: number, inner: object, outer: object, atY: object | null }}
+ *   r_n and e (m); inner, outer and atY are { y, r, stress, straight,
+ *   factor }: height and radius of the fibre (m), curved and straight
+ *   normal stress (Pa) and the ratio of the curved to the straight bending
+ *   stress
+ */
+export function curvedBeamStresses(
+  section,
+  loads,
+  radius,
+  { y = null, side = "bottom" } = {},
+) {
+  if (loads.momentY) {
+    throw new Error(
+      "The curved-beam formula covers bending in the plane of curvature only; set the moment about y to zero.",
+    );
+  }
+  const props = computeSectionProperties(section);
+  const regions = sectionOutline(section);
+  if (!regions.length) {
+    throw new Error("The curved-beam formula needs the section outline.");
+  }
+  // s turns heights into distances outwards from the centre of curvature
+  const s = side === "top" ? -1 : 1;
+  const innerY = s > 0 ? -props.yBottom : props.yTop;
+  const outerY = s > 0 ? props.yTop : -props.yBottom;
+  if (!(radius + s * innerY > 0)) {
+    throw new Error(
+      "The radius of the centroidal axis must exceed the distance to the inner fibre.",
+    );
+  }
+
+  const A = props.area;
+  const K = curvatureIntegral(regions, radius, s);
+  // From ∫dA/r = A/R + K/R², e = R − A / ∫dA/r without cancellation
+  const e = K / (A + K / radius);
+  const rn = radius - e;
+  const { force: N, moment: M } = loads;
+
+  const at = (height) => {
+    const r = radius + s * height;
+    const bending = (-M * s * (r - rn)) / (A * e * r);
+    const straightBending = (-M * height) / props.inertia;
+    return {
+      y: height,
+      r,
+      stress: N / A + bending,
+      straight: N / A + straightBending,
+      factor: straightBending !== 0 ? bending / straightBending : null,
+    };
+  };
+  const inside =
+    y !== null && y >= -props.yBottom && y <= props.yTop ? at(y) : null;
+  return {
+    area: A,
+    radius,
+    neutralRadius: rn,
+    eccentricity: e,
+    inner: at(innerY),
+    outer: at(outerY),
+    atY: inside,
+  };
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { curvedBeamStresses } from "./curvedBeam.js";
+
+function expectClose(actual, expected, tolerance = 1e-9) {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(
+    tolerance * Math.max(Math.abs(expected), 1e-30),
+  );
+}
+
+const bending = { force: 0, moment: 100 };
+
+describe("curvedBeamStresses", () => {
+  it("gives r_n = h / ln(r_o/r_i) and the Winkler–Bach fibre stresses of a rectangle", () => {
+    const b = 0.02;
+    const h = 0.04;
+    const R = 0.05;
+    const ri = R - h / 2;
+    const ro = R + h / 2;
+    const result = curvedBeamStresses(
+      { type: "rectangle", width: b, height: h },
+      bending,
+      R,
+    );
+    const rn = h / Math.log(ro / ri);
+    const e = R - rn;
+    const A = b * h;
+    expectClose(result.neutralRadius, rn);
+    expectClose(result.eccentricity, e, 1e-9);
+    // Sagging stretches the inner (bottom) fibre
+    expectClose(
+      result.inner.stress,
+      (bending.moment * (rn - ri)) / (A * e * ri),
+      1e-9,
+    );
+    expectClose(
+      result.outer.stress,
+      (-bending.moment * (ro - rn)) / (A * e * ro),
+      1e-9,
+    );
+  });
+
+  it("gives r_n = (R + √(R² − c²)) / 2 for a circle", () => {
+    const c = 0.02;
+    const R = 0.05;
+    const result = curvedBeamStresses(
+      { type: "circle", diameter: 2 * c },
+      bending,
+      R,
+    );
+    expectClose(result.neutralRadius, (R + Math.sqrt(R * R - c * c)) / 2, 1e-6);
+  });
+
+  it("tends to the straight-beam stresses as the radius grows", () => {
+    const result = curvedBeamStresses(
+      { type: "rectangle", width: 0.02, height: 0.04 },
+      { force: 500, moment: 100 },
+      100,
+      { y: 0.01 },
+    );
+    expectClose(result.inner.factor, 1, 1e-3);
+    expectClose(result.atY.stress, result.atY.straight, 1e-3);
+  });
+
+  it("rejects a radius inside the section", () => {
+    expect(() =>
+      curvedBeamStresses(
+        { type: "rectangle", width: 0.02, height: 0.04 },
+        bending,
+        0.015,
+      ),
+    ).toThrow(/inner fibre/);
+  });
+});
@@ -0,0 +1,370 @@
+import { stressesAt } from "./stress.js";
+
+// --------------------------------
+// Fatigue under fluctuating loads (SI units: N, N·m, m, Pa)
+// --------------------------------
+//
+// Stress-life method as in Shigley's Mechanical Engineering Design, ch. 6.
+// The loads swing between a minimum and a maximum state; the stresses at a
+// point are linear in the loads, so the normal and shear stresses swing
+// between the values of the two states. Their amplitudes and means are
+// combined as von Mises equivalents, a mean-stress criterion turns them into
+// a factor of safety and an equivalent fully reversed stress, and the S–N
+// line through f·f_u at 10³ cycles and the endurance limit S_e at 10⁶
+// cycles gives the life. The mean von Mises stress is never negative, so a
+// compressive mean earns no credit. Stress concentrations are not applied.
+
+export const MEAN_STRESS_CRITERIA = {
+  goodman: "Modified Goodman",
+  gerber: "Gerber",
+  soderberg: "Soderberg",
+};
+
+// Surface factor k_a = a · f_u^b, f_u in MPa (Shigley Table 6-2)
+export const SURFACE_FINISHES = {
+  ground: { label: "Ground", a: 1.58, b: -0.085 },
+  machined: { label: "Machined or cold-drawn", a: 4.51, b: -0.265 },
+  hotRolled: { label: "Hot-rolled", a: 57.7, b: -0.718 },
+  forged: { label: "As-forged", a: 272, b: -0.995 },
+};
+
+// Load factor k_c; combined loading uses von Mises stresses with k_c = 1
+export const FATIGUE_LOADINGS = {
+  combined: { label: "Combined (von Mises)", factor: 1 },
+  bending: { label: "Bending", factor: 1 },
+  axial: { label: "Axial", factor: 0.85 },
+  torsion: { label: "Torsion", factor: 0.59 },
+};
+
+// Reliability factor k_e (Shigley Table 6-5)
+export const RELIABILITY_FACTORS = [
+  { reliability: 0.5, factor: 1 },
+  { reliability: 0.9, factor: 0.897 },
+  { reliability: 0.95, factor: 0.868 },
+  { reliability: 0.99, factor: 0.814 },
+  { reliability: 0.999, factor: 0.753 },
+  { reliability: 0.9999, factor: 0.702 },
+  { reliability: 0.99999, factor: 0.659 },
+  { reliability: 0.999999, factor: 0.62 },
+];
+
+const MPa = 1e6;
+
+/**
+ * Endurance limit of a polished rotating-beam specimen of steel,
+ * S'_e = 0.5 f_u up to f_u = 1400 MPa and 700 MPa above. Other metals have
+ * no endurance limit; use their fatigue strength at the design life.
+ *
+ * @param {number} ultimateStrength f_u (Pa)
+ * @returns {number} S'_e (Pa)
+ */
+export function enduranceLimitEstimate(ultimateStrength) {
+  return Math.min(0.5 * ultimateStrength, 700 * MPa);
+}
+
+/**
+ * Marin factors that reduce the specimen endurance limit to the part's,
+ * S_e = k_a·k_b·k_c·k_d·k_e·k_f·S'_e. The size factor is for a round bar
+ * in bending or torsion of the given (effective) diameter; it is 1 for
+ * axial loading or when no diameter is given.
+ *
+ * @param {{ ultimateStrength: number, surface: string, diameter?: number,
+ *   loading: string, reliability: number, temperature?: number,
+ *   miscellaneous?: number }} options f_u (Pa), key of SURFACE_FINISHES,
+ *   diameter (m), key of FATIGUE_LOADINGS, reliability (e.g. 0.99) and the
+ *   temperature and miscellaneous factors k_d and k_f
+ * @returns {{ surface: number, size: number, load: number, temperature: number,
+ *   reliability: number, miscellaneous: number, product: number }}
+ */
+export function marinFactors({
+  ultimateStrength,
+  surface,
+  diameter,
+  loading,
+  reliability,
+  temperature = 1,
+  miscellaneous = 1,
+}) {
+  const finish = SURFACE_FINISHES[surface];
+  if (!finish) throw new Error(`Unknown surface finish "${surface}".`);
+  const load = FATIGUE_LOADINGS[loading];
+  if (!load) throw new Error(`Unknown fatigue loading "${loading}".`);
+  const ka = Math.min(finish.a * Math.pow(ultimateStrength / MPa, finish.b), 1);
+
+  // Shigley Eq. 6-19, d in mm
+  const d = diameter * 1000;
+  let kb = 1;
+  if (loading !== "axial" && d > 51) kb = 1.51 * Math.pow(d, -0.157);
+  else if (loading !== "axial" && d >= 2.79) kb = 1.24 * Math.pow(d, -0.107);
+
+  const row = RELIABILITY_FACTORS.find((r) => r.reliability === reliability);
+  if (!row) throw new Error(`No reliability factor for ${reliability}.`);
+  const factors = {
+    surface: ka,
+    size: kb,
+    load: load.factor,
+    temperature,
+    reliability: row.factor,
+    miscellaneous,
+  };
+  return {
+    ...factors,
+    product: Object.values(factors).reduce((p, k) => p * k, 1),
+  };
+}
+
+// Von Mises amplitude and mean from the normal and shear components
+function equivalentStresses(normal, shear) {
+  const vonMises = (s, t) => Math.sqrt(s * s + 3 * t * t);
+  return {
+    normal,
+    shear,
+    alternating: vonMises(normal.alternating, shear.alternating),
+    mean: vonMises(normal.mean, shear.mean),
+  };
+}
+
+/**
+ * Alternating and mean stresses at a point of the section as the loads
+ * swing between two states, from stressesAt. The normal stress is axial +
+ * bending and the shear stress torsional + transverse.
+ *
+ * @param {object} section see ./section.js
+ * @param {object} loadsMin loads of one extreme state, see stressesAt
+ * @param {object} loadsMax loads of the other extreme state
+ * @param {number} y distance from the horizontal centroidal axis (m)
+ * @param {number} [z] distance from the vertical centroidal axis (m)
+ * @returns {{ normal: object, shear: object, alternating: number, mean: number }}
+ *   normal and shear are { min, max, alternating, mean } (Pa); alternating
+ *   and mean are their von Mises equivalents
+ */
+export function fatigueStresses(section, loadsMin, loadsMax, y, z = 0) {
+  const state = (loads) => {
+    const s = stressesAt(section, loads, y, z);
+    return { normal: s.axial + s.bending, shear: s.torsional + s.transverse };
+  };
+  const a = state(loadsMin);
+  const b = state(loadsMax);
+  const swing = (key) => ({
+    min: Math.min(a[key], b[key]),
+    max: Math.max(a[key], b[key]),
+    alternating: Math.abs(b[key] - a[key]) / 2,
+    mean: (a[key] + b[key]) / 2,
+  });
+  return equivalentStresses(swing("normal"), swing("shear"));
+}
+
+/**
+ * Fatigue factor of safety of a mean-stress criterion, the equivalent fully
+ * reversed stress amplitude σ_ar and the Langer first-cycle yield factor
+ * f_y / (σ_a + σ_m).
+ *
+ * @param {string} criterion key of MEAN_STRESS_CRITERIA
+ * @param {{ alternating: number, mean: number }} stresses von Mises σ_a, σ_m (Pa)
+ * @param {{ enduranceLimit: number, ultimateStrength: number, yieldStrength: number }} strengths
+ *   S_e, f_u and f_y (Pa)
+ * @returns {{ factor: number, equivalentReversed: number, yieldFactor: number }}
+ *   σ_ar is Infinity when the mean stress alone reaches the strength
+ */
+export function meanStressCorrection(
+  criterion,
+  { alternating: sa, mean: sm },
+  { enduranceLimit: Se, ultimateStrength: Su, yieldStrength: Sy },
+) {
+  const peak = sa + sm;
+  const yieldFactor = peak > 0 ? Sy / peak : Infinity;
+  let factor;
+  let reduction;
+  if (criterion === "goodman" || criterion === "soderberg") {
+    // 1/n = σa/Se + σm/S, S = f_u or f_y
+    const S = criterion === "goodman" ? Su : Sy;
+    const inverse = sa / Se + sm / S;
+    factor = inverse > 0 ? 1 / inverse : Infinity;
+    reduction = 1 - sm / S;
+  } else if (criterion === "gerber") {
+    // n·σa/Se + (n·σm/f_u)² = 1
+    if (sm > 0 && sa > 0) {
+      const r = (2 * sm * Se) / (Su * sa);
+      factor = 0.5 * (Su / sm) ** 2 * (sa / Se) * (-1 + Math.sqrt(1 + r * r));
+    } else if (sm > 0) {
+      factor = Su / sm;
+    } else {
+      factor = sa > 0 ? Se / sa : Infinity;
+    }
+    reduction = 1 - (sm / Su) ** 2;
+  } else {
+    throw new Error(`Unknown mean-stress criterion "${criterion}".`);
+  }
+  return {
+    factor,
+    equivalentReversed: reduction > 0 ? sa / reduction : Infinity,
+    yieldFactor,
+  };
+}
+
+/**
+ * S–N line S = a·N^b through f·f_u at 10³ cycles and S_e at 10⁶ cycles.
+ *
+ * @param {{ ultimateStrength: number, enduranceLimit: number, fraction?: number }} options
+ *   f_u and S_e (Pa), fatigue strength fraction f (Shigley Fig. 6-18, about
+ *   0.9 for f_u up to 500 MPa and falling to 0.77 at 1400 MPa)
+ * @returns {{ a: number, b: number, ultimateStrength: number,
+ *   lowCycleStrength: number, enduranceLimit: number }} a in Pa
+ */
+export function snCurve({ ultimateStrength, enduranceLimit, fraction = 0.9 }) {
+  const lowCycleStrength = fraction * ultimateStrength;
+  if (!(enduranceLimit > 0 && enduranceLimit < lowCycleStrength)) {
+    throw new Error(
+      "The endurance limit must lie between zero and f·f_u, the fatigue strength at 10³ cycles.",
+    );
+  }
+  return {
+    a: (lowCycleStrength * lowCycleStrength) / enduranceLimit,
+    b: -Math.log10(lowCycleStrength / enduranceLimit) / 3,
+    ultimateStrength,
+    lowCycleStrength,
+    enduranceLimit,
+  };
+}
+
+/**
+ * Cycles to failure at a fully reversed stress amplitude. Below the
+ * endurance limit the life is infinite; above f·f_u the low-cycle line
+ * S = f_u·N^(log f / 3) from one cycle at f_u applies.
+ *
+ * @param {object} curve snCurve()
+ * @param {number} amplitude σ_ar (Pa)
+ * @returns {{ cycles: number, regime: "infinite" | "finite" | "lowCycle" }}
+ */
+export function cyclesToFailure(curve, amplitude) {
+  if (amplitude <= curve.enduranceLimit) {
+    return { cycles: Infinity, regime: "infinite" };
+  }
+  if (amplitude <= curve.lowCycleStrength) {
+    return {
+      cycles: Math.pow(amplitude / curve.a, 1 / curve.b),
+      regime: "finite",
+    };
+  }
+  const exponent =
+    Math.log10(curve.lowCycleStrength / curve.ultimateStrength) / 3;
+  return {
+    cycles:
+      amplitude >= curve.ultimateStrength
+        ? 1
+        : Math.pow(amplitude / curve.ultimateStrength, 1 / exponent),
+    regime: "lowCycle",
+  };
+}
+
+/**
+ * Rainflow cycle count of a load or stress history (ASTM E1049-85, the
+ * three-point method). The history is first reduced to its turning points;
+ * residual ranges are counted as half cycles.
+ *
+ * @param {number[]} history
+ * @returns {{ range: number, mean: number, count: number }[]} count is 1 or 0.5
+ */
+export function rainflowCount(history) {
+  const turning = [];
+  for (const value of history) {
+    if (!Number.isFinite(value)) continue;
+    const n = turning.length;
+    if (n > 0 && value === turning[n - 1]) continue;
+    if (
+      n > 1 &&
+      (turning[n - 1] - turning[n - 2]) * (value - turning[n - 1]) > 0
+    ) {
+      turning[n - 1] = value;
+    } else {
+      turning.push(value);
+    }
+  }
+
+  const cycles = [];
+  const count = (a, b, n) =>
+    cycles.push({ range: Math.abs(a - b), mean: (a + b) / 2, count: n });
+  const stack = [];
+  for (const point of turning) {
+    stack.push(point);
+    while (stack.length >= 3) {
+      const n = stack.length;
+      const X = Math.abs(stack[n - 1] - stack[n - 2]);
+      const Y = Math.abs(stack[n - 2] - stack[n - 3]);
+      if (X < Y) break;
+      if (n === 3) {
+        // Y contains the starting point: half a cycle, drop the start
+        count(stack[0], stack[1], 0.5);
+        stack.shift();
+      } else {
+        count(stack[n - 2], stack[n - 3], 1);
+        stack.splice(n - 3, 2);
+      }
+    }
+  }
+  for (let i = 0; i + 1 < stack.length; i++) count(stack[i], stack[i + 1], 0.5);
+  return cycles;
+}
+
+/**
+ * Palmgren–Miner damage of a load history in which one load varies and the
+ * others stay at their values in baseLoads. Each rainflow cycle of the
+ * varying load becomes a stress cycle at the point, corrected for its mean
+ * stress; cycles below the endurance limit do no damage.
+ *
+ * @param {object} section see ./section.js
+ * @param {object} baseLoads loads held constant, see stressesAt
+ * @param {string} key the varying load: "force", "moment", "momentY", "torque"
+ *   or "shearForce"
+ * @param {number[]} history values of the varying load (N or N·m)
+ * @param {{ y: number, z?: number, criterion: string, strengths: object, curve: object }} options
+ *   analysis point (m), key of MEAN_STRESS_CRITERIA, meanStressCorrection
+ *   strengths and snCurve()
+ * @returns {{ damage: number, repetitions: number, blocks: object[] }}
+ *   damage of one pass through the history, passes to failure 1/D and the
+ *   counted cycles, each { loadRange, loadMean, count } with its von Mises
+ *   alternating and mean stress, σ_ar, life and damage
+ */
+export function historyDamage(
+  section,
+  baseLoads,
+  key,
+  history,
+  { y, z = 0, criterion, strengths, curve },
+) {
+  const cycles = rainflowCount(history);
+  if (cycles.length === 0) {
+    throw new Error("The load history needs at least two different values.");
+  }
+  const blocks = cycles.map((c) => {
+    const stresses = fatigueStresses(
+      section,
+      { ...baseLoads, [key]: c.mean - c.range / 2 },
+      { ...baseLoads, [key]: c.mean + c.range / 2 },
+      y,
+      z,
+    );
+    const { equivalentReversed } = meanStressCorrection(
+      criterion,
+      stresses,
+      strengths,
+    );
+    const { cycles: life } = cyclesToFailure(curve, equivalentReversed);
+    return {
+      loadRange: c.range,
+      loadMean: c.mean,
+      count: c.count,
+      alternating: stresses.alternating,
+      mean: stresses.mean,
+      equivalentReversed,
+      life,
+      damage: c.count / life,
+    };
+  });
+  const damage = blocks.reduce((sum, b) => sum + b.damage, 0);
+  return {
+    damage,
+    repetitions: damage > 0 ? 1 / damage : Infinity,
+    blocks,
+  };
+}
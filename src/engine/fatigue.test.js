@@ -0,0 +1,154 @@
+import { describe, expect, it } from "vitest";
+import {
+  cyclesToFailure,
+  enduranceLimitEstimate,
+  marinFactors,
+  meanStressCorrection,
+  rainflowCount,
+  snCurve,
+} from "./fatigue.js";
+
+function expectClose(actual, expected, tolerance = 1e-9) {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(
+    tolerance * Math.max(Math.abs(expected), 1e-30),
+  );
+}
+
+const MPa = 1e6;
+const ksi = 6.894757e6;
+
+describe("rainflowCount", () => {
+  it("counts the ASTM E1049-85 example history", () => {
+    const cycles = rainflowCount([-2, 1, -3, 5, -1, 3, -4, 4, -2]);
+    const byRange = {};
+    for (const { range, count } of cycles) {
+      byRange[range] = (byRange[range] ?? 0) + count;
+    }
+    // ASTM E1049-85 Table 4
+    expect(byRange).toEqual({ 3: 0.5, 4: 1.5, 6: 0.5, 8: 1, 9: 0.5 });
+    expect(cycles).toContainEqual({ range: 4, mean: 1, count: 1 });
+  });
+
+  it("reduces the history to its turning points first", () => {
+    expect(rainflowCount([0, 1, 2, 3, 1, 1, 0])).toEqual([
+      { range: 3, mean: 1.5, count: 0.5 },
+      { range: 3, mean: 1.5, count: 0.5 },
+    ]);
+  });
+});
+
+describe("meanStressCorrection", () => {
+  const strengths = {
+    enduranceLimit: 200 * MPa,
+    ultimateStrength: 600 * MPa,
+    yieldStrength: 450 * MPa,
+  };
+  const stresses = { alternating: 80 * MPa, mean: 150 * MPa };
+  const { alternating: sa, mean: sm } = stresses;
+  const { enduranceLimit: Se, ultimateStrength: Su } = strengths;
+
+  // Shigley Table 6-7: the factored stresses lie on the failure line
+  it("puts n·σ on the modified Goodman line", () => {
+    const { factor, equivalentReversed } = meanStressCorrection(
+      "goodman",
+      stresses,
+      strengths,
+    );
+    expectClose((factor * sa) / Se + (factor * sm) / Su, 1);
+    expectClose(equivalentReversed, sa / (1 - sm / Su));
+  });
+
+  it("puts n·σ on the Gerber parabola", () => {
+    const { factor, equivalentReversed } = meanStressCorrection(
+      "gerber",
+      stresses,
+      strengths,
+    );
+    expectClose((factor * sa) / Se + ((factor * sm) / Su) ** 2, 1);
+    expectClose(equivalentReversed, sa / (1 - (sm / Su) ** 2));
+  });
+
+  it("puts n·σ on the Soderberg line through the yield strength", () => {
+    const { factor, yieldFactor } = meanStressCorrection(
+      "soderberg",
+      stresses,
+      strengths,
+    );
+    expectClose(
+      (factor * sa) / Se + (factor * sm) / strengths.yieldStrength,
+      1,
+    );
+    expectClose(yieldFactor, strengths.yieldStrength / (sa + sm));
+  });
+
+  it("ranks Gerber above Goodman above Soderberg", () => {
+    const n = (criterion) =>
+      meanStressCorrection(criterion, stresses, strengths).factor;
+    expect(n("gerber")).toBeGreaterThan(n("goodman"));
+    expect(n("goodman")).toBeGreaterThan(n("soderberg"));
+  });
+});
+
+describe("endurance limit and Marin factors", () => {
+  it("estimates S'_e as 0.5 f_u up to 1400 MPa (Shigley Eq. 6-8)", () => {
+    expectClose(enduranceLimitEstimate(550 * MPa), 275 * MPa);
+    expectClose(enduranceLimitEstimate(1600 * MPa), 700 * MPa);
+  });
+
+  it("matches Shigley Examples 6-3 and 6-4", () => {
+    const k = marinFactors({
+      ultimateStrength: 520 * MPa,
+      surface: "machined",
+      diameter: 0.032,
+      loading: "bending",
+      reliability: 0.99,
+    });
+    // k_a = 4.51·520^−0.265 = 0.860; k_b = 1.24·32^−0.107 = 0.856
+    expectClose(k.surface, 0.86, 1e-3);
+    expectClose(k.size, 0.856, 1e-3);
+    expect(k.reliability).toBe(0.814);
+    expectClose(k.product, k.surface * k.size * 0.814);
+  });
+
+  it("gives k_b = 1 and k_c = 0.85 for axial loading", () => {
+    const k = marinFactors({
+      ultimateStrength: 520 * MPa,
+      surface: "ground",
+      diameter: 0.05,
+      loading: "axial",
+      reliability: 0.5,
+    });
+    expect(k.size).toBe(1);
+    expect(k.load).toBe(0.85);
+  });
+});
+
+describe("snCurve and cyclesToFailure", () => {
+  // Shigley Example 6-2: 1050 HR, S_ut = 90 kpsi, S'_e = 45 kpsi, f = 0.86
+  const curve = snCurve({
+    ultimateStrength: 90 * ksi,
+    enduranceLimit: 45 * ksi,
+    fraction: 0.86,
+  });
+
+  it("fits a = 133.1 kpsi and b = −0.0785", () => {
+    expectClose(curve.a, 133.1 * ksi, 1e-3);
+    expectClose(curve.b, -0.0785, 1e-3);
+    expectClose(curve.a * 1e4 ** curve.b, 64.6 * ksi, 1e-3);
+  });
+
+  it("gives about 77 500 cycles at 55 kpsi", () => {
+    const life = cyclesToFailure(curve, 55 * ksi);
+    expect(life.regime).toBe("finite");
+    expectClose(life.cycles, 77500, 5e-3);
+  });
+
+  it("gives infinite life below S_e and one cycle at f_u", () => {
+    expect(cyclesToFailure(curve, 40 * ksi)).toEqual({
+      cycles: Infinity,
+      regime: "infinite",
+    });
+    expect(cyclesToFailure(curve, 90 * ksi).cycles).toBe(1);
+    expectClose(cyclesToFailure(curve, curve.lowCycleStrength).cycles, 1e3);
+  });
+});
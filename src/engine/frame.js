@@ -0,0 +1,311 @@
+import { solveLinearSystem } from "./linearAlgebra.js";
+
+// --------------------------------
+// 2D frame and truss solver (SI units: m, N, N·m, N/m)
+// --------------------------------
+//
+// The structure lies in the x–y plane, y upwards. Nodes and members are
+// plain objects:
+//   nodes:   { id, x, y, support, fx, fy, moment }
+//            support: "free" | "pinned" | "roller" | "fixed"; a roller
+//            gives a vertical reaction only. Nodal forces act along +x and
+//            +y and moments counter-clockwise.
+//   members: { id, start, end, EA, EI, truss, load, loadAxes }
+//            start and end are node ids; a truss member is pinned at both
+//            ends and carries axial force only at its nodes. load is a
+//            uniform distributed load (N/m of member length), positive
+//            downwards when loadAxes is "global" and towards the member's
+//            local −y side when it is "local".
+//
+// Every member is a single stiffness-method element with its exact fixed-end
+// forces, so displacements at the nodes and the internal forces are exact
+// for prismatic Euler-Bernoulli members. Local x runs from the start node to
+// the end node and local y is 90° counter-clockwise from it, so a member
+// drawn left to right follows the beam convention of ./beam.js: axial force
+// N positive in tension, shear V the local +y resultant left of the cut and
+// moment M positive when sagging (tension on the local −y side).
+
+export const FRAME_SUPPORT_TYPES = ["free", "pinned", "roller", "fixed"];
+
+// Degrees of freedom restrained by each support: [x, y, rotation].
+const FRAME_RESTRAINTS = {
+  free: [false, false, false],
+  pinned: [true, true, false],
+  roller: [false, true, false],
+  fixed: [true, true, true],
+};
+
+// Member stiffness in local axes [u1, v1, θ1, u2, v2, θ2].
+function localStiffness({ EA, EI, truss }, L) {
+  const a = EA / L;
+  if (truss) {
+    const k = Array.from({ length: 6 }, () => new Array(6).fill(0));
+    k[0][0] = k[3][3] = a;
+    k[0][3] = k[3][0] = -a;
+    return k;
+  }
+  const b = (12 * EI) / L ** 3;
+  const c = (6 * EI) / L ** 2;
+  const d = (4 * EI) / L;
+  const e = (2 * EI) / L;
+  return [
+    [a, 0, 0, -a, 0, 0],
+    [0, b, c, 0, -b, c],
+    [0, c, d, 0, -c, e],
+    [-a, 0, 0, a, 0, 0],
+    [0, -b, -c, 0, b, -c],
+    [0, c, e, 0, -c, d],
+  ];
+}
+
+// Local components (qx, qy) of a member's distributed load, per unit length
+function localLoad(member, cos, sin) {
+  const w = member.load ?? 0;
+  if (member.loadAxes === "local") return { qx: 0, qy: -w };
+  // Global load (0, −w) resolved onto local x = (cos, sin), y = (−sin, cos)
+  return { qx: -w * sin, qy: -w * cos };
+}
+
+// Equivalent nodal loads in local axes of a uniform load (qx, qy), the
+// forces the fixed ends would exert reversed. A truss member passes the
+// transverse load to its pins as a simply supported beam.
+function equivalentLoads(qx, qy, L, truss) {
+  const moment = truss ? 0 : (qy * L * L) / 12;
+  return [
+    (qx * L) / 2,
+    (qy * L) / 2,
+    moment,
+    (qx * L) / 2,
+    (qy * L) / 2,
+    -moment,
+  ];
+}
+
+// Local vector → global for one node: [x, y, rotation]
+const rotate = (v, cos, sin) => [
+  v[0] * cos - v[1] * sin,
+  v[0] * sin + v[1] * cos,
+  v[2],
+];
+
+/**
+ * Solve a plane frame or truss for its nodal displacements, support
+ * reactions and member-end forces.
+ *
+ * @param {{ nodes: object[], members: object[] }} frame see the module comment
+ * @returns {{ displacements: { id: *, ux: number, uy: number, rotation: number }[],
+ *   reactions: { id: *, support: string, fx: number, fy: number, moment: number }[],
+ *   members: object[] }} displacements in m and rad (counter-clockwise);
+ *   reactions in N and N·m along the global axes; each member is its input
+ *   with length, cos, sin, the local load qx, qy, the local end
+ *   displacements and the member-end forces { start, end } of
+ *   { axial, shear, moment } from memberForcesAt
+ */
+export function solveFrame({ nodes, members }) {
+  if (nodes.length < 2 || members.length < 1) {
+    throw new Error("A frame needs at least two nodes and one member.");
+  }
+  const index = new Map();
+  nodes.forEach((node, i) => {
+    if (index.has(node.id)) throw new Error(`Node ${node.id} is repeated.`);
+    index.set(node.id, i);
+  });
+
+  const dof = nodes.length * 3;
+  const K = Array.from({ length: dof }, () => new Array(dof).fill(0));
+  const F = new Array(dof).fill(0);
+  nodes.forEach((node, i) => {
+    F[3 * i] += node.fx ?? 0;
+    F[3 * i + 1] += node.fy ?? 0;
+    F[3 * i + 2] += node.moment ?? 0;
+  });
+
+  const bent = new Array(nodes.length).fill(false);
+  const elements = members.map((member) => {
+    const i = index.get(member.start);
+    const j = index.get(member.end);
+    if (i === undefined || j === undefined) {
+      throw new Error(`Member ${member.id} joins a node that does not exist.`);
+    }
+    const dx = nodes[j].x - nodes[i].x;
+    const dy = nodes[j].y - nodes[i].y;
+    const L = Math.hypot(dx, dy);
+    if (!(L > 0)) throw new Error(`Member ${member.id} has no length.`);
+    if (!(member.EA > 0) || (!member.truss && !(member.EI > 0))) {
+      throw new Error(`Member ${member.id} needs a section with EA and EI.`);
+    }
+    const cos = dx / L;
+    const sin = dy / L;
+    const k = localStiffness(member, L);
+    const { qx, qy } = localLoad(member, cos, sin);
+    const map = [3 * i, 3 * i + 1, 3 * i + 2, 3 * j, 3 * j + 1, 3 * j + 2];
+    // Global stiffness Tᵀ·k·T, with T rotating each node's [x, y] block
+    const T = Array.from({ length: 6 }, () => new Array(6).fill(0));
+    for (const n of [0, 3]) {
+      T[n][n] = T[n + 1][n + 1] = cos;
+      T[n][n + 1] = sin;
+      T[n + 1][n] = -sin;
+      T[n + 2][n + 2] = 1;
+    }
+    for (let a = 0; a < 6; a++) {
+      for (let b = 0; b < 6; b++) {
+        let sum = 0;
+        for (let p = 0; p < 6; p++) {
+          if (T[p][a] === 0) continue;
+          for (let q = 0; q < 6; q++) sum += T[p][a] * k[p][q] * T[q][b];
+        }
+        K[map[a]][map[b]] += sum;
+      }
+    }
+    const equivalent = equivalentLoads(qx, qy, L, member.truss);
+    [
+      ...rotate(equivalent.slice(0, 3), cos, sin),
+      ...rotate(equivalent.slice(3), cos, sin),
+    ].forEach((value, a) => (F[map[a]] += value));
+    if (!member.truss) bent[i] = bent[j] = true;
+    return { member, map, k, T, L, cos, sin, qx, qy, equivalent };
+  });
+
+  // Supports, and the rotations of nodes that only truss members meet,
+  // which no stiffness resists
+  const restrained = new Array(dof).fill(false);
+  nodes.forEach((node, i) => {
+    const restraint = FRAME_RESTRAINTS[node.support ?? "free"];
+    if (!restraint) throw new Error(`Unknown support type "${node.support}".`);
+    restraint.forEach((r, d) => (restrained[3 * i + d] ||= r));
+    if (!bent[i]) {
+      if (node.moment) {
+        throw new Error(
+          `Node ${node.id} joins only truss members, which cannot take its moment.`,
+        );
+      }
+      restrained[3 * i + 2] = true;
+    }
+  });
+
+  const free = [];
+  for (let i = 0; i < dof; i++) if (!restrained[i]) free.push(i);
+  const d = new Array(dof).fill(0);
+  if (free.length) {
+    let solved;
+    try {
+      solved = solveLinearSystem(
+        free.map((i) => free.map((j) => K[i][j])),
+        free.map((i) => F[i]),
+      );
+    } catch {
+      throw new Error(
+        "The frame is unstable: add supports or members so that it cannot move as a mechanism.",
+      );
+    }
+    free.forEach((i, n) => (d[i] = solved[n]));
+  }
+
+  // Reactions: R = K·d − F at the restrained degrees of freedom.
+  const reactionAt = (i) =>
+    K[i].reduce((sum, kij, j) => sum + kij * d[j], 0) - F[i];
+  const reactions = [];
+  nodes.forEach((node, i) => {
+    const restraint = FRAME_RESTRAINTS[node.support ?? "free"];
+    if (!restraint.some(Boolean)) return;
+    reactions.push({
+      id: node.id,
+      support: node.support,
+      fx: restraint[0] ? reactionAt(3 * i) : 0,
+      fy: restraint[1] ? reactionAt(3 * i + 1) : 0,
+      moment: restraint[2] && bent[i] ? reactionAt(3 * i + 2) : 0,
+    });
+  });
+
+  const solvedMembers = elements.map((e) => {
+    const u = e.T.map((row) =>
+      row.reduce((sum, t, b) => sum + t * d[e.map[b]], 0),
+    );
+    // Forces the nodes exert on the member ends, in local axes
+    const f = e.k.map(
+      (row, a) =>
+        row.reduce((sum, kab, b) => sum + kab * u[b], 0) - e.equivalent[a],
+    );
+    const solved = {
+      ...e.member,
+      length: e.L,
+      cos: e.cos,
+      sin: e.sin,
+      qx: e.qx,
+      qy: e.qy,
+      displacements: u,
+      startForces: f.slice(0, 3),
+    };
+    return {
+      ...solved,
+      forces: {
+        start: memberForcesAt(solved, 0),
+        end: memberForcesAt(solved, e.L),
+      },
+    };
+  });
+
+  return {
+    displacements: nodes.map((node, i) => ({
+      id: node.id,
+      ux: d[3 * i],
+      uy: d[3 * i + 1],
+      rotation: d[3 * i + 2],
+    })),
+    reactions,
+    members: solvedMembers,
+  };
+}
+
+/**
+ * Axial force, shear force and bending moment at a distance x along a
+ * solved member, in the member's local axes (see the module comment).
+ *
+ * @param {object} member an entry of solveFrame().members
+ * @param {number} x distance from the start node (m)
+ * @returns {{ axial: number, shear: number, moment: number }} N and V (N),
+ *   M (N·m)
+ */
+export function memberForcesAt(member, x) {
+  const [Fx, Fy, M] = member.startForces;
+  return {
+    axial: -Fx - member.qx * x,
+    shear: Fy + member.qy * x,
+    moment: Fy * x + (member.qy * x * x) / 2 - M,
+  };
+}
+
+/**
+ * Sample N, V and M along a solved member, and its transverse deflection v
+ * (local +y) from the end displacements and the load between the nodes.
+ *
+ * @param {object} member an entry of solveFrame().members
+ * @param {number} [count] number of evenly spaced stations
+ * @returns {{ x: number, axial: number, shear: number, moment: number,
+ *   deflection: number }[]}
+ */
+export function sampleMember(member, count = 50) {
+  const { length: L, displacements: u, qy, EI } = member;
+  const samples = [];
+  for (let n = 0; n <= count; n++) {
+    const x = (L * n) / count;
+    const s = x / L;
+    // Hermite shape functions for the nodal values; a truss member has no
+    // end rotations of its own, so its ends are joined straight
+    const h1 = 1 - 3 * s * s + 2 * s ** 3;
+    const h2 = L * (s - 2 * s * s + s ** 3);
+    const h3 = 3 * s * s - 2 * s ** 3;
+    const h4 = L * (s ** 3 - s * s);
+    let deflection = member.truss
+      ? u[1] * (1 - s) + u[4] * s
+      : h1 * u[1] + h2 * u[2] + h3 * u[4] + h4 * u[5];
+    // Deflection of the span under the load with its ends held
+    if (EI > 0) {
+      deflection += member.truss
+        ? (qy * x * (L ** 3 - 2 * L * x * x + x ** 3)) / (24 * EI)
+        : (qy * x * x * (L - x) ** 2) / (24 * EI);
+    }
+    samples.push({ x, ...memberForcesAt(member, x), deflection });
+  }
+  return samples;
+}
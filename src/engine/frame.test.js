@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest";
+import { memberForcesAt, sampleMember, solveFrame } from "./frame.js";
+
+function expectClose(actual, expected, tolerance = 1e-9) {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(
+    tolerance * Math.max(Math.abs(expected), 1e-30),
+  );
+}
+
+const EA = 200e9 * 5e-3;
+const EI = 200e9 * 8e-5;
+const node = (id, x, y, support = "free", extra = {}) => ({
+  id,
+  x,
+  y,
+  support,
+  fx: 0,
+  fy: 0,
+  moment: 0,
+  ...extra,
+});
+
+describe("solveFrame", () => {
+  it("gives wL²/12 end moments on a fixed–fixed member under a UDL", () => {
+    const L = 6;
+    const w = 10e3;
+    const { reactions, members } = solveFrame({
+      nodes: [node(1, 0, 0, "fixed"), node(2, L, 0, "fixed")],
+      members: [
+        { id: 1, start: 1, end: 2, EA, EI, load: w, loadAxes: "global" },
+      ],
+    });
+    const [left, right] = reactions;
+    expectClose(left.fy, (w * L) / 2);
+    expectClose(right.fy, (w * L) / 2);
+    expectClose(left.moment, (w * L ** 2) / 12);
+    expectClose(right.moment, (-w * L ** 2) / 12);
+
+    const [member] = members;
+    expectClose(member.forces.start.moment, (-w * L ** 2) / 12);
+    expectClose(member.forces.end.moment, (-w * L ** 2) / 12);
+    expectClose(memberForcesAt(member, L / 2).moment, (w * L ** 2) / 24);
+    const midspan = sampleMember(member, 2)[1];
+    expectClose(midspan.deflection, (-w * L ** 4) / (384 * EI));
+  });
+
+  it("solves a cantilever drawn from its tip to its support", () => {
+    const L = 3;
+    const P = 5e3;
+    const { reactions, displacements, members } = solveFrame({
+      nodes: [
+        node("tip", L, 0, "free", { fy: -P }),
+        node("wall", 0, 0, "fixed"),
+      ],
+      members: [{ id: 1, start: "tip", end: "wall", EA, EI }],
+    });
+    const wall = reactions.find((r) => r.id === "wall");
+    expectClose(wall.fy, P);
+    expectClose(wall.moment, P * L);
+    const tip = displacements.find((d) => d.id === "tip");
+    expectClose(tip.uy, (-P * L ** 3) / (3 * EI));
+    expectClose(tip.rotation, (-P * L ** 2) / (2 * EI));
+
+    // Local y points down here, so hogging at the wall reads as sagging
+    const [member] = members;
+    expectClose(member.cos, -1);
+    expect(Math.abs(member.forces.start.moment)).toBeLessThan(1e-9 * P * L);
+    expectClose(member.forces.end.moment, P * L);
+    expectClose(Math.abs(member.forces.end.shear), P);
+  });
+
+  it("gives the method-of-joints forces in a determinate truss", () => {
+    // 3-4-5 triangles either side of the apex
+    const P = 12e3;
+    const { reactions, members } = solveFrame({
+      nodes: [
+        node("A", 0, 0, "pinned"),
+        node("B", 4, 0, "roller"),
+        node("C", 2, 1.5, "free", { fy: -P }),
+      ],
+      members: [
+        { id: "AC", start: "A", end: "C", EA, EI, truss: true },
+        { id: "CB", start: "C", end: "B", EA, EI, truss: true },
+        { id: "AB", start: "A", end: "B", EA, EI, truss: true },
+      ],
+    });
+    reactions.forEach((r) => expectClose(r.fy, P / 2));
+    expect(Math.abs(reactions[0].fx)).toBeLessThan(1e-9 * P);
+    const axial = Object.fromEntries(
+      members.map((m) => [m.id, m.forces.start.axial]),
+    );
+    // Joint A: F_AC·(3/5) = P/2, F_AB = F_AC·(4/5)
+    expectClose(axial.AC, (-5 * P) / 6);
+    expectClose(axial.CB, (-5 * P) / 6);
+    expectClose(axial.AB, (2 * P) / 3);
+    members.forEach((m) => {
+      expectClose(m.forces.end.axial, m.forces.start.axial);
+      expect(Math.abs(m.forces.start.moment)).toBeLessThan(1e-6 * P);
+    });
+  });
+
+  it("rejects a member joined to an unknown node", () => {
+    expect(() =>
+      solveFrame({
+        nodes: [node(1, 0, 0, "fixed"), node(2, 1, 0)],
+        members: [{ id: 1, start: 1, end: 3, EA, EI }],
+      }),
+    ).toThrow(/does not exist/);
+  });
+});
@@ -0,0 +1,115 @@
+// Pure section and stress engine. Everything here works in SI units and has
+// no React dependency, so it can be imported from scripts as well as the app.
+export {
+  computeSectionProperties,
+  firstMomentQ,
+  shearThicknessAt,
+  thicknessBreakpoints,
+  sectionOutline,
+  SECTION_TYPES,
+} from "./section.js";
+export {
+  stressesAt,
+  stressDistribution,
+  normalStressField,
+  extremeNormalStresses,
+  stressMap,
+  STRESS_MAP_KINDS,
+} from "./stress.js";
+export {
+  solveBeam,
+  internalForcesAt,
+  slopeDeflectionAt,
+  sampleBeam,
+  extremes,
+  SUPPORT_TYPES,
+  LOAD_TYPES,
+} from "./beam.js";
+export {
+  torsionalShearAt,
+  torsionResponse,
+  TORSION_MODELS,
+} from "./torsion.js";
+export {
+  rectangleTorsionConstant,
+  rectangleMaxShear,
+  rectangleShearAt,
+} from "./saintVenant.js";
+export {
+  validateSection,
+  validateBeam,
+  validateMaterial,
+  validateStability,
+  assumptionWarnings,
+  fieldErrors,
+  hasErrors,
+} from "./validation.js";
+export {
+  combineLoadCases,
+  loadEnvelope,
+  LOAD_CATEGORIES,
+  COMBINATION_PRESETS,
+} from "./combinations.js";
+export {
+  memberChecks,
+  DESIGN_CODES,
+  MEMBER_CHECK_TYPES,
+} from "./memberChecks.js";
+export {
+  columnBuckling,
+  aiscCriticalStress,
+  eurocodeReduction,
+  eurocodeColumnCurves,
+  elasticCriticalMoment,
+  END_CONDITIONS,
+  BUCKLING_CURVES,
+} from "./buckling.js";
+export {
+  sizeSection,
+  lightestSection,
+  allowableStressCheck,
+  peakStresses,
+  SIZING_CONSTRAINTS,
+  SIZING_STRESSES,
+} from "./sizing.js";
+export { transformedProperties, transformedStresses } from "./transformed.js";
+export {
+  solveFrame,
+  memberForcesAt,
+  sampleMember,
+  FRAME_SUPPORT_TYPES,
+} from "./frame.js";
+export {
+  stressConcentrationFactors,
+  concentratedStresses,
+  CONCENTRATION_DETAILS,
+  CONCENTRATION_LOADINGS,
+  CONCENTRATION_RATIOS,
+} from "./concentration.js";
+export { curvedBeamStresses } from "./curvedBeam.js";
+export {
+  enduranceLimitEstimate,
+  marinFactors,
+  fatigueStresses,
+  meanStressCorrection,
+  snCurve,
+  cyclesToFailure,
+  rainflowCount,
+  historyDamage,
+  MEAN_STRESS_CRITERIA,
+  SURFACE_FINISHES,
+  FATIGUE_LOADINGS,
+  RELIABILITY_FACTORS,
+} from "./fatigue.js";
+export { solveLinearSystem } from "./linearAlgebra.js";
+export { planeStressState, rotatedStress } from "./stressState.js";
+export { shearYieldStrength, strengthCheck } from "./checks.js";
+export {
+  rectanglePolygon,
+  circlePolygon,
+  polygonIntegrals,
+  clipAbove,
+  pointInPolygon,
+  regionProperties,
+  principalInertia,
+} from "./polygon.js";
@@ -0,0 +1,42 @@
+// --------------------------------
+// Small dense linear algebra helpers for the stiffness solvers
+// --------------------------------
+
+/**
+ * Solve A·x = b by Gaussian elimination with partial pivoting. Neither
+ * argument is modified. Throws when the matrix is singular, which for a
+ * stiffness matrix means the structure is a mechanism.
+ *
+ * @param {number[][]} A square matrix
+ * @param {number[]} b right-hand side
+ * @returns {number[]} x
+ */
+export function solveLinearSystem(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  const scale = Math.max(...A.map((row, i) => Math.abs(row[i])), 0);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (!(Math.abs(M[pivot][col]) > scale * 1e-12)) {
+      throw new Error("Singular system: the structure is unstable.");
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let row = col + 1; row < n; row++) {
+      const f = M[row][col] / M[col][col];
+      if (f === 0) continue;
+      for (let k = col; k <= n; k++) M[row][k] -= f * M[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) sum -= M[row][k] * x[k];
+    x[row] = sum / M[row][row];
+  }
+  return x;
+}
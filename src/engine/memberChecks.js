@@ -0,0 +1,1277 @@
+import {
+  aiscCriticalStress,
+  eurocodeReduction,
+  eurocodeColumnCurves,
+  elasticCriticalMoment,
+  BUCKLING_CURVES,
+} from "./buckling.js";
+
+// --------------------------------
+// Steel member checks to AISC 360-16 (LRFD) and EN 1993-1-1 (SI units)
+// --------------------------------
+//
+// Cross-section classification and resistances of I-beams, rectangular
+// hollow sections (rectTube) and circular hollow sections (hollowCircle) for
+// the section forces at one station: axial force, major-axis bending M_z,
+// minor-axis bending M_y, shear V along y and their interaction.
+//
+// Without stability inputs the member is taken as braced: compression
+// resistance is the cross-section (squash) resistance with local buckling
+// only. With them, flexural buckling about both axes, lateral-torsional
+// buckling of I-beams and, for Eurocode 3, the member interaction of 6.3.3
+// are added. Torsional and flexural-torsional buckling of columns are not
+// checked. Root fillets and corner radii
+// are ignored; the flat width of a hollow-section wall is the outside
+// dimension less 3t. Eurocode resistances use γM0 = 1.0 and the
+// recommended η = 1.2 for steels up to S460. Eurocode calls the major axis
+// y-y, which is the app's z axis.
+
+export const DESIGN_CODES = {
+  aisc: "AISC 360-16 (LRFD)",
+  ec3: "EN 1993-1-1 (Eurocode 3)",
+};
+
+export const MEMBER_CHECK_TYPES = ["iBeam", "rectTube", "hollowCircle"];
+
+// AISC resistance factors
+const PHI_B = 0.9;
+const PHI_C = 0.9;
+const PHI_T = 0.9;
+
+/**
+ * Classify the section and check it against a design code.
+ *
+ * @param {object} section I-beam, rectTube or hollowCircle
+ * @param {object} props computeSectionProperties(section)
+ * @param {{ E: number, yieldStrength: number }} material
+ * @param {{ force: number, moment: number, momentY: number, shearForce: number }} loads
+ *   force is positive in tension
+ * @param {"aisc" | "ec3"} code
+ * @param {{ lengthZ: number, lengthY: number, lengthLT: number, k: number,
+ *   cb: number } | null} [stability] unbraced lengths for buckling about z
+ *   and y and for lateral-torsional buckling (m), effective-length factor K
+ *   and moment gradient factor C_b (C₁); null checks the cross-section only
+ * @returns {{ code: string, standard: string, sectionClass: string,
+ *   elements: object[], checks: object[], notes: string[] } | null}
+ *   null for section types the checks do not cover. Each check is
+ *   { name, clause, demand, capacity, kind, utilisation, pass, note } with
+ *   kind "force", "moment" or "ratio"; capacity, utilisation and pass are
+ *   null when the code case is not covered.
+ */
+export function memberChecks(
+  section,
+  props,
+  material,
+  loads,
+  code,
+  stability = null,
+) {
+  if (!MEMBER_CHECK_TYPES.includes(section.type)) return null;
+  const demand = {
+    force: loads.force,
+    axial: Math.abs(loads.force),
+    major: Math.abs(loads.moment),
+    minor: Math.abs(loads.momentY ?? 0),
+    shear: Math.abs(loads.shearForce),
+  };
+  const geometry = memberGeometry(section, props);
+  const result =
+    code === "ec3"
+      ? eurocodeChecks(geometry, material, demand, stability)
+      : aiscChecks(geometry, material, demand, stability);
+  return { code, standard: DESIGN_CODES[code], ...result };
+}
+
+// Plate dimensions, moduli and area of the supported sections.
+function memberGeometry(section, props) {
+  const common = {
+    type: section.type,
+    area: props.area,
+    inertia: props.inertia,
+    inertiaY: props.inertiaY,
+    polarInertia: props.polarInertia,
+    warpingConstant: props.warpingConstant,
+    elasticModulus: props.inertia / props.yTop,
+    elasticModulusY: props.inertiaY / props.zRight,
+  };
+  if (section.type === "iBeam") {
+    const {
+      depth: h,
+      flangeWidth: b,
+      flangeThickness: tf,
+      webThickness: tw,
+    } = section;
+    const hw = h - 2 * tf;
+    return {
+      ...common,
+      h,
+      b,
+      tf,
+      tw,
+      hw,
+      plasticModulus: b * tf * (h - tf) + (tw * hw * hw) / 4,
+      plasticModulusY: (tf * b * b) / 2 + (hw * tw * tw) / 4,
+    };
+  }
+  if (section.type === "rectTube") {
+    const { width: B, height: H, thickness: t } = section;
+    return {
+      ...common,
+      H,
+      B,
+      t,
+      plasticModulus: boxPlasticModulus(H, B, t),
+      plasticModulusY: boxPlasticModulus(B, H, t),
+    };
+  }
+  const D = 2 * section.outerRadius;
+  const t = section.outerRadius - section.innerRadius;
+  const Z = (Math.pow(D, 3) - Math.pow(D - 2 * t, 3)) / 6;
+  return { ...common, D, t, plasticModulus: Z, plasticModulusY: Z };
+}
+
+// Plastic modulus of a box of depth H, width B and wall t about the axis
+// parallel to B.
+function boxPlasticModulus(H, B, t) {
+  return (B * H * H) / 4 - ((B - 2 * t) * Math.pow(H - 2 * t, 2)) / 4;
+}
+
+// Area, centroid height and second moment of a stack of rectangles
+// { width, y0, y1 } measured from the bottom of the section.
+function stackProperties(rects) {
+  let area = 0;
+  let first = 0;
+  let second = 0;
+  for (const { width, y0, y1 } of rects) {
+    const a = width * (y1 - y0);
+    area += a;
+    first += (a * (y0 + y1)) / 2;
+    second += (width * (Math.pow(y1, 3) - Math.pow(y0, 3))) / 3;
+  }
+  const yc = first / area;
+  return { area, yc, inertia: second - area * yc * yc };
+}
+
+// Elastic modulus of a doubly symmetric I or box section of depth h bent
+// with the top in compression, when the top flange keeps only a width of
+// topWidth and the compressed part of the web(s) (total thickness tw) is
+// reduced by webReduction(ψ) using the EN 1993-1-5 Table 4.1 split of
+// 0.4 / 0.6 of the effective width next to the flange and the neutral axis.
+function effectiveModulus(h, b, tf, tw, topWidth, webReduction) {
+  const flanges = [
+    { width: b, y0: 0, y1: tf },
+    { width: topWidth, y0: h - tf, y1: h },
+  ];
+  const web = { width: tw, y0: tf, y1: h - tf };
+  // Neutral axis with the reduced flange, then the web stress ratio
+  const { yc } = stackProperties([...flanges, web]);
+  const compressed = h - tf - yc;
+  let rects = [...flanges, web];
+  if (compressed > 0 && yc > tf) {
+    const psi = -(yc - tf) / compressed;
+    const rho = webReduction(psi);
+    if (rho < 1) {
+      const effective = rho * compressed;
+      rects = [
+        ...flanges,
+        { width: tw, y0: tf, y1: yc + 0.6 * effective },
+        { width: tw, y0: h - tf - 0.4 * effective, y1: h - tf },
+      ];
+    }
+  }
+  const p = stackProperties(rects);
+  return p.inertia / Math.max(p.yc, h - p.yc);
+}
+
+function checkRow(name, clause, demand, capacity, kind, note = null) {
+  if (capacity === null) {
+    return {
+      name,
+      clause,
+      demand,
+      capacity: null,
+      kind,
+      utilisation: null,
+      pass: null,
+      note,
+    };
+  }
+  const utilisation = capacity > 0 ? demand / capacity : Infinity;
+  return {
+    name,
+    clause,
+    demand,
+    capacity,
+    kind,
+    utilisation,
+    pass: utilisation <= 1,
+    note,
+  };
+}
+
+// --------------------------------
+// AISC 360-16, LRFD
+// --------------------------------
+
+// Width-to-thickness check of one element; limits are [λp, λr] for flexure
+// or [λr] for compression.
+function aiscElement(part, action, symbol, ratio, limits, clause) {
+  let result;
+  if (limits.length === 1) {
+    result = ratio <= limits[0] ? "Nonslender" : "Slender";
+  } else if (ratio <= limits[0]) {
+    result = "Compact";
+  } else {
+    result = ratio <= limits[1] ? "Noncompact" : "Slender";
+  }
+  const labels = limits.length === 1 ? ["λr"] : ["λp", "λr"];
+  return {
+    part,
+    action,
+    symbol,
+    ratio,
+    limits: limits.map((value, i) => ({ label: labels[i], value })),
+    result,
+    clause,
+  };
+}
+
+// Position of λ between λp and λr
+const between = (element) =>
+  (element.ratio - element.limits[0].value) /
+  (element.limits[1].value - element.limits[0].value);
+
+// E7.1 effective width of a slender element at a critical stress F_cr;
+// stressRatio is F_y / F_cr
+function aiscEffectiveWidth(width, element, c1, c2, stressRatio) {
+  const lambdaR = element.limits[0].value;
+  const limit = lambdaR * Math.sqrt(stressRatio);
+  if (element.ratio <= limit) return width;
+  const root = ((c2 * lambdaR) / element.ratio) * Math.sqrt(stressRatio);
+  return width * (1 - c1 * root) * root;
+}
+
+// F2.2 lateral-torsional buckling strength of a doubly symmetric I-section
+function aiscLateralTorsional(g, material, Lb, Cb) {
+  const { E, yieldStrength: Fy } = material;
+  const S = g.elasticModulus;
+  const Mp = Fy * g.plasticModulus;
+  const ho = g.h - g.tf;
+  const ry = Math.sqrt(g.inertiaY / g.area);
+  const rts = Math.sqrt(Math.sqrt(g.inertiaY * g.warpingConstant) / S);
+  const jc = g.polarInertia / (S * ho);
+  const Lp = 1.76 * ry * Math.sqrt(E / Fy);
+  const Lr =
+    1.95 *
+    rts *
+    (E / (0.7 * Fy)) *
+    Math.sqrt(jc + Math.sqrt(jc * jc + 6.76 * Math.pow((0.7 * Fy) / E, 2)));
+  if (Lb <= Lp) return { Mn: Mp, clause: "F2.2(a)" };
+  if (Lb <= Lr) {
+    return {
+      Mn: Math.min(
+        Cb * (Mp - (Mp - 0.7 * Fy * S) * ((Lb - Lp) / (Lr - Lp))),
+        Mp,
+      ),
+      clause: "F2.2(b)",
+    };
+  }
+  const ratio = Math.pow(Lb / rts, 2);
+  const Fcr =
+    ((Cb * Math.PI * Math.PI * E) / ratio) * Math.sqrt(1 + 0.078 * jc * ratio);
+  return { Mn: Math.min(Fcr * S, Mp), clause: "F2.2(c)" };
+}
+
+// F5 bending strength reduction factor for a slender web
+function plateGirderFactor(aw, webRatio, root) {
+  const a = Math.min(aw, 10);
+  return Math.min(1 - (a / (1200 + 300 * a)) * (webRatio - 5.7 * root), 1);
+}
+
+const AISC_RANK = { Compact: 0, Noncompact: 1, Slender: 2 };
+
+function aiscChecks(g, material, demand, stability) {
+  const { E, yieldStrength: Fy } = material;
+  const root = Math.sqrt(E / Fy);
+  const notes = [];
+  let elements;
+  let major;
+  let minor;
+  let shear;
+  // Effective area at a critical stress F_cr (E7), or null if not covered
+  let effectiveArea;
+
+  if (g.type === "iBeam") {
+    const { h, b, tf, tw, hw } = g;
+    const flange = aiscElement(
+      "Flange",
+      "Flexure",
+      "b/2t_f",
+      b / (2 * tf),
+      [0.38 * root, root],
+      "Table B4.1b case 10",
+    );
+    const web = aiscElement(
+      "Web",
+      "Flexure",
+      "h/t_w",
+      hw / tw,
+      [3.76 * root, 5.7 * root],
+      "Table B4.1b case 15",
+    );
+    const flangeAxial = aiscElement(
+      "Flange",
+      "Compression",
+      "b/2t_f",
+      flange.ratio,
+      [0.56 * root],
+      "Table B4.1a case 1",
+    );
+    const webAxial = aiscElement(
+      "Web",
+      "Compression",
+      "h/t_w",
+      web.ratio,
+      [1.49 * root],
+      "Table B4.1a case 5",
+    );
+    elements = [flange, web, flangeAxial, webAxial];
+
+    // Major axis: F2 to F5 by web slenderness, without lateral-torsional
+    // buckling
+    const S = g.elasticModulus;
+    const Mp = Fy * g.plasticModulus;
+    const My = Fy * S;
+    const kc = Math.min(Math.max(4 / Math.sqrt(web.ratio), 0.35), 0.76);
+    const slenderFlange = (0.9 * E * kc * S) / Math.pow(flange.ratio, 2);
+    if (web.result === "Compact") {
+      if (flange.result === "Compact") {
+        major = { Mn: Mp, clause: "F2.1" };
+      } else if (flange.result === "Noncompact") {
+        major = {
+          Mn: Mp - (Mp - 0.7 * Fy * S) * between(flange),
+          clause: "F3.2(a)",
+        };
+      } else {
+        major = { Mn: slenderFlange, clause: "F3.2(b)" };
+      }
+    } else if (web.result === "Noncompact") {
+      const ratio = Math.min(Mp, 1.6 * My) / My;
+      const Rpc = ratio - (ratio - 1) * between(web);
+      major = { Mn: Rpc * My, clause: "F4.1" };
+      if (flange.result === "Noncompact") {
+        const Mn = Rpc * My - (Rpc * My - 0.7 * Fy * S) * between(flange);
+        if (Mn < major.Mn) major = { Mn, clause: "F4.3(b)(1)" };
+      } else if (flange.result === "Slender" && slenderFlange < major.Mn) {
+        major = { Mn: slenderFlange, clause: "F4.3(b)(2)" };
+      }
+    } else {
+      const Rpg = plateGirderFactor((hw * tw) / (b * tf), web.ratio, root);
+      let Fcr = Fy;
+      if (flange.result === "Noncompact") {
+        Fcr = Fy * (1 - 0.3 * between(flange));
+      } else if (flange.result === "Slender") {
+        Fcr = (0.9 * E * kc) / Math.pow(flange.ratio, 2);
+      }
+      major = { Mn: Rpg * Fcr * S, clause: Fcr < Fy ? "F5.3" : "F5.1" };
+    }
+
+    // Minor axis: F6
+    const Sy = g.elasticModulusY;
+    const Mpy = Math.min(Fy * g.plasticModulusY, 1.6 * Fy * Sy);
+    if (flange.result === "Compact") {
+      minor = { Mn: Mpy, clause: "F6.1" };
+    } else if (flange.result === "Noncompact") {
+      minor = {
+        Mn: Mpy - (Mpy - 0.7 * Fy * Sy) * between(flange),
+        clause: "F6.2(b)",
+      };
+    } else {
+      minor = {
+        Mn: ((0.69 * E) / Math.pow(flange.ratio, 2)) * Sy,
+        clause: "F6.2(c)",
+      };
+    }
+
+    // Shear: G2.1 with kv = 5.34 for webs without stiffeners
+    const kvRoot = 1.1 * Math.sqrt(5.34) * root;
+    if (web.ratio <= 2.24 * root) {
+      shear = { phi: 1.0, Vn: 0.6 * Fy * h * tw, clause: "G2.1(a)" };
+    } else {
+      const Cv1 = web.ratio <= kvRoot ? 1 : kvRoot / web.ratio;
+      shear = { phi: 0.9, Vn: 0.6 * Fy * h * tw * Cv1, clause: "G2.1(b)" };
+    }
+
+    effectiveArea = (Fcr) =>
+      g.area -
+      4 *
+        (b / 2 - aiscEffectiveWidth(b / 2, flangeAxial, 0.22, 1.49, Fy / Fcr)) *
+        tf -
+      (hw - aiscEffectiveWidth(hw, webAxial, 0.18, 1.31, Fy / Fcr)) * tw;
+  } else if (g.type === "rectTube") {
+    const { H, B, t } = g;
+    const axis = (depth, width, S) => aiscBox(depth, width, t, S, Fy, E);
+    const z = axis(H, B, g.elasticModulus);
+    const y = axis(B, H, g.elasticModulusY);
+    const walls = [
+      ["Flange", B - 3 * t],
+      ["Web", H - 3 * t],
+    ].map(([part, width]) =>
+      aiscElement(
+        part,
+        "Compression",
+        "b/t",
+        width / t,
+        [1.4 * root],
+        "Table B4.1a case 6",
+      ),
+    );
+    elements = [...z.elements, ...walls];
+    major = z.moment;
+    minor = y.moment;
+
+    // Shear: G4 with kv = 5 on the two webs
+    const h = H - 3 * t;
+    const kvRoot = Math.sqrt(5) * root;
+    let Cv2 = 1;
+    if (h / t > 1.37 * kvRoot) {
+      Cv2 = (1.51 * 5 * E) / (Math.pow(h / t, 2) * Fy);
+    } else if (h / t > 1.1 * kvRoot) {
+      Cv2 = (1.1 * kvRoot) / (h / t);
+    }
+    shear = { phi: 0.9, Vn: 0.6 * Fy * 2 * h * t * Cv2, clause: "G4" };
+
+    effectiveArea = (Fcr) =>
+      g.area -
+      walls.reduce((sum, wall) => {
+        const width = wall.ratio * t;
+        const effective = aiscEffectiveWidth(width, wall, 0.2, 1.38, Fy / Fcr);
+        return sum + 2 * (width - effective) * t;
+      }, 0);
+  } else {
+    const { D, t } = g;
+    const ratio = D / t;
+    const tube = aiscElement(
+      "Wall",
+      "Flexure",
+      "D/t",
+      ratio,
+      [(0.07 * E) / Fy, (0.31 * E) / Fy],
+      "Table B4.1b case 20",
+    );
+    const tubeAxial = aiscElement(
+      "Wall",
+      "Compression",
+      "D/t",
+      ratio,
+      [(0.11 * E) / Fy],
+      "Table B4.1a case 9",
+    );
+    elements = [tube, tubeAxial];
+    const S = g.elasticModulus;
+    if (tube.result === "Compact") {
+      major = { Mn: Fy * g.plasticModulus, clause: "F8.1" };
+    } else if (tube.result === "Noncompact") {
+      major = { Mn: ((0.021 * E) / ratio + Fy) * S, clause: "F8.2(a)" };
+    } else {
+      major = { Mn: ((0.33 * E) / ratio) * S, clause: "F8.2(b)" };
+    }
+    minor = major;
+    if (ratio > (0.45 * E) / Fy) {
+      notes.push(
+        "D/t exceeds 0.45E/F_y, the limit of Chapters E and F for round HSS.",
+      );
+    }
+    // G5 with F_cr = 0.6F_y, the limit for short and stocky tubes
+    shear = { phi: 0.9, Vn: (0.6 * Fy * g.area) / 2, clause: "G5" };
+    if (tubeAxial.result === "Nonslender") {
+      effectiveArea = () => g.area;
+    } else if (ratio < (0.45 * E) / Fy) {
+      effectiveArea = () => ((0.038 * E) / (Fy * ratio) + 2 / 3) * g.area;
+    } else {
+      effectiveArea = null;
+    }
+  }
+
+  const tension = demand.force > 0;
+  // E3 and E7: P_n = F_cr·A_e
+  const compressionCapacity = (Fcr) =>
+    effectiveArea === null ? null : PHI_C * Fcr * effectiveArea(Fcr);
+  const axialCapacity = tension ? PHI_T * Fy * g.area : compressionCapacity(Fy);
+  let majorCapacity = PHI_B * major.Mn;
+  const minorCapacity = PHI_B * minor.Mn;
+
+  // Flexural buckling about both axes and lateral-torsional buckling
+  const stabilityChecks = [];
+  let interactionAxial = axialCapacity;
+  if (stability) {
+    for (const [axis, inertia, length] of [
+      ["z", g.inertia, stability.lengthZ],
+      ["y", g.inertiaY, stability.lengthY],
+    ]) {
+      const slenderness = (stability.k * length) / Math.sqrt(inertia / g.area);
+      const Fe = (Math.PI * Math.PI * E) / (slenderness * slenderness);
+      const capacity = compressionCapacity(aiscCriticalStress(Fy, Fe));
+      stabilityChecks.push(
+        checkRow(
+          `Flexural buckling about ${axis}`,
+          "E3, E7",
+          tension ? 0 : demand.axial,
+          capacity,
+          "force",
+          `L_c/r = ${slenderness.toFixed(1)}`,
+        ),
+      );
+      if (!tension && interactionAxial !== null) {
+        interactionAxial =
+          capacity === null ? null : Math.min(interactionAxial, capacity);
+      }
+    }
+    if (g.type === "iBeam") {
+      const ltb = aiscLateralTorsional(
+        g,
+        material,
+        stability.lengthLT,
+        stability.cb,
+      );
+      stabilityChecks.push(
+        checkRow(
+          "Lateral-torsional buckling",
+          ltb.clause,
+          demand.major,
+          PHI_B * ltb.Mn,
+          "moment",
+          major.clause.startsWith("F4") || major.clause.startsWith("F5")
+            ? `C_b = ${stability.cb}; the F2.2 strength stands in for F4.2 / F5.2 of a noncompact or slender web.`
+            : `C_b = ${stability.cb}`,
+        ),
+      );
+      majorCapacity = Math.min(majorCapacity, PHI_B * ltb.Mn);
+    }
+  }
+
+  const checks = [
+    checkRow(
+      tension ? "Axial tension" : "Axial compression",
+      tension ? "D2(a)" : "E3, E7 (L_c = 0)",
+      demand.axial,
+      axialCapacity,
+      "force",
+      tension
+        ? "Yielding on the gross section; rupture on the net section is not checked."
+        : stability
+          ? "Cross-section strength; flexural buckling is checked below."
+          : "Squash load with local buckling only; flexural buckling is not checked.",
+    ),
+    checkRow(
+      "Major-axis bending (M_z)",
+      major.clause,
+      demand.major,
+      PHI_B * major.Mn,
+      "moment",
+      g.type === "hollowCircle" || stability
+        ? null
+        : "Braced member: lateral-torsional buckling is not checked.",
+    ),
+    checkRow(
+      "Minor-axis bending (M_y)",
+      minor.clause,
+      demand.minor,
+      minorCapacity,
+      "moment",
+    ),
+    checkRow(
+      "Shear (V)",
+      shear.clause,
+      demand.shear,
+      shear.phi * shear.Vn,
+      "force",
+    ),
+  ];
+  checks.push(...stabilityChecks);
+  if (interactionAxial !== null) {
+    const pr = demand.axial / interactionAxial;
+    const mr = demand.major / majorCapacity + demand.minor / minorCapacity;
+    const clause = tension ? "H1.2" : "H1.1";
+    checks.push(
+      pr >= 0.2
+        ? checkRow(
+            "Axial + bending",
+            `${clause} (H1-1a)`,
+            pr + (8 / 9) * mr,
+            1,
+            "ratio",
+          )
+        : checkRow(
+            "Axial + bending",
+            `${clause} (H1-1b)`,
+            pr / 2 + mr,
+            1,
+            "ratio",
+          ),
+    );
+  } else {
+    checks.push(checkRow("Axial + bending", "H1.1", 0, null, "ratio"));
+  }
+
+  const flexure = elements.filter((e) => e.action === "Flexure");
+  const worst = flexure.reduce((a, e) =>
+    AISC_RANK[e.result] > AISC_RANK[a.result] ? e : a,
+  ).result;
+  const slender = elements.some(
+    (e) => e.result === "Slender" && e.action === "Compression",
+  );
+  return {
+    sectionClass: `${worst} in flexure, ${slender ? "slender" : "nonslender"} in compression`,
+    elements,
+    checks,
+    notes,
+  };
+}
+
+// Major-axis classification and flexural strength (F7) of a box of depth H
+// and width B bent about the axis parallel to B.
+function aiscBox(H, B, t, S, Fy, E) {
+  const root = Math.sqrt(E / Fy);
+  const b = B - 3 * t;
+  const h = H - 3 * t;
+  const flange = aiscElement(
+    "Flange",
+    "Flexure",
+    "b/t",
+    b / t,
+    [1.12 * root, 1.4 * root],
+    "Table B4.1b case 17",
+  );
+  const web = aiscElement(
+    "Web",
+    "Flexure",
+    "h/t",
+    h / t,
+    [2.42 * root, 5.7 * root],
+    "Table B4.1b case 19",
+  );
+  const Mp = Fy * boxPlasticModulus(H, B, t);
+  let moment = { Mn: Mp, clause: "F7.1" };
+  const lower = (Mn, clause) => {
+    if (Mn < moment.Mn) moment = { Mn, clause };
+  };
+  if (flange.result === "Noncompact") {
+    lower(
+      Mp - (Mp - Fy * S) * (3.57 * flange.ratio * Math.sqrt(Fy / E) - 4),
+      "F7.2(b)",
+    );
+  } else if (flange.result === "Slender") {
+    const be = Math.min(
+      1.92 * t * root * (1 - (0.38 / flange.ratio) * root),
+      b,
+    );
+    const Se = effectiveModulus(H, B, t, 2 * t, B - (b - be), () => 1);
+    lower(Fy * Se, "F7.2(c)");
+  }
+  if (web.result === "Noncompact") {
+    lower(
+      Mp - (Mp - Fy * S) * (0.305 * web.ratio * Math.sqrt(Fy / E) - 0.738),
+      "F7.3(b)",
+    );
+  } else if (web.result === "Slender") {
+    lower(plateGirderFactor((2 * h) / b, web.ratio, root) * Fy * S, "F7.3(c)");
+  }
+  return { elements: [flange, web], moment };
+}
+
+// --------------------------------
+// EN 1993-1-1 with EN 1993-1-5 effective widths
+// --------------------------------
+
+// Class of an element from its ratio and the Class 1, 2 and 3 limits
+function eurocodeElement(part, symbol, ratio, limits, clause) {
+  const index = limits.findIndex((limit) => ratio <= limit);
+  return {
+    part,
+    action: "Compression and bending",
+    symbol,
+    ratio,
+    limits: limits.map((value, i) => ({ label: `Class ${i + 1}`, value })),
+    class: index === -1 ? 4 : index + 1,
+    result: `Class ${index === -1 ? 4 : index + 1}`,
+    clause,
+  };
+}
+
+// Web class under axial force (compression positive) and bending, with α
+// from the plastic and ψ from the elastic stress distribution. web is
+// { c, thickness, depth } with thickness the total of both webs of a box.
+function eurocodeWeb(
+  part,
+  symbol,
+  ratio,
+  web,
+  compression,
+  moment,
+  g,
+  fy,
+  eps,
+) {
+  const sigmaN = compression / g.area;
+  const sigmaM = (moment * web.depth) / 2 / g.inertia;
+  const high = sigmaN + sigmaM;
+  const low = sigmaN - sigmaM;
+  const clause = "Table 5.2 sheet 1";
+  if (high <= 0) {
+    // The whole web is in tension
+    return eurocodeElement(
+      part,
+      symbol,
+      ratio,
+      [Infinity, Infinity, Infinity],
+      clause,
+    );
+  }
+  const psi = low / high;
+  const alpha =
+    moment === 0
+      ? 1
+      : Math.min(
+          Math.max(0.5 + compression / (2 * web.c * web.thickness * fy), 0),
+          1,
+        );
+  let plastic;
+  if (alpha === 0) {
+    plastic = [Infinity, Infinity];
+  } else if (alpha > 0.5) {
+    plastic = [(396 * eps) / (13 * alpha - 1), (456 * eps) / (13 * alpha - 1)];
+  } else {
+    plastic = [(36 * eps) / alpha, (41.5 * eps) / alpha];
+  }
+  const elastic =
+    psi > -1
+      ? (42 * eps) / (0.67 + 0.33 * psi)
+      : 62 * eps * (1 - psi) * Math.sqrt(-psi);
+  return eurocodeElement(part, symbol, ratio, [...plastic, elastic], clause);
+}
+
+// EN 1993-1-5 Table 4.1 buckling factor of an internal element
+function internalBucklingFactor(psi) {
+  if (psi >= 1) return 4;
+  if (psi > 0) return 8.2 / (1.05 + psi);
+  if (psi > -1) return 7.81 - 6.29 * psi + 9.78 * psi * psi;
+  return 5.98 * Math.pow(1 - psi, 2);
+}
+
+// EN 1993-1-5 §4.4 reduction factors ρ of internal and outstand elements
+function internalReduction(ratio, psi, eps) {
+  const lambda = ratio / (28.4 * eps * Math.sqrt(internalBucklingFactor(psi)));
+  if (lambda <= 0.5 + Math.sqrt(0.085 - 0.055 * psi)) return 1;
+  return Math.min((lambda - 0.055 * (3 + psi)) / (lambda * lambda), 1);
+}
+
+function outstandReduction(ratio, eps) {
+  const lambda = ratio / (28.4 * eps * Math.sqrt(0.43));
+  if (lambda <= 0.748) return 1;
+  return Math.min((lambda - 0.188) / (lambda * lambda), 1);
+}
+
+// Bending resistance for a class from the plastic, elastic and effective
+// moduli; effective may be null when the code case is not covered.
+function eurocodeBending(sectionClass, plastic, elastic, effective, fy) {
+  if (sectionClass <= 2) return { Mc: plastic * fy, clause: "6.2.5 (6.13)" };
+  if (sectionClass === 3) return { Mc: elastic * fy, clause: "6.2.5 (6.14)" };
+  return {
+    Mc: effective === null ? null : effective * fy,
+    clause: "6.2.5 (6.15)",
+  };
+}
+
+function eurocodeChecks(g, material, demand, stability) {
+  const fy = material.yieldStrength;
+  const eps = Math.sqrt(235e6 / fy);
+  const eta = fy <= 460e6 ? 1.2 : 1.0;
+  const compression = -demand.force;
+  const notes = [];
+  let elements;
+  let sectionClass;
+  let minorClass;
+  let effectiveArea;
+  let major;
+  let minor;
+  let shearArea;
+  // Elastic or plastic modulus of the shear area, for the 6.2.8 reduction
+  let webModulus;
+  let interaction;
+
+  if (g.type === "iBeam") {
+    const { h, b, tf, tw, hw } = g;
+    const c = (b - tw) / 2;
+    const flange = eurocodeElement(
+      "Flange outstand",
+      "c/t_f",
+      c / tf,
+      [9 * eps, 10 * eps, 14 * eps],
+      "Table 5.2 sheet 2",
+    );
+    const web = eurocodeWeb(
+      "Web",
+      "c/t_w",
+      hw / tw,
+      { c: hw, thickness: tw, depth: hw },
+      compression,
+      demand.major,
+      g,
+      fy,
+      eps,
+    );
+    elements = [flange, web];
+    sectionClass = Math.max(flange.class, web.class);
+    minorClass = flange.class;
+
+    const rhoFlange = outstandReduction(c / tf, eps);
+    effectiveArea =
+      g.area -
+      4 * (1 - rhoFlange) * c * tf -
+      (1 - internalReduction(hw / tw, 1, eps)) * hw * tw;
+    major = eurocodeBending(
+      sectionClass,
+      g.plasticModulus,
+      g.elasticModulus,
+      effectiveModulus(h, b, tf, tw, tw + 2 * rhoFlange * c, (psi) =>
+        internalReduction(hw / tw, psi, eps),
+      ),
+      fy,
+    );
+    minor = eurocodeBending(
+      minorClass,
+      g.plasticModulusY,
+      g.elasticModulusY,
+      null,
+      fy,
+    );
+    if (minorClass === 4) {
+      notes.push(
+        "Class 4 flanges in minor-axis bending need effective widths for a stress gradient, which are not covered.",
+      );
+    }
+    shearArea = Math.max(g.area - 2 * b * tf + tw * tf, eta * hw * tw);
+    webModulus =
+      sectionClass <= 2 ? (hw * hw * tw) / 4 : (tw * Math.pow(hw, 3)) / (6 * h);
+    if (hw / tw > (72 * eps) / eta) {
+      notes.push(
+        "h_w/t_w exceeds 72ε/η: shear buckling to EN 1993-1-5 §5 is not included.",
+      );
+    }
+    // 6.2.9.1 for I-sections
+    const a = Math.min((g.area - 2 * b * tf) / g.area, 0.5);
+    interaction = (n, N, Mply, Mplz) => {
+      const noReduction = n <= 0.25 && N <= 0.5 * hw * tw * fy;
+      const MNy = noReduction
+        ? Mply
+        : Math.min((Mply * (1 - n)) / (1 - 0.5 * a), Mply);
+      const MNz = n <= a ? Mplz : Mplz * (1 - Math.pow((n - a) / (1 - a), 2));
+      return { MNy, MNz, alpha: 2, beta: Math.max(5 * n, 1) };
+    };
+  } else if (g.type === "rectTube") {
+    const { H, B, t } = g;
+    const z = eurocodeBox(
+      H,
+      B,
+      t,
+      g.inertia,
+      compression,
+      demand.major,
+      g,
+      fy,
+      eps,
+    );
+    const y = eurocodeBox(
+      B,
+      H,
+      t,
+      g.inertiaY,
+      compression,
+      demand.minor,
+      g,
+      fy,
+      eps,
+    );
+    elements = z.elements;
+    sectionClass = z.class;
+    minorClass = y.class;
+    effectiveArea = z.effectiveArea;
+    major = eurocodeBending(
+      sectionClass,
+      g.plasticModulus,
+      g.elasticModulus,
+      z.effectiveModulus,
+      fy,
+    );
+    minor = eurocodeBending(
+      minorClass,
+      g.plasticModulusY,
+      g.elasticModulusY,
+      y.effectiveModulus,
+      fy,
+    );
+    // Load parallel to the depth
+    shearArea = (g.area * H) / (B + H);
+    const hw = H - 2 * t;
+    webModulus =
+      sectionClass <= 2
+        ? (hw * hw * 2 * t) / 4
+        : (2 * t * Math.pow(hw, 3)) / (6 * H);
+    if ((H - 3 * t) / t > (72 * eps) / eta) {
+      notes.push(
+        "c/t of the webs exceeds 72ε/η: shear buckling to EN 1993-1-5 §5 is not included.",
+      );
+    }
+    // 6.2.9.1(5) for rectangular hollow sections
+    const aw = Math.min((g.area - 2 * B * t) / g.area, 0.5);
+    const af = Math.min((g.area - 2 * H * t) / g.area, 0.5);
+    interaction = (n, N, Mply, Mplz) => {
+      const denominator = 1 - 1.13 * n * n;
+      const exponent = denominator > 0 ? Math.min(1.66 / denominator, 6) : 6;
+      return {
+        MNy: Math.min((Mply * (1 - n)) / (1 - 0.5 * aw), Mply),
+        MNz: Math.min((Mplz * (1 - n)) / (1 - 0.5 * af), Mplz),
+        alpha: exponent,
+        beta: exponent,
+      };
+    };
+  } else {
+    const { D, t } = g;
+    const tube = eurocodeElement(
+      "Wall",
+      "d/t",
+      D / t,
+      [50 * eps * eps, 70 * eps * eps, 90 * eps * eps],
+      "Table 5.2 sheet 3",
+    );
+    elements = [tube];
+    sectionClass = tube.class;
+    minorClass = tube.class;
+    if (sectionClass === 4) {
+      notes.push(
+        "Class 4 circular hollow sections need EN 1993-1-6 shell buckling checks, which are not covered.",
+      );
+    }
+    effectiveArea = null;
+    major = eurocodeBending(
+      sectionClass,
+      g.plasticModulus,
+      g.elasticModulus,
+      null,
+      fy,
+    );
+    minor = major;
+    shearArea = (2 * g.area) / Math.PI;
+    webModulus = null;
+    // 6.2.9.1(6) for circular hollow sections
+    interaction = (n, N, Mply, Mplz) => {
+      const reduced = 1 - Math.pow(n, 1.7);
+      return { MNy: Mply * reduced, MNz: Mplz * reduced, alpha: 2, beta: 2 };
+    };
+  }
+
+  // Shear and the shear–bending interaction of 6.2.8
+  const Vpl = (shearArea * fy) / Math.sqrt(3);
+  let majorCapacity = major.Mc;
+  let majorClause = major.clause;
+  if (demand.shear > 0.5 * Vpl && majorCapacity !== null) {
+    const rho = Math.pow((2 * demand.shear) / Vpl - 1, 2);
+    majorClause = `${major.clause}, 6.2.8`;
+    if (webModulus === null) {
+      // Reduced yield strength over the whole section: conservative
+      majorCapacity *= 1 - rho;
+    } else {
+      majorCapacity = Math.max(majorCapacity - rho * webModulus * fy, 0);
+    }
+    notes.push(
+      `V_Ed exceeds 0.5V_pl,Rd: the major-axis resistance uses (1 − ρ)f_y on the shear area with ρ = ${rho.toFixed(3)}.`,
+    );
+  }
+
+  const tension = demand.force > 0;
+  const plasticAxial = g.area * fy;
+  // Characteristic compression resistance N_Rk = A·f_y or A_eff·f_y
+  const resistanceArea =
+    sectionClass <= 3 ? g.area : effectiveArea === null ? null : effectiveArea;
+  let axialCapacity;
+  let axialClause;
+  if (tension) {
+    axialCapacity = plasticAxial;
+    axialClause = "6.2.3 (6.6)";
+  } else if (sectionClass <= 3) {
+    axialCapacity = plasticAxial;
+    axialClause = "6.2.4 (6.10)";
+  } else {
+    axialCapacity = effectiveArea === null ? null : effectiveArea * fy;
+    axialClause = "6.2.4 (6.11)";
+  }
+
+  const checks = [
+    checkRow(
+      tension ? "Axial tension" : "Axial compression",
+      axialClause,
+      demand.axial,
+      axialCapacity,
+      "force",
+      tension
+        ? "Plastic resistance of the gross section; the net section is not checked."
+        : stability
+          ? "Cross-section resistance; flexural buckling is checked below."
+          : "Cross-section resistance; flexural buckling (6.3.1) is not checked.",
+    ),
+    checkRow(
+      "Major-axis bending (M_z; EN M_y)",
+      majorClause,
+      demand.major,
+      majorCapacity,
+      "moment",
+      g.type === "hollowCircle" || stability
+        ? null
+        : "Braced member: lateral-torsional buckling (6.3.2) is not checked.",
+    ),
+    checkRow(
+      "Minor-axis bending (M_y; EN M_z)",
+      minor.clause,
+      demand.minor,
+      minor.Mc,
+      "moment",
+    ),
+    checkRow("Shear (V)", "6.2.6 (6.18)", demand.shear, Vpl, "force"),
+  ];
+
+  // The minor axis only counts when there is a minor-axis moment
+  const minorCapacity = demand.minor > 0 ? minor.Mc : Infinity;
+  const interactionClass =
+    demand.minor > 0 ? Math.max(sectionClass, minorClass) : sectionClass;
+  if (
+    axialCapacity === null ||
+    majorCapacity === null ||
+    minorCapacity === null
+  ) {
+    checks.push(checkRow("Axial + bending", "6.2.9", 0, null, "ratio"));
+  } else if (interactionClass <= 2) {
+    const n = demand.axial / plasticAxial;
+    const { MNy, MNz, alpha, beta } = interaction(
+      n,
+      demand.axial,
+      majorCapacity,
+      minorCapacity,
+    );
+    const term = (M, MN, power) =>
+      M === 0 ? 0 : MN > 0 ? Math.pow(M / MN, power) : Infinity;
+    checks.push(
+      checkRow(
+        "Axial + bending",
+        "6.2.9.1 (6.41)",
+        term(demand.major, MNy, alpha) + term(demand.minor, MNz, beta),
+        1,
+        "ratio",
+      ),
+    );
+  } else {
+    checks.push(
+      checkRow(
+        "Axial + bending",
+        "6.2.1(7) (6.2)",
+        demand.axial / axialCapacity +
+          demand.major / majorCapacity +
+          demand.minor / minorCapacity,
+        1,
+        "ratio",
+      ),
+    );
+  }
+
+  if (stability) {
+    checks.push(
+      ...eurocodeStability(g, material, demand, stability, {
+        sectionClass,
+        resistanceArea,
+        majorResistance: major.Mc,
+        minorCapacity,
+      }),
+    );
+  }
+
+  return {
+    sectionClass: `Class ${sectionClass}`,
+    elements,
+    checks,
+    notes,
+  };
+}
+
+// Flexural buckling (6.3.1), lateral-torsional buckling of I-sections
+// (6.3.2.2, general case) and the member interaction of 6.3.3 by Annex B
+// with the conservative C_m = C_mLT = 1.0. γM1 = 1.0.
+function eurocodeStability(g, material, demand, stability, resistances) {
+  const { E } = material;
+  const fy = material.yieldStrength;
+  const { sectionClass, resistanceArea, majorResistance, minorCapacity } =
+    resistances;
+  const compression = demand.force > 0 ? 0 : demand.axial;
+  const curves = eurocodeColumnCurves({
+    type: g.type,
+    depth: g.h,
+    flangeWidth: g.b,
+    flangeThickness: g.tf,
+  });
+  const checks = [];
+  const columns = [
+    ["z", g.inertia, stability.lengthZ, curves.z],
+    ["y", g.inertiaY, stability.lengthY, curves.y],
+  ].map(([axis, inertia, length, curve]) => {
+    if (resistanceArea === null) {
+      checks.push(
+        checkRow(
+          `Flexural buckling about ${axis}`,
+          "6.3.1",
+          compression,
+          null,
+          "force",
+        ),
+      );
+      return null;
+    }
+    const effectiveLength = stability.k * length;
+    const Ncr =
+      (Math.PI * Math.PI * E * inertia) / (effectiveLength * effectiveLength);
+    const slenderness = Math.sqrt((resistanceArea * fy) / Ncr);
+    const chi = eurocodeReduction(slenderness, BUCKLING_CURVES[curve]);
+    checks.push(
+      checkRow(
+        `Flexural buckling about ${axis}`,
+        "6.3.1.1 (6.47)",
+        compression,
+        chi * resistanceArea * fy,
+        "force",
+        `Curve ${curve}, λ̄ = ${slenderness.toFixed(3)}, χ = ${chi.toFixed(3)}`,
+      ),
+    );
+    return { slenderness, chi };
+  });
+
+  // Lateral-torsional buckling of I-sections; hollow sections are not
+  // susceptible
+  let chiLT = 1;
+  if (g.type === "iBeam" && majorResistance !== null) {
+    const Mcr = elasticCriticalMoment(
+      g,
+      material,
+      stability.lengthLT,
+      stability.cb,
+    );
+    const slenderness = Math.sqrt(majorResistance / Mcr);
+    const curve = g.h / g.b <= 2 ? "a" : "b";
+    chiLT = eurocodeReduction(slenderness, BUCKLING_CURVES[curve]);
+    checks.push(
+      checkRow(
+        "Lateral-torsional buckling",
+        "6.3.2.2 (6.55)",
+        demand.major,
+        chiLT * majorResistance,
+        "moment",
+        `Curve ${curve}, C₁ = ${stability.cb}, λ̄_LT = ${slenderness.toFixed(3)}, χ_LT = ${chiLT.toFixed(3)}`,
+      ),
+    );
+  }
+
+  // Annex B interaction factors for members in compression and bending
+  if (compression === 0) return checks;
+  if (
+    columns.includes(null) ||
+    majorResistance === null ||
+    minorCapacity === null
+  ) {
+    checks.push(checkRow("Buckling interaction", "6.3.3", 0, null, "ratio"));
+    return checks;
+  }
+  const [major, minor] = columns;
+  const NRk = resistanceArea * fy;
+  const ny = compression / (major.chi * NRk);
+  const nz = compression / (minor.chi * NRk);
+  const plastic = sectionClass <= 2;
+  const kyy = plastic
+    ? Math.min(1 + (major.slenderness - 0.2) * ny, 1 + 0.8 * ny)
+    : Math.min(1 + 0.6 * major.slenderness * ny, 1 + 0.6 * ny);
+  let kzz;
+  if (!plastic) {
+    kzz = Math.min(1 + 0.6 * minor.slenderness * nz, 1 + 0.6 * nz);
+  } else if (g.type === "iBeam") {
+    kzz = Math.min(1 + (2 * minor.slenderness - 0.6) * nz, 1 + 1.4 * nz);
+  } else {
+    kzz = Math.min(1 + (minor.slenderness - 0.2) * nz, 1 + 0.8 * nz);
+  }
+  const kyz = plastic ? 0.6 * kzz : kzz;
+  let kzy;
+  if (g.type !== "iBeam") {
+    // Table B.1: not susceptible to torsional deformations
+    kzy = plastic ? 0.6 * kyy : 0.8 * kyy;
+  } else {
+    // Table B.2 with C_mLT = 1.0
+    const factor = plastic ? 0.1 : 0.05;
+    const lower = 1 - (factor * nz) / 0.75;
+    const reduced = 1 - (factor * minor.slenderness * nz) / 0.75;
+    kzy =
+      plastic && minor.slenderness < 0.4
+        ? Math.min(0.6 + minor.slenderness, reduced)
+        : Math.max(reduced, lower);
+  }
+  const majorTerm = demand.major / (chiLT * majorResistance);
+  const minorTerm = demand.minor / minorCapacity;
+  const equation61 = ny + kyy * majorTerm + kyz * minorTerm;
+  const equation62 = nz + kzy * majorTerm + kzz * minorTerm;
+  checks.push(
+    checkRow(
+      "Buckling interaction",
+      equation61 >= equation62 ? "6.3.3 (6.61)" : "6.3.3 (6.62)",
+      Math.max(equation61, equation62),
+      1,
+      "ratio",
+      "Annex B method 2 with C_m = C_mLT = 1.0",
+    ),
+  );
+  return checks;
+}
+
+// Classification and effective properties of a box of depth H and width B
+// bent about the axis parallel to B, with the top flange in compression.
+function eurocodeBox(H, B, t, inertia, compression, moment, g, fy, eps) {
+  const cFlange = B - 3 * t;
+  const cWeb = H - 3 * t;
+  const flange = eurocodeElement(
+    "Flange",
+    "c/t",
+    cFlange / t,
+    [33 * eps, 38 * eps, 42 * eps],
+    "Table 5.2 sheet 1",
+  );
+  const web = eurocodeWeb(
+    "Webs",
+    "c/t",
+    cWeb / t,
+    { c: cWeb, thickness: 2 * t, depth: H - 2 * t },
+    compression,
+    moment,
+    { area: g.area, inertia },
+    fy,
+    eps,
+  );
+  const rhoFlange = internalReduction(cFlange / t, 1, eps);
+  const rhoWeb = internalReduction(cWeb / t, 1, eps);
+  return {
+    elements: [flange, web],
+    class: Math.max(flange.class, web.class),
+    effectiveArea:
+      g.area - 2 * (1 - rhoFlange) * cFlange * t - 2 * (1 - rhoWeb) * cWeb * t,
+    effectiveModulus: effectiveModulus(
+      H,
+      B,
+      t,
+      2 * t,
+      B - (1 - rhoFlange) * cFlange,
+      (psi) => internalReduction(cWeb / t, psi, eps),
+    ),
+  };
+}
@@ -0,0 +1,252 @@
+// --------------------------------
+// Polygon geometry for arbitrary cross-sections (SI units)
+// --------------------------------
+//
+// Polygons are arrays of [x, y] vertices in either winding order. A
+// composite section is a list of polygons with a sign, +1 for material and
+// −1 for a hole, and all properties are summed over them.
+
+const CIRCLE_SEGMENTS = 256;
+
+/**
+ * Rectangle centred on (cx, cy) as a polygon.
+ *
+ * @returns {number[][]}
+ */
+export function rectanglePolygon(cx, cy, width, height) {
+  const w = width / 2;
+  const h = height / 2;
+  return [
+    [cx - w, cy - h],
+    [cx + w, cy - h],
+    [cx + w, cy + h],
+    [cx - w, cy + h],
+  ];
+}
+
+/**
+ * Circle centred on (cx, cy) as a regular polygon. The vertex radius is
+ * enlarged slightly so the polygon has exactly the circle's area.
+ *
+ * @returns {number[][]}
+ */
+export function circlePolygon(cx, cy, diameter, segments = CIRCLE_SEGMENTS) {
+  const step = (2 * Math.PI) / segments;
+  const r =
+    (diameter / 2) * Math.sqrt((2 * Math.PI) / (segments * Math.sin(step)));
+  const points = [];
+  for (let i = 0; i < segments; i++) {
+    points.push([cx + r * Math.cos(i * step), cy + r * Math.sin(i * step)]);
+  }
+  return points;
+}
+
+/**
+ * Area, first moments and second moments of a polygon about the origin,
+ * always returned for counter-clockwise winding (positive area).
+ *
+ * @param {number[][]} points
+ * @returns {{ area: number, Sx: number, Sy: number, Ixx: number, Iyy: number, Ixy: number }}
+ *   Sx = ∫y dA, Sy = ∫x dA, Ixx = ∫y² dA, Iyy = ∫x² dA, Ixy = ∫xy dA
+ */
+export function polygonIntegrals(points) {
+  let area = 0,
+    Sx = 0,
+    Sy = 0,
+    Ixx = 0,
+    Iyy = 0,
+    Ixy = 0;
+  const n = points.length;
+  for (let i = 0; i < n; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[(i + 1) % n];
+    const c = x0 * y1 - x1 * y0;
+    area += c / 2;
+    Sx += ((y0 + y1) * c) / 6;
+    Sy += ((x0 + x1) * c) / 6;
+    Ixx += ((y0 * y0 + y0 * y1 + y1 * y1) * c) / 12;
+    Iyy += ((x0 * x0 + x0 * x1 + x1 * x1) * c) / 12;
+    Ixy += ((x0 * y1 + 2 * x0 * y0 + 2 * x1 * y1 + x1 * y0) * c) / 24;
+  }
+  const s = area < 0 ? -1 : 1;
+  return {
+    area: s * area,
+    Sx: s * Sx,
+    Sy: s * Sy,
+    Ixx: s * Ixx,
+    Iyy: s * Iyy,
+    Ixy: s * Ixy,
+  };
+}
+
+/**
+ * Part of a polygon lying at or above the horizontal line y = level
+ * (Sutherland-Hodgman clipping against one half-plane).
+ *
+ * @param {number[][]} points
+ * @param {number} level
+ * @returns {number[][]}
+ */
+export function clipAbove(points, level) {
+  const out = [];
+  const n = points.length;
+  for (let i = 0; i < n; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % n];
+    const aIn = a[1] >= level;
+    const bIn = b[1] >= level;
+    if (aIn) out.push(a);
+    if (aIn !== bIn) {
+      const t = (level - a[1]) / (b[1] - a[1]);
+      out.push([a[0] + t * (b[0] - a[0]), level]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Total length of the chords cut from a polygon by the horizontal line
+ * y = level. Vertices exactly on the line should be avoided by the caller.
+ *
+ * @param {number[][]} points
+ * @param {number} level
+ * @returns {number}
+ */
+export function chordLength(points, level) {
+  const xs = [];
+  const n = points.length;
+  for (let i = 0; i < n; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[(i + 1) % n];
+    if (y0 < level !== y1 < level) {
+      xs.push(x0 + ((level - y0) / (y1 - y0)) * (x1 - x0));
+    }
+  }
+  xs.sort((a, b) => a - b);
+  let length = 0;
+  for (let i = 0; i + 1 < xs.length; i += 2) length += xs[i + 1] - xs[i];
+  return length;
+}
+
+/**
+ * Whether the point (x, y) lies inside a polygon, by the even-odd rule.
+ *
+ * @param {number[][]} points
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function pointInPolygon(points, x, y) {
+  let inside = false;
+  const n = points.length;
+  for (let i = 0, j = n - 1; i < n; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if (yi > y !== yj > y && x < xi + ((y - yi) / (yj - yi)) * (xj - xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Intervals [x0, x1] of the horizontal line at height y covered by the
+ * signed regions, i.e. where pointInPolygon summed with the region signs is
+ * positive. One pass over the edges serves every point on the line.
+ *
+ * @param {{ points: number[][], sign: number }[]} regions
+ * @param {number} y
+ * @returns {number[][]} sorted, non-overlapping intervals
+ */
+export function coveredSpans(regions, y) {
+  const crossings = [];
+  regions.forEach(({ points }, region) => {
+    const n = points.length;
+    for (let i = 0, j = n - 1; i < n; j = i++) {
+      const [xi, yi] = points[i];
+      const [xj, yj] = points[j];
+      if (yi > y !== yj > y) {
+        crossings.push({ x: xi + ((y - yi) / (yj - yi)) * (xj - xi), region });
+      }
+    }
+  });
+  crossings.sort((a, b) => a.x - b.x);
+  // Each crossing enters or leaves its region by the even-odd rule.
+  const inside = regions.map(() => false);
+  const spans = [];
+  let cover = 0;
+  let start = null;
+  for (const { x, region } of crossings) {
+    inside[region] = !inside[region];
+    cover += (inside[region] ? 1 : -1) * regions[region].sign;
+    if (cover > 0 && start === null) {
+      start = x;
+    } else if (cover <= 0 && start !== null) {
+      if (x > start) spans.push([start, x]);
+      start = null;
+    }
+  }
+  return spans;
+}
+
+/**
+ * Centroidal properties of a set of signed polygons.
+ *
+ * @param {{ points: number[][], sign: number }[]} regions
+ * @returns {{ area: number, xc: number, yc: number, Ix: number, Iy: number, Ixy: number,
+ *   xMin: number, xMax: number, yMin: number, yMax: number }}
+ *   Ix, Iy and Ixy are about centroidal axes parallel to x and y
+ */
+export function regionProperties(regions) {
+  let area = 0,
+    Sx = 0,
+    Sy = 0,
+    Ixx = 0,
+    Iyy = 0,
+    Ixy = 0;
+  for (const { points, sign } of regions) {
+    const p = polygonIntegrals(points);
+    area += sign * p.area;
+    Sx += sign * p.Sx;
+    Sy += sign * p.Sy;
+    Ixx += sign * p.Ixx;
+    Iyy += sign * p.Iyy;
+    Ixy += sign * p.Ixy;
+  }
+  const xc = area > 0 ? Sy / area : 0;
+  const yc = area > 0 ? Sx / area : 0;
+  const solid = regions.filter((r) => r.sign > 0).flatMap((r) => r.points);
+  const xs = solid.map((p) => p[0]);
+  const ys = solid.map((p) => p[1]);
+  return {
+    area,
+    xc,
+    yc,
+    Ix: Ixx - area * yc * yc,
+    Iy: Iyy - area * xc * xc,
+    Ixy: Ixy - area * xc * yc,
+    xMin: xs.length ? Math.min(...xs) : 0,
+    xMax: xs.length ? Math.max(...xs) : 0,
+    yMin: ys.length ? Math.min(...ys) : 0,
+    yMax: ys.length ? Math.max(...ys) : 0,
+  };
+}
+
+/**
+ * Principal second moments and the angle from the x axis to the major
+ * principal axis (counter-clockwise, rad).
+ *
+ * @param {number} Ix
+ * @param {number} Iy
+ * @param {number} Ixy product of inertia ∫xy dA
+ * @returns {{ I1: number, I2: number, angle: number }}
+ */
+export function principalInertia(Ix, Iy, Ixy) {
+  const mean = (Ix + Iy) / 2;
+  const radius = Math.hypot((Ix - Iy) / 2, Ixy);
+  return {
+    I1: mean + radius,
+    I2: mean - radius,
+    angle: 0.5 * Math.atan2(-2 * Ixy, Ix - Iy),
+  };
+}
@@ -0,0 +1,85 @@
+// --------------------------------
+// Saint-Venant torsion of a solid rectangle (SI units: m, N·m, Pa)
+// --------------------------------
+//
+// Series solution of the Prandtl stress function for a b × t rectangle with
+// b ≥ t, x across the thickness t and y along the length b, both from the
+// centre (Timoshenko & Goodier, Theory of Elasticity, §109).
+
+const TERMS = 500;
+
+// cosh(u) / cosh(v) without overflowing for large arguments.
+function coshRatio(u, v) {
+  const au = Math.abs(u);
+  const av = Math.abs(v);
+  return (
+    (Math.exp(au - av) * (1 + Math.exp(-2 * au))) / (1 + Math.exp(-2 * av))
+  );
+}
+
+/**
+ * Torsion constant J = (t³·b / 3)·[1 − (192·t / (π⁵·b))·Σ tanh(nπb / 2t) / n⁵],
+ * summed over odd n.
+ *
+ * @param {number} b long side (m)
+ * @param {number} t short side (m)
+ * @returns {number} J (m⁴)
+ */
+export function rectangleTorsionConstant(b, t) {
+  if (!(b > 0 && t > 0)) return 0;
+  let sum = 0;
+  for (let n = 1; n < 2 * TERMS; n += 2) {
+    sum += Math.tanh((n * Math.PI * b) / (2 * t)) / Math.pow(n, 5);
+  }
+  return (
+    ((t * t * t * b) / 3) * (1 - ((192 * t) / (Math.pow(Math.PI, 5) * b)) * sum)
+  );
+}
+
+/**
+ * Largest torsional shear stress, at the middle of the long sides:
+ * τmax = G·θ′·t·[1 − (8 / π²)·Σ 1 / (n²·cosh(nπb / 2t))] with G·θ′ = T / J.
+ *
+ * @param {number} b long side (m)
+ * @param {number} t short side (m)
+ * @param {number} torque (N·m)
+ * @returns {number} τmax (Pa)
+ */
+export function rectangleMaxShear(b, t, torque) {
+  const J = rectangleTorsionConstant(b, t);
+  if (J <= 0) return 0;
+  let sum = 0;
+  for (let n = 1; n < 2 * TERMS; n += 2) {
+    sum += coshRatio(0, (n * Math.PI * b) / (2 * t)) / (n * n);
+  }
+  return (torque / J) * t * (1 - (8 / (Math.PI * Math.PI)) * sum);
+}
+
+/**
+ * Magnitude of the torsional shear stress at (x, y) inside the rectangle,
+ * signed like the torque; 0 outside it.
+ *
+ * @param {number} b long side (m)
+ * @param {number} t short side (m)
+ * @param {number} torque (N·m)
+ * @param {number} x across the thickness, from the centre (m)
+ * @param {number} y along the length, from the centre (m)
+ * @returns {number} τ (Pa)
+ */
+export function rectangleShearAt(b, t, torque, x, y) {
+  const J = rectangleTorsionConstant(b, t);
+  if (J <= 0 || Math.abs(x) > t / 2 || Math.abs(y) > b / 2) return 0;
+  let tauX = 0,
+    tauY = 0;
+  for (let n = 1; n < 2 * TERMS; n += 2) {
+    const sign = (n - 1) % 4 === 0 ? 1 : -1;
+    const k = (n * Math.PI) / t;
+    const end = (n * Math.PI * b) / (2 * t);
+    const ratio = coshRatio(k * y, end);
+    // sinh(ky) / cosh(kb/2) = tanh(ky) · cosh(ky) / cosh(kb/2)
+    tauX -= (sign / (n * n)) * ratio * Math.tanh(k * y) * Math.cos(k * x);
+    tauY += (sign / (n * n)) * (1 - ratio) * Math.sin(k * x);
+  }
+  const scale = ((8 * t) / (Math.PI * Math.PI)) * (torque / J);
+  return Math.sign(torque) * Math.abs(scale) * Math.hypot(tauX, tauY);
+}
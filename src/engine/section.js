@@ -0,0 +1,632 @@
+import {
+  rectanglePolygon,
+  circlePolygon,
+  polygonIntegrals,
+  clipAbove,
+  chordLength,
+  regionProperties,
+  principalInertia,
+} from "./polygon.js";
+import { rectangleTorsionConstant } from "./saintVenant.js";
+
+// --------------------------------
+// Cross-section geometry (all values in SI units: m, m², m³, m⁴)
+// --------------------------------
+//
+// A section is a plain object tagged by `type`:
+//   { type: "rectangle", width, height }
+//   { type: "circle", diameter }
+//   { type: "hollowCircle", outerRadius, innerRadius }
+//   { type: "iBeam", depth, flangeWidth, flangeThickness, webThickness }
+//   { type: "rectTube", width, height, thickness }
+//   { type: "channel", depth, flangeWidth, flangeThickness, webThickness }
+//   { type: "tee", depth, flangeWidth, flangeThickness, webThickness }
+//   { type: "angle", height, width, thickness }
+//   { type: "ellipse", width, height }
+//   { type: "composite", shapes }
+//
+// A composite section is a list of shapes, each marked `hole: true` to cut it
+// out of the material, with coordinates from any convenient origin:
+//   { kind: "rectangle", cx, cy, width, height, hole }
+//   { kind: "circle", cx, cy, diameter, hole }
+//   { kind: "polygon", points: [[x, y], ...], hole }
+// Its properties are integrated numerically and the neutral axis passes
+// through the computed centroid.
+//
+// The y coordinate is measured from the centroid, positive upwards, and z is
+// measured from the centroid, positive to the right; bending about the
+// horizontal (z) axis is the primary case. The tee has its flange
+// at the top, the channel its web on the left and the angle its corner at
+// the bottom left, so the tee and angle centroids sit off mid-height.
+
+export const SECTION_TYPES = [
+  "rectangle",
+  "circle",
+  "hollowCircle",
+  "iBeam",
+  "rectTube",
+  "channel",
+  "tee",
+  "angle",
+  "ellipse",
+  "composite",
+];
+
+// Signed polygons for a composite section, one per shape and in order.
+export function compositeRegions(section) {
+  return section.shapes.map((shape) => {
+    let points;
+    if (shape.kind === "rectangle") {
+      points = rectanglePolygon(shape.cx, shape.cy, shape.width, shape.height);
+    } else if (shape.kind === "circle") {
+      points = circlePolygon(shape.cx, shape.cy, shape.diameter);
+    } else {
+      points = shape.points;
+    }
+    return { points, sign: shape.hole ? -1 : 1, kind: shape.kind };
+  });
+}
+
+// Thin-walled shapes built from rectangles, each
+// { x0, x1, y0, y1, sign } measured from the bottom-left corner of the
+// bounding box; sign −1 marks a hole. Also returns the plates used for the
+// open-section torsion constant J = Σ b·t³/3.
+function rectangleParts(section) {
+  if (section.type === "rectTube") {
+    const { width: b, height: h, thickness: t } = section;
+    return {
+      parts: [
+        { x0: 0, x1: b, y0: 0, y1: h, sign: 1 },
+        { x0: t, x1: b - t, y0: t, y1: h - t, sign: -1 },
+      ],
+      plates: [],
+    };
+  } else if (section.type === "channel") {
+    const {
+      depth: h,
+      flangeWidth: bf,
+      flangeThickness: tf,
+      webThickness: tw,
+    } = section;
+    return {
+      parts: [
+        { x0: 0, x1: bf, y0: 0, y1: tf, sign: 1 },
+        { x0: 0, x1: tw, y0: tf, y1: h - tf, sign: 1 },
+        { x0: 0, x1: bf, y0: h - tf, y1: h, sign: 1 },
+      ],
+      plates: [
+        [bf, tf],
+        [bf, tf],
+        [h - 2 * tf, tw],
+      ],
+    };
+  } else if (section.type === "tee") {
+    const {
+      depth: h,
+      flangeWidth: bf,
+      flangeThickness: tf,
+      webThickness: tw,
+    } = section;
+    const x0 = (bf - tw) / 2;
+    return {
+      parts: [
+        { x0, x1: x0 + tw, y0: 0, y1: h - tf, sign: 1 },
+        { x0: 0, x1: bf, y0: h - tf, y1: h, sign: 1 },
+      ],
+      plates: [
+        [bf, tf],
+        [h - tf, tw],
+      ],
+    };
+  } else if (section.type === "angle") {
+    const { height: h, width: b, thickness: t } = section;
+    return {
+      parts: [
+        { x0: 0, x1: b, y0: 0, y1: t, sign: 1 },
+        { x0: 0, x1: t, y0: t, y1: h, sign: 1 },
+      ],
+      plates: [
+        [b, t],
+        [h - t, t],
+      ],
+    };
+  }
+  return null;
+}
+
+// Area, centroid and centroidal second moments of a set of rectangle parts:
+// inertia about the horizontal axis, inertiaY about the vertical axis and
+// the product of inertia ∫z·y dA.
+function composedProperties(parts) {
+  let area = 0,
+    firstMoment = 0,
+    firstMomentZ = 0;
+  for (const p of parts) {
+    const a = p.sign * (p.x1 - p.x0) * (p.y1 - p.y0);
+    area += a;
+    firstMoment += a * ((p.y0 + p.y1) / 2);
+    firstMomentZ += a * ((p.x0 + p.x1) / 2);
+  }
+  const yc = area > 0 ? firstMoment / area : 0;
+  const xc = area > 0 ? firstMomentZ / area : 0;
+  let inertia = 0,
+    inertiaY = 0,
+    productOfInertia = 0;
+  for (const p of parts) {
+    const w = p.x1 - p.x0;
+    const d = p.y1 - p.y0;
+    const dy = (p.y0 + p.y1) / 2 - yc;
+    const dx = (p.x0 + p.x1) / 2 - xc;
+    inertia += p.sign * ((w * d * d * d) / 12 + w * d * dy * dy);
+    inertiaY += p.sign * ((d * w * w * w) / 12 + w * d * dx * dx);
+    productOfInertia += p.sign * w * d * dx * dy;
+  }
+  const top = Math.max(...parts.map((p) => p.y1));
+  const right = Math.max(...parts.map((p) => p.x1));
+  return {
+    area,
+    xc,
+    yc,
+    inertia,
+    inertiaY,
+    productOfInertia,
+    top,
+    right,
+  };
+}
+
+// Net width of the parts strictly containing local height yy.
+function partsWidthAt(parts, yy) {
+  let width = 0;
+  for (const p of parts) {
+    if (p.y0 < yy && yy < p.y1) width += p.sign * (p.x1 - p.x0);
+  }
+  return width;
+}
+
+/**
+ * Area, bending inertias, torsion constant J (polarInertia), extreme fibre
+ * distances and the shear thickness at the neutral axis for a section.
+ * inertia is taken about the horizontal centroidal axis (I_z), inertiaY
+ * about the vertical one (I_y) and productOfInertia is I_yz = ∫y·z dA.
+ * yTop / yBottom and zLeft / zRight are the distances from the centroid to
+ * the extreme fibres; outerRadius is the larger of yTop and yBottom, and
+ * modulusTop / modulusBottom are the matching elastic section moduli.
+ * warpingConstant is the thin-walled warping constant C_w (m⁶).
+ * Composite sections also report their centroid in input coordinates.
+ *
+ * @param {object} section
+ * @returns {{ area: number, inertia: number, inertiaY: number, productOfInertia: number,
+ *   principal: { I1: number, I2: number, angle: number }, polarInertia: number,
+ *   outerRadius: number, yTop: number, yBottom: number, zLeft: number, zRight: number,
+ *   shearThickness: number, modulusTop: number, modulusBottom: number,
+ *   warpingConstant: number }}
+ */
+export function computeSectionProperties(section) {
+  if (section.type === "composite") {
+    const regions = compositeRegions(section);
+    const p = regionProperties(regions);
+    return withModuli({
+      area: p.area,
+      inertia: p.Ix,
+      inertiaY: p.Iy,
+      productOfInertia: p.Ixy,
+      // Polar moment Ix + Iy; exact as a torsion constant only for circles
+      polarInertia: p.Ix + p.Iy,
+      yTop: p.yMax - p.yc,
+      yBottom: p.yc - p.yMin,
+      zLeft: p.xc - p.xMin,
+      zRight: p.xMax - p.xc,
+      shearThickness: shearThicknessAt(section, 0),
+      warpingConstant: 0,
+      centroid: { x: p.xc, y: p.yc },
+    });
+  }
+
+  const composed = rectangleParts(section);
+  if (composed) {
+    const { area, xc, yc, inertia, inertiaY, productOfInertia, top, right } =
+      composedProperties(composed.parts);
+    let polarInertia;
+    if (section.type === "rectTube") {
+      // Bredt-Batho for a closed thin-walled tube: J = 4·Am²·t / perimeter,
+      // with Am and the perimeter taken on the wall centreline.
+      const { width: b, height: h, thickness: t } = section;
+      const enclosed = (b - t) * (h - t);
+      polarInertia = (4 * enclosed * enclosed * t) / (2 * (b - t + (h - t)));
+    } else {
+      // Open thin-walled section: J = Σ b·t³/3.
+      polarInertia = composed.plates.reduce(
+        (sum, [b, t]) => sum + (b * t * t * t) / 3,
+        0,
+      );
+    }
+    return withModuli({
+      area,
+      inertia,
+      inertiaY,
+      productOfInertia,
+      polarInertia,
+      yTop: top - yc,
+      yBottom: yc,
+      zLeft: xc,
+      zRight: right - xc,
+      shearThickness: shearThicknessAt(section, 0),
+      warpingConstant: warpingConstant(section),
+    });
+  }
+
+  // The remaining shapes are doubly symmetric, so I_yz = 0.
+  let area = 0,
+    inertia = 0,
+    inertiaY = 0,
+    polarInertia = 0,
+    outerRadius = 0,
+    halfWidth = 0;
+
+  if (section.type === "rectangle") {
+    const { width: b, height: h } = section;
+    area = b * h;
+    inertia = (b * Math.pow(h, 3)) / 12;
+    inertiaY = (h * Math.pow(b, 3)) / 12;
+    // Saint-Venant torsion constant (series solution)
+    polarInertia = rectangleTorsionConstant(Math.max(b, h), Math.min(b, h));
+    outerRadius = h / 2;
+    halfWidth = b / 2;
+  } else if (section.type === "circle") {
+    const r = section.diameter / 2;
+    area = Math.PI * Math.pow(r, 2);
+    inertia = (Math.PI * Math.pow(r, 4)) / 4;
+    inertiaY = inertia;
+    polarInertia = (Math.PI * Math.pow(r, 4)) / 2;
+    outerRadius = r;
+    halfWidth = r;
+  } else if (section.type === "hollowCircle") {
+    const { outerRadius: R_o, innerRadius: R_i } = section;
+    outerRadius = R_o;
+    halfWidth = R_o;
+    if (R_i < R_o) {
+      area = Math.PI * (Math.pow(R_o, 2) - Math.pow(R_i, 2));
+      inertia = (Math.PI / 4) * (Math.pow(R_o, 4) - Math.pow(R_i, 4));
+      inertiaY = inertia;
+      polarInertia = (Math.PI / 2) * (Math.pow(R_o, 4) - Math.pow(R_i, 4));
+    }
+  } else if (section.type === "iBeam") {
+    const {
+      depth: h,
+      flangeWidth: bf,
+      flangeThickness: tf,
+      webThickness: tw,
+    } = section;
+    // Area: two flanges plus web
+    area = 2 * bf * tf + tw * (h - 2 * tf);
+    // Bending moment of inertia about horizontal axis using subtraction:
+    inertia = (bf * Math.pow(h, 3) - (bf - tw) * Math.pow(h - 2 * tf, 3)) / 12;
+    // About the vertical axis: two flanges plus the web
+    inertiaY = (2 * tf * Math.pow(bf, 3) + (h - 2 * tf) * Math.pow(tw, 3)) / 12;
+    // Open thin-walled section: J = Σ b·t³/3 over the flanges and web
+    polarInertia =
+      (2 * bf * Math.pow(tf, 3) + (h - 2 * tf) * Math.pow(tw, 3)) / 3;
+    outerRadius = h / 2;
+    halfWidth = bf / 2;
+  } else if (section.type === "ellipse") {
+    const a = section.width / 2;
+    const b = section.height / 2;
+    area = Math.PI * a * b;
+    inertia = (Math.PI * a * Math.pow(b, 3)) / 4;
+    inertiaY = (Math.PI * Math.pow(a, 3) * b) / 4;
+    // Exact Saint-Venant torsion constant of a solid ellipse
+    polarInertia =
+      a > 0 && b > 0
+        ? (Math.PI * Math.pow(a, 3) * Math.pow(b, 3)) / (a * a + b * b)
+        : 0;
+    outerRadius = b;
+    halfWidth = a;
+  }
+
+  return withModuli({
+    area,
+    inertia,
+    inertiaY,
+    productOfInertia: 0,
+    polarInertia,
+    yTop: outerRadius,
+    yBottom: outerRadius,
+    zLeft: halfWidth,
+    zRight: halfWidth,
+    shearThickness: shearThicknessAt(section, 0),
+    warpingConstant: warpingConstant(section),
+  });
+}
+
+// Warping constant C_w of the thin-walled open shapes, on the plate
+// centrelines. Tees and angles, whose plates meet at one point, and closed
+// or solid sections warp so little that C_w is taken as 0.
+function warpingConstant(section) {
+  if (section.type === "iBeam") {
+    // C_w = I_f·h₀²/2 with I_f = t_f·b³/12 for one flange
+    const h0 = section.depth - section.flangeThickness;
+    return (
+      (section.flangeThickness * Math.pow(section.flangeWidth, 3) * h0 * h0) /
+      24
+    );
+  }
+  if (section.type === "channel") {
+    const {
+      depth: h,
+      flangeWidth: bf,
+      flangeThickness: tf,
+      webThickness: tw,
+    } = section;
+    const b = bf - tw / 2;
+    const h0 = h - tf;
+    return (
+      ((tf * Math.pow(b, 3) * h0 * h0) / 12) *
+      ((3 * b * tf + 2 * h0 * tw) / (6 * b * tf + h0 * tw))
+    );
+  }
+  return 0;
+}
+
+// Add the outer radius, the elastic section moduli I / c for the top and
+// bottom fibres and the principal axes.
+function withModuli(props) {
+  return {
+    ...props,
+    outerRadius: Math.max(props.yTop, props.yBottom),
+    modulusTop: props.yTop > 0 ? props.inertia / props.yTop : 0,
+    modulusBottom: props.yBottom > 0 ? props.inertia / props.yBottom : 0,
+    principal: principalInertia(
+      props.inertia,
+      props.inertiaY,
+      props.productOfInertia,
+    ),
+  };
+}
+
+/**
+ * Outline of the section as signed polygons of [z, y] vertices measured
+ * from the centroid, z to the right and y upwards; sign −1 marks a hole.
+ * Circles and ellipses are approximated by regular polygons.
+ *
+ * @param {object} section
+ * @returns {{ points: number[][], sign: number }[]}
+ */
+export function sectionOutline(section) {
+  const composed = rectangleParts(section);
+  let regions;
+  if (section.type === "composite") {
+    regions = compositeRegions(section);
+  } else if (composed) {
+    regions = composed.parts.map((p) => ({
+      points: rectanglePolygon(
+        (p.x0 + p.x1) / 2,
+        (p.y0 + p.y1) / 2,
+        p.x1 - p.x0,
+        p.y1 - p.y0,
+      ),
+      sign: p.sign,
+    }));
+  } else if (section.type === "rectangle") {
+    regions = [
+      {
+        points: rectanglePolygon(0, 0, section.width, section.height),
+        sign: 1,
+      },
+    ];
+  } else if (section.type === "circle") {
+    regions = [{ points: circlePolygon(0, 0, section.diameter), sign: 1 }];
+  } else if (section.type === "hollowCircle") {
+    const { outerRadius: R_o, innerRadius: R_i } = section;
+    regions = [{ points: circlePolygon(0, 0, 2 * R_o), sign: 1 }];
+    if (R_i > 0 && R_i < R_o) {
+      regions.push({ points: circlePolygon(0, 0, 2 * R_i), sign: -1 });
+    }
+  } else if (section.type === "iBeam") {
+    const {
+      depth: h,
+      flangeWidth: bf,
+      flangeThickness: tf,
+      webThickness: tw,
+    } = section;
+    regions = [
+      { points: rectanglePolygon(0, (h - tf) / 2, bf, tf), sign: 1 },
+      { points: rectanglePolygon(0, 0, tw, h - 2 * tf), sign: 1 },
+      { points: rectanglePolygon(0, -(h - tf) / 2, bf, tf), sign: 1 },
+    ];
+  } else if (section.type === "ellipse") {
+    // A unit circle stretched to the semi-axes keeps the exact area.
+    const a = section.width / 2;
+    const b = section.height / 2;
+    regions = [
+      {
+        points: circlePolygon(0, 0, 2).map(([x, y]) => [a * x, b * y]),
+        sign: 1,
+      },
+    ];
+  } else {
+    return [];
+  }
+  const { xc, yc } = regionProperties(regions);
+  return regions.map(({ points, sign }) => ({
+    points: points.map(([x, y]) => [x - xc, y - yc]),
+    sign,
+  }));
+}
+
+/**
+ * First moment of area Q of the part of the section beyond height y, taken
+ * about the neutral axis. Returns 0 outside the section.
+ *
+ * @param {object} section
+ * @param {number} y distance from the neutral axis (m)
+ * @returns {number} Q (m³)
+ */
+export function firstMomentQ(section, y) {
+  const yAbs = Math.abs(y);
+
+  if (section.type === "composite") {
+    const regions = compositeRegions(section);
+    const { yc } = regionProperties(regions);
+    let Q = 0;
+    for (const { points, sign } of regions) {
+      const above = clipAbove(points, y + yc);
+      if (above.length < 3) continue;
+      const p = polygonIntegrals(above);
+      Q += sign * (p.Sx - p.area * yc);
+    }
+    return Math.max(Q, 0);
+  }
+
+  const composed = rectangleParts(section);
+  if (composed) {
+    const { yc, top } = composedProperties(composed.parts);
+    const yy = y + yc;
+    if (yy < 0 || yy > top) return 0;
+    // First moment of the parts above the cut about the neutral axis
+    let Q = 0;
+    for (const p of composed.parts) {
+      const from = Math.max(p.y0, yy);
+      if (from >= p.y1) continue;
+      Q += p.sign * (p.x1 - p.x0) * (p.y1 - from) * ((from + p.y1) / 2 - yc);
+    }
+    return Q;
+  }
+
+  if (section.type === "rectangle") {
+    const a = section.height / 2;
+    if (yAbs > a) return 0;
+    return (section.width / 2) * (Math.pow(a, 2) - Math.pow(y, 2));
+  } else if (section.type === "circle") {
+    const r = section.diameter / 2;
+    if (yAbs > r) return 0;
+    return (2 / 3) * Math.pow(r * r - y * y, 1.5);
+  } else if (section.type === "hollowCircle") {
+    const { outerRadius: R_o, innerRadius: R_i } = section;
+    if (yAbs > R_o || R_i >= R_o) return 0;
+    if (yAbs <= R_i) {
+      return (
+        (2 / 3) *
+        (Math.pow(R_o * R_o - y * y, 1.5) - Math.pow(R_i * R_i - y * y, 1.5))
+      );
+    }
+    return (2 / 3) * Math.pow(R_o * R_o - y * y, 1.5);
+  } else if (section.type === "iBeam") {
+    const {
+      depth: h,
+      flangeWidth: bf,
+      flangeThickness: tf,
+      webThickness: tw,
+    } = section;
+    const halfDepth = h / 2;
+    if (yAbs > halfDepth) return 0;
+    if (yAbs <= halfDepth - tf) {
+      // Analysis point is in the web.
+      const flangeQ = bf * tf * (halfDepth - tf / 2);
+      const webArea = tw * (halfDepth - tf - yAbs);
+      const webCentroid = (halfDepth - tf + yAbs) / 2;
+      return flangeQ + webArea * webCentroid;
+    }
+    // Analysis point is within the flange.
+    const flangeHeightAbove = halfDepth - yAbs;
+    return bf * flangeHeightAbove * (halfDepth - flangeHeightAbove / 2);
+  } else if (section.type === "ellipse") {
+    const a = section.width / 2;
+    const b = section.height / 2;
+    if (yAbs > b || b <= 0) return 0;
+    return ((2 / 3) * a * Math.pow(b * b - y * y, 1.5)) / b;
+  }
+  return 0;
+}
+
+/**
+ * Width of the section cut at height y, i.e. the t in τ = V·Q / (I·t).
+ * Returns 0 outside the section.
+ *
+ * @param {object} section
+ * @param {number} y distance from the neutral axis (m)
+ * @returns {number} t (m)
+ */
+export function shearThicknessAt(section, y) {
+  const yAbs = Math.abs(y);
+
+  if (section.type === "composite") {
+    const regions = compositeRegions(section);
+    const p = regionProperties(regions);
+    const yy = y + p.yc;
+    const eps = (p.yMax - p.yMin) * 1e-9;
+    const widthAt = (level) =>
+      regions.reduce(
+        (sum, { points, sign }) => sum + sign * chordLength(points, level),
+        0,
+      );
+    return Math.max(0, Math.min(widthAt(yy - eps), widthAt(yy + eps)));
+  }
+
+  const composed = rectangleParts(section);
+  if (composed) {
+    // At a junction between parts take the narrower side, e.g. the web.
+    const { yc, top } = composedProperties(composed.parts);
+    const yy = y + yc;
+    const eps = top * 1e-9;
+    return Math.min(
+      partsWidthAt(composed.parts, yy - eps),
+      partsWidthAt(composed.parts, yy + eps),
+    );
+  }
+
+  if (section.type === "rectangle") {
+    return yAbs <= section.height / 2 ? section.width : 0;
+  } else if (section.type === "circle") {
+    const r = section.diameter / 2;
+    return yAbs <= r ? 2 * Math.sqrt(r * r - y * y) : 0;
+  } else if (section.type === "hollowCircle") {
+    const { outerRadius: R_o, innerRadius: R_i } = section;
+    if (yAbs > R_o || R_i >= R_o) return 0;
+    const outer = 2 * Math.sqrt(R_o * R_o - y * y);
+    const inner = yAbs < R_i ? 2 * Math.sqrt(R_i * R_i - y * y) : 0;
+    return outer - inner;
+  } else if (section.type === "iBeam") {
+    const halfDepth = section.depth / 2;
+    if (yAbs > halfDepth) return 0;
+    return yAbs <= halfDepth - section.flangeThickness
+      ? section.webThickness
+      : section.flangeWidth;
+  } else if (section.type === "ellipse") {
+    const a = section.width / 2;
+    const b = section.height / 2;
+    return yAbs <= b && b > 0 ? ((2 * a) / b) * Math.sqrt(b * b - y * y) : 0;
+  }
+  return 0;
+}
+
+/**
+ * Heights (from the neutral axis) where the cut width t(y) jumps, e.g. the
+ * web/flange junctions, so plots can sample both sides of the step.
+ *
+ * @param {object} section
+ * @returns {number[]}
+ */
+export function thicknessBreakpoints(section) {
+  if (section.type === "composite") {
+    const regions = compositeRegions(section);
+    const { yc, yMin, yMax } = regionProperties(regions);
+    const heights = new Set(
+      regions
+        .filter((r) => r.kind !== "circle")
+        .flatMap((r) => r.points.map((p) => p[1])),
+    );
+    return [...heights].filter((h) => h > yMin && h < yMax).map((h) => h - yc);
+  }
+
+  const composed = rectangleParts(section);
+  if (composed) {
+    const { yc, top } = composedProperties(composed.parts);
+    const heights = new Set(composed.parts.flatMap((p) => [p.y0, p.y1]));
+    return [...heights].filter((h) => h > 0 && h < top).map((h) => h - yc);
+  } else if (section.type === "iBeam") {
+    const y = section.depth / 2 - section.flangeThickness;
+    return y > 0 ? [-y, y] : [];
+  }
+  return [];
+}
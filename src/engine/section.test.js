@@ -0,0 +1,366 @@
+import { describe, expect, it } from "vitest";
+import {
+  computeSectionProperties,
+  firstMomentQ,
+  shearThicknessAt,
+} from "./section.js";
+import { stressesAt, stressMap } from "./stress.js";
+
+// Relative closeness, for values spanning many orders of magnitude
+function expectClose(actual, expected, tolerance = 1e-9) {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(
+    tolerance * Math.max(Math.abs(expected), 1e-30),
+  );
+}
+
+const rectangle = { type: "rectangle", width: 0.05, height: 0.1 };
+const circle = { type: "circle", diameter: 0.08 };
+const hollowCircle = {
+  type: "hollowCircle",
+  outerRadius: 0.05,
+  innerRadius: 0.04,
+};
+const iBeam = {
+  type: "iBeam",
+  depth: 0.3,
+  flangeWidth: 0.15,
+  flangeThickness: 0.0107,
+  webThickness: 0.0071,
+};
+const rectTube = {
+  type: "rectTube",
+  width: 0.1,
+  height: 0.15,
+  thickness: 0.01,
+};
+const channel = {
+  type: "channel",
+  depth: 0.2,
+  flangeWidth: 0.075,
+  flangeThickness: 0.01,
+  webThickness: 0.006,
+};
+const tee = {
+  type: "tee",
+  depth: 0.1,
+  flangeWidth: 0.1,
+  flangeThickness: 0.012,
+  webThickness: 0.008,
+};
+const angle = { type: "angle", height: 0.1, width: 0.1, thickness: 0.01 };
+const ellipse = { type: "ellipse", width: 0.12, height: 0.08 };
+
+describe("computeSectionProperties", () => {
+  it("gives bh³/12 for a rectangle", () => {
+    const { width: b, height: h } = rectangle;
+    const p = computeSectionProperties(rectangle);
+    expectClose(p.area, b * h);
+    expectClose(p.inertia, (b * h ** 3) / 12);
+  });
+
+  it("gives πd⁴/64 for a circle", () => {
+    const d = circle.diameter;
+    const p = computeSectionProperties(circle);
+    expectClose(p.area, (Math.PI * d ** 2) / 4);
+    expectClose(p.inertia, (Math.PI * d ** 4) / 64);
+    expectClose(p.polarInertia, (Math.PI * d ** 4) / 32);
+  });
+
+  it("gives π(D⁴ − d⁴)/64 for a hollow circle", () => {
+    const D = 2 * hollowCircle.outerRadius;
+    const d = 2 * hollowCircle.innerRadius;
+    const p = computeSectionProperties(hollowCircle);
+    expectClose(p.area, (Math.PI * (D ** 2 - d ** 2)) / 4);
+    expectClose(p.inertia, (Math.PI * (D ** 4 - d ** 4)) / 64);
+    expectClose(p.polarInertia, (Math.PI * (D ** 4 - d ** 4)) / 32);
+  });
+
+  it("sums the I-beam flanges and web with the parallel-axis theorem", () => {
+    const {
+      depth: h,
+      flangeWidth: bf,
+      flangeThickness: tf,
+      webThickness: tw,
+    } = iBeam;
+    const hw = h - 2 * tf;
+    const arm = (h - tf) / 2;
+    const flange = (bf * tf ** 3) / 12 + bf * tf * arm ** 2;
+    const web = (tw * hw ** 3) / 12;
+    const p = computeSectionProperties(iBeam);
+    expectClose(p.area, 2 * bf * tf + tw * hw);
+    expectClose(p.inertia, 2 * flange + web);
+  });
+});
+
+describe("built-up and elliptical sections", () => {
+  it("subtracts the bore of a rectangular tube", () => {
+    const { width: b, height: h, thickness: t } = rectTube;
+    const p = computeSectionProperties(rectTube);
+    expectClose(p.area, b * h - (b - 2 * t) * (h - 2 * t));
+    expectClose(p.inertia, (b * h ** 3 - (b - 2 * t) * (h - 2 * t) ** 3) / 12);
+    expectClose(p.yTop, h / 2);
+    // Bredt-Batho on the wall centreline
+    expectClose(
+      p.polarInertia,
+      (2 * t * (b - t) ** 2 * (h - t) ** 2) / (b + h - 2 * t),
+    );
+    expectClose(
+      firstMomentQ(rectTube, 0),
+      (b * h ** 2 - (b - 2 * t) * (h - 2 * t) ** 2) / 8,
+    );
+    expectClose(shearThicknessAt(rectTube, 0), 2 * t);
+  });
+
+  it("puts a channel's centroid towards its web", () => {
+    const {
+      depth: h,
+      flangeWidth: bf,
+      flangeThickness: tf,
+      webThickness: tw,
+    } = channel;
+    const hw = h - 2 * tf;
+    const A = 2 * bf * tf + hw * tw;
+    const zc = (bf * tf * bf + (hw * tw * tw) / 2) / A;
+    const p = computeSectionProperties(channel);
+    expectClose(p.area, A);
+    expectClose(p.zLeft, zc);
+    expectClose(p.zRight, bf - zc);
+    expectClose(p.yTop, h / 2);
+    expectClose(p.inertia, (bf * h ** 3 - (bf - tw) * hw ** 3) / 12);
+    expect(Math.abs(p.productOfInertia)).toBeLessThan(1e-12 * p.inertia);
+    expectClose(p.polarInertia, (2 * bf * tf ** 3 + hw * tw ** 3) / 3);
+    expectClose(
+      firstMomentQ(channel, 0),
+      bf * tf * ((h - tf) / 2) + (tw * (hw / 2) ** 2) / 2,
+    );
+    expectClose(shearThicknessAt(channel, 0), tw);
+  });
+
+  it("finds a tee's neutral axis in the web", () => {
+    const {
+      depth: h,
+      flangeWidth: bf,
+      flangeThickness: tf,
+      webThickness: tw,
+    } = tee;
+    const hw = h - tf;
+    const A = bf * tf + tw * hw;
+    const yc = (bf * tf * (h - tf / 2) + (tw * hw * hw) / 2) / A;
+    const p = computeSectionProperties(tee);
+    expectClose(p.area, A);
+    expectClose(p.yBottom, yc);
+    expectClose(p.yTop, h - yc);
+    expectClose(
+      p.inertia,
+      (bf * tf ** 3) / 12 +
+        bf * tf * (h - tf / 2 - yc) ** 2 +
+        (tw * hw ** 3) / 12 +
+        tw * hw * (hw / 2 - yc) ** 2,
+    );
+    expectClose(p.polarInertia, (bf * tf ** 3 + hw * tw ** 3) / 3);
+    // The web below the neutral axis carries the same Q as the part above
+    expectClose(firstMomentQ(tee, 0), (tw * yc ** 2) / 2);
+    expectClose(shearThicknessAt(tee, 0), tw);
+  });
+
+  it("gives an equal angle a product of inertia and 45° principal axes", () => {
+    const { height: h, width: b, thickness: t } = angle;
+    const A = b * t + t * (h - t);
+    const c = ((b * t * b) / 2 + t * (h - t) * (t / 2)) / A;
+    const Iyz =
+      b * t * (b / 2 - c) * (t / 2 - c) +
+      t * (h - t) * (t / 2 - c) * (t + (h - t) / 2 - c);
+    const p = computeSectionProperties(angle);
+    expectClose(p.area, A);
+    expectClose(p.yBottom, c);
+    expectClose(p.zLeft, c);
+    expectClose(p.inertia, p.inertiaY);
+    expectClose(p.productOfInertia, Iyz);
+    expect(p.productOfInertia).toBeLessThan(0);
+    expectClose(p.principal.angle, Math.PI / 4);
+    expectClose(p.principal.I1 + p.principal.I2, p.inertia + p.inertiaY);
+    expectClose(p.polarInertia, (b * t ** 3 + (h - t) * t ** 3) / 3);
+  });
+
+  it("gives πab³/4 and the exact torsion constant for an ellipse", () => {
+    const a = ellipse.width / 2;
+    const b = ellipse.height / 2;
+    const p = computeSectionProperties(ellipse);
+    expectClose(p.area, Math.PI * a * b);
+    expectClose(p.inertia, (Math.PI * a * b ** 3) / 4);
+    expectClose(p.inertiaY, (Math.PI * a ** 3 * b) / 4);
+    expectClose(
+      p.polarInertia,
+      (Math.PI * a ** 3 * b ** 3) / (a ** 2 + b ** 2),
+    );
+    expectClose(firstMomentQ(ellipse, 0), (2 * a * b ** 2) / 3);
+    expectClose(shearThicknessAt(ellipse, b / 2), 2 * a * Math.sqrt(3 / 4));
+  });
+});
+
+describe("composite sections", () => {
+  const composite = (...shapes) => ({ type: "composite", shapes });
+  const rect = (cx, cy, width, height, hole = false) => ({
+    kind: "rectangle",
+    cx,
+    cy,
+    width,
+    height,
+    hole,
+  });
+
+  it("matches a single rectangle wherever it is placed", () => {
+    const { width: b, height: h } = rectangle;
+    const p = computeSectionProperties(composite(rect(0.3, -0.2, b, h)));
+    const expected = computeSectionProperties(rectangle);
+    expectClose(p.area, expected.area);
+    expectClose(p.inertia, expected.inertia);
+    expectClose(p.inertiaY, expected.inertiaY);
+    expectClose(p.centroid.x, 0.3);
+    expectClose(p.centroid.y, -0.2);
+    expectClose(
+      firstMomentQ(composite(rect(0.3, -0.2, b, h)), 0),
+      (b * h ** 2) / 8,
+    );
+  });
+
+  it("matches a rectangular tube when a hole is cut out", () => {
+    const { width: b, height: h, thickness: t } = rectTube;
+    const section = composite(
+      rect(0, 0, b, h),
+      rect(0, 0, b - 2 * t, h - 2 * t, true),
+    );
+    const p = computeSectionProperties(section);
+    const expected = computeSectionProperties(rectTube);
+    expectClose(p.area, expected.area);
+    expectClose(p.inertia, expected.inertia);
+    expectClose(p.inertiaY, expected.inertiaY);
+    expectClose(firstMomentQ(section, 0), firstMomentQ(rectTube, 0));
+    expectClose(shearThicknessAt(section, 0), 2 * t);
+  });
+
+  it("finds an offset centroid and matches the built-up tee", () => {
+    const {
+      depth: h,
+      flangeWidth: bf,
+      flangeThickness: tf,
+      webThickness: tw,
+    } = tee;
+    // Web standing on y = 1 m, flange on top
+    const section = composite(
+      rect(2, 1 + (h - tf) / 2, tw, h - tf),
+      rect(2, 1 + h - tf / 2, bf, tf),
+    );
+    const p = computeSectionProperties(section);
+    const expected = computeSectionProperties(tee);
+    expectClose(p.centroid.x, 2);
+    expectClose(p.centroid.y, 1 + expected.yBottom);
+    expectClose(p.yTop, expected.yTop);
+    expectClose(p.area, expected.area);
+    expectClose(p.inertia, expected.inertia);
+    expectClose(p.inertiaY, expected.inertiaY);
+    expectClose(firstMomentQ(section, 0), firstMomentQ(tee, 0));
+  });
+});
+
+describe("firstMomentQ", () => {
+  it("gives bh²/8 at mid-depth of a rectangle", () => {
+    const { width: b, height: h } = rectangle;
+    expectClose(firstMomentQ(rectangle, 0), (b * h ** 2) / 8);
+  });
+
+  it("gives b(h²/4 − y²)/2 away from mid-depth", () => {
+    const { width: b, height: h } = rectangle;
+    const y = h / 5;
+    expectClose(firstMomentQ(rectangle, y), (b * (h ** 2 / 4 - y ** 2)) / 2);
+    expectClose(firstMomentQ(rectangle, -y), (b * (h ** 2 / 4 - y ** 2)) / 2);
+  });
+
+  it("gives d³/12 at the centre of a circle", () => {
+    const d = circle.diameter;
+    expectClose(firstMomentQ(circle, 0), d ** 3 / 12, 1e-6);
+  });
+});
+
+describe("stressesAt", () => {
+  const loads = {
+    force: 12e3,
+    moment: 3e3,
+    torque: 800,
+    shearForce: 5e3,
+  };
+
+  it("gives N/A, −M·y/I and VQ/It on a rectangle", () => {
+    const { width: b, height: h } = rectangle;
+    const A = b * h;
+    const I = (b * h ** 3) / 12;
+    const y = h / 4;
+    const s = stressesAt(rectangle, loads, y);
+    expectClose(s.axial, loads.force / A);
+    expectClose(s.bending, (-loads.moment * y) / I);
+    const Q = (b * (h ** 2 / 4 - y ** 2)) / 2;
+    expectClose(s.Q, Q);
+    expectClose(s.transverse, (loads.shearForce * Q) / (I * b));
+  });
+
+  it("compresses the top fibre under a sagging moment", () => {
+    const top = stressesAt(rectangle, loads, rectangle.height / 2);
+    const bottom = stressesAt(rectangle, loads, -rectangle.height / 2);
+    expect(top.bending).toBeLessThan(0);
+    expect(bottom.bending).toBeGreaterThan(0);
+  });
+
+  it("gives 3V/2A at the neutral axis of a rectangle", () => {
+    const s = stressesAt(rectangle, loads, 0);
+    expectClose(
+      s.transverse,
+      (1.5 * loads.shearForce) / (rectangle.width * rectangle.height),
+    );
+  });
+
+  it("gives T·r/J on circular sections", () => {
+    const d = circle.diameter;
+    const J = (Math.PI * d ** 4) / 32;
+    const r = d / 2;
+    expectClose(stressesAt(circle, loads, r).torsional, (loads.torque * r) / J);
+    expectClose(
+      stressesAt(circle, loads, r / 2).torsional,
+      (loads.torque * r) / 2 / J,
+    );
+
+    const { outerRadius: Ro, innerRadius: Ri } = hollowCircle;
+    const Jh = (Math.PI / 2) * (Ro ** 4 - Ri ** 4);
+    expectClose(
+      stressesAt(hollowCircle, loads, Ro).torsional,
+      (loads.torque * Ro) / Jh,
+    );
+  });
+
+  it("gives VQ/It through the web of an I-beam", () => {
+    const p = computeSectionProperties(iBeam);
+    const s = stressesAt(iBeam, loads, 0);
+    const { depth: h, flangeWidth: bf, flangeThickness: tf } = iBeam;
+    const tw = iBeam.webThickness;
+    const Q = bf * tf * ((h - tf) / 2) + (tw * (h / 2 - tf) ** 2) / 2;
+    expectClose(s.Q, Q);
+    expectClose(s.transverse, (loads.shearForce * Q) / (p.inertia * tw));
+  });
+});
+
+describe("stressMap", () => {
+  const loads = { force: 0, moment: 3e3, torque: 0, shearForce: 0 };
+
+  it("samples the normal stress over the section", () => {
+    const map = stressMap(rectangle, loads, "normal", 10);
+    const I = (rectangle.width * rectangle.height ** 3) / 12;
+    expect(map.cells).toHaveLength(50);
+    expectClose(map.max, (loads.moment * 0.45 * rectangle.height) / I);
+    expectClose(map.min, -map.max);
+  });
+
+  it("returns null when no cell covers material", () => {
+    expect(stressMap({ type: "rectangle", width: 0, height: 0 }, loads)).toBe(
+      null,
+    );
+  });
+});
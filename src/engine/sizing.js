@@ -0,0 +1,333 @@
+import {
+  computeSectionProperties,
+  firstMomentQ,
+  sectionOutline,
+  shearThicknessAt,
+  thicknessBreakpoints,
+} from "./section.js";
+import { normalStressField, extremeNormalStresses } from "./stress.js";
+import { torsionResponse } from "./torsion.js";
+import { validateSection, hasErrors } from "./validation.js";
+
+// --------------------------------
+// Inverse design: size a section for an allowable stress (SI units)
+// --------------------------------
+//
+// The peak normal, shear and von Mises stresses of the section are checked
+// against an allowable normal stress and the matching shear limit
+// allowable/√3. Sizing grows or shrinks the section along a one-parameter
+// family of shapes chosen by the constraint; the utilisation falls as the
+// family grows, so bisection finds its smallest passing member. Local
+// buckling of thin plates is not considered here, see ./memberChecks.js.
+
+export const SIZING_CONSTRAINTS = {
+  aspect: "Fixed aspect ratio",
+  fixedWidth: "Fixed width",
+  maxDepth: "Maximum depth",
+};
+
+export const SIZING_STRESSES = {
+  normal: "Normal stress σ",
+  shear: "Shear stress τ",
+  vonMises: "Von Mises σ_vm",
+};
+
+// Dimension keys of each section type across the width, over the depth and
+// through the plate thickness
+const SIZING_DIMENSIONS = {
+  rectangle: { width: ["width"], depth: ["height"], plates: [] },
+  ellipse: { width: ["width"], depth: ["height"], plates: [] },
+  circle: { width: ["diameter"], depth: ["diameter"], plates: [] },
+  iBeam: {
+    width: ["flangeWidth"],
+    depth: ["depth"],
+    plates: ["flangeThickness", "webThickness"],
+  },
+  channel: {
+    width: ["flangeWidth"],
+    depth: ["depth"],
+    plates: ["flangeThickness", "webThickness"],
+  },
+  tee: {
+    width: ["flangeWidth"],
+    depth: ["depth"],
+    plates: ["flangeThickness", "webThickness"],
+  },
+  rectTube: { width: ["width"], depth: ["height"], plates: ["thickness"] },
+  angle: { width: ["width"], depth: ["height"], plates: ["thickness"] },
+};
+
+// The family of sections s ↦ section(s) for a constraint, with section(1)
+// the current section except that the depth is set to the maximum.
+function sizingFamily(section, constraint, maxDepth) {
+  if (constraint === "maxDepth" && !(maxDepth > 0)) {
+    throw new Error("Enter a maximum depth greater than zero.");
+  }
+  if (section.type === "hollowCircle") {
+    // The width and depth are both the outer diameter; the wall is scaled
+    const { outerRadius: R, innerRadius: r } = section;
+    if (constraint === "aspect") {
+      return (s) => ({ ...section, outerRadius: R * s, innerRadius: r * s });
+    }
+    const outer = constraint === "maxDepth" ? maxDepth / 2 : R;
+    return (s) => ({
+      ...section,
+      outerRadius: outer,
+      innerRadius: outer - (R - r) * s,
+    });
+  }
+  const dims = SIZING_DIMENSIONS[section.type];
+  if (!dims) {
+    throw new Error("Sizing does not cover composite sections.");
+  }
+  const fixed =
+    constraint === "fixedWidth"
+      ? dims.width
+      : constraint === "maxDepth"
+        ? dims.depth
+        : [];
+  const scaled = [...dims.width, ...dims.depth, ...dims.plates].filter(
+    (key) => !fixed.includes(key),
+  );
+  if (scaled.length === 0) {
+    throw new Error(
+      "The diameter is the only dimension of a circle; size it with a fixed aspect ratio.",
+    );
+  }
+  return (s) => {
+    const next = { ...section };
+    for (const key of scaled) next[key] = section[key] * s;
+    if (constraint === "maxDepth") {
+      for (const key of dims.depth) next[key] = maxDepth;
+    }
+    return next;
+  };
+}
+
+/**
+ * Peak stresses of the section, on the safe side where the exact peak
+ * would need the full stress field:
+ *   normal    largest |σ|, at a corner of the outline (exact)
+ *   shear     peak torsional shear plus the peak transverse shear, as if
+ *             they met at one point, which they do in circles, tubes and
+ *             tall rectangles
+ *   vonMises  √(σ² + 3τ²) at each extreme fibre with the peak torsional
+ *             shear, which acts on the surface, and at the height of peak
+ *             transverse shear with the largest σ across that height
+ *
+ * @param {object} section see ./section.js
+ * @param {object} loads see stressesAt
+ * @returns {{ normal: object, shear: object, vonMises: object }} each
+ *   { stress, y, z } in Pa and m
+ */
+export function peakStresses(section, loads) {
+  const props = computeSectionProperties(section);
+  const field = normalStressField(section, loads);
+  const extremes = extremeNormalStresses(section, loads);
+  const torsional = Math.abs(
+    torsionResponse(section, loads.torque, 1).maxShear,
+  );
+
+  // Transverse shear |V·Q / (I·t)| on the more stressed side of a height
+  const eps = (props.yTop + props.yBottom) * 1e-9;
+  const transverseAt = (y) =>
+    Math.max(
+      0,
+      ...[y - eps, y + eps]
+        .filter((h) => h > -props.yBottom && h < props.yTop)
+        .map((h) => {
+          const t = shearThicknessAt(section, h);
+          return t > 0
+            ? Math.abs(
+                (loads.shearForce * firstMomentQ(section, h)) /
+                  (props.inertia * t),
+              )
+            : 0;
+        }),
+    );
+  let shearY = 0;
+  for (const y of thicknessBreakpoints(section)) {
+    if (transverseAt(y) > transverseAt(shearY)) shearY = y;
+  }
+  const shear = torsional + transverseAt(shearY);
+
+  const fibres = [extremes.tension, extremes.compression];
+  const fibre = fibres.reduce((a, b) =>
+    Math.abs(b.stress) > Math.abs(a.stress) ? b : a,
+  );
+  const vonMises = (sigma, tau) => Math.sqrt(sigma * sigma + 3 * tau * tau);
+  const reach = Math.max(
+    ...sectionOutline(section)
+      .filter((r) => r.sign > 0)
+      .flatMap((r) => r.points.map((p) => Math.abs(p[0]))),
+  );
+  let combined = {
+    stress: vonMises(
+      Math.abs(field.axial + field.gradY * shearY) +
+        Math.abs(field.gradZ) * reach,
+      shear,
+    ),
+    y: shearY,
+    z: 0,
+  };
+  for (const f of fibres) {
+    const stress = vonMises(f.stress, torsional + transverseAt(f.y));
+    if (stress > combined.stress) combined = { stress, y: f.y, z: f.z };
+  }
+
+  return {
+    normal: { stress: Math.abs(fibre.stress), y: fibre.y, z: fibre.z },
+    shear: { stress: shear, y: shearY, z: 0 },
+    vonMises: combined,
+  };
+}
+
+/**
+ * Peak stresses against an allowable normal stress, shear against
+ * allowable/√3. The governing check is the most utilised; on a tie the
+ * simpler stress (normal, then shear) is reported.
+ *
+ * @param {object} section see ./section.js
+ * @param {object} loads see stressesAt
+ * @param {number} allowable allowable normal stress (Pa)
+ * @returns {{ checks: object[], utilisation: number, governing: string }}
+ *   each check is { key, stress, limit, utilisation, y, z }; governing is a
+ *   key of SIZING_STRESSES
+ */
+export function allowableStressCheck(section, loads, allowable) {
+  const peaks = peakStresses(section, loads);
+  const limits = {
+    normal: allowable,
+    shear: allowable / Math.sqrt(3),
+    vonMises: allowable,
+  };
+  const checks = Object.keys(SIZING_STRESSES).map((key) => ({
+    key,
+    ...peaks[key],
+    limit: limits[key],
+    utilisation: peaks[key].stress / limits[key],
+  }));
+  let governing = checks[0];
+  for (const c of checks) {
+    if (c.utilisation > governing.utilisation * (1 + 1e-9)) governing = c;
+  }
+  return {
+    checks,
+    utilisation: governing.utilisation,
+    governing: governing.key,
+  };
+}
+
+/**
+ * Smallest section of the current shape that meets the allowable stress.
+ * The constraint keeps the proportions ("aspect"), the width
+ * ("fixedWidth"; the outer diameter of a tube) or sets the depth to
+ * maxDepth ("maxDepth"), which is the lightest choice when bending
+ * governs. Throws when the loads vanish or no valid section of the family
+ * passes.
+ *
+ * @param {object} section current section, the starting point
+ * @param {object} loads see stressesAt
+ * @param {{ allowable: number, constraint: string, maxDepth?: number }} options
+ *   allowable normal stress (Pa), key of SIZING_CONSTRAINTS, depth limit (m)
+ * @returns {{ section: object, area: number, depth: number, scale: number,
+ *   check: object }} the sized section, its area (m²) and depth (m), the
+ *   factor applied to the scaled dimensions and allowableStressCheck()
+ */
+export function sizeSection(
+  section,
+  loads,
+  { allowable, constraint, maxDepth },
+) {
+  if (!(allowable > 0)) {
+    throw new Error("The allowable stress must be greater than zero.");
+  }
+  const at = sizingFamily(section, constraint, maxDepth);
+  const valid = (s) => !hasErrors(validateSection(at(s)));
+  const utilisation = (s) =>
+    allowableStressCheck(at(s), loads, allowable).utilisation;
+
+  // A valid start, then a bracket with lo failing and hi passing
+  let lo = 1;
+  for (let i = 0; i < 60 && !valid(lo); i++) lo /= 2;
+  if (!valid(lo)) {
+    throw new Error("The constraint leaves no valid section of this shape.");
+  }
+  let hi = lo;
+  if (utilisation(lo) <= 1) {
+    for (let i = 0; utilisation(lo) <= 1; i++) {
+      if (i === 60) {
+        throw new Error("The loads are zero; there is nothing to size.");
+      }
+      hi = lo;
+      lo /= 2;
+    }
+  } else {
+    for (let i = 0; utilisation(hi) > 1; i++) {
+      lo = hi;
+      hi *= 2;
+      if (!valid(hi)) {
+        // Largest valid member of the family between lo and hi
+        let bad = hi;
+        hi = lo;
+        for (let j = 0; j < 50; j++) {
+          const mid = (hi + bad) / 2;
+          if (valid(mid)) hi = mid;
+          else bad = mid;
+        }
+        if (utilisation(hi) > 1) {
+          throw new Error(
+            `Even the largest valid section with this constraint fails, at a utilisation of ${utilisation(hi).toFixed(3)}.`,
+          );
+        }
+        break;
+      }
+      if (i === 60) throw new Error("No section of this shape passes.");
+    }
+  }
+  for (let i = 0; i < 60 && hi - lo > 1e-9 * hi; i++) {
+    const mid = (lo + hi) / 2;
+    if (utilisation(mid) <= 1) hi = mid;
+    else lo = mid;
+  }
+
+  const sized = at(hi);
+  const props = computeSectionProperties(sized);
+  return {
+    section: sized,
+    area: props.area,
+    depth: props.yTop + props.yBottom,
+    scale: hi,
+    check: allowableStressCheck(sized, loads, allowable),
+  };
+}
+
+/**
+ * Lightest catalogue section that meets the allowable stress, optionally no
+ * deeper than maxDepth.
+ *
+ * @param {{ designation: string, section: object, mass: number }[]} candidates
+ *   sections (SI) with their mass per length (kg/m)
+ * @param {object} loads see stressesAt
+ * @param {{ allowable: number, maxDepth?: number }} options
+ * @returns {{ best: object | null, results: object[] }} results are the
+ *   candidates within the depth limit, lightest first, each with its depth
+ *   and allowableStressCheck(); best is the lightest that passes
+ */
+export function lightestSection(candidates, loads, { allowable, maxDepth }) {
+  const results = candidates
+    .map((c) => {
+      const props = computeSectionProperties(c.section);
+      return {
+        ...c,
+        depth: props.yTop + props.yBottom,
+        check: allowableStressCheck(c.section, loads, allowable),
+      };
+    })
+    .filter((r) => !(maxDepth > 0) || r.depth <= maxDepth * (1 + 1e-9))
+    .sort((a, b) => a.mass - b.mass);
+  return {
+    best: results.find((r) => r.check.utilisation <= 1) ?? null,
+    results,
+  };
+}
@@ -0,0 +1,88 @@
+import { describe, expect, it } from "vitest";
+import { lightestSection, sizeSection } from "./sizing.js";
+import { stressesAt } from "./stress.js";
+
+function expectClose(actual, expected, tolerance = 1e-9) {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(
+    tolerance * Math.max(Math.abs(expected), 1e-30),
+  );
+}
+
+const allowable = 150e6;
+const rectangle = { type: "rectangle", width: 0.05, height: 0.1 };
+const bending = { force: 0, moment: 20e3, torque: 0, shearForce: 0 };
+
+// Largest |σ| at the extreme fibres of a rectangle
+function peakNormal(section, loads) {
+  return Math.max(
+    ...[section.height / 2, -section.height / 2].map((y) => {
+      const s = stressesAt(section, loads, y);
+      return Math.abs(s.axial + s.bending);
+    }),
+  );
+}
+
+describe("sizeSection", () => {
+  it("sizes a rectangle of fixed aspect ratio to σ = 6M/bh²", () => {
+    const { section } = sizeSection(rectangle, bending, {
+      allowable,
+      constraint: "aspect",
+    });
+    // h = 2b, so σ = 1.5M/b³
+    const b = Math.cbrt((1.5 * bending.moment) / allowable);
+    expectClose(section.width, b, 1e-6);
+    expectClose(section.height, 2 * b, 1e-6);
+    const stress = peakNormal(section, bending);
+    expect(stress).toBeLessThanOrEqual(allowable);
+    expectClose(stress, allowable, 1e-6);
+  });
+
+  it("keeps the width and finds the depth under axial force and bending", () => {
+    const loads = { ...bending, force: 150e3 };
+    const { section, check } = sizeSection(rectangle, loads, {
+      allowable,
+      constraint: "fixedWidth",
+    });
+    expect(section.width).toBe(rectangle.width);
+    const stress = peakNormal(section, loads);
+    expect(stress).toBeLessThanOrEqual(allowable);
+    expectClose(stress, allowable, 1e-6);
+    expect(check.governing).toBe("normal");
+    expect(check.utilisation).toBeLessThanOrEqual(1);
+  });
+
+  it("rejects a non-positive allowable stress", () => {
+    expect(() =>
+      sizeSection(rectangle, bending, { allowable: 0, constraint: "aspect" }),
+    ).toThrow(/allowable stress/);
+  });
+});
+
+describe("lightestSection", () => {
+  const candidates = [40, 60, 80, 100].map((h) => ({
+    designation: `50×${h}`,
+    section: { type: "rectangle", width: 0.05, height: h / 1000 },
+    mass: 7850 * 0.05 * (h / 1000),
+  }));
+
+  it("picks the lightest passing section within the depth limit", () => {
+    // h = √(6M / bσ) needs 89 mm at 100 MPa
+    const loads = { ...bending, moment: 6.6e3 };
+    const { best, results } = lightestSection(candidates, loads, {
+      allowable: 100e6,
+    });
+    expect(best.designation).toBe("50×100");
+    expect(results.map((r) => r.designation)).toEqual([
+      "50×40",
+      "50×60",
+      "50×80",
+      "50×100",
+    ]);
+    const limited = lightestSection(candidates, loads, {
+      allowable: 100e6,
+      maxDepth: 0.08,
+    });
+    expect(limited.best).toBe(null);
+    expect(limited.results).toHaveLength(3);
+  });
+});
@@ -0,0 +1,240 @@
+import {
+  computeSectionProperties,
+  firstMomentQ,
+  sectionOutline,
+  shearThicknessAt,
+  thicknessBreakpoints,
+} from "./section.js";
+import { torsionalShearAt, torsionalShearField } from "./torsion.js";
+import { coveredSpans } from "./polygon.js";
+import { planeStressState } from "./stressState.js";
+
+// --------------------------------
+// Stresses at a point of the cross-section (SI units: N, N·m, m, Pa)
+// --------------------------------
+
+// Sign conventions: y is up and z to the right from the centroid. A positive
+// moment about z (moment) is sagging and compresses the top fibres; a
+// positive moment about y (momentY) stretches the fibres at positive z.
+
+/**
+ * Normal stress over the whole section as the plane σ = axial + gradY·y +
+ * gradZ·z, from the generalised flexure formula
+ *   σ = N/A − (Mz·Iy + My·Iyz)·y / D + (My·Iz + Mz·Iyz)·z / D,
+ *   D = Iy·Iz − Iyz²,
+ * which also covers sections whose axes are not principal. The neutral
+ * axis is the line where σ = 0; its angle is measured from the z axis
+ * towards y, in (−π/2, π/2], and is null when there is no bending.
+ *
+ * @param {object} section see ./section.js
+ * @param {{ force: number, moment: number, momentY?: number }} loads
+ *   axial force (N) and the moments about z and y (N·m)
+ * @returns {{ axial: number, gradY: number, gradZ: number, neutralAxisAngle: number | null }}
+ */
+export function normalStressField(section, loads) {
+  const props = computeSectionProperties(section);
+  const { moment: Mz, momentY: My = 0 } = loads;
+  const Iz = props.inertia;
+  const Iy = props.inertiaY;
+  const Iyz = props.productOfInertia;
+  const D = Iy * Iz - Iyz * Iyz;
+
+  const axial = loads.force / props.area;
+  const gradY = D > 0 ? -(Mz * Iy + My * Iyz) / D : 0;
+  const gradZ = D > 0 ? (My * Iz + Mz * Iyz) / D : 0;
+
+  let neutralAxisAngle = null;
+  if (gradY !== 0 || gradZ !== 0) {
+    neutralAxisAngle = Math.atan2(-gradZ, gradY);
+    if (neutralAxisAngle > Math.PI / 2) neutralAxisAngle -= Math.PI;
+    if (neutralAxisAngle <= -Math.PI / 2) neutralAxisAngle += Math.PI;
+  }
+  return { axial, gradY, gradZ, neutralAxisAngle };
+}
+
+/**
+ * Largest tensile and compressive normal stresses on the section and where
+ * they occur. The stress is linear in y and z, so the extremes are found at
+ * the corners of the outline.
+ *
+ * @param {object} section see ./section.js
+ * @param {object} loads see normalStressField
+ * @returns {{ tension: { y: number, z: number, stress: number },
+ *   compression: { y: number, z: number, stress: number } } | null}
+ */
+export function extremeNormalStresses(section, loads) {
+  const { axial, gradY, gradZ } = normalStressField(section, loads);
+  const corners = sectionOutline(section)
+    .filter((r) => r.sign > 0)
+    .flatMap((r) => r.points);
+  if (!corners.length) return null;
+  const at = ([z, y]) => ({ y, z, stress: axial + gradY * y + gradZ * z });
+  let tension = at(corners[0]);
+  let compression = tension;
+  for (const corner of corners) {
+    const p = at(corner);
+    if (p.stress > tension.stress) tension = p;
+    if (p.stress < compression.stress) compression = p;
+  }
+  return { tension, compression };
+}
+
+/**
+ * Axial, bending, torsional and transverse shear stress at the point
+ * (y, z) of the section.
+ *
+ * @param {object} section see ./section.js
+ * @param {{ force: number, moment: number, momentY?: number, torque: number, shearForce: number }} loads
+ *   axial force (N), bending moments about z and y (N·m), torque (N·m)
+ *   and vertical shear force (N)
+ * @param {number} y distance from the horizontal centroidal axis (m)
+ * @param {number} [z] distance from the vertical centroidal axis (m)
+ * @returns {{ axial: number, bending: number, torsional: number, transverse: number, Q: number }}
+ *   stresses in Pa and the first moment of area used for the transverse shear
+ */
+export function stressesAt(section, loads, y, z = 0) {
+  const props = computeSectionProperties(section);
+  const Q = firstMomentQ(section, y);
+  const t = shearThicknessAt(section, y);
+  const field = normalStressField(section, loads);
+
+  // Axial stress: σ = N / A
+  const axial = field.axial;
+  // Bending stress from the generalised flexure formula
+  const bending = field.gradY * y + field.gradZ * z;
+  // Torsional shear for the section's torsion model, see ./torsion.js
+  const torsional = torsionalShearAt(section, loads.torque, y, z);
+  // Transverse shear: τ = V * Q / (I * t)
+  const transverse = t > 0 ? (loads.shearForce * Q) / (props.inertia * t) : 0;
+
+  return { axial, bending, torsional, transverse, Q };
+}
+
+/**
+ * Sample the stresses over the full depth of the section, from the bottom
+ * fibre to the top fibre, along the vertical line at z. Where the cut width jumps the
+ * section is sampled on both sides so the shear stress step stays sharp.
+ *
+ * @param {object} section see ./section.js
+ * @param {object} loads see stressesAt
+ * @param {number} [z] distance of the sampled line from the centroid (m)
+ * @param {number} [count] number of evenly spaced heights
+ * @returns {{ y: number, axial: number, bending: number, torsional: number,
+ *   transverse: number, normal: number, shear: number }[]}
+ *   normal = axial + bending and shear = torsional + transverse (Pa)
+ */
+export function stressDistribution(section, loads, z = 0, count = 100) {
+  const { yTop, yBottom } = computeSectionProperties(section);
+  const ys = [];
+  for (let i = 0; i <= count; i++) {
+    ys.push(-yBottom + ((yTop + yBottom) * i) / count);
+  }
+  const eps = (yTop + yBottom) * 1e-9;
+  for (const y of thicknessBreakpoints(section)) ys.push(y - eps, y + eps);
+  ys.sort((a, b) => a - b);
+
+  return ys.map((y) => {
+    const s = stressesAt(section, loads, y, z);
+    return {
+      y,
+      axial: s.axial,
+      bending: s.bending,
+      torsional: s.torsional,
+      transverse: s.transverse,
+      normal: s.axial + s.bending,
+      shear: s.torsional + s.transverse,
+    };
+  });
+}
+
+// Quantities a stress map can show
+export const STRESS_MAP_KINDS = {
+  normal: "Normal stress σ (axial + bending)",
+  shear: "Shear stress τ (torsional + transverse)",
+  vonMises: "Combined, von Mises σ_vm",
+};
+
+/**
+ * Stress over the whole section on a grid of square cells, for a colour
+ * map. Each cell covering material carries the stress at its centre, or at
+ * a point near one of its corners when the centre falls outside, so thin
+ * walls are still covered; cells that miss the material are left out.
+ * The section is cut once per sample height, so the cost per cell does not
+ * grow with the number of outline vertices.
+ *
+ * @param {object} section see ./section.js
+ * @param {object} loads see stressesAt
+ * @param {string} [kind] key of STRESS_MAP_KINDS
+ * @param {number} [count] cells across the larger of the width and depth
+ * @returns {{ size: number, cells: { z: number, y: number, value: number }[],
+ *   min: number, max: number } | null} cell size (m), lower-left corners of
+ *   the cells (m) and their stresses (Pa); null when no cell covers material
+ */
+export function stressMap(section, loads, kind = "vonMises", count = 40) {
+  const outline = sectionOutline(section);
+  const corners = outline.filter((r) => r.sign > 0).flatMap((r) => r.points);
+  if (!corners.length) return null;
+  const zMin = Math.min(...corners.map((p) => p[0]));
+  const zMax = Math.max(...corners.map((p) => p[0]));
+  const yMin = Math.min(...corners.map((p) => p[1]));
+  const yMax = Math.max(...corners.map((p) => p[1]));
+  const size = Math.max(zMax - zMin, yMax - yMin) / count;
+  if (!(size > 0)) return null;
+
+  // As stressesAt, with the section properties worked out once and Q(y),
+  // t(y) and the covered spans once per sample height
+  const props = computeSectionProperties(section);
+  const field = normalStressField(section, loads);
+  const torsional = torsionalShearField(section, loads.torque);
+  const line = (y) => {
+    const spans = coveredSpans(outline, y);
+    if (kind === "normal" || !spans.length) return { y, spans, transverse: 0 };
+    const t = shearThicknessAt(section, y);
+    const transverse =
+      t > 0
+        ? (loads.shearForce * firstMomentQ(section, y)) / (props.inertia * t)
+        : 0;
+    return { y, spans, transverse };
+  };
+  const value = ({ y, transverse }, z) => {
+    const normal = field.axial + field.gradY * y + field.gradZ * z;
+    if (kind === "normal") return normal;
+    const shear = torsional(y, z) + transverse;
+    if (kind === "shear") return shear;
+    return planeStressState(normal, shear).vonMises;
+  };
+
+  const cells = [];
+  const inset = [0.5, 0.1, 0.9];
+  const columns = Math.ceil((zMax - zMin) / size - 1e-9);
+  const rows = Math.ceil((yMax - yMin) / size - 1e-9);
+  const lines = [];
+  for (let j = 0; j < rows; j++) {
+    lines.push(inset.map((fy) => line(yMin + (j + fy) * size)));
+  }
+  const covers = (spans, z) => spans.some(([z0, z1]) => z0 <= z && z < z1);
+  for (let i = 0; i < columns; i++) {
+    for (let j = 0; j < rows; j++) {
+      const z = zMin + i * size;
+      let sample = null;
+      for (const fz of inset) {
+        for (const l of lines[j]) {
+          if (!sample && covers(l.spans, z + fz * size)) {
+            sample = value(l, z + fz * size);
+          }
+        }
+      }
+      if (sample !== null) {
+        cells.push({ z, y: yMin + j * size, value: sample });
+      }
+    }
+  }
+  if (!cells.length) return null;
+  const values = cells.map((c) => c.value);
+  return {
+    size,
+    cells,
+    min: Math.min(...values),
+    max: Math.max(...values),
+  };
+}
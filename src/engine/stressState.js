@@ -0,0 +1,69 @@
+// --------------------------------
+// Plane stress transformation (SI units: Pa, rad)
+// --------------------------------
+//
+// The stress element at the analysis point carries the normal stress σx
+// along the beam axis and the shear stress τxy on the cross-section; for a
+// beam σy = 0. Angles are measured counter-clockwise from the x axis.
+
+/**
+ * Principal stresses, maximum in-plane shear, principal angle and the von
+ * Mises and Tresca equivalent stresses of a plane stress state.
+ *
+ * @param {number} sigmaX normal stress σx (Pa)
+ * @param {number} tauXY shear stress τxy (Pa)
+ * @param {number} [sigmaY] normal stress σy (Pa), 0 for a beam
+ * @returns {{ sigmaX: number, sigmaY: number, tauXY: number, center: number,
+ *   radius: number, sigma1: number, sigma2: number, tauMax: number,
+ *   thetaP: number, vonMises: number, tresca: number }}
+ *   thetaP is the angle from x to the σ1 direction (rad)
+ */
+export function planeStressState(sigmaX, tauXY, sigmaY = 0) {
+  const center = (sigmaX + sigmaY) / 2;
+  const radius = Math.hypot((sigmaX - sigmaY) / 2, tauXY);
+  const sigma1 = center + radius;
+  const sigma2 = center - radius;
+  const thetaP = 0.5 * Math.atan2(2 * tauXY, sigmaX - sigmaY);
+  const vonMises = Math.sqrt(
+    sigmaX * sigmaX - sigmaX * sigmaY + sigmaY * sigmaY + 3 * tauXY * tauXY,
+  );
+  // The out-of-plane principal stress is zero, so it takes part in Tresca.
+  const tresca = Math.max(
+    Math.abs(sigma1 - sigma2),
+    Math.abs(sigma1),
+    Math.abs(sigma2),
+  );
+  return {
+    sigmaX,
+    sigmaY,
+    tauXY,
+    center,
+    radius,
+    sigma1,
+    sigma2,
+    tauMax: radius,
+    thetaP,
+    vonMises,
+    tresca,
+  };
+}
+
+/**
+ * Normal and shear stress on a plane whose normal is rotated θ
+ * counter-clockwise from the x axis.
+ *
+ * @param {object} state result of planeStressState
+ * @param {number} theta rotation (rad)
+ * @returns {{ sigma: number, tau: number }} σx' and τx'y' (Pa)
+ */
+export function rotatedStress(state, theta) {
+  const { sigmaX, sigmaY, tauXY } = state;
+  const half = (sigmaX - sigmaY) / 2;
+  return {
+    sigma:
+      (sigmaX + sigmaY) / 2 +
+      half * Math.cos(2 * theta) +
+      tauXY * Math.sin(2 * theta),
+    tau: -half * Math.sin(2 * theta) + tauXY * Math.cos(2 * theta),
+  };
+}
@@ -0,0 +1,233 @@
+import { pointInPolygon } from "./polygon.js";
+import { computeSectionProperties, sectionOutline } from "./section.js";
+import { rectangleMaxShear, rectangleShearAt } from "./saintVenant.js";
+
+// --------------------------------
+// Torsion of the cross-section (SI units: m, N·m, Pa, rad)
+// --------------------------------
+//
+// The torsion constant J comes from computeSectionProperties (polarInertia);
+// which theory applies depends on the shape:
+//   circular        circles and tubes, τ = T·r / J
+//   ellipse         exact solution, τ greatest at the ends of the minor axis
+//   saintVenant     solid rectangle, Prandtl stress-function series
+//   openThinWalled  I, channel, tee and angle plates, τ = 2·T·d / J at a
+//                   distance d from the plate's mid-plane, J = Σ b·t³/3
+//   closedThinWalled  rectangular tube, Bredt-Batho τ = T / (2·Am·t)
+//   polar           composite sections, τ = T·r / J with J = Ix + Iy; only
+//                   an estimate unless the section is circular
+// Points (y, z) are measured from the centroid as elsewhere in the engine.
+
+export const TORSION_MODELS = {
+  circular: "Circular shaft",
+  ellipse: "Solid ellipse",
+  saintVenant: "Saint-Venant rectangle",
+  openThinWalled: "Open thin-walled, J = Σ b·t³/3",
+  closedThinWalled: "Closed thin-walled (Bredt-Batho)",
+  polar: "Polar moment estimate",
+};
+
+function torsionModel(section) {
+  switch (section.type) {
+    case "circle":
+    case "hollowCircle":
+      return "circular";
+    case "ellipse":
+      return "ellipse";
+    case "rectangle":
+      return "saintVenant";
+    case "iBeam":
+    case "channel":
+    case "tee":
+    case "angle":
+      return "openThinWalled";
+    case "rectTube":
+      return "closedThinWalled";
+    default:
+      return "polar";
+  }
+}
+
+// Plates of an open thin-walled section as centred rectangles.
+function plates(section) {
+  return sectionOutline(section).map(({ points }) => {
+    const zs = points.map((p) => p[0]);
+    const ys = points.map((p) => p[1]);
+    const z0 = Math.min(...zs);
+    const z1 = Math.max(...zs);
+    const y0 = Math.min(...ys);
+    const y1 = Math.max(...ys);
+    return {
+      z: (z0 + z1) / 2,
+      y: (y0 + y1) / 2,
+      width: z1 - z0,
+      height: y1 - y0,
+    };
+  });
+}
+
+/**
+ * Torsional shear stress at the point (y, z) of the section, signed like
+ * the torque; 0 outside the material.
+ *
+ * @param {object} section see ./section.js
+ * @param {number} torque (N·m)
+ * @param {number} y distance from the horizontal centroidal axis (m)
+ * @param {number} [z] distance from the vertical centroidal axis (m)
+ * @returns {number} τ (Pa)
+ */
+export function torsionalShearAt(section, torque, y, z = 0) {
+  return torsionalShearField(section, torque)(y, z);
+}
+
+/**
+ * As torsionalShearAt, with the section properties worked out once so the
+ * stress can be sampled at many points, e.g. for a stress map.
+ *
+ * @param {object} section see ./section.js
+ * @param {number} torque (N·m)
+ * @returns {(y: number, z?: number) => number} τ (Pa) at (y, z) in m
+ */
+export function torsionalShearField(section, torque) {
+  const props = computeSectionProperties(section);
+  const J = props.polarInertia;
+  if (!(J > 0)) return () => 0;
+  const model = torsionModel(section);
+
+  if (model === "circular") {
+    const outer =
+      section.type === "circle" ? section.diameter / 2 : section.outerRadius;
+    const inner = section.type === "circle" ? 0 : section.innerRadius;
+    return (y, z = 0) => {
+      const r = Math.hypot(y, z);
+      return r > outer || r < inner ? 0 : (torque * r) / J;
+    };
+  } else if (model === "polar") {
+    const regions = sectionOutline(section);
+    return (y, z = 0) => {
+      // Inside when the signed count of containing regions is positive.
+      const cover = regions.reduce(
+        (sum, { points, sign }) =>
+          pointInPolygon(points, z, y) ? sum + sign : sum,
+        0,
+      );
+      return cover > 0 ? (torque * Math.hypot(y, z)) / J : 0;
+    };
+  } else if (model === "ellipse") {
+    const a = section.width / 2;
+    const b = section.height / 2;
+    return (y, z = 0) => {
+      if ((z * z) / (a * a) + (y * y) / (b * b) > 1) return 0;
+      return (
+        ((2 * torque) / (Math.PI * a * b)) *
+        Math.hypot(y / (b * b), z / (a * a))
+      );
+    };
+  } else if (model === "saintVenant") {
+    const { width, height } = section;
+    return (y, z = 0) =>
+      width <= height
+        ? rectangleShearAt(height, width, torque, z, y)
+        : rectangleShearAt(width, height, torque, y, z);
+  } else if (model === "openThinWalled") {
+    const parts = plates(section);
+    return (y, z = 0) => {
+      // Take the thickest plate containing the point, e.g. at a junction.
+      let d = null,
+        t = 0;
+      for (const p of parts) {
+        const dz = Math.abs(z - p.z);
+        const dy = Math.abs(y - p.y);
+        if (dz > p.width / 2 || dy > p.height / 2) continue;
+        const thickness = Math.min(p.width, p.height);
+        if (thickness > t) {
+          t = thickness;
+          d = p.width <= p.height ? dz : dy;
+        }
+      }
+      return d === null ? 0 : (2 * torque * d) / J;
+    };
+  }
+  // Closed thin-walled: uniform through the wall
+  const { width: b, height: h, thickness: t } = section;
+  const shear = torque / (2 * (b - t) * (h - t) * t);
+  return (y, z = 0) => {
+    const inWall =
+      Math.abs(z) <= b / 2 &&
+      Math.abs(y) <= h / 2 &&
+      (Math.abs(z) >= b / 2 - t || Math.abs(y) >= h / 2 - t);
+    return inWall ? shear : 0;
+  };
+}
+
+/**
+ * Torsion constant, the largest torsional shear stress and one point where
+ * it occurs, and the angle of twist per unit length θ′ = T / (G·J).
+ *
+ * @param {object} section see ./section.js
+ * @param {number} torque (N·m)
+ * @param {number} shearModulus G (Pa)
+ * @returns {{ model: string, J: number, maxShear: number,
+ *   maxLocation: { y: number, z: number }, twistRate: number }}
+ *   model is a key of TORSION_MODELS and twistRate is in rad/m
+ */
+export function torsionResponse(section, torque, shearModulus) {
+  const props = computeSectionProperties(section);
+  const J = props.polarInertia;
+  const model = torsionModel(section);
+  const twistRate = J > 0 && shearModulus > 0 ? torque / (shearModulus * J) : 0;
+  let maxShear = 0;
+  let maxLocation = { y: props.yTop, z: 0 };
+
+  if (!(J > 0)) {
+    // Degenerate section: nothing to report
+  } else if (model === "circular") {
+    maxShear = (torque * props.outerRadius) / J;
+  } else if (model === "ellipse") {
+    const a = section.width / 2;
+    const b = section.height / 2;
+    maxShear = (2 * torque) / (Math.PI * a * b * Math.min(a, b));
+    maxLocation = b <= a ? { y: b, z: 0 } : { y: 0, z: a };
+  } else if (model === "saintVenant") {
+    const { width, height } = section;
+    maxShear = rectangleMaxShear(
+      Math.max(width, height),
+      Math.min(width, height),
+      torque,
+    );
+    maxLocation =
+      width <= height ? { y: 0, z: width / 2 } : { y: height / 2, z: 0 };
+  } else if (model === "openThinWalled") {
+    // Surface of the thickest plate, half-way along it
+    let best = null;
+    for (const p of plates(section)) {
+      if (
+        !best ||
+        Math.min(p.width, p.height) > Math.min(best.width, best.height)
+      ) {
+        best = p;
+      }
+    }
+    const t = Math.min(best.width, best.height);
+    maxShear = (torque * t) / J;
+    maxLocation =
+      best.width <= best.height
+        ? { y: best.y, z: best.z + t / 2 }
+        : { y: best.y + t / 2, z: best.z };
+  } else if (model === "closedThinWalled") {
+    const { width: b, height: h, thickness: t } = section;
+    maxShear = torque / (2 * (b - t) * (h - t) * t);
+    maxLocation = { y: h / 2 - t / 2, z: 0 };
+  } else {
+    // Farthest corner from the centroid
+    let far = [0, props.yTop];
+    for (const r of sectionOutline(section)) {
+      for (const p of r.points) {
+        if (r.sign > 0 && Math.hypot(...p) > Math.hypot(...far)) far = p;
+      }
+    }
+    maxShear = (torque * Math.hypot(...far)) / J;
+    maxLocation = { y: far[1], z: far[0] };
+  }
+  return { model, J, maxShear, maxLocation, twistRate };
+}
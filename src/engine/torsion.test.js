@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { torsionalShearAt } from "./torsion.js";
+
+function expectClose(actual, expected, tolerance = 1e-9) {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(
+    tolerance * Math.max(Math.abs(expected), 1e-30),
+  );
+}
+
+const torque = 800;
+
+describe("torsionalShearAt", () => {
+  it("gives T·r/J in a solid shaft and nothing outside it", () => {
+    const circle = { type: "circle", diameter: 0.08 };
+    const J = (Math.PI * 0.08 ** 4) / 32;
+    expectClose(
+      torsionalShearAt(circle, torque, 0.03, 0.02),
+      (torque * Math.hypot(0.03, 0.02)) / J,
+    );
+    expect(torsionalShearAt(circle, torque, 0.04, 0.01)).toBe(0);
+  });
+
+  it("gives nothing in the bore or outside a tube", () => {
+    const tube = { type: "hollowCircle", outerRadius: 0.05, innerRadius: 0.04 };
+    const J = (Math.PI / 2) * (0.05 ** 4 - 0.04 ** 4);
+    expectClose(torsionalShearAt(tube, torque, 0.045), (torque * 0.045) / J);
+    expectClose(torsionalShearAt(tube, torque, 0.04), (torque * 0.04) / J);
+    expect(torsionalShearAt(tube, torque, 0.02)).toBe(0);
+    expect(torsionalShearAt(tube, torque, 0, 0)).toBe(0);
+    expect(torsionalShearAt(tube, torque, 0.06)).toBe(0);
+  });
+
+  it("follows the outline of a composite section", () => {
+    const section = {
+      type: "composite",
+      shapes: [
+        { kind: "rectangle", cx: 0, cy: 0, width: 0.1, height: 0.1 },
+        {
+          kind: "rectangle",
+          cx: 0,
+          cy: 0,
+          width: 0.05,
+          height: 0.05,
+          hole: true,
+        },
+      ],
+    };
+    expect(torsionalShearAt(section, torque, 0.04, 0.04)).toBeGreaterThan(0);
+    expect(torsionalShearAt(section, torque, 0.01, 0.01)).toBe(0);
+    expect(torsionalShearAt(section, torque, 0.06, 0)).toBe(0);
+  });
+});
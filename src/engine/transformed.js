@@ -0,0 +1,235 @@
+import { compositeRegions } from "./section.js";
+import {
+  chordLength,
+  clipAbove,
+  pointInPolygon,
+  polygonIntegrals,
+} from "./polygon.js";
+
+// --------------------------------
+// Transformed sections of several materials (SI units: N, N·m, m, Pa)
+// --------------------------------
+//
+// Each shape of a composite section may carry its own material through its
+// modular ratio n = E / E_ref against a reference material. Plane sections
+// remain plane, so the section acts as one of the reference material with
+// every area scaled by n: the elastic neutral axis passes through the
+// centroid of the transformed area and the stress in a material is n times
+// the stress in the transformed section. A cracked section drops the parts
+// of no-tension materials (concrete) that lie on the tension side of the
+// neutral axis, which then has to be found by iteration.
+//
+// Shape fields used here, besides those of ./section.js:
+//   n          modular ratio E / E_ref (default 1)
+//   material   key grouping the shapes of one material (default "")
+//   noTension  the material carries no tension in a cracked section
+// A solid shape whose centroid lies inside an earlier solid shape of
+// another material displaces it, as a bar does the concrete around it; a
+// hole cuts the shape it lies in. Coordinates are those of the shapes, with
+// z along their x axis.
+
+// Weighted regions { points, sign, n, material, noTension } of the
+// transformed section; sign · n is the weight of each polygon.
+function transformedRegions(section) {
+  const polygons = compositeRegions(section);
+  const shapes = section.shapes.map((shape, i) => ({
+    points: polygons[i].points,
+    n: shape.n ?? 1,
+    material: shape.material ?? "",
+    noTension: Boolean(shape.noTension),
+    hole: Boolean(shape.hole),
+  }));
+  const centroidOf = (points) => {
+    const p = polygonIntegrals(points);
+    return p.area > 0 ? [p.Sy / p.area, p.Sx / p.area] : points[0];
+  };
+  const regions = [];
+  shapes.forEach((shape, i) => {
+    const [x, y] = centroidOf(shape.points);
+    let host = null;
+    for (let j = i - 1; j >= 0 && !host; j--) {
+      const other = shapes[j];
+      if (
+        !other.hole &&
+        (shape.hole || other.material !== shape.material) &&
+        pointInPolygon(other.points, x, y)
+      ) {
+        host = other;
+      }
+    }
+    if (host) {
+      regions.push({ ...host, points: shape.points, sign: -1 });
+    }
+    if (!shape.hole) regions.push({ ...shape, sign: 1 });
+    else if (!host) regions.push({ ...shape, sign: -1 });
+  });
+  return regions;
+}
+
+// Part of a polygon at or below y = level
+function clipBelow(points, level) {
+  const mirror = (p) => p.map(([x, y]) => [x, -y]);
+  return mirror(clipAbove(mirror(points), -level));
+}
+
+// Weighted integrals of the regions about the origin, with the no-tension
+// regions clipped to the compression side of y = level when given
+function weightedIntegrals(regions, level, hogging) {
+  const sum = { area: 0, Sx: 0, Sy: 0, Ixx: 0, Iyy: 0, Ixy: 0 };
+  for (const r of regions) {
+    let points = r.points;
+    if (level !== undefined && r.noTension) {
+      points = hogging ? clipBelow(points, level) : clipAbove(points, level);
+      if (points.length < 3) continue;
+    }
+    const p = polygonIntegrals(points);
+    for (const key of Object.keys(sum)) sum[key] += r.sign * r.n * p[key];
+  }
+  return sum;
+}
+
+/**
+ * Properties of the transformed section, in the units of the reference
+ * material. The cracked section ignores the no-tension parts below the
+ * neutral axis under a sagging moment, or above it under a hogging one.
+ *
+ * @param {object} section composite section, see the module comment
+ * @param {{ cracked?: boolean, hogging?: boolean }} [options]
+ * @returns {{ area: number, centroid: { x: number, y: number },
+ *   inertia: number, inertiaY: number, productOfInertia: number,
+ *   neutralAxisY: number, cracked: boolean, regions: object[] }}
+ *   transformed area (m²), elastic centroid in shape coordinates (m) and
+ *   second moments about it (m⁴); neutralAxisY is the height of the neutral
+ *   axis under pure bending about z
+ */
+export function transformedProperties(
+  section,
+  { cracked = false, hogging = false } = {},
+) {
+  if (section.type !== "composite") {
+    throw new Error("Transformed sections are built from composite shapes.");
+  }
+  const regions = transformedRegions(section);
+  const ys = regions
+    .filter((r) => r.sign > 0)
+    .flatMap((r) => r.points.map((p) => p[1]));
+  const isCracked = cracked && regions.some((r) => r.noTension);
+
+  let level;
+  if (isCracked) {
+    // First moment of the effective area about y = level, which falls as
+    // the level rises; its root is the neutral axis
+    const moment = (h) => {
+      const p = weightedIntegrals(regions, h, hogging);
+      return p.Sx - h * p.area;
+    };
+    let lo = Math.min(...ys);
+    let hi = Math.max(...ys);
+    if (moment(lo) < 0 || moment(hi) > 0) {
+      throw new Error(
+        "The cracked section has no neutral axis within its depth; check that the reinforcement lies inside the section.",
+      );
+    }
+    for (let i = 0; i < 100 && hi - lo > 1e-12 * (Math.abs(hi) + 1); i++) {
+      const mid = (lo + hi) / 2;
+      if (moment(mid) > 0) lo = mid;
+      else hi = mid;
+    }
+    level = (lo + hi) / 2;
+  }
+
+  const p = weightedIntegrals(regions, level, hogging);
+  if (!(p.area > 0)) {
+    throw new Error("The transformed section has no area.");
+  }
+  const xc = p.Sy / p.area;
+  const yc = p.Sx / p.area;
+  return {
+    area: p.area,
+    centroid: { x: xc, y: yc },
+    inertia: p.Ixx - p.area * yc * yc,
+    inertiaY: p.Iyy - p.area * xc * xc,
+    productOfInertia: p.Ixy - p.area * xc * yc,
+    neutralAxisY: level ?? yc,
+    cracked: isCracked,
+    regions,
+  };
+}
+
+/**
+ * Normal stresses in each material of a composite section, σ_i = n_i · σ
+ * with σ from the generalised flexure formula of the transformed section
+ * (see normalStressField in ./stress.js). The cracked section covers
+ * bending about z alone, and its no-tension materials show zero stress
+ * where they would be in tension.
+ *
+ * @param {object} section composite section, see the module comment
+ * @param {{ force: number, moment: number, momentY?: number }} loads
+ *   axial force (N) and the moments about z and y (N·m)
+ * @param {number} y height in shape coordinates (m)
+ * @param {number} [z] horizontal position in shape coordinates (m), by
+ *   default the elastic centroid
+ * @param {{ cracked?: boolean }} [options]
+ * @returns {{ properties: object, materials: { material: string, n: number,
+ *   noTension: boolean, area: number, top: { y: number, stress: number },
+ *   bottom: { y: number, stress: number }, atY: number | null }[] }}
+ *   transformedProperties() and, for each material, its own area (m²) and
+ *   the stress (Pa) at its highest and lowest points and at y, null when
+ *   the material is absent at that height
+ */
+export function transformedStresses(section, loads, y, z, { cracked } = {}) {
+  const { force, moment: Mz, momentY: My = 0 } = loads;
+  if (cracked && (force !== 0 || My !== 0)) {
+    throw new Error(
+      "The cracked section covers bending about z alone; set the axial force and the moment about y to zero.",
+    );
+  }
+  const properties = transformedProperties(section, {
+    cracked,
+    hogging: Mz < 0,
+  });
+  const { area, centroid, inertia: Iz, inertiaY: Iy } = properties;
+  const Iyz = properties.productOfInertia;
+  const D = Iy * Iz - Iyz * Iyz;
+  const gradY = D > 0 ? -(Mz * Iy + My * Iyz) / D : 0;
+  const gradZ = D > 0 ? (My * Iz + Mz * Iyz) / D : 0;
+  const zAt = z ?? centroid.x;
+  const stressAt = (r, h) => {
+    const stress =
+      r.n *
+      (force / area + gradY * (h - centroid.y) + gradZ * (zAt - centroid.x));
+    return properties.cracked && r.noTension && stress > 0 ? 0 : stress;
+  };
+
+  const groups = new Map();
+  for (const r of properties.regions) {
+    if (!groups.has(r.material)) groups.set(r.material, []);
+    groups.get(r.material).push(r);
+  }
+  const materials = [...groups.entries()]
+    .filter(([, regions]) => regions.some((r) => r.sign > 0))
+    .map(([material, regions]) => {
+      const solid = regions.filter((r) => r.sign > 0);
+      const ys = solid.flatMap((r) => r.points.map((p) => p[1]));
+      const top = Math.max(...ys);
+      const bottom = Math.min(...ys);
+      const width = regions.reduce(
+        (sum, r) => sum + r.sign * chordLength(r.points, y),
+        0,
+      );
+      const first = solid[0] ?? regions[0];
+      return {
+        material,
+        n: first.n,
+        noTension: first.noTension,
+        area: regions.reduce(
+          (sum, r) => sum + r.sign * polygonIntegrals(r.points).area,
+          0,
+        ),
+        top: { y: top, stress: stressAt(first, top) },
+        bottom: { y: bottom, stress: stressAt(first, bottom) },
+        atY: width > 1e-9 * (top - bottom) ? stressAt(first, y) : null,
+      };
+    });
+  return { properties, materials };
+}
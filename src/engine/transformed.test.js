@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import { transformedProperties, transformedStresses } from "./transformed.js";
+
+function expectClose(actual, expected, tolerance = 1e-9) {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(
+    tolerance * Math.max(Math.abs(expected), 1e-30),
+  );
+}
+
+const rect = (cy, width, height, extra) => ({
+  kind: "rectangle",
+  cx: 0,
+  cy,
+  width,
+  height,
+  ...extra,
+});
+
+describe("transformedProperties", () => {
+  // Steel strip under an aluminium strip, E_al / E_steel = 70 / 200
+  const n = 0.35;
+  const b = 0.04;
+  const t = 0.01;
+  const bimetal = {
+    type: "composite",
+    shapes: [
+      rect(t / 2, b, t, { material: "steel" }),
+      rect((3 * t) / 2, b, t, { material: "aluminium", n }),
+    ],
+  };
+
+  it("narrows the aluminium by n in the transformed section", () => {
+    const p = transformedProperties(bimetal);
+    const A = b * t * (1 + n);
+    const yc = (b * t * (t / 2) + n * b * t * ((3 * t) / 2)) / A;
+    expectClose(p.area, A);
+    expectClose(p.centroid.y, yc);
+    expectClose(
+      p.inertia,
+      (b * t ** 3 * (1 + n)) / 12 +
+        b * t * (t / 2 - yc) ** 2 +
+        n * b * t * ((3 * t) / 2 - yc) ** 2,
+    );
+  });
+
+  it("gives n times the transformed stress in the aluminium", () => {
+    const M = 50;
+    const { properties, materials } = transformedStresses(
+      bimetal,
+      { force: 0, moment: M },
+      t,
+    );
+    const { centroid, inertia } = properties;
+    const sigma = (y) => (-M * (y - centroid.y)) / inertia;
+    const [steel, aluminium] = materials;
+    expectClose(steel.bottom.stress, sigma(0));
+    expectClose(steel.top.stress, sigma(t));
+    expectClose(aluminium.bottom.stress, n * sigma(t));
+    expectClose(aluminium.top.stress, n * sigma(2 * t));
+    expectClose(aluminium.area, b * t);
+  });
+
+  it("finds kd from b(kd)²/2 = nAs(d − kd) in a cracked section", () => {
+    const b = 0.3;
+    const h = 0.5;
+    const d = 0.45;
+    const As = 3 * 490.9e-6;
+    const n = 8;
+    const bar = Math.sqrt(As);
+    const beam = {
+      type: "composite",
+      shapes: [
+        rect(h / 2, b, h, { material: "concrete", noTension: true }),
+        rect(h - d, bar, bar, { material: "steel", n }),
+      ],
+    };
+    const p = transformedProperties(beam, { cracked: true });
+    // Root of b/2·x² + nAs·x − nAs·d = 0, measured down from the top
+    const kd = (-n * As + Math.sqrt((n * As) ** 2 + 2 * b * n * As * d)) / b;
+    expect(p.cracked).toBe(true);
+    expectClose(p.neutralAxisY, h - kd, 1e-9);
+    expectClose(p.centroid.y, h - kd, 1e-9);
+    expectClose(
+      p.inertia,
+      (b * kd ** 3) / 3 + n * As * (d - kd) ** 2 + (n * As * As) / 12,
+      1e-9,
+    );
+  });
+
+  it("rejects sections that are not composite", () => {
+    expect(() =>
+      transformedProperties({ type: "rectangle", width: 1, height: 1 }),
+    ).toThrow(/composite/);
+  });
+});
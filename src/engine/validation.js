@@ -0,0 +1,326 @@
+import { computeSectionProperties } from "./section.js";
+import {
+  regionProperties,
+  rectanglePolygon,
+  circlePolygon,
+} from "./polygon.js";
+
+// --------------------------------
+// Input validation (SI units)
+// --------------------------------
+//
+// Each check returns a list of issues { field, message, severity }. Errors
+// mark inputs that make the calculation meaningless, e.g. a hollow circle
+// whose inner radius exceeds the outer one, and the app withholds results
+// until they are fixed. Warnings flag results whose underlying assumptions
+// are doubtful. `field` names the offending input: a key of the section or
+// beam object, "supports.<id>.<key>" / "loads.<id>.<key>" for beam items and
+// "shapes.<id>.<key>" for composite shapes, or null for the whole input.
+
+const SPAN_TO_DEPTH_LIMIT = 10;
+const THIN_WALL_LIMIT = 0.2;
+
+function collector() {
+  const issues = [];
+  return {
+    issues,
+    error: (field, message) =>
+      issues.push({ field, message, severity: "error" }),
+    warn: (field, message) =>
+      issues.push({ field, message, severity: "warning" }),
+  };
+}
+
+/**
+ * Map of field → first error message, for showing errors next to inputs.
+ *
+ * @param {{ field: string | null, message: string, severity: string }[]} issues
+ * @returns {Object<string, string>}
+ */
+export function fieldErrors(issues) {
+  const errors = {};
+  for (const { field, message, severity } of issues) {
+    if (severity === "error" && field && !(field in errors)) {
+      errors[field] = message;
+    }
+  }
+  return errors;
+}
+
+/**
+ * True when any of the issues is an error.
+ */
+export function hasErrors(issues) {
+  return issues.some((i) => i.severity === "error");
+}
+
+/**
+ * Check that a section's dimensions describe a real shape.
+ *
+ * @param {object} section see ./section.js
+ * @returns {{ field: string | null, message: string, severity: string }[]}
+ */
+export function validateSection(section) {
+  const { issues, error, warn } = collector();
+  const positive = (field, label) => {
+    const ok = section[field] > 0 && Number.isFinite(section[field]);
+    if (!ok) error(field, `${label} must be greater than zero.`);
+    return ok;
+  };
+
+  if (section.type === "rectangle") {
+    positive("width", "Width");
+    positive("height", "Height");
+  } else if (section.type === "circle") {
+    positive("diameter", "Diameter");
+  } else if (section.type === "ellipse") {
+    positive("width", "Width");
+    positive("height", "Height");
+  } else if (section.type === "hollowCircle") {
+    if (positive("outerRadius", "Outer radius")) {
+      if (!(section.innerRadius >= 0)) {
+        error("innerRadius", "Inner radius cannot be negative.");
+      } else if (section.innerRadius >= section.outerRadius) {
+        error(
+          "innerRadius",
+          "Inner radius must be smaller than the outer radius.",
+        );
+      }
+    }
+  } else if (
+    section.type === "iBeam" ||
+    section.type === "channel" ||
+    section.type === "tee"
+  ) {
+    const ok = [
+      positive("depth", "Depth"),
+      positive("flangeWidth", "Flange width"),
+      positive("flangeThickness", "Flange thickness"),
+      positive("webThickness", "Web thickness"),
+    ].every(Boolean);
+    if (ok) {
+      const { depth: h, flangeWidth: bf, flangeThickness: tf } = section;
+      const flanges = section.type === "tee" ? 1 : 2;
+      if (flanges * tf >= h) {
+        error(
+          "flangeThickness",
+          flanges === 2
+            ? "The two flanges (2·t_f) must be thinner than the depth."
+            : "The flange must be thinner than the depth.",
+        );
+      }
+      if (section.webThickness > bf) {
+        error("webThickness", "Web thickness cannot exceed the flange width.");
+      }
+      const web = h - flanges * tf;
+      if (
+        tf / bf > THIN_WALL_LIMIT ||
+        (web > 0 && section.webThickness / web > THIN_WALL_LIMIT)
+      ) {
+        warn(
+          null,
+          "The plates are thick for their width (t/b > 0.2), so the thin-walled torsion results are approximate.",
+        );
+      }
+    }
+  } else if (section.type === "angle") {
+    const ok = [
+      positive("height", "Height"),
+      positive("width", "Width"),
+      positive("thickness", "Thickness"),
+    ].every(Boolean);
+    if (ok && section.thickness >= Math.min(section.height, section.width)) {
+      error("thickness", "Thickness must be smaller than both legs.");
+    } else if (
+      ok &&
+      section.thickness / Math.min(section.height, section.width) >
+        THIN_WALL_LIMIT
+    ) {
+      warn(
+        null,
+        "The legs are thick for their length (t/b > 0.2), so the thin-walled torsion results are approximate.",
+      );
+    }
+  } else if (section.type === "rectTube") {
+    const ok = [
+      positive("width", "Width"),
+      positive("height", "Height"),
+      positive("thickness", "Wall thickness"),
+    ].every(Boolean);
+    const smaller = Math.min(section.width, section.height);
+    if (ok && 2 * section.thickness >= smaller) {
+      error(
+        "thickness",
+        "Twice the wall thickness must be less than the width and height.",
+      );
+    } else if (ok && section.thickness > smaller / 10) {
+      warn(
+        null,
+        "The walls are thick for Bredt-Batho (t > b/10), so the torsion results are approximate.",
+      );
+    }
+  } else if (section.type === "composite") {
+    validateShapes(section.shapes, error);
+  }
+  return issues;
+}
+
+function validateShapes(shapes, error) {
+  const regions = [];
+  for (const shape of shapes) {
+    const field = (key) => `shapes.${shape.id}.${key}`;
+    let points = null;
+    if (shape.kind === "polygon") {
+      points = shape.points;
+      if (points.length < 3) {
+        error(field("text"), "A polygon needs at least three vertices.");
+        points = null;
+      } else if (regionProperties([{ points, sign: 1 }]).area <= 0) {
+        error(field("text"), "The polygon encloses no area.");
+        points = null;
+      }
+    } else {
+      const keys = shape.kind === "circle" ? ["diameter"] : ["width", "height"];
+      let ok = true;
+      for (const key of keys) {
+        if (!(shape[key] > 0)) {
+          error(field(key), "Must be greater than zero.");
+          ok = false;
+        }
+      }
+      if (ok) {
+        points =
+          shape.kind === "circle"
+            ? circlePolygon(shape.cx, shape.cy, shape.diameter)
+            : rectanglePolygon(shape.cx, shape.cy, shape.width, shape.height);
+      }
+    }
+    if (points) regions.push({ points, sign: shape.hole ? -1 : 1 });
+  }
+  if (!shapes.some((s) => !s.hole)) {
+    error(null, "A composite section needs at least one solid shape.");
+  } else if (
+    regions.length === shapes.length &&
+    !(regionProperties(regions).area > 0)
+  ) {
+    error(null, "The holes remove all of the material.");
+  }
+}
+
+/**
+ * Check the beam span, supports, loads and analysis station.
+ *
+ * @param {{ length: number, supports: object[], loads: object[], station: number }} beam
+ *   SI values as passed to solveBeam, plus the analysis station x (m)
+ * @returns {{ field: string | null, message: string, severity: string }[]}
+ */
+export function validateBeam({ length, supports, loads, station }) {
+  const { issues, error } = collector();
+  if (!(length > 0)) {
+    error("beamLength", "Beam length must be greater than zero.");
+    return issues;
+  }
+  const onBeam = (x) => x >= 0 && x <= length;
+  const outside = "Must lie on the beam, between 0 and its length.";
+  for (const s of supports) {
+    if (!onBeam(s.position)) error(`supports.${s.id}.position`, outside);
+  }
+  for (const l of loads) {
+    if ("position" in l) {
+      if (!onBeam(l.position)) error(`loads.${l.id}.position`, outside);
+    } else {
+      if (!onBeam(l.start)) error(`loads.${l.id}.start`, outside);
+      if (!onBeam(l.end)) error(`loads.${l.id}.end`, outside);
+      else if (!(l.end > l.start)) {
+        error(`loads.${l.id}.end`, "The end must lie beyond the start.");
+      }
+    }
+  }
+  if (!onBeam(station)) error("stationX", outside);
+  return issues;
+}
+
+/**
+ * Check the material constants used by the stress and deflection results.
+ *
+ * @param {{ E: number, G: number, yieldStrength: number }} material
+ * @returns {{ field: string | null, message: string, severity: string }[]}
+ */
+export function validateMaterial(material) {
+  const { issues, error } = collector();
+  if (!(material.E > 0)) error("E", "E must be greater than zero.");
+  if (!(material.G > 0)) error("G", "G must be greater than zero.");
+  if (!(material.yieldStrength > 0)) {
+    error("yieldStrength", "f_y must be greater than zero.");
+  }
+  return issues;
+}
+
+/**
+ * Checks of the buckling inputs: the effective-length factor, the unbraced
+ * length and the moment gradient factor must be positive, and C_b below 1
+ * or an unbraced length longer than the member are flagged.
+ *
+ * @param {{ k: number, length: number, unbracedLength: number, cb: number }} stability
+ *   member length and unbraced length (m)
+ * @returns {{ field: string, message: string, severity: string }[]}
+ */
+export function validateStability({ k, length, unbracedLength, cb }) {
+  const { issues, error, warn } = collector();
+  if (!(k > 0)) {
+    error("effectiveLengthFactor", "K must be greater than zero.");
+  }
+  if (!(unbracedLength > 0)) {
+    error("unbracedLength", "The unbraced length must be greater than zero.");
+  } else if (unbracedLength > length) {
+    warn(
+      "unbracedLength",
+      "The unbraced length is longer than the member length L.",
+    );
+  }
+  if (!(cb > 0)) {
+    error("momentGradientFactor", "C_b must be greater than zero.");
+  } else if (cb < 1) {
+    warn(
+      "momentGradientFactor",
+      "C_b below 1 is unusual; 1.0 applies to a uniform moment.",
+    );
+  }
+  return issues;
+}
+
+/**
+ * Warnings where the beam and stress theory used by the app is doubtful:
+ * short deep beams, where Euler-Bernoulli theory neglects significant shear
+ * deformation, and analysis points outside the section. Assumes the
+ * section itself is valid.
+ *
+ * @param {object} section see ./section.js
+ * @param {{ beamLength?: number, y: number, z: number }} options
+ *   span (m) when the moments come from the beam, and the analysis point (m)
+ * @returns {{ field: string | null, message: string, severity: string }[]}
+ */
+export function assumptionWarnings(section, { beamLength, y, z }) {
+  const { issues, warn } = collector();
+  const props = computeSectionProperties(section);
+  const depth = props.yTop + props.yBottom;
+  if (beamLength > 0 && beamLength / depth < SPAN_TO_DEPTH_LIMIT) {
+    warn(
+      "beamLength",
+      `The span-to-depth ratio L/h = ${(beamLength / depth).toPrecision(3)} is below ${SPAN_TO_DEPTH_LIMIT}. Euler-Bernoulli theory neglects shear deformation, which is significant in short deep beams; treat deflections as unconservative.`,
+    );
+  }
+  if (y > props.yTop || y < -props.yBottom) {
+    warn(
+      "pointY",
+      "The analysis point lies above or below the section, where Q and the stresses have no meaning.",
+    );
+  }
+  if (z > props.zRight || z < -props.zLeft) {
+    warn(
+      "pointZ",
+      "The analysis point lies beside the section, where the stresses have no meaning.",
+    );
+  }
+  return issues;
+}
@@ -0,0 +1,276 @@
+import {
+  computeSectionProperties,
+  stressesAt,
+  extremeNormalStresses,
+  torsionResponse,
+  planeStressState,
+  strengthCheck,
+  shearYieldStrength,
+  validateSection,
+} from "../engine";
+import { parseCsv, toCsv } from "./csv";
+import { roundInput } from "./units";
+
+// Batch analysis: one member per CSV row, each run through the same section
+// and stress calculations as the main form. Values are in the app's current
+// units: dimensions and the analysis point in the section unit, forces in
+// the force unit and moments in force × distance.
+
+// Dimension columns needed by each section type
+export const BATCH_DIMENSIONS = {
+  rectangle: ["width", "height"],
+  circle: ["diameter"],
+  hollowCircle: ["outerRadius", "innerRadius"],
+  iBeam: ["depth", "flangeWidth", "flangeThickness", "webThickness"],
+  rectTube: ["width", "height", "thickness"],
+  channel: ["depth", "flangeWidth", "flangeThickness", "webThickness"],
+  tee: ["depth", "flangeWidth", "flangeThickness", "webThickness"],
+  angle: ["height", "width", "thickness"],
+  ellipse: ["width", "height"],
+};
+
+// Load and analysis-point columns; blank cells count as zero
+const LOAD_COLUMNS = ["N", "Mz", "My", "T", "V", "y", "z"];
+
+const DIMENSION_COLUMNS = [...new Set(Object.values(BATCH_DIMENSIONS).flat())];
+
+export const BATCH_COLUMNS = [
+  "name",
+  "type",
+  ...DIMENSION_COLUMNS,
+  ...LOAD_COLUMNS,
+];
+
+/**
+ * Template CSV with the header and a few example rows, in display units.
+ *
+ * @param {{ forceFactor: number, distanceFactor: number, sectionFactor: number }} factors
+ *   display unit → SI
+ * @returns {string}
+ */
+export function batchTemplate(factors) {
+  const examples = [
+    { name: "B1", type: "rectangle", width: 0.05, height: 0.1 },
+    {
+      name: "B2",
+      type: "iBeam",
+      depth: 0.2,
+      flangeWidth: 0.1,
+      flangeThickness: 0.02,
+      webThickness: 0.01,
+    },
+    { name: "C1", type: "hollowCircle", outerRadius: 0.08, innerRadius: 0.04 },
+  ];
+  const loads = { N: 1000, Mz: 1000, My: 0, T: 100, V: 500, y: 0, z: 0 };
+  const moment = factors.forceFactor * factors.distanceFactor;
+  const factorOf = (column) =>
+    ({
+      N: factors.forceFactor,
+      V: factors.forceFactor,
+      Mz: moment,
+      My: moment,
+      T: moment,
+    })[column] ?? factors.sectionFactor;
+  return toCsv([
+    BATCH_COLUMNS,
+    ...examples.map((e) =>
+      BATCH_COLUMNS.map((c) => {
+        const value = { ...loads, ...e }[c];
+        if (value === undefined) return "";
+        return typeof value === "number"
+          ? roundInput(value / factorOf(c))
+          : value;
+      }),
+    ),
+  ]);
+}
+
+/**
+ * Read the member rows of a batch CSV. Throws when the header lacks the
+ * type column.
+ *
+ * @param {string} text CSV, tab- or semicolon-separated text
+ * @returns {{ index: number, name: string, type: string, values: Object<string, string> }[]}
+ *   index counts the data rows from 1; values maps column names to cells
+ */
+export function readBatchRows(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error("The batch is empty.");
+  // Match the header case-insensitively against the known columns
+  const columns = header.map((h) => {
+    const key = h.trim().toLowerCase();
+    return BATCH_COLUMNS.find((c) => c.toLowerCase() === key) ?? null;
+  });
+  if (!columns.includes("type")) {
+    throw new Error(
+      `The first row must be a header with a "type" column; known columns are ${BATCH_COLUMNS.join(", ")}.`,
+    );
+  }
+  return rows.map((cells, i) => {
+    const values = {};
+    columns.forEach((c, j) => {
+      if (c) values[c] = (cells[j] ?? "").trim();
+    });
+    return {
+      index: i + 1,
+      name: values.name || `Row ${i + 1}`,
+      type: values.type,
+      values,
+    };
+  });
+}
+
+/**
+ * Run the section and stress calculations for one batch row. The governing
+ * check is whichever of the von Mises stress at the point, the largest
+ * normal stress in the section and the peak torsional shear has the
+ * highest utilisation.
+ *
+ * @param {{ index: number, name: string, type: string, values: Object<string, string> }} row
+ * @param {{ forceFactor: number, distanceFactor: number, sectionFactor: number }} factors
+ *   display unit → SI
+ * @param {{ yieldStrength: number }} material
+ * @param {number} targetFoS
+ * @returns {object} { index, name, type, error } or the results in SI
+ */
+export function analyseBatchRow(row, factors, material, targetFoS) {
+  const { index, name, values } = row;
+  const type =
+    Object.keys(BATCH_DIMENSIONS).find(
+      (t) => t.toLowerCase() === (row.type ?? "").toLowerCase(),
+    ) ?? row.type;
+  const fail = (error) => ({ index, name, type, error });
+  const number = (column) => {
+    const cell = values[column] ?? "";
+    return cell === "" ? 0 : Number(cell);
+  };
+
+  const dimensions = BATCH_DIMENSIONS[type];
+  if (!type) return fail("Missing type.");
+  if (!dimensions) {
+    return fail(
+      `Unknown type "${type}"; use one of ${Object.keys(BATCH_DIMENSIONS).join(", ")}.`,
+    );
+  }
+  const section = { type };
+  for (const key of dimensions) {
+    if (!values[key]) return fail(`Missing ${key}.`);
+    section[key] = number(key) * factors.sectionFactor;
+  }
+  for (const column of [...dimensions, ...LOAD_COLUMNS]) {
+    if (!Number.isFinite(number(column))) {
+      return fail(`${column} is not a number: "${values[column]}".`);
+    }
+  }
+  const issues = validateSection(section).filter((i) => i.severity === "error");
+  if (issues.length) return fail(issues.map((i) => i.message).join(" "));
+
+  const moment = factors.forceFactor * factors.distanceFactor;
+  const loads = {
+    force: number("N") * factors.forceFactor,
+    moment: number("Mz") * moment,
+    momentY: number("My") * moment,
+    torque: number("T") * moment,
+    shearForce: number("V") * factors.forceFactor,
+  };
+  const y = number("y") * factors.sectionFactor;
+  const z = number("z") * factors.sectionFactor;
+
+  const props = computeSectionProperties(section);
+  const point = stressesAt(section, loads, y, z);
+  const state = planeStressState(
+    point.axial + point.bending,
+    point.torsional + point.transverse,
+  );
+  const { tension, compression } = extremeNormalStresses(section, loads);
+  const maxNormal =
+    Math.abs(tension.stress) >= Math.abs(compression.stress)
+      ? tension.stress
+      : compression.stress;
+  // The peak shear does not depend on G
+  const peakTorsion = torsionResponse(section, loads.torque, 1).maxShear;
+
+  const governing = [
+    ["σ_vm at point", state.vonMises, material.yieldStrength],
+    ["Max normal stress", maxNormal, material.yieldStrength],
+    ["Peak torsional shear", peakTorsion, shearYieldStrength(material)],
+  ]
+    .map(([check, stress, limit]) => ({
+      check,
+      stress,
+      ...strengthCheck(stress, limit, targetFoS),
+    }))
+    .reduce((a, b) => (b.utilisation > a.utilisation ? b : a));
+
+  return {
+    index,
+    name,
+    type,
+    error: null,
+    area: props.area,
+    inertia: props.inertia,
+    sigma: state.sigmaX,
+    tau: state.tauXY,
+    vonMises: state.vonMises,
+    maxNormal,
+    peakTorsion,
+    governing,
+  };
+}
+
+/**
+ * Results table as CSV in the given display units.
+ *
+ * @param {object[]} results analyseBatchRow results
+ * @param {{ sectionFactor: number, sectionUnit: string, pressureFactor: number, pressureUnit: string }} units
+ * @returns {string}
+ */
+export function batchResultsCsv(results, units) {
+  const {
+    sectionFactor: s,
+    sectionUnit,
+    pressureFactor: p,
+    pressureUnit,
+  } = units;
+  const number = (v) => Number(v.toPrecision(6));
+  return toCsv([
+    [
+      "row",
+      "name",
+      "type",
+      `A (${sectionUnit}²)`,
+      `I_z (${sectionUnit}⁴)`,
+      `sigma (${pressureUnit})`,
+      `tau (${pressureUnit})`,
+      `von Mises (${pressureUnit})`,
+      `max normal (${pressureUnit})`,
+      `peak torsional shear (${pressureUnit})`,
+      "governing check",
+      `governing stress (${pressureUnit})`,
+      "utilisation",
+      "result",
+      "error",
+    ],
+    ...results.map((r) =>
+      r.error
+        ? [r.index, r.name, r.type ?? "", ...Array(11).fill(""), r.error]
+        : [
+            r.index,
+            r.name,
+            r.type,
+            number(r.area / (s * s)),
+            number(r.inertia / Math.pow(s, 4)),
+            number(r.sigma / p),
+            number(r.tau / p),
+            number(r.vonMises / p),
+            number(r.maxNormal / p),
+            number(r.peakTorsion / p),
+            r.governing.check,
+            number(r.governing.stress / p),
+            number(r.governing.utilisation),
+            r.governing.pass ? "PASS" : "FAIL",
+            "",
+          ],
+    ),
+  ]);
+}
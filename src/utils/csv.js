@@ -0,0 +1,67 @@
+// Minimal CSV reading and writing for spreadsheet round trips (RFC 4180
+// quoting). Text pasted from a spreadsheet is tab-separated, and some
+// locales save with semicolons, so the delimiter is detected from the first
+// line.
+
+/**
+ * Split CSV text into rows of cells. Blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(csv) {
+  // Drop the byte order mark written by toCsv and spreadsheet programs.
+  const text = csv.replace(/^\uFEFF/, "");
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [",", "\t", ";"].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best,
+  );
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+/**
+ * CSV text for rows of cells, with CRLF line endings and a byte order mark
+ * so that spreadsheet programs open it as UTF-8.
+ *
+ * @param {(string | number)[][]} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  const quote = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return "\uFEFF" + rows.map((r) => r.map(quote).join(",")).join("\r\n");
+}
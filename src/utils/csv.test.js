@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+import { parseCsv, toCsv } from "./csv.js";
+
+describe("toCsv", () => {
+  it("starts with a byte order mark and joins rows with CRLF", () => {
+    expect(
+      toCsv([
+        ["a", 1],
+        ["b", 2.5],
+      ]),
+    ).toBe("\uFEFFa,1\r\nb,2.5");
+  });
+
+  it("quotes cells holding commas, quotes or line breaks", () => {
+    const csv = toCsv([["1,5", 'say "hi"', "two\nlines", "cr\r", "plain"]]);
+    expect(csv).toBe('\uFEFF"1,5","say ""hi""","two\nlines","cr\r",plain');
+  });
+
+  it("round-trips through parseCsv", () => {
+    const rows = [
+      ["name", "note"],
+      ["beam, main", 'the "long" one\r\nsecond line'],
+    ];
+    expect(parseCsv(toCsv(rows))).toEqual(rows);
+  });
+});
+
+describe("parseCsv", () => {
+  it("detects tab and semicolon delimiters", () => {
+    expect(parseCsv("a\tb\n1\t2")).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+    expect(parseCsv("a;b\r\n1,5;2\r\n\r\n")).toEqual([
+      ["a", "b"],
+      ["1,5", "2"],
+    ]);
+  });
+});
@@ -0,0 +1,8 @@
+// Compact number formatting for readouts: four significant figures, switching
+// to exponential notation for very small or very large magnitudes.
+export function formatValue(v) {
+  const abs = Math.abs(v);
+  if (abs === 0) return "0";
+  if (abs < 1e-3 || abs >= 1e6) return v.toExponential(3);
+  return String(Number(v.toPrecision(4)));
+}
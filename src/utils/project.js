@@ -0,0 +1,271 @@
+import { DISTANCE_UNITS, PRESSURE_UNITS, roundInput } from "./units";
+
+// Saved analyses. A project file wraps the app's inputs, in the units they
+// were entered in, with a format tag and a schema version:
+//
+//   { "format": "beam-stress-analyzer", "version": 1, "inputs": { ... } }
+//
+// When an input is added or changed, bump PROJECT_VERSION and add a
+// migration from the previous version that fills in the new input, so that
+// older files and permalinks keep loading.
+
+export const PROJECT_FORMAT = "beam-stress-analyzer";
+export const PROJECT_VERSION = 9;
+
+// MIGRATIONS[v] turns the inputs of version v into those of version v + 1.
+const MIGRATIONS = {
+  // 2: load cases and combinations; older projects start without any
+  1: (inputs) => ({ ...inputs, loadCases: [], loadCombinations: [] }),
+  // 3: design code for the steel member checks
+  2: (inputs) => ({ ...inputs, designCode: "ec3" }),
+  // 4: buckling inputs; pinned ends, braced only at the supports
+  3: (inputs) => ({
+    ...inputs,
+    bucklingEnds: "pinned-pinned",
+    effectiveLengthFactor: 1,
+    unbracedLength: inputs.beamLength ?? 1,
+    momentGradientFactor: 1,
+  }),
+  // 5: section sizing; 100 MPa and a 0.3 m depth limit in the project's units
+  4: (inputs) => ({
+    ...inputs,
+    sizing: {
+      sizeBy: "dimensions",
+      limitMode: "fos",
+      allowableStress: roundInput(100e6 / PRESSURE_UNITS[inputs.pressureUnit]),
+      constraint: "aspect",
+      maxDepth: roundInput(
+        0.3 / DISTANCE_UNITS[inputs.sectionUnitOverride || inputs.distanceUnit],
+      ),
+      actions: "station",
+    },
+  }),
+  // 6: a material per composite shape, "" for the section material, and the
+  // cracked-section option
+  5: (inputs) => ({
+    ...inputs,
+    compositeShapes: (inputs.compositeShapes ?? []).map((shape) => ({
+      ...shape,
+      materialId: "",
+    })),
+    crackedSection: false,
+  }),
+  // 7: plane frame or truss; older projects start with an empty one
+  6: (inputs) => ({
+    ...inputs,
+    frameNodes: [],
+    frameMembers: [],
+    frameSections: [],
+  }),
+  // 8: fatigue; load ranges from zero to the entered loads and a 200 MPa
+  // specimen endurance limit in the project's units
+  7: (inputs) => ({
+    ...inputs,
+    fatigue: {
+      inputMode: "minMax",
+      range: Object.fromEntries(
+        ["force", "moment", "momentY", "torque", "shearForce"].map((key) => [
+          key,
+          { min: 0, max: inputs[key] ?? 0 },
+        ]),
+      ),
+      criterion: "goodman",
+      enduranceMode: "estimate",
+      enduranceLimit: roundInput(200e6 / PRESSURE_UNITS[inputs.pressureUnit]),
+      surface: "machined",
+      diameter: 0,
+      loading: "combined",
+      reliability: 0.5,
+      temperatureFactor: 1,
+      miscFactor: 1,
+      fraction: 0.9,
+      historyKey: "moment",
+      historyText: "",
+    },
+  }),
+  // 9: stress concentration detail and curved beam; a 0.1 m radius in the
+  // project's section unit
+  8: (inputs) => ({
+    ...inputs,
+    concentration: {
+      detail: "roundShoulder",
+      ratios: {
+        diameterRatio: 1.5,
+        radiusRatio: 0.1,
+        holeRatio: 0.2,
+        axisRatio: 2,
+      },
+      curved: false,
+      radius: roundInput(
+        0.1 / DISTANCE_UNITS[inputs.sectionUnitOverride || inputs.distanceUnit],
+      ),
+      side: "bottom",
+    },
+  }),
+};
+
+const STORAGE_KEY = `${PROJECT_FORMAT}.projects`;
+const PERMALINK_PARAM = "project";
+
+/**
+ * Wrap the inputs in a versioned project object.
+ *
+ * @param {object} inputs
+ * @returns {{ format: string, version: number, inputs: object }}
+ */
+export function createProject(inputs) {
+  return { format: PROJECT_FORMAT, version: PROJECT_VERSION, inputs };
+}
+
+/**
+ * Inputs of a project object, migrated to the current version. Throws when
+ * the data is not a project or was saved by a newer version of the app.
+ *
+ * @param {unknown} data parsed JSON
+ * @returns {object} inputs
+ */
+export function readProject(data) {
+  if (!data || data.format !== PROJECT_FORMAT || !data.inputs) {
+    throw new Error("This is not a Beam Stress Analyzer project.");
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error("The project has no valid schema version.");
+  }
+  if (data.version > PROJECT_VERSION) {
+    throw new Error(
+      `The project was saved by a newer version of the app (schema ${data.version}); this one reads up to ${PROJECT_VERSION}.`,
+    );
+  }
+  let inputs = data.inputs;
+  for (let v = data.version; v < PROJECT_VERSION; v++) {
+    inputs = MIGRATIONS[v](inputs);
+  }
+  return inputs;
+}
+
+/**
+ * Parse the text of a project file.
+ *
+ * @param {string} text
+ * @returns {object} inputs
+ */
+export function parseProjectFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+  return readProject(data);
+}
+
+/**
+ * Pretty-printed JSON of a project file.
+ */
+export function projectFileText(inputs) {
+  return JSON.stringify(createProject(inputs), null, 2);
+}
+
+// --------------------------------
+// Permalinks: the project JSON, base64url-encoded in the URL hash
+// --------------------------------
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Permalink to the inputs, based on the given page URL.
+ *
+ * @param {object} inputs
+ * @param {string} pageUrl e.g. window.location.href
+ * @returns {string}
+ */
+export function permalinkFor(inputs, pageUrl) {
+  const url = new URL(pageUrl);
+  url.hash = `${PERMALINK_PARAM}=${toBase64Url(JSON.stringify(createProject(inputs)))}`;
+  return url.toString();
+}
+
+/**
+ * Inputs encoded in a URL hash, or null when the hash holds no project.
+ * Throws when it holds one that cannot be read.
+ *
+ * @param {string} hash e.g. window.location.hash
+ * @returns {object | null}
+ */
+export function readPermalink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const encoded = params.get(PERMALINK_PARAM);
+  if (!encoded) return null;
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    throw new Error("The permalink is damaged and cannot be read.");
+  }
+  return readProject(data);
+}
+
+// --------------------------------
+// Named projects kept in the browser's local storage
+// --------------------------------
+
+/**
+ * Projects saved in this browser, as [{ name, savedAt, project }], newest
+ * first. Empty when storage is unavailable or unreadable.
+ */
+export function loadLocalProjects() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save the inputs under a name, replacing a project of the same name.
+ * Throws when the browser refuses to store them.
+ *
+ * @returns {{ name: string, savedAt: string, project: object }[]} new list
+ */
+export function saveLocalProject(name, inputs) {
+  const list = [
+    { name, savedAt: new Date().toISOString(), project: createProject(inputs) },
+    ...loadLocalProjects().filter((p) => p.name !== name),
+  ];
+  writeLocalProjects(list);
+  return list;
+}
+
+/**
+ * Remove the named project from local storage.
+ *
+ * @returns {{ name: string, savedAt: string, project: object }[]} new list
+ */
+export function deleteLocalProject(name) {
+  const list = loadLocalProjects().filter((p) => p.name !== name);
+  writeLocalProjects(list);
+  return list;
+}
+
+function writeLocalProjects(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  } catch {
+    throw new Error("The browser did not allow the project to be stored.");
+  }
+}
@@ -0,0 +1,463 @@
+import {
+  computeSectionProperties,
+  sectionOutline,
+  shearThicknessAt,
+  TORSION_MODELS,
+  clipAbove,
+  polygonIntegrals,
+} from "../engine";
+
+// Calculation report: the formulas behind each result with the input
+// values substituted, for hand-checking. Every row is
+//   { quantity, formula, substitution, result }
+// where substitution is null when the result comes from a series or a
+// numerical integration rather than a closed form. Values are SI and shown
+// through the `show` readouts of the app: section(v, power), force(v),
+// moment(v) and stress(v).
+
+const DIMENSION_LABELS = {
+  width: "Width, b",
+  height: "Height, h",
+  diameter: "Diameter, d",
+  outerRadius: "Outer radius, R_o",
+  innerRadius: "Inner radius, R_i",
+  depth: "Depth, h",
+  flangeWidth: "Flange width, b_f",
+  flangeThickness: "Flange thickness, t_f",
+  webThickness: "Web thickness, t_w",
+  thickness: "Thickness, t",
+};
+
+/**
+ * Labelled dimensions of a section, as [label, value] rows.
+ *
+ * @param {object} section see ../engine/section.js (SI)
+ * @param {object} show readouts
+ * @returns {string[][]}
+ */
+export function sectionDimensionRows(section, show) {
+  if (section.type === "composite") {
+    return section.shapes.map((shape, i) => {
+      const kind = shape.hole ? `${shape.kind} hole` : shape.kind;
+      let text;
+      if (shape.kind === "polygon") {
+        text = shape.points
+          .map(([x, y]) => `(${show.section(x)}, ${show.section(y)})`)
+          .join(", ");
+      } else {
+        const size =
+          shape.kind === "circle"
+            ? `d = ${show.section(shape.diameter)}`
+            : `${show.section(shape.width)} × ${show.section(shape.height)}`;
+        text = `${size} at (${show.section(shape.cx)}, ${show.section(shape.cy)})`;
+      }
+      return [`Shape ${i + 1} (${kind})`, text];
+    });
+  }
+  return Object.keys(DIMENSION_LABELS)
+    .filter((key) => key in section)
+    .map((key) => [DIMENSION_LABELS[key], show.section(section[key])]);
+}
+
+/**
+ * A, I_z and J of the section.
+ *
+ * @param {object} section (SI)
+ * @param {object} show readouts
+ * @returns {{ quantity: string, formula: string, substitution: string | null, result: string }[]}
+ */
+export function sectionFormulas(section, show) {
+  const props = computeSectionProperties(section);
+  const s = (v) => show.section(v);
+  const A = show.section(props.area, 2);
+  const I = show.section(props.inertia, 4);
+  const J = show.section(props.polarInertia, 4);
+  const rows = (area, inertia, torsion) => [
+    { quantity: "Area", result: A, ...area },
+    { quantity: "Second moment of area, I_z", result: I, ...inertia },
+    { quantity: "Torsion constant, J", result: J, ...torsion },
+  ];
+
+  switch (section.type) {
+    case "rectangle": {
+      const { width: b, height: h } = section;
+      return rows(
+        { formula: "A = b·h", substitution: `${s(b)} × ${s(h)}` },
+        {
+          formula: "I_z = b·h³ / 12",
+          substitution: `${s(b)} × (${s(h)})³ / 12`,
+        },
+        {
+          formula:
+            "J = (t³·b / 3)·[1 − (192·t / (π⁵·b))·Σ tanh(nπb / 2t) / n⁵], b ≥ t",
+          substitution: `b = ${s(Math.max(b, h))}, t = ${s(Math.min(b, h))}`,
+        },
+      );
+    }
+    case "circle": {
+      const d = s(section.diameter);
+      return rows(
+        { formula: "A = π·d² / 4", substitution: `π × (${d})² / 4` },
+        { formula: "I_z = π·d⁴ / 64", substitution: `π × (${d})⁴ / 64` },
+        { formula: "J = π·d⁴ / 32", substitution: `π × (${d})⁴ / 32` },
+      );
+    }
+    case "hollowCircle": {
+      const Ro = s(section.outerRadius);
+      const Ri = s(section.innerRadius);
+      return rows(
+        {
+          formula: "A = π·(R_o² − R_i²)",
+          substitution: `π × ((${Ro})² − (${Ri})²)`,
+        },
+        {
+          formula: "I_z = π·(R_o⁴ − R_i⁴) / 4",
+          substitution: `π × ((${Ro})⁴ − (${Ri})⁴) / 4`,
+        },
+        {
+          formula: "J = π·(R_o⁴ − R_i⁴) / 2",
+          substitution: `π × ((${Ro})⁴ − (${Ri})⁴) / 2`,
+        },
+      );
+    }
+    case "iBeam": {
+      const h = s(section.depth);
+      const bf = s(section.flangeWidth);
+      const tf = s(section.flangeThickness);
+      const tw = s(section.webThickness);
+      return rows(
+        {
+          formula: "A = 2·b_f·t_f + (h − 2·t_f)·t_w",
+          substitution: `2 × ${bf} × ${tf} + (${h} − 2 × ${tf}) × ${tw}`,
+        },
+        {
+          formula: "I_z = [b_f·h³ − (b_f − t_w)·(h − 2·t_f)³] / 12",
+          substitution: `[${bf} × (${h})³ − (${bf} − ${tw}) × (${h} − 2 × ${tf})³] / 12`,
+        },
+        {
+          formula: "J = [2·b_f·t_f³ + (h − 2·t_f)·t_w³] / 3",
+          substitution: `[2 × ${bf} × (${tf})³ + (${h} − 2 × ${tf}) × (${tw})³] / 3`,
+        },
+      );
+    }
+    case "rectTube": {
+      const b = s(section.width);
+      const h = s(section.height);
+      const t = s(section.thickness);
+      return rows(
+        {
+          formula: "A = b·h − (b − 2t)·(h − 2t)",
+          substitution: `${b} × ${h} − (${b} − 2 × ${t}) × (${h} − 2 × ${t})`,
+        },
+        {
+          formula: "I_z = [b·h³ − (b − 2t)·(h − 2t)³] / 12",
+          substitution: `[${b} × (${h})³ − (${b} − 2 × ${t}) × (${h} − 2 × ${t})³] / 12`,
+        },
+        {
+          formula:
+            "J = 4·A_m²·t / p, A_m = (b − t)·(h − t), p = 2·(b + h − 2t)",
+          substitution: `4 × [(${b} − ${t}) × (${h} − ${t})]² × ${t} / [2 × (${b} + ${h} − 2 × ${t})]`,
+        },
+      );
+    }
+    case "ellipse": {
+      const a = s(section.width / 2);
+      const b = s(section.height / 2);
+      return rows(
+        {
+          formula: "A = π·a·b, a = width / 2, b = height / 2",
+          substitution: `π × ${a} × ${b}`,
+        },
+        { formula: "I_z = π·a·b³ / 4", substitution: `π × ${a} × (${b})³ / 4` },
+        {
+          formula: "J = π·a³·b³ / (a² + b²)",
+          substitution: `π × (${a})³ × (${b})³ / ((${a})² + (${b})²)`,
+        },
+      );
+    }
+    case "composite":
+      return rows(
+        { formula: "A = Σ ± A_i (holes subtract)", substitution: null },
+        {
+          formula: "I_z = Σ ± (I_i + A_i·d_i²), parallel-axis theorem",
+          substitution: null,
+        },
+        {
+          formula: "J ≈ I_y + I_z (polar moment; exact only for circles)",
+          substitution: null,
+        },
+      );
+    default:
+      // Channel, tee and angle: built from rectangular plates
+      return rows(
+        { formula: "A = Σ b_i·t_i", substitution: null },
+        {
+          formula:
+            "I_z = Σ (I_i + A_i·d_i²), parallel-axis theorem over the plates",
+          substitution: null,
+        },
+        { formula: "J = Σ b_i·t_i³ / 3", substitution: null },
+      );
+  }
+}
+
+/**
+ * First moment Q of the area above the cut at height y, and the cut width t.
+ *
+ * @param {object} section (SI)
+ * @param {number} y height of the cut above the centroid (m)
+ * @param {number} Q first moment from the engine (m³)
+ * @param {object} show readouts
+ * @returns {{ quantity: string, formula: string, substitution: string | null, result: string }[]}
+ */
+export function firstMomentFormulas(section, y, Q, show) {
+  const s = (v) => show.section(v);
+  let formula, substitution;
+  if (section.type === "circle" || section.type === "hollowCircle") {
+    const Ro =
+      section.type === "circle" ? section.diameter / 2 : section.outerRadius;
+    const Ri = section.type === "circle" ? 0 : section.innerRadius;
+    formula =
+      Ri > Math.abs(y)
+        ? "Q = (2/3)·[(R_o² − y²)^1.5 − (R_i² − y²)^1.5]"
+        : "Q = (2/3)·(R² − y²)^1.5";
+    substitution =
+      Ri > Math.abs(y)
+        ? `(2/3) × [((${s(Ro)})² − (${s(y)})²)^1.5 − ((${s(Ri)})² − (${s(y)})²)^1.5]`
+        : `(2/3) × ((${s(Ro)})² − (${s(y)})²)^1.5`;
+  } else if (section.type === "ellipse") {
+    const a = section.width / 2;
+    const b = section.height / 2;
+    formula = "Q = (2/3)·(a / b)·(b² − y²)^1.5";
+    substitution = `(2/3) × (${s(a)} / ${s(b)}) × ((${s(b)})² − (${s(y)})²)^1.5`;
+  } else {
+    // Area above the cut and the height of its centroid, from the outline
+    let area = 0,
+      moment = 0;
+    for (const { points, sign } of sectionOutline(section)) {
+      const above = clipAbove(points, y);
+      if (above.length < 3) continue;
+      const p = polygonIntegrals(above);
+      area += sign * p.area;
+      moment += sign * p.Sx;
+    }
+    formula = "Q = A′·ȳ′, A′ the area above the cut, ȳ′ its centroid height";
+    substitution =
+      area > 0 ? `${show.section(area, 2)} × ${s(moment / area)}` : "0";
+  }
+  const t = shearThicknessAt(section, y);
+  return [
+    {
+      quantity: "First moment of area above y, Q",
+      formula,
+      substitution,
+      result: show.section(Q, 3),
+    },
+    {
+      quantity: "Width of the cut at y, t",
+      formula: "t = total width of material crossing the line at y",
+      substitution: null,
+      result: s(t),
+    },
+  ];
+}
+
+/**
+ * Stresses at the analysis point (y, z) with the loads substituted.
+ *
+ * @param {object} section (SI)
+ * @param {{ force: number, moment: number, momentY: number, torque: number, shearForce: number }} loads (SI)
+ * @param {number} y (m)
+ * @param {number} z (m)
+ * @param {{ axial: number, bending: number, torsional: number, transverse: number, Q: number }} point
+ *   stressesAt result
+ * @param {{ model: string }} torsion torsionResponse result
+ * @param {object} show readouts
+ * @returns {{ quantity: string, formula: string, substitution: string | null, result: string }[]}
+ */
+export function stressFormulas(section, loads, y, z, point, torsion, show) {
+  const props = computeSectionProperties(section);
+  const s = (v, power) => show.section(v, power);
+  const {
+    force: N,
+    moment: Mz,
+    momentY: My = 0,
+    torque: T,
+    shearForce: V,
+  } = loads;
+  const Iz = props.inertia;
+  const Iy = props.inertiaY;
+  const Iyz = props.productOfInertia;
+  const t = shearThicknessAt(section, y);
+  const rows = [
+    {
+      quantity: "Axial stress, σ_a",
+      formula: "σ_a = N / A",
+      substitution: `${show.force(N)} / ${s(props.area, 2)}`,
+      result: show.stress(point.axial),
+    },
+  ];
+
+  const uniaxial = My === 0 && Math.abs(Iyz) <= 1e-12 * Math.max(Iy, Iz);
+  rows.push(
+    uniaxial
+      ? {
+          quantity: "Bending stress, σ_b",
+          formula: "σ_b = −M_z·y / I_z (sagging M_z compresses the top)",
+          substitution: `−(${show.moment(Mz)}) × ${s(y)} / ${s(Iz, 4)}`,
+          result: show.stress(point.bending),
+        }
+      : {
+          quantity: "Bending stress, σ_b",
+          formula:
+            "σ_b = [(M_y·I_z + M_z·I_yz)·z − (M_z·I_y + M_y·I_yz)·y] / (I_y·I_z − I_yz²)",
+          substitution:
+            `[(${show.moment(My)} × ${s(Iz, 4)} + ${show.moment(Mz)} × ${s(Iyz, 4)}) × ${s(z)}` +
+            ` − (${show.moment(Mz)} × ${s(Iy, 4)} + ${show.moment(My)} × ${s(Iyz, 4)}) × ${s(y)}]` +
+            ` / (${s(Iy, 4)} × ${s(Iz, 4)} − (${s(Iyz, 4)})²)`,
+          result: show.stress(point.bending),
+        },
+  );
+
+  rows.push({
+    quantity: "Transverse shear stress, τ_V",
+    formula: "τ_V = V·Q / (I_z·t)",
+    substitution:
+      t > 0
+        ? `${show.force(V)} × ${s(point.Q, 3)} / (${s(Iz, 4)} × ${s(t)})`
+        : "0 (no material at y)",
+    result: show.stress(point.transverse),
+  });
+
+  const J = s(props.polarInertia, 4);
+  let torsionRow;
+  if (torsion.model === "circular" || torsion.model === "polar") {
+    torsionRow = {
+      formula: "τ_T = T·r / J, r = √(y² + z²)",
+      substitution: `${show.moment(T)} × ${s(Math.hypot(y, z))} / ${J}`,
+    };
+  } else if (torsion.model === "closedThinWalled") {
+    const { width: b, height: h, thickness: tw } = section;
+    torsionRow = {
+      formula: "τ_T = T / (2·A_m·t) in the wall, A_m = (b − t)·(h − t)",
+      substitution:
+        point.torsional === 0
+          ? "0 (the point is not in the wall)"
+          : `${show.moment(T)} / (2 × ${s((b - tw) * (h - tw), 2)} × ${s(tw)})`,
+    };
+  } else if (torsion.model === "ellipse") {
+    const a = section.width / 2;
+    const b = section.height / 2;
+    torsionRow = {
+      formula: "τ_T = (2T / (π·a·b))·√((y / b²)² + (z / a²)²)",
+      substitution: `(2 × ${show.moment(T)} / (π × ${s(a)} × ${s(b)})) × √((${s(y)} / (${s(b)})²)² + (${s(z)} / (${s(a)})²)²)`,
+    };
+  } else if (torsion.model === "openThinWalled") {
+    torsionRow = {
+      formula: "τ_T = 2·T·d / J, d the distance from the plate's mid-plane",
+      substitution: null,
+    };
+  } else {
+    torsionRow = {
+      formula: "τ_T from the Prandtl stress-function series",
+      substitution: null,
+    };
+  }
+  rows.push({
+    quantity: `Torsional shear stress, τ_T (${TORSION_MODELS[torsion.model]})`,
+    ...torsionRow,
+    result: show.stress(point.torsional),
+  });
+  return rows;
+}
+
+/**
+ * Combined plane stress state at the point.
+ *
+ * @param {object} state planeStressState result (SI)
+ * @param {object} show readouts
+ * @returns {{ quantity: string, formula: string, substitution: string | null, result: string }[]}
+ */
+export function combinedFormulas(state, point, show) {
+  const st = show.stress;
+  const { sigmaX: sigma, tauXY: tau } = state;
+  return [
+    {
+      quantity: "Normal stress, σ",
+      formula: "σ = σ_a + σ_b",
+      substitution: `${st(point.axial)} + ${st(point.bending)}`,
+      result: st(sigma),
+    },
+    {
+      quantity: "Shear stress, τ",
+      formula: "τ = τ_T + τ_V",
+      substitution: `${st(point.torsional)} + ${st(point.transverse)}`,
+      result: st(tau),
+    },
+    {
+      quantity: "Principal stresses, σ₁ / σ₂",
+      formula: "σ₁,₂ = σ/2 ± √((σ/2)² + τ²)",
+      substitution: `${st(sigma / 2)} ± √((${st(sigma / 2)})² + (${st(tau)})²)`,
+      result: `${st(state.sigma1)} / ${st(state.sigma2)}`,
+    },
+    {
+      quantity: "Max in-plane shear, τ_max",
+      formula: "τ_max = √((σ/2)² + τ²)",
+      substitution: `√((${st(sigma / 2)})² + (${st(tau)})²)`,
+      result: st(state.tauMax),
+    },
+    {
+      quantity: "Von Mises stress, σ_vm",
+      formula: "σ_vm = √(σ² + 3·τ²)",
+      substitution: `√((${st(sigma)})² + 3 × (${st(tau)})²)`,
+      result: st(state.vonMises),
+    },
+    {
+      quantity: "Tresca stress, σ_tr",
+      formula: "σ_tr = max(|σ₁ − σ₂|, |σ₁|, |σ₂|)",
+      substitution: `max(|${st(state.sigma1)} − ${st(state.sigma2)}|, |${st(state.sigma1)}|, |${st(state.sigma2)}|)`,
+      result: st(state.tresca),
+    },
+  ];
+}
+
+// Page styles for the standalone report, light and print-friendly.
+const REPORT_STYLES = `
+  body { font-family: system-ui, Helvetica, Arial, sans-serif; color: #111; margin: 2rem auto; max-width: 60rem; padding: 0 1rem; line-height: 1.4; }
+  h1 { font-size: 1.6rem; margin-bottom: 0; }
+  h2 { font-size: 1.2rem; border-bottom: 1px solid #999; margin-top: 1.8rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  th, td { border: 1px solid #bbb; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #eee; }
+  td.formula { font-family: "Cambria Math", Georgia, serif; }
+  .pass { color: #166534; font-weight: 600; }
+  .fail { color: #b91c1c; font-weight: 600; }
+  .muted { color: #555; font-size: 0.85rem; }
+  svg { max-width: 320px; display: block; }
+  .print { margin-top: 1rem; }
+  @media print { .print { display: none; } body { margin: 0; } }
+`;
+
+/**
+ * Wrap the rendered report markup in a standalone HTML document.
+ *
+ * @param {string} title
+ * @param {string} bodyHtml
+ * @returns {string}
+ */
+export function reportDocument(title, bodyHtml) {
+  const escaped = title.replace(/[&<>"]/g, (c) => `&#${c.charCodeAt(0)};`);
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>${escaped}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Print / Save as PDF</button>
+${bodyHtml}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,59 @@
+import { formatValue } from "./format";
+
+// Unit systems for the inputs and readouts. Each table maps a unit label to
+// its size in SI units (N, m, Pa); a value entered in unit u is value · factor
+// in SI, and an SI result is shown as result / factor.
+
+export const FORCE_UNITS = {
+  N: 1,
+  kN: 1e3,
+  lbf: 4.4482216152605,
+  kip: 4448.2216152605,
+};
+
+export const DISTANCE_UNITS = {
+  m: 1,
+  cm: 0.01,
+  mm: 0.001,
+  ft: 0.3048,
+  in: 0.0254,
+};
+
+export const PRESSURE_UNITS = {
+  Pa: 1,
+  kPa: 1e3,
+  MPa: 1e6,
+  GPa: 1e9,
+  psi: 6894.757293168361,
+  ksi: 6894757.293168361,
+};
+
+// Common combinations offered as one-click presets
+export const UNIT_PRESETS = [
+  { label: "SI (N, m, Pa)", force: "N", distance: "m", pressure: "Pa" },
+  { label: "SI (kN, mm, MPa)", force: "kN", distance: "mm", pressure: "MPa" },
+  { label: "SI (kN, m, MPa)", force: "kN", distance: "m", pressure: "MPa" },
+  { label: "US (kip, in, ksi)", force: "kip", distance: "in", pressure: "ksi" },
+  { label: "US (lbf, in, psi)", force: "lbf", distance: "in", pressure: "psi" },
+  { label: "US (kip, ft, ksi)", force: "kip", distance: "ft", pressure: "ksi" },
+];
+
+/**
+ * SI value shown in a display unit, e.g. formatQuantity(0.0012, 1e-6, "mm²")
+ * gives "1200 mm²".
+ */
+export function formatQuantity(valueSI, factor, unit) {
+  return `${formatValue(valueSI / factor)} ${unit}`;
+}
+
+/**
+ * Label of a unit raised to a power, e.g. unitPower("mm", 4) gives "mm⁴".
+ */
+export function unitPower(unit, power) {
+  return unit + ["", "", "²", "³", "⁴"][power];
+}
+
+// Round a converted input so that 0.1 m → 100 mm does not become 100.00000001.
+export function roundInput(value) {
+  return Number(value.toPrecision(10));
+}
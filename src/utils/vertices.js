@@ -0,0 +1,22 @@
+// Parse polygon vertices pasted as text: one "x, y" pair per line, separated
+// by commas, semicolons, tabs or spaces (as copied from a spreadsheet).
+// Lines that do not hold two numbers are ignored.
+export function parseVertices(text) {
+  const points = [];
+  for (const line of text.split(/\r?\n/)) {
+    const values = line
+      .trim()
+      .split(/[\s,;]+/)
+      .filter(Boolean)
+      .map(Number);
+    if (values.length >= 2 && values.every(Number.isFinite)) {
+      points.push([values[0], values[1]]);
+    }
+  }
+  return points;
+}
+
+// Inverse of parseVertices: one "x, y" pair per line.
+export function formatVertices(points) {
+  return points.map(([x, y]) => `${x}, ${y}`).join("\n");
+}